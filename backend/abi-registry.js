@@ -0,0 +1,159 @@
+// ABI REGISTRY — DelayedExecutionMultiSig
+/**
+ * @title ABI Registry
+ * @notice Decodes proposal calldata into a function name and named arguments.
+ * @dev
+ * - An ABI uploaded for the target address wins (source "abi").
+ * - Otherwise the selector is looked up in the bundled signature database (source "signature").
+ * - Unknown selectors still return `{ selector, source: null }` so callers can flag them.
+ * - Uploaded ABIs are persisted in the store (`abis` table).
+ */
+
+import { ethers } from "ethers";
+import { BUNDLED_SIGNATURES } from "./signatures.js";
+
+// bigint -> string, tuples -> objects keyed by component name
+function toPlain(value, param) {
+  if (param.baseType === "array") return Array.from(value, (v) => toPlain(v, param.arrayChildren));
+  if (param.baseType === "tuple") {
+    const out = {};
+    param.components.forEach((c, i) => {
+      out[c.name || String(i)] = toPlain(value[i], c);
+    });
+    return out;
+  }
+  if (typeof value === "bigint") return value.toString();
+  return value;
+}
+
+/**
+ * Parses an uploaded ABI (array or JSON string); throws on anything ethers cannot read.
+ */
+export function parseAbi(abi) {
+  const list = typeof abi === "string" ? JSON.parse(abi) : abi;
+  if (!Array.isArray(list)) throw new Error("abi must be a JSON array");
+
+  const iface = new ethers.Interface(list);
+  if (!iface.fragments.some((f) => f.type === "function")) throw new Error("abi has no functions");
+  return iface;
+}
+
+export function createAbiRegistry({ store, signatures = BUNDLED_SIGNATURES }) {
+  const bySelector = new Map();
+  for (const sig of signatures) {
+    const fragment = ethers.FunctionFragment.from(sig);
+    if (!bySelector.has(fragment.selector)) bySelector.set(fragment.selector, fragment);
+  }
+
+  // address (lowercase) -> Interface, filled lazily from the store
+  const interfaces = new Map();
+
+  function interfaceFor(address) {
+    const key = address.toLowerCase();
+    if (!interfaces.has(key)) {
+      const row = store.getAbi(key);
+      interfaces.set(key, row ? parseAbi(row.abi) : null);
+    }
+    return interfaces.get(key);
+  }
+
+  function decodeWith(fragment, data, source) {
+    const values = ethers.AbiCoder.defaultAbiCoder().decode(fragment.inputs, ethers.dataSlice(data, 4));
+    return {
+      selector: fragment.selector,
+      source,
+      name: fragment.name,
+      signature: fragment.format("sighash"),
+      args: fragment.inputs.map((input, i) => ({
+        name: input.name || `arg${i}`,
+        type: input.format("sighash"),
+        value: toPlain(values[i], input),
+      })),
+    };
+  }
+
+  return {
+    /**
+     * @return null for empty calldata, otherwise
+     * { selector, source: "abi"|"signature"|null, name?, signature?, args?, error? }
+     */
+    decode(to, data) {
+      if (!data || data === "0x") return null;
+      if (!ethers.isHexString(data) || data.length < 10) return { selector: null, source: null, error: "malformed calldata" };
+
+      const selector = data.slice(0, 10).toLowerCase();
+      const iface = to ? interfaceFor(to) : null;
+
+      const candidates = [];
+      const fromAbi = iface?.getFunction(selector);
+      if (fromAbi) candidates.push([fromAbi, "abi"]);
+      if (bySelector.has(selector)) candidates.push([bySelector.get(selector), "signature"]);
+
+      let error = null;
+      for (const [fragment, source] of candidates) {
+        try {
+          return decodeWith(fragment, data, source);
+        } catch (err) {
+          error = `cannot decode as ${fragment.format("sighash")}: ${err.shortMessage || err.message}`;
+        }
+      }
+
+      return error ? { selector, source: null, error } : { selector, source: null };
+    },
+
+    /** Custom error in revert data, e.g. "InsufficientBalance(100, 250)", via `to`'s uploaded ABI, or null. */
+    decodeError(to, data) {
+      const iface = to && ethers.isHexString(data) && data.length >= 10 ? interfaceFor(to) : null;
+      try {
+        const err = iface?.parseError(data);
+        return err ? `${err.name}(${err.args.map(String).join(", ")})` : null;
+      } catch {
+        return null;
+      }
+    },
+
+    setAbi(address, abi, name = null) {
+      const iface = parseAbi(abi);
+      const key = address.toLowerCase();
+
+      store.saveAbi({
+        address: key,
+        name,
+        abi: iface.formatJson(),
+        uploadedAt: Math.floor(Date.now() / 1000),
+      });
+      interfaces.set(key, iface);
+
+      return { address: key, name, functions: iface.fragments.filter((f) => f.type === "function").length };
+    },
+
+    removeAbi(address) {
+      const key = address.toLowerCase();
+      interfaces.delete(key);
+      return store.deleteAbi(key);
+    },
+
+    getAbi(address) {
+      const row = store.getAbi(address.toLowerCase());
+      return row ? { ...row, abi: JSON.parse(row.abi) } : null;
+    },
+
+    list() {
+      return store.listAbis().map((row) => ({
+        address: row.address,
+        name: row.name,
+        uploadedAt: row.uploadedAt,
+        functions: JSON.parse(row.abi).filter((f) => f.type === "function").length,
+      }));
+    },
+
+    /** Bundled signature of a 4-byte selector ("transfer(address,uint256)"), or null. */
+    signatureOf(selector) {
+      return bySelector.get(String(selector).toLowerCase())?.format("sighash") ?? null;
+    },
+
+    signatureCount() {
+      return bySelector.size;
+    },
+  };
+}
@@ -0,0 +1,80 @@
+// ADDRESS BOOK — DelayedExecutionMultiSig
+/**
+ * @title Address Book
+ * @notice Owner-managed labels for the addresses the multisig deals with, each in one
+ * category: vendor, exchange, internal or blocked.
+ * @dev
+ * - Labels replace raw hex in the frontend and in notification emails.
+ * - The risk policy matches categories with `recipient` rules of match "addressBook"
+ *   (see risk-policy.js): the shipped policy treats vendor/internal as allowlisted
+ *   (softer recipient checks skipped), exchange as a known exit and blocked as critical.
+ * - Entries are persisted in the store (`address_book` table).
+ */
+
+import { ethers } from "ethers";
+
+export const ADDRESS_CATEGORIES = ["vendor", "exchange", "internal", "blocked"];
+
+const MAX_LABEL = 64;
+const MAX_NOTE = 280;
+
+function entryError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+export function createAddressBook({ store }) {
+  /** Entry of `address` ({ address, label, category, note, ... }), or null. */
+  function get(address) {
+    if (!address || !ethers.isAddress(address)) return null;
+    return store.getAddressEntry(ethers.getAddress(address));
+  }
+
+  return {
+    get,
+
+    list() {
+      return store.listAddressBook();
+    },
+
+    /**
+     * Creates or replaces the entry of `address` (throws with status 400 on bad input).
+     * @param by address of the owner making the change
+     */
+    put(address, { label, category, note } = {}, by = null) {
+      if (!address || !ethers.isAddress(address)) throw entryError("invalid address");
+      if (typeof label !== "string" || !label.trim()) throw entryError("label is required");
+      if (label.trim().length > MAX_LABEL) throw entryError(`label is longer than ${MAX_LABEL} characters`);
+      if (!ADDRESS_CATEGORIES.includes(category)) {
+        throw entryError(`category must be one of: ${ADDRESS_CATEGORIES.join(", ")}`);
+      }
+      if (note !== undefined && note !== null && typeof note !== "string") throw entryError("note must be a string");
+      if (note && note.length > MAX_NOTE) throw entryError(`note is longer than ${MAX_NOTE} characters`);
+
+      const entry = {
+        address: ethers.getAddress(address),
+        label: label.trim(),
+        category,
+        note: note?.trim() || null,
+        updatedBy: by,
+        updatedAt: Math.floor(Date.now() / 1000),
+      };
+      store.saveAddressEntry(entry);
+      return entry;
+    },
+
+    /** @return true if an entry was removed */
+    remove(address) {
+      if (!address || !ethers.isAddress(address)) throw entryError("invalid address");
+      return store.deleteAddressEntry(ethers.getAddress(address));
+    },
+
+    /** "Label (0x…)" for known addresses (emails), the address itself otherwise. */
+    describe(address) {
+      const entry = get(address);
+      if (!entry) return address;
+      return `${entry.label} (${entry.address})`;
+    },
+  };
+}
@@ -0,0 +1,166 @@
+// BASELINES — DelayedExecutionMultiSig
+/**
+ * @title Behavioral baselines
+ * @notice What is usual for a proposer and for the whole wallet, built from the indexed
+ * proposal history: typical ETH value, recipients, hour of day, time between proposals and
+ * approval latency. The risk engine scores how far a proposal is from them (z-scores, see
+ * the `baseline` rules in risk-policy.js).
+ * @dev
+ * - Only proposals created before the scored one count (so a rescore sees the same history),
+ *   within the policy's lookback window; cancelled proposals are left out so a rejected
+ *   attack does not become "usual".
+ * - Values, gaps and latencies are spread over orders of magnitude, so their mean and
+ *   standard deviation are taken over log10; hours use circular statistics (23:00 is
+ *   close to 01:00).
+ * - A standard deviation below MIN_STD (e.g. a proposer who always sends exactly 1 ETH)
+ *   is raised to it, so a small change is not reported as an extreme deviation.
+ */
+
+export const BASELINE_METRICS = ["value", "recipient", "hour", "interval", "approvalLatency"];
+export const BASELINE_SCOPES = ["proposer", "wallet"];
+
+// which side of the baseline is unusual: a larger value, an earlier or later hour, a
+// shorter gap since the previous proposal, faster approvals
+const DIRECTION = { value: 1, hour: 0, interval: -1, approvalLatency: -1 };
+
+const MIN_STD = { value: 0.3, hour: 1, interval: 0.3, approvalLatency: 0.3 };
+
+function hourOfDay(tsSec, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-GB", { timeZone, hour: "2-digit", minute: "2-digit", hour12: false })
+    .formatToParts(new Date(tsSec * 1000))
+    .reduce((acc, p) => ({ ...acc, [p.type]: Number(p.value) }), {});
+  return (parts.hour % 24) + parts.minute / 60;
+}
+
+function logStats(xs) {
+  const logs = xs.map((x) => Math.log10(Math.max(1, x)));
+  const n = logs.length;
+  if (!n) return { n, mean: null, std: null };
+  const mean = logs.reduce((a, b) => a + b, 0) / n;
+  const std = Math.sqrt(logs.reduce((a, b) => a + (b - mean) ** 2, 0) / n);
+  return { n, mean, std };
+}
+
+// circular mean / standard deviation of hours of the day
+function hourStats(hours) {
+  const n = hours.length;
+  if (!n) return { n, mean: null, std: null };
+  const angle = (h) => (h / 24) * 2 * Math.PI;
+  const c = hours.reduce((a, h) => a + Math.cos(angle(h)), 0) / n;
+  const s = hours.reduce((a, h) => a + Math.sin(angle(h)), 0) / n;
+  const r = Math.min(1, Math.sqrt(c * c + s * s));
+  const mean = (((Math.atan2(s, c) / (2 * Math.PI)) * 24) + 24) % 24;
+  const std = r > 0 ? (Math.sqrt(-2 * Math.log(r)) / (2 * Math.PI)) * 24 : Infinity;
+  return { n, mean, std };
+}
+
+function gaps(times) {
+  return times.slice(1).map((t, i) => t - times[i]);
+}
+
+/** "45s", "12 min", "3.5 h", "2 days" */
+function fmtDuration(sec) {
+  if (sec < 90) return `${Math.round(sec)}s`;
+  if (sec < 90 * 60) return `${Math.round(sec / 60)} min`;
+  if (sec < 36 * 3600) return `${Number((sec / 3600).toFixed(1))} h`;
+  return `${Number((sec / 86400).toFixed(1))} days`;
+}
+
+function fmtHour(h) {
+  const minutes = Math.round(h * 60) % (24 * 60);
+  return `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+}
+
+function fmtEth(wei) {
+  return String(Number((wei / 1e18).toPrecision(3)));
+}
+
+const FORMAT = {
+  value: fmtEth,
+  hour: fmtHour,
+  interval: fmtDuration,
+  approvalLatency: fmtDuration,
+};
+
+/**
+ * Distance of `observed` from the baseline in standard deviations, counted on the unusual
+ * side of the metric only (0 for e.g. a smaller value than usual).
+ */
+function zScore(metric, stats, observed) {
+  const std = Math.max(stats.std, MIN_STD[metric]);
+  if (metric === "hour") {
+    const d = Math.abs(observed - stats.mean);
+    return Math.min(d, 24 - d) / std;
+  }
+  const z = (Math.log10(Math.max(1, observed)) - stats.mean) / std;
+  return Math.max(0, z * DIRECTION[metric]);
+}
+
+export function createBaselines({ store }) {
+  /** History of one scope: non-cancelled proposals created in [since, before). */
+  function history({ proposer = null, since, before, timezone }) {
+    const rows = store.proposalHistory({ proposer, since, before });
+    const times = rows.map((p) => p.createdAt);
+
+    const recipients = {};
+    const txs = rows.filter((p) => p.kind === "tx" && p.to);
+    for (const p of txs) recipients[p.to.toLowerCase()] = (recipients[p.to.toLowerCase()] || 0) + 1;
+
+    return {
+      proposals: rows.length,
+      value: logStats(rows.map((p) => Number(p.value)).filter((v) => v > 0)),
+      hour: hourStats(times.map((t) => hourOfDay(t, timezone))),
+      interval: logStats(gaps(times)),
+      approvalLatency: logStats(store.approvalLatencies({ proposer, since, before })),
+      recipient: { n: txs.length, counts: recipients, distinct: Object.keys(recipients).length },
+      lastAt: times.length ? times[times.length - 1] : null,
+    };
+  }
+
+  return {
+    /**
+     * Baselines of the proposer and of the wallet as of a proposal's creation.
+     * @return { proposer, wallet } (see history())
+     */
+    build({ proposer, createdAt, lookbackSec, timezone }) {
+      const window = { since: createdAt - lookbackSec, before: createdAt, timezone };
+      return {
+        proposer: history({ ...window, proposer }),
+        wallet: history(window),
+      };
+    },
+
+    /**
+     * Compares what a proposal shows for `metric` with a scope's baseline.
+     * @param observed   { value (wei), recipient, createdAt, latency } of the proposal
+     * @return { samples, z (null with fewer than minSamples or nothing to compare), observed, typical }
+     *         formatted for reasons; "recipient" has `novel` instead of z
+     */
+    compare(metric, baseline, observed, { minSamples, timezone }) {
+      const stats = baseline[metric];
+      const out = { samples: stats.n, z: null, observed: null, typical: null };
+
+      // recipients are categorical: no z-score, only whether the address is new to the scope
+      if (metric === "recipient") {
+        if (!observed.recipient) return out;
+        out.observed = observed.recipient;
+        out.typical = stats.distinct;
+        out.novel = stats.n >= minSamples && !stats.counts[observed.recipient.toLowerCase()];
+        return out;
+      }
+
+      let x = null;
+      if (metric === "value") x = Number(observed.value) > 0 ? Number(observed.value) : null;
+      if (metric === "hour") x = hourOfDay(observed.createdAt, timezone);
+      if (metric === "interval") x = baseline.lastAt !== null ? observed.createdAt - baseline.lastAt : null;
+      if (metric === "approvalLatency") x = observed.latency ?? null;
+      if (x === null) return out;
+
+      out.observed = FORMAT[metric](x);
+      if (stats.n < minSamples) return out;
+      out.typical = FORMAT[metric](metric === "hour" ? stats.mean : 10 ** stats.mean);
+      out.z = Number(zScore(metric, stats, x).toFixed(1));
+      return out;
+    },
+  };
+}
@@ -0,0 +1,147 @@
+// GUARDIAN AUTOMATION — DelayedExecutionMultiSig
+/**
+ * @title Guardian auto-action
+ * @notice Opt-in automation that cancels the proposal (`cancel(id, reason)`) or pauses the
+ * wallet (`pause()`) when a risk result is critical or reaches a configured score, instead
+ * of waiting for the guardian to read the email before the ETA.
+ * @dev
+ * - Transactions come from a dedicated guardian signer (GUARDIAN_PRIVATE_KEY), never from
+ *   the backend's owner key; without it, or in dry-run mode, decisions are only recorded.
+ * - Governance proposals carry a critical flag by design ("gov:<label>"): those flags do not
+ *   trigger, only the score threshold does.
+ * - A proposal is done with once its action was submitted or skipped (nothing left to do).
+ *   Any other outcome (failed, rate-limited, dry-run) is decided again on the next rescore,
+ *   so one RPC error cannot let a critical proposal through; a repeat of the same outcome
+ *   and error is not recorded (or notified) again.
+ * - At most `maxActions` automated actions (dry runs included, so a dry run shows what
+ *   would really happen) per `windowSec`; over the limit the decision is recorded as
+ *   "rate-limited" (the guardian is told) and made again once the window allows.
+ * - Every decision is appended to the store's audit log with the risk result that caused
+ *   it, so owners can see why it fired (GET /guardian/actions).
+ *
+ * Outcomes: "submitted" (tx mined), "dry-run", "rate-limited", "skipped" (nothing left to
+ * do, e.g. past ETA or already paused) and "failed" (tx error, signer not the guardian).
+ *
+ * `chain` (all async):
+ *   proposal(id)     { executed, cancelled, eta }
+ *   paused()         whether the wallet is paused
+ *   guardian()       current on-chain guardian address
+ *   cancel(id, text) sends cancel from the guardian signer, resolves to the mined tx hash
+ *   pause()          sends pause from the guardian signer, resolves to the mined tx hash
+ */
+
+export const AUTO_ACTIONS = ["off", "cancel", "pause"];
+
+// outcomes after which a proposal is never acted on again
+const FINAL_OUTCOMES = ["submitted", "skipped"];
+
+// on-chain cancel reasons are stored in the event log: keep them short
+const MAX_REASON = 200;
+
+function summary(risk) {
+  const flags = (risk.signals?.criticalFlags || []).filter((f) => !f.startsWith("gov:"));
+  return { score: risk.score, level: risk.level, flags };
+}
+
+/**
+ * @param config    { action, onCritical, minScore (null = off), dryRun, maxActions, windowSec }
+ * @param signer    address of the guardian signer, or null (dry run only)
+ * @param onAction  called with every new audit entry (notifications)
+ * @param now       current unix time in seconds
+ */
+export function createGuardianAutomation({
+  store,
+  config,
+  chain,
+  signer = null,
+  onAction = () => {},
+  now: clock = () => Math.floor(Date.now() / 1000),
+}) {
+  const { action, onCritical, minScore, maxActions, windowSec } = config;
+  const dryRun = config.dryRun || !signer;
+  const inFlight = new Set();
+
+  function triggerOf(risk) {
+    const { flags } = summary(risk);
+    if (onCritical && flags.length) return "critical";
+    if (minScore !== null && risk.score >= minScore) return "score";
+    return null;
+  }
+
+  function reasonText(risk, trigger) {
+    const { score, level, flags } = summary(risk);
+    const why = trigger === "critical" ? flags.join(", ") : `score >= ${minScore}`;
+    return `guardian automation: risk ${score}/100 ${level} (${why}), policy ${risk.policyVersion}`.slice(0, MAX_REASON);
+  }
+
+  // `last`: the proposal's previous (non-final) audit entry, or null
+  async function decide(id, risk, trigger, last) {
+    const reason = reasonText(risk, trigger);
+    const record = (outcome, extra = {}) => {
+      if (last && last.outcome === outcome && last.error === (extra.error ?? null)) return null;
+      const entry = store.addGuardianAction({
+        proposalId: id,
+        action,
+        outcome,
+        trigger,
+        reason,
+        risk: { ...summary(risk), reasons: risk.reasons, policyVersion: risk.policyVersion, computedAt: risk.computedAt },
+        createdAt: clock(),
+        ...extra,
+      });
+      onAction(entry);
+      return entry;
+    };
+
+    const p = await chain.proposal(id);
+    if (p.executed || p.cancelled) return null;
+    if (action === "cancel" && clock() >= Number(p.eta)) return record("skipped", { error: "past ETA: cancel is no longer possible" });
+    if (action === "pause" && (await chain.paused())) return record("skipped", { error: "wallet already paused" });
+
+    if (store.countGuardianActions(clock() - windowSec, ["submitted", "dry-run"]) >= maxActions) {
+      return record("rate-limited", { error: `more than ${maxActions} automated action(s) within ${windowSec}s` });
+    }
+    if (dryRun) return record("dry-run");
+
+    const guardian = await chain.guardian();
+    if (guardian.toLowerCase() !== signer.toLowerCase()) {
+      return record("failed", { error: `signer ${signer} is not the guardian (${guardian})` });
+    }
+
+    try {
+      const txHash = action === "cancel" ? await chain.cancel(id, reason) : await chain.pause();
+      return record("submitted", { txHash });
+    } catch (err) {
+      return record("failed", { error: err?.shortMessage || err?.reason || err?.message || String(err) });
+    }
+  }
+
+  return {
+    enabled: action !== "off",
+    dryRun,
+
+    /**
+     * Acts on a fresh risk result of proposal `id` if it triggers the automation.
+     * @return the new audit entry, or null when nothing new was decided
+     */
+    async consider(id, risk) {
+      if (action === "off" || !risk) return null;
+      const trigger = triggerOf(risk);
+      if (!trigger || inFlight.has(id)) return null;
+      const last = store.findGuardianAction(id, action);
+      if (FINAL_OUTCOMES.includes(last?.outcome)) return null;
+
+      inFlight.add(id);
+      try {
+        return await decide(id, risk, trigger, last);
+      } finally {
+        inFlight.delete(id);
+      }
+    },
+
+    /** Settings shown to owners and the guardian (no secrets). */
+    describe() {
+      return { action, dryRun, signer, onCritical, minScore, maxActions, windowSec };
+    },
+  };
+}
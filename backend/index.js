@@ -1,13 +1,23 @@
 // BACKEND — DelayedExecutionMultiSig
 /**
  * @title Backend Service
- * @notice Handles off-chain indexing, risk scoring, and email notifications.
+ * @notice Handles off-chain indexing, risk scoring, and notifications (email, webhooks, chat).
  * @dev
  * Modules:
- * 1. Event Listener: Syncs with Sepolia contract events.
- * 2. In-Memory Cache: Fast read-model for frontend.
- * 3. Risk Engine: Computes 'risk score' (0-100) based on heuristics.
- * 4. Notification Service: Sends SMTP emails to Owners/Guardian.
+ * 1. Event Indexer: Backfills and follows contract events (reorg-safe, see indexer.js and projection.js).
+ * 2. Store: SQLite read-model for frontend (proposals, approvals, risk, notifications), see store.js.
+ * 3. Risk Engine: Computes 'risk score' (0-100) from the rules of the risk policy, see risk-engine.js.
+ * 4. Notification Service: owner / guardian notices to email, webhook, Slack and Telegram channels, see notifier.js.
+ * 5. Update Stream: Pushes live proposal/wallet updates over SSE (GET /stream), see stream.js.
+ * 6. ABI Registry: Decodes proposal calldata (uploaded ABIs + bundled signatures), see abi-registry.js.
+ * 7. Token Tracker: ERC-20 metadata + multisig token balances, token-transfer proposals, see tokens.js.
+ * 8. Auth: Sign-In with Ethereum sessions; routes require the owner or guardian role, see siwe.js.
+ * 9. Risk Policy: versioned, hot-reloaded rules for the risk engine, see risk-policy.js.
+ * 10. Address Book: owner-managed labels and risk categories of addresses, see address-book.js.
+ * 11. Guardian Automation: opt-in cancel / pause on critical risk, audited, see guardian-auto.js.
+ * 12. Risk Monitor: scheduled rescoring of open proposals, risk history, escalation alerts, see risk-monitor.js.
+ * 13. Simulator: eth_call preview of what execute will do (revert reason, gas, balance changes), see simulator.js.
+ * 14. Relay: broadcasts transactions users signed offline (watch-only mode), see relay.js.
  */
 
 import express from "express";
@@ -18,6 +28,23 @@ import fs from "fs";
 import path from "path";
 import nodemailer from "nodemailer";
 import { fileURLToPath } from "url";
+import { createIndexer, eventKey } from "./indexer.js";
+import { createProjection } from "./projection.js";
+import { openStore } from "./store.js";
+import { deriveLifecycle, isFinal, LIFECYCLE_STATES, LIFECYCLE_LABELS, STATUS_ALIASES } from "./lifecycle.js";
+import { createEventStream } from "./stream.js";
+import { createAbiRegistry } from "./abi-registry.js";
+import { createTokenTracker } from "./tokens.js";
+import { createSignedApprovals } from "./signed-approvals.js";
+import { createSiweAuth, AUTH_PURPOSES } from "./siwe.js";
+import { createRiskPolicy } from "./risk-policy.js";
+import { createRiskEngine, decodedTokenAmount } from "./risk-engine.js";
+import { createAddressBook, ADDRESS_CATEGORIES } from "./address-book.js";
+import { createGuardianAutomation, AUTO_ACTIONS } from "./guardian-auto.js";
+import { createRiskMonitor } from "./risk-monitor.js";
+import { createSimulator } from "./simulator.js";
+import { createNotifier, parseChannels } from "./notifier.js";
+import { createRelay } from "./relay.js";
 
 // ------------------------------------------------------------
 // PATHS
@@ -38,11 +65,89 @@ dotenv.config({ path: path.join(__dirname, ".env") });
 // ------------------------------------------------------------
 const RPC_URL = process.env.RPC_URL;
 const CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS;
-const PRIVATE_KEY = process.env.PRIVATE_KEY;
+// Optional: without it the backend is watch-only (write routes return unsigned transactions)
+const PRIVATE_KEY = process.env.PRIVATE_KEY || "";
 
 if (!RPC_URL) throw new Error("❌ RPC_URL missing in .env");
 if (!CONTRACT_ADDRESS) throw new Error("❌ CONTRACT_ADDRESS missing in .env");
-if (!PRIVATE_KEY) throw new Error("❌ PRIVATE_KEY missing in .env");
+
+// Indexer: first block to replay from (ideally the deployment block) and
+// how many confirmations a block needs before its events are trusted.
+const INDEXER_START_BLOCK = Number(process.env.INDEXER_START_BLOCK || "0");
+const INDEXER_CONFIRMATIONS = Number(process.env.INDEXER_CONFIRMATIONS || "2");
+const INDEXER_BATCH_SIZE = Number(process.env.INDEXER_BATCH_SIZE || "2000");
+const INDEXER_POLL_MS = Number(process.env.INDEXER_POLL_MS || "4000");
+
+// How often time-driven lifecycle changes (executable / expired) are checked for the stream
+const LIFECYCLE_SWEEP_MS = Number(process.env.LIFECYCLE_SWEEP_MS || "15000");
+
+// Warn owners this many seconds before an executable proposal's window closes unexecuted
+const EXPIRY_WARN_SEC = Number(process.env.EXPIRY_WARN_SEC || "120");
+
+// Warn owners this many seconds before a guardian pause lapses by itself
+const PAUSE_LAPSE_WARN_SEC = Number(process.env.PAUSE_LAPSE_WARN_SEC || "3600");
+
+// Guardian automation (opt-in): cancel the proposal or pause the wallet on critical risk,
+// signed by a dedicated guardian key (never PRIVATE_KEY); without it decisions are dry runs
+const GUARDIAN_AUTO_ACTION = (process.env.GUARDIAN_AUTO_ACTION || "off").trim().toLowerCase();
+const GUARDIAN_PRIVATE_KEY = process.env.GUARDIAN_PRIVATE_KEY || "";
+const GUARDIAN_AUTO_DRY_RUN = process.env.GUARDIAN_AUTO_DRY_RUN === "true";
+const GUARDIAN_AUTO_ON_CRITICAL = process.env.GUARDIAN_AUTO_ON_CRITICAL !== "false";
+const GUARDIAN_AUTO_MIN_SCORE = process.env.GUARDIAN_AUTO_MIN_SCORE ? Number(process.env.GUARDIAN_AUTO_MIN_SCORE) : null;
+const GUARDIAN_AUTO_MAX_ACTIONS = Number(process.env.GUARDIAN_AUTO_MAX_ACTIONS || "3");
+const GUARDIAN_AUTO_WINDOW_SEC = Number(process.env.GUARDIAN_AUTO_WINDOW_SEC || "3600");
+
+if (!AUTO_ACTIONS.includes(GUARDIAN_AUTO_ACTION)) {
+  throw new Error(`❌ GUARDIAN_AUTO_ACTION must be one of ${AUTO_ACTIONS.join(", ")}`);
+}
+if (GUARDIAN_AUTO_MIN_SCORE !== null && !(GUARDIAN_AUTO_MIN_SCORE >= 0 && GUARDIAN_AUTO_MIN_SCORE <= 100)) {
+  throw new Error("❌ GUARDIAN_AUTO_MIN_SCORE must be 0..100");
+}
+
+// ERC-20 tokens whose balances are always reported (more are picked up from proposals)
+const TRACKED_TOKENS = (process.env.TRACKED_TOKENS || "")
+  .split(",")
+  .map((s) => s.trim())
+  .filter(Boolean);
+
+// ------------------------------------------------------------
+// STORE (SQLite) - backend/multisig.db unless DB_FILE is set (relative to backend/)
+// ------------------------------------------------------------
+const DB_FILE = path.resolve(__dirname, process.env.DB_FILE || "multisig.db");
+const store = openStore(DB_FILE);
+console.log("🗄️ Store:", DB_FILE);
+
+// One-time import of the JSON files used before the store existed
+// (backend/notifications.json and backend/risk-state.json).
+function importLegacyState() {
+  const readJson = (file) => {
+    try {
+      return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : null;
+    } catch {
+      return null;
+    }
+  };
+
+  const notifications = readJson(path.join(__dirname, "notifications.json"));
+  const riskState = readJson(path.join(__dirname, "risk-state.json"));
+  if (!notifications && !riskState) return;
+
+  store.transaction(() => {
+    for (const [id, flags] of Object.entries(notifications || {})) {
+      store.markNotify(id, flags);
+    }
+    for (const addr of Object.keys(riskState?.seenRecipients || {})) {
+      store.markRecipientSeen(addr, null, null);
+    }
+  });
+  console.log("🗄️ Imported legacy notifications.json / risk-state.json into the store");
+}
+
+if (store.isNew) importLegacyState();
+
+// uploaded ABIs per target + bundled 4-byte signatures
+const abiRegistry = createAbiRegistry({ store });
+const addressBook = createAddressBook({ store });
 
 // ------------------------------------------------------------
 // Email configuration for notifications: 
@@ -67,6 +172,10 @@ const SMTP_PASS = process.env.SMTP_PASS || "";
 const MAIL_FROM = process.env.MAIL_FROM || SMTP_USER || "";
 const FRONTEND_URL = process.env.FRONTEND_URL || "";
 
+// Sign-In with Ethereum: domain the SIWE message must name (the frontend's host) and session lifetime
+const SIWE_DOMAIN = process.env.SIWE_DOMAIN || (FRONTEND_URL ? new URL(FRONTEND_URL).host : "localhost:3000");
+const SESSION_TTL_SEC = Number(process.env.SESSION_TTL_SEC || "28800");
+
 const EMAIL_ENABLED =
   Boolean(SMTP_HOST) &&
   Number.isFinite(SMTP_PORT) &&
@@ -91,57 +200,73 @@ function normalizeRecipients() {
   return { owners, guardian };
 }
 
-async function sendEmailTo(toList, subject, text) {
-  if (!EMAIL_ENABLED) {
-    console.log("📭 Email disabled. Missing SMTP_*");
-    return;
-  }
-
-  const to = Array.isArray(toList) ? toList.filter(Boolean).join(",") : String(toList || "");
-  if (!to) return;
-
-  try {
-    await transporter.sendMail({ from: MAIL_FROM, to, subject, text });
-    console.log("📧 Email sent:", subject, "->", to);
-  } catch (err) {
-    console.error("❌ Email send failed:", err?.message || err);
-  }
+// throws on failure: the notifier retries it
+async function sendMail({ to, subject, text }) {
+  await transporter.sendMail({ from: MAIL_FROM, to: to.join(","), subject, text });
+  console.log("📧 Email sent:", subject, "->", to.join(","));
 }
 
 // ------------------------------------------------------------
-// NOTIFICATION STATE (avoid duplicate emails) and Stored in backend/notifications.json (notifications.json will appear auto!)
+// NOTIFICATION CHANNELS (see notifier.js)
+// OWNER_EMAILS / GUARDIAN_EMAIL are the "email-owners" / "email-guardian" channels;
+// NOTIFY_CHANNELS_FILE adds webhook, Slack, Telegram or more email channels (a channel
+// of the same name replaces a built-in one).
+// Optional env:
+//   NOTIFY_CHANNELS_FILE=notify-channels.json (relative to backend/)
+//   NOTIFY_RETRY_ATTEMPTS=4  NOTIFY_RETRY_BASE_MS=2000  NOTIFY_RETRY_MAX_MS=60000
 // ------------------------------------------------------------
-const notificationsFile = path.join(__dirname, "notifications.json");
+const NOTIFY_CHANNELS_FILE = process.env.NOTIFY_CHANNELS_FILE
+  ? path.resolve(__dirname, process.env.NOTIFY_CHANNELS_FILE)
+  : "";
+const NOTIFY_RETRY = {
+  attempts: Number(process.env.NOTIFY_RETRY_ATTEMPTS || "4"),
+  baseMs: Number(process.env.NOTIFY_RETRY_BASE_MS || "2000"),
+  maxMs: Number(process.env.NOTIFY_RETRY_MAX_MS || "60000"),
+};
 
-function loadNotifyState() {
-  try {
-    if (!fs.existsSync(notificationsFile)) return {};
-    return JSON.parse(fs.readFileSync(notificationsFile, "utf8"));
-  } catch {
-    return {};
+// invalid channel settings stop the backend here, like an invalid risk policy
+function loadNotifyChannels() {
+  const { owners, guardian } = normalizeRecipients();
+  const builtIn = EMAIL_ENABLED
+    ? [
+      owners.length && { name: "email-owners", type: "email", audience: "owners", to: owners },
+      guardian && { name: "email-guardian", type: "email", audience: "guardian", to: [guardian] },
+    ].filter(Boolean)
+    : [];
+
+  let fromFile = [];
+  if (NOTIFY_CHANNELS_FILE) {
+    try {
+      fromFile = JSON.parse(fs.readFileSync(NOTIFY_CHANNELS_FILE, "utf8"));
+    } catch (err) {
+      throw new Error(`invalid notification channels: cannot read ${NOTIFY_CHANNELS_FILE} (${err.message})`);
+    }
+    if (!Array.isArray(fromFile)) throw new Error(`invalid notification channels: ${NOTIFY_CHANNELS_FILE} must be a JSON array`);
   }
+  const names = new Set(fromFile.map((c) => c?.name));
+  return parseChannels([...builtIn.filter((c) => !names.has(c.name)), ...fromFile]);
 }
 
-function saveNotifyState(state) {
-  try {
-    fs.writeFileSync(notificationsFile, JSON.stringify(state, null, 2));
-  } catch (e) {
-    console.error("❌ Failed to save notifications.json:", e?.message || e);
-  }
-}
+const notifier = createNotifier({
+  store,
+  channels: loadNotifyChannels(),
+  retry: NOTIFY_RETRY,
+  sendMail: EMAIL_ENABLED ? sendMail : null,
+});
 
-const notifyState = loadNotifyState();
-// notifyState[id] = { createdSent, thresholdSent, etaWarnSent, etaWarnAt }
+if (!EMAIL_ENABLED) console.log("📭 Email disabled. Missing SMTP_*");
+console.log("📣 Notification channels:", notifier.channels().map((c) => `${c.name} (${c.type})`).join(", ") || "none");
 
+// ------------------------------------------------------------
+// NOTIFICATION STATE (avoid duplicate notifications), kept in the store's notifications table
+// ------------------------------------------------------------
+// getState(id) = { createdSent, thresholdSent, etaWarnSent, etaWarnAt, expiryWarnSent }
 function getState(id) {
-  if (!notifyState[id]) notifyState[id] = {};
-  return notifyState[id];
+  return store.getNotifyState(id);
 }
 
 function mark(id, patch) {
-  const s = getState(id);
-  Object.assign(s, patch);
-  saveNotifyState(notifyState);
+  store.markNotify(id, patch);
 }
 
 // Timers for ETA-10min
@@ -156,32 +281,47 @@ function clearEtaTimer(id) {
 // BLOCKCHAIN SETUP
 // ------------------------------------------------------------
 console.log("🔗 Connecting to Sepolia RPC...");
-const provider = new ethers.JsonRpcProvider(RPC_URL);
+// cacheTimeout -1: on an automining node a tx is mined within ethers' 250ms request
+// cache, so back-to-back proposals would otherwise be signed with a stale nonce
+const provider = new ethers.JsonRpcProvider(RPC_URL, undefined, { cacheTimeout: -1 });
 
-const wallet = new ethers.Wallet(PRIVATE_KEY, provider);
-console.log("🔐 Backend signer:", wallet.address);
+// null = watch-only: indexing, risk and notifications only, the backend never signs
+const wallet = PRIVATE_KEY ? new ethers.Wallet(PRIVATE_KEY, provider) : null;
+if (wallet) console.log("🔐 Backend signer:", wallet.address);
+else console.log("👀 Watch-only mode (no PRIVATE_KEY): write routes return unsigned transactions");
 
-const contract = new ethers.Contract(CONTRACT_ADDRESS, abi, wallet);
+const contract = new ethers.Contract(CONTRACT_ADDRESS, abi, wallet || provider);
+
+// dedicated guardian signer of the automation (GUARDIAN_PRIVATE_KEY), kept apart from the owner key
+const guardianWallet = GUARDIAN_PRIVATE_KEY ? new ethers.Wallet(GUARDIAN_PRIVATE_KEY, provider) : null;
+if (guardianWallet && wallet && guardianWallet.address === wallet.address) {
+  throw new Error("❌ GUARDIAN_PRIVATE_KEY must be a separate key, not the backend's PRIVATE_KEY");
+}
+const guardianContract = guardianWallet ? contract.connect(guardianWallet) : null;
+
+const tokenTracker = createTokenTracker({ provider, store, holder: CONTRACT_ADDRESS });
+const signedApprovals = createSignedApprovals({ contract, provider, store });
+const siweAuth = createSiweAuth({
+  store,
+  provider,
+  domain: SIWE_DOMAIN,
+  uri: FRONTEND_URL || `http://${SIWE_DOMAIN}`,
+  contractAddress: CONTRACT_ADDRESS,
+  sessionTtlSec: SESSION_TTL_SEC,
+});
 
 // ------------------------------------------------------------
 // EXPRESS APP
 // ------------------------------------------------------------
 const app = express();
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: "1mb" })); // uploaded ABIs can be large
 app.use(express.static(path.join(__dirname, "public")));
+// shared lifecycle model for the static dashboard
+app.get("/lifecycle.js", (req, res) => res.sendFile(path.join(__dirname, "lifecycle.js")));
 
-// ------------------------------------------------------------
-// IN-MEMORY PROPOSAL DB 
-// ------------------------------------------------------------
-const cache = new Map();
-
-function upsert(id, patch) {
-  const prev = cache.get(id) || { id };
-  const updated = { ...prev, ...patch };
-  cache.set(id, updated);
-  return updated;
-}
+// live updates (Server-Sent Events)
+const stream = createEventStream();
 
 // ------------------------------------------------------------
 // HELPERS
@@ -206,18 +346,101 @@ async function fetchOnchainProposal(id) {
     approvals: Number(p.approvals),
     executed: p.executed,
     cancelled: p.cancelled,
-    kind: Number(p.kind), // 0 tx, 1 gov
+    kind: Number(p.kind), // 0 tx, 1 gov, 2 batch
     data: (p.data || "0x").toString(),
   };
 }
 
 // ------------------------------------------------------------
-// GUARDIAN AUTH (signature gate) where frontend will send:
-//   x-guardian-ts: <unix seconds> = timestamp used to prevent replay attacks
-//   x-guardian-signature: <signature of message below> = guardian’s signature proving the request is authentic
+// PROPOSAL LIFECYCLE (derived, never stored: it depends on threshold and time)
+// see lifecycle.js
+// ------------------------------------------------------------
+async function lifecycleContext() {
+  return {
+    threshold: Number(await contract.threshold()),
+    expiry: Number(await contract.proposalExpiryDuration()),
+    now: Math.floor(Date.now() / 1000),
+  };
+}
+
+function withLifecycle(p, ctx) {
+  const { state, executableFrom, expiresAt } = deriveLifecycle(p, ctx);
+  return { ...p, status: state, executableFrom, expiresAt };
+}
+
+// ------------------------------------------------------------
+// CALLDATA (immutable per proposal: fetched once, decoded via the ABI registry)
+// ------------------------------------------------------------
+async function rememberCalldata(id) {
+  const known = store.getCalldata(id);
+  if (known !== null) return known;
+
+  const p = await contract.getProposal(id);
+  const data = (p.data || "0x").toString();
+  store.saveCalldata(id, data);
+  return data;
+}
+
+// calls of a batch proposal (stored after the first read)
+async function fetchBatchCalls(id) {
+  const known = store.getBatchCalls(id);
+  if (known.length) return known;
+
+  const calls = (await contract.getBatchCalls(id)).map((c) => ({
+    to: c.to,
+    value: c.value.toString(),
+    data: (c.data || "0x").toString(),
+  }));
+  if (calls.length) store.saveBatchCalls(id, calls);
+  return calls;
+}
+
+// governance payloads are described by govKind, so only tx calldata is decoded
+function decodeCalldata(p) {
+  return p.kind === "tx" ? abiRegistry.decode(p.to, p.data) : null;
+}
+
+// API shape: `decoded` for a tx, `calls[].decoded` for a batch
+function withCalls(p) {
+  const out = { ...p, decoded: decodeCalldata(p) };
+  if (p.kind === "batch") {
+    out.calls = (p.calls || []).map((c) => ({ ...c, decoded: abiRegistry.decode(c.to, c.data) }));
+  }
+  return out;
+}
+
+// owners whose unexpired EIP-712 approval is collected but not on chain yet
+function signedBy(id) {
+  return signedApprovals
+    .list(id)
+    .filter((s) => s.valid)
+    .map((s) => s.signer);
+}
+
+// the calls a proposal makes ([] for governance or not-yet-fetched calldata)
+function callsOf(p) {
+  if (p.kind === "batch") return p.calls || [];
+  return p.kind === "tx" && p.data !== null ? [{ to: p.to, value: p.value, data: p.data }] : [];
+}
+
+// a proposal moving ERC-20 value starts the tracking of that token
+async function trackProposalToken(p) {
+  for (const c of callsOf(p)) {
+    if (store.getToken(c.to) || decodedTokenAmount(abiRegistry.decode(c.to, c.data), CONTRACT_ADDRESS) === null) continue;
+    const token = await tokenTracker.track(c.to);
+    if (token) console.log("🪙 Tracking token", token.symbol, token.address);
+  }
+}
+
+// ------------------------------------------------------------
+// AUTH (Sign-In with Ethereum sessions, see siwe.js) where frontend will send:
+//   Authorization: Bearer <token from POST /auth/login>
+// A session is signed for one purpose ("owner" / "guardian") and grants that role only
+// while the contract agrees: owner = isOwner(address), guardian = guardian()
 // ------------------------------------------------------------
-function buildGuardianMessage(ts) {
-  return `Guardian access for risk data.\nContract: ${CONTRACT_ADDRESS}\nTimestamp: ${ts}`;
+function bearerToken(req) {
+  const m = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || "");
+  return m ? m[1] : null;
 }
 
 let guardianCache = { addr: null, fetchedAt: 0 };
@@ -230,419 +453,238 @@ async function getGuardianOnchain() {
   return g;
 }
 
-async function isGuardianRequest(req) {
-  try {
-    const signature = req.headers["x-guardian-signature"];
-    const ts = req.headers["x-guardian-ts"];
-    if (!signature || !ts) return false;
-
-    const tsNum = Number(ts);
-    if (!Number.isFinite(tsNum)) return false;
-
-    // replay prevention: 5 min window
-    const now = Math.floor(Date.now() / 1000);
-    if (Math.abs(now - tsNum) > 300) return false;
+async function holdsRole(address, role) {
+  if (role === "owner") return Boolean(await contract.isOwner(address));
+  if (role === "guardian") return address.toLowerCase() === (await getGuardianOnchain());
+  return false;
+}
 
-    const msg = buildGuardianMessage(tsNum);
-    const recovered = ethers.verifyMessage(msg, signature).toLowerCase();
+// { address, purpose, expiresAt, owner, guardian } of the request's session, or null
+async function requestAuth(req) {
+  const session = siweAuth.session(bearerToken(req));
+  if (!session) return null;
 
-    const guardianOnchain = await getGuardianOnchain();
-    return recovered === guardianOnchain;
-  } catch {
-    return false;
-  }
+  const held = await holdsRole(session.address, session.purpose);
+  return {
+    address: session.address,
+    purpose: session.purpose,
+    expiresAt: session.expiresAt,
+    owner: session.purpose === "owner" && held,
+    guardian: session.purpose === "guardian" && held,
+  };
 }
 
-// ------------------------------------------------------------
-// RISK SCORING (persisted) - guardian only
-// Stored in backend/risk-state.json
-// Optional env:
-//   RISK_TIMEZONE=Europe/Riga
-//   RISK_BLACKLIST=0xabc...,0xdef... (can be filled with more variants if needed!)
-// ------------------------------------------------------------
-const riskFile = path.join(__dirname, "risk-state.json");
-
-function loadRiskState() {
+async function isGuardianRequest(req) {
   try {
-    if (!fs.existsSync(riskFile)) {
-      return { seenRecipients: {}, proposerStats: {}, proposalMeta: {} };
-    }
-    return JSON.parse(fs.readFileSync(riskFile, "utf8"));
+    return Boolean((await requestAuth(req))?.guardian);
   } catch {
-    return { seenRecipients: {}, proposerStats: {}, proposalMeta: {} };
+    return false;
   }
 }
 
-function saveRiskState(state) {
-  try {
-    fs.writeFileSync(riskFile, JSON.stringify(state, null, 2));
-  } catch (e) {
-    console.error("❌ Failed to save risk-state.json:", e?.message || e);
-  }
+/**
+ * Route middleware: needs a live session whose address currently holds one of
+ * `roles` ("owner" / "guardian"); the session is available as req.auth.
+ */
+function requireRole(...roles) {
+  return async (req, res, next) => {
+    try {
+      const auth = await requestAuth(req);
+      if (!auth) return res.status(401).json({ error: "sign in first (no or expired session)" });
+      if (!roles.some((r) => auth[r])) return res.status(403).json({ error: `${roles.join(" or ")} only` });
+      req.auth = auth;
+      next();
+    } catch (err) {
+      res.status(500).json({ error: err?.message || String(err) });
+    }
+  };
 }
 
-const riskState = loadRiskState();
-const riskCache = new Map(); // id -> risk object
-
+// ------------------------------------------------------------
+// RISK SCORING (persisted in the store) - guardian only
+// Rules and weights come from the risk policy file, see risk-policy.js.
+// Optional env:
+//   RISK_POLICY_FILE=risk-policy.json (relative to backend/, hot-reloaded)
+//   RISK_TIMEZONE=Europe/Riga (unless the policy sets "timezone")
+//   RISK_BLACKLIST=0xabc...,0xdef... (merged into the policy's "blacklist" list)
+//   RISK_RESCORE_MS=300000 (how often open proposals are rescored; 0 = on events only)
+//   SIMULATION_RERUN_BEFORE_ETA_SEC=600 (simulate again this close to the ETA)
+// ------------------------------------------------------------
 const RISK_TIMEZONE = process.env.RISK_TIMEZONE || "Europe/Riga";
+const RISK_RESCORE_MS = Number(process.env.RISK_RESCORE_MS ?? "300000");
+const SIMULATION_RERUN_BEFORE_ETA_SEC = Number(process.env.SIMULATION_RERUN_BEFORE_ETA_SEC || "600");
+const RISK_POLICY_FILE = path.resolve(__dirname, process.env.RISK_POLICY_FILE || "risk-policy.json");
 
-const BLACKLIST = (process.env.RISK_BLACKLIST || "")
+const RISK_BLACKLIST = (process.env.RISK_BLACKLIST || "")
   .split(",")
   .map((s) => s.trim().toLowerCase())
   .filter(Boolean);
 
-// Always-on blacklist 
-if (!BLACKLIST.includes("0x0000000000000000000000000000000000000000")) 
-  BLACKLIST.push("0x0000000000000000000000000000000000000000");
-if (!BLACKLIST.includes("0x000000000000000000000000000000000000dead"))
-  BLACKLIST.push("0x000000000000000000000000000000000000dead"); 
+// an invalid policy stops the backend here; later edits are validated before they replace it
+const riskPolicy = createRiskPolicy({
+  file: RISK_POLICY_FILE,
+  extraLists: { blacklist: RISK_BLACKLIST },
+  onReload: (policy) => rescoreOpenProposals(`risk policy ${policy.version}`).catch((err) => console.error("❌ Rescore after policy reload:", err?.message || err)),
+});
+riskPolicy.watch();
+console.log(`🧮 Risk policy ${riskPolicy.current().version}:`, RISK_POLICY_FILE);
 
 function clamp(n, a, b) {
   return Math.max(a, Math.min(b, n));
 }
-function level(score) {
-  if (score <= 29) return "LOW";
-  if (score <= 69) return "MEDIUM";
-  return "HIGH";
-}
-function add(reasons, text) {
-  reasons.push(text);
-}
-function getHourInTZ(tsSec) {
-  const d = new Date(tsSec * 1000);
-  const hStr = d.toLocaleString("en-GB", {
-    timeZone: RISK_TIMEZONE,
-    hour: "2-digit",
-    hour12: false,
-  });
-  return Number(hStr);
-}
-
-// v2 tuned selector weights (less explosive than old version)
-const SELECTOR_POINTS = {
-  "0x095ea7b3": { pts: 18, label: "ERC20 approve" },
-  "0xa9059cbb": { pts: 6, label: "ERC20 transfer" },
-  "0x23b872dd": { pts: 10, label: "ERC20 transferFrom" },
-  "0x3659cfe6": { pts: 25, label: "upgradeTo (proxy upgrade)" },
-  "0x4f1ef286": { pts: 25, label: "upgradeToAndCall (proxy upgrade)" },
-};
 
-// v2 governance mapping (base 60 + add)
-const GOV_POINTS = {
-  1: { add: 10, label: "addOwner" },
-  2: { add: 15, label: "removeOwner" },
-  3: { add: 20, label: "changeThreshold" },
-  4: { add: 15, label: "changeMinDelay" },
-  5: { add: 25, label: "changeGuardian" },
-};
+// scoring itself lives in risk-engine.js; these are its chain reads
+const riskEngine = createRiskEngine({
+  store,
+  abiRegistry,
+  addressBook,
+  policy: () => riskPolicy.current(),
+  walletAddress: CONTRACT_ADDRESS,
+  timezone: RISK_TIMEZONE,
+  chain: {
+    proposal: fetchOnchainProposal,
+    batchCalls: fetchBatchCalls,
+    async roles() {
+      return {
+        threshold: Number(await contract.threshold()),
+        owners: await contract.owners(),
+        guardian: await getGuardianOnchain(),
+      };
+    },
+    balance: () => provider.getBalance(CONTRACT_ADDRESS),
+    txCount: (address) => provider.getTransactionCount(address),
+    token: (address) => tokenTracker.track(address),
+    tokenBalance: (address) => tokenTracker.balanceOf(address),
+    simulation: async (id) => store.getSimulation(id),
+  },
+});
 
 // ------------------------------------------------------------
-// ✅ RISK SCORING v2
-// @notice Heuristic-based scoring engine for proposals.
-// @dev Inputs: Time of day, Value (ETH), Recipient (New/Blacklist), Method (Proxy/Upgrade).
-// Output: Score 0-100 and mapped Level (LOW/MEDIUM/HIGH).
+// SIMULATION (eth_call from the wallet at the current state, see simulator.js)
+// Runs when a proposal is created, again as its ETA approaches (risk schedule) and on request;
+// the risk engine scores a call that would revert.
 // ------------------------------------------------------------
-async function computeRisk(id) {
-  const p = await fetchOnchainProposal(id);
-
-  const threshold = Number(await contract.threshold());
-  const owners = (await contract.owners()).map((o) => o.toLowerCase());
-  const guardian = (await getGuardianOnchain()).toLowerCase();
-
-  const now = Math.floor(Date.now() / 1000);
-  const reasons = [];
-  const signals = {};
-
-  let critical = false;
-  const criticalFlags = [];
-
-  const proposer = (p.proposer || "").toLowerCase();
-  const kind = Number(p.kind); // 0 tx, 1 gov
-
-  // ensure containers exist (if they are missing need to initialize risk state containers !)
-  if (!riskState.seenRecipients) riskState.seenRecipients = {};
-  if (!riskState.proposerStats) riskState.proposerStats = {};
-  if (!riskState.proposalMeta) riskState.proposalMeta = {};
-
-  if (!riskState.proposerStats[proposer]) {
-    riskState.proposerStats[proposer] = { proposalTimes: [], approvalsByProposal: {} };
-  }
-  if (!riskState.proposalMeta[id]) {
-    riskState.proposalMeta[id] = { createdAt: now, proposer };
-  }
-
-  const createdAt = Number(riskState.proposalMeta[id].createdAt || now);
-  const stats = riskState.proposerStats[proposer];
-
-  // avoid inflation on recompute
-  if (!Array.isArray(stats.proposalTimes)) stats.proposalTimes = [];
-  if (!stats.proposalTimes.includes(createdAt)) stats.proposalTimes.push(createdAt);
-  stats.proposalTimes = stats.proposalTimes.slice(-50);
-
-  // ---------------------------
-  // TIME SUBSCORE (0..15)
-  // ---------------------------
-  let timePts = 0;
-
-  const hour = getHourInTZ(createdAt);
-  if (hour >= 0 && hour < 6) {
-    timePts += 4;
-    add(reasons, "Time risk: created during night/low-activity hours.");
-  }
-
-  let timeToEta = null;
-  if (Number(p.eta) > 0) {
-    timeToEta = Number(p.eta) - now;
-
-    // modest urgency bumps
-    if (timeToEta > 0 && timeToEta <= 600) {
-      timePts += 8;
-      add(reasons, "Time risk: ETA very close (≤ 10 minutes).");
-    } else if (timeToEta > 0 && timeToEta <= 1800) {
-      timePts += 4;
-      add(reasons, "Time risk: ETA approaching (≤ 30 minutes).");
-    } else if (timeToEta > 0 && timeToEta <= 7200) {
-      timePts += 2;
-    }
-  }
-
-  timePts = clamp(timePts, 0, 15);
-  signals.time = { hour, tz: RISK_TIMEZONE, timeToEta };
-
-  // ---------------------------
-  // BEHAVIOR SUBSCORE (0..15)
-  // ---------------------------
-  let behaviorPts = 0;
-  const start = now - 600; // last 10 minutes
-  const proposalsLast10m = stats.proposalTimes.filter((t) => t >= start).length;
-
-  if (proposalsLast10m >= 6) {
-    behaviorPts += 15;
-    add(reasons, "Behavior risk: many proposals created in last 10 minutes (very unusual).");
-  } else if (proposalsLast10m >= 4) {
-    behaviorPts += 12;
-    add(reasons, "Behavior risk: multiple proposals created in last 10 minutes.");
-  }
-
-  const appr = (stats.approvalsByProposal && stats.approvalsByProposal[id]) || [];
-  if (Array.isArray(appr) && appr.length >= 2) {
-    const span = appr[appr.length - 1] - appr[0];
-    if (span <= 60) {
-      behaviorPts += 8;
-      add(reasons, "Behavior risk: approvals accumulated very fast (≤ 60s).");
-    }
-    signals.behavior = { proposalsLast10m, approvalsFastSpanSec: span };
-  } else {
-    signals.behavior = { proposalsLast10m, approvalsFastSpanSec: null };
-  }
-
-  behaviorPts = clamp(behaviorPts, 0, 15);
-
-  // Threshold reached is informative but should not spike score alone
-  if (Number(p.approvals) >= threshold) {
-    behaviorPts = clamp(behaviorPts + 4, 0, 15);
-    add(reasons, "Behavior signal: threshold reached (actionable after delay).");
-  }
-
-  // ---------------------------
-  // GOVERNANCE BRANCH (usually HIGH by nature but can config can be changed if needed !)
-  // ---------------------------
-  if (kind === 1) {
-    let score = 60;
-    add(reasons, "Function risk: governance proposal (high impact by design).");
-
-    const dataHex = (p.data || "0x").toString();
-    let govKind = null;
-    if (dataHex.length >= 4) govKind = parseInt(dataHex.slice(2, 4), 16);
-
-    const g = GOV_POINTS[govKind];
-    if (g) {
-      score += g.add;
-      add(reasons, `Governance risk: action = ${g.label}.`);
-      critical = true;
-      criticalFlags.push(`gov:${g.label}`);
-    } else {
-      score += 20;
-      add(reasons, "Governance risk: unknown action.");
-      critical = true;
-      criticalFlags.push("gov:unknown");
-    }
-
-    // add modest behavior/time influence
-    score += Math.round((timePts / 15) * 10);
-    score += Math.round((behaviorPts / 15) * 10);
-
-    score = clamp(score, 0, 100);
-
-    const out = {
-      id,
-      score,
-      level: level(score),
-      reasons,
-      signals: { ...signals, govKind, criticalFlags },
-      computedAt: now,
-    };
-
-    saveRiskState(riskState);
-    riskCache.set(id, out);
-    return out;
-  }
-
-  // ---------------------------
-  // TX SUBSCORES (transaction)
-  // ---------------------------
-
-  // AMOUNT SUBSCORE (0..35)
-  let amountPts = 0;
-  const ETH = 1_000_000_000_000_000_000n;
-  const valueWei = BigInt(p.value || "0");
-
-  // absolute tiers (more gentle than before)
-  if (valueWei >= 5n * ETH) {
-    amountPts = 35;
-    add(reasons, "Amount risk: very high value (≥ 5 ETH).");
-    critical = true;
-    criticalFlags.push("amount:>=5eth");
-  } else if (valueWei >= 1n * ETH) {
-    amountPts = 25;
-    add(reasons, "Amount risk: high value (≥ 1 ETH).");
-  } else if (valueWei >= 200_000_000_000_000_000n) {
-    amountPts = 14;
-    add(reasons, "Amount risk: moderate value (≥ 0.2 ETH).");
-  } else if (valueWei >= 50_000_000_000_000_000n) {
-    amountPts = 6;
-    add(reasons, "Amount risk: small but notable (≥ 0.05 ETH).");
-  }
-
-  // relative to wallet balance tiers (use MAX, not add)
-  let pct = null;
-  try {
-    const bal = await provider.getBalance(CONTRACT_ADDRESS);
-    if (bal > 0n) {
-      pct = Number((valueWei * 10000n) / bal) / 100;
-      let relPts = 0;
-
-      if (pct >= 60) {
-        relPts = 30;
-        add(reasons, `Amount risk: transfer is ${pct}% of wallet balance (very high).`);
-        critical = true;
-        criticalFlags.push("amount:>=60%balance");
-      } else if (pct >= 30) {
-        relPts = 20;
-        add(reasons, `Amount risk: transfer is ${pct}% of wallet balance (high).`);
-      } else if (pct >= 15) {
-        relPts = 12;
-      } else if (pct >= 5) {
-        relPts = 6;
-      }
-
-      amountPts = Math.max(amountPts, relPts);
-      signals.amount = { valueWei: valueWei.toString(), balanceWei: bal.toString(), pct };
-    } else {
-      signals.amount = { valueWei: valueWei.toString(), balanceWei: "0", pct: null };
-    }
-  } catch {
-    signals.amount = { valueWei: valueWei.toString(), balanceWei: null, pct: null };
-  }
-
-  amountPts = clamp(amountPts, 0, 35);
-
-  // RECIPIENT SUBSCORE (0..25)
-  let recipientPts = 0;
-  const to = (p.to || "").toLowerCase();
-  const isOwner = owners.includes(to);
-  const isGuardian = to === guardian;
-
-  if (BLACKLIST.includes(to)) {
-    recipientPts = 25;
-    add(reasons, "Recipient risk: address is blacklisted/dangerous.");
-    critical = true;
-    criticalFlags.push("recipient:blacklist");
-  } else {
-    if (!isOwner && !isGuardian) {
-      recipientPts += 10;
-      add(reasons, "Recipient risk: destination is not an owner/guardian (unknown).");
-    }
-
-    if (to && !riskState.seenRecipients[to]) {
-      recipientPts += 6;
-      add(reasons, "Recipient risk: destination has never been used in this system.");
-    }
-
-    try {
-      const txCount = await provider.getTransactionCount(to);
-      if (txCount === 0) {
-        recipientPts += 8;
-        add(reasons, "Recipient risk: destination appears brand new (txCount=0).");
-      }
-      signals.recipient = { to, isOwner, isGuardian, txCount };
-    } catch {
-      signals.recipient = { to, isOwner, isGuardian, txCount: null };
-    }
-  }
-
-  recipientPts = clamp(recipientPts, 0, 25);
-
-  // FUNCTION SUBSCORE (0..25)
-  let functionPts = 0;
-  const dataHex = (p.data || "0x").toString();
-
-  if (dataHex && dataHex !== "0x" && dataHex.length >= 10) {
-    const sel = dataHex.slice(0, 10).toLowerCase();
-    const info = SELECTOR_POINTS[sel];
-
-    if (info) {
-      functionPts += info.pts;
-      add(reasons, `Function risk: call matches ${info.label} (${sel}).`);
-
-      if (sel === "0x3659cfe6" || sel === "0x4f1ef286") {
-        critical = true;
-        criticalFlags.push("function:proxy-upgrade");
-      }
-    } else {
-      functionPts += 10;
-      add(reasons, `Function risk: non-empty calldata with unknown selector (${sel}).`);
-    }
+const simulator = createSimulator({
+  store,
+  abiRegistry,
+  walletAddress: CONTRACT_ADDRESS,
+  rerunBeforeEtaSec: SIMULATION_RERUN_BEFORE_ETA_SEC,
+  chain: {
+    proposal: fetchOnchainProposal,
+    batchCalls: fetchBatchCalls,
+    call: (tx) => provider.call(tx),
+    estimateGas: (tx) => provider.estimateGas(tx),
+    traceCall: (tx) =>
+      provider.send("debug_traceCall", [
+        { from: tx.from, to: tx.to, value: ethers.toQuantity(tx.value), data: tx.data },
+        "latest",
+        { tracer: "callTracer", tracerConfig: { withLog: true } },
+      ]),
+    balance: () => provider.getBalance(CONTRACT_ADDRESS),
+    token: (address) => tokenTracker.track(address),
+    blockNumber: () => provider.getBlockNumber(),
+  },
+});
 
-    signals.function = { selector: sel, dataLen: dataHex.length };
-  } else {
-    signals.function = { selector: null, dataLen: dataHex?.length || 0 };
+// owners are told when a proposal that simulated fine would now fail to execute
+async function simulateProposal(id) {
+  const previous = store.getSimulation(id);
+  const sim = await simulator.simulate(id);
+  if (sim.status === "error") console.error("❌ Simulation failed:", id, sim.error);
+  stream.publish("proposal.simulated", { id, status: sim.status, revertReason: sim.revertReason });
+
+  if (previous?.status === "success" && sim.status === "reverted") {
+    notify("proposal.simulationReverted", {
+      audience: "owners",
+      proposalId: id,
+      subject: "⚠️ Proposal would fail to execute",
+      text:
+        `Simulated again at the current state, the proposal's call now reverts.\n\n` +
+        `Proposal ID: ${id}\n` +
+        `Revert reason: ${sim.revertReason}\n` +
+        (FRONTEND_URL ? `\nOpen UI: ${proposalLink(id)}\n` : ""),
+    });
   }
+  return sim;
+}
 
-  functionPts = clamp(functionPts, 0, 25);
-
-  // Mark recipient as seen AFTER scoring
-  if (to) riskState.seenRecipients[to] = true;
-
-  // ---------------------------
-  // FINAL COMBINE (scaled, not raw sum)
-  // ---------------------------
-  // Caps already applied:
-  // amount <= 35, recipient <= 25, function <= 25, behavior <= 15, time <= 15  -> max 115
-  const raw = amountPts + recipientPts + functionPts + behaviorPts + timePts;
-  const RAW_MAX = 115;
-  let score = Math.round((raw / RAW_MAX) * 100);
-
-  // If critical flag exists, prevent “critical but low”
-  if (critical && score < 70) score = 70;
+// `cause` is kept in the risk history: contract event name, "schedule", "request", ...
+async function computeRisk(id, cause = "request") {
+  const risk = await riskEngine.computeRisk(id);
+  riskMonitor.record(risk, cause);
+  // in the background: indexing and rescoring never wait for a guardian transaction
+  guardianAuto.consider(id, risk).catch((err) => console.error("❌ Guardian automation:", err?.message || err));
+  return risk;
+}
 
-  score = clamp(score, 0, 100);
+// proposals that can still be executed: everything else keeps its last risk
+async function openProposalIds() {
+  const ctx = await lifecycleContext();
+  return store
+    .queryProposals()
+    .filter((p) => !isFinal(withLifecycle(p, ctx).status))
+    .map((p) => p.id);
+}
 
-  signals.points = { amountPts, recipientPts, functionPts, behaviorPts, timePts, raw, RAW_MAX };
-  signals.criticalFlags = criticalFlags;
+// time-driven signals change without events: rescore open proposals every RISK_RESCORE_MS
+// (started once the indexer caught up) and alert the guardian when a level escalates
+const riskMonitor = createRiskMonitor({
+  store,
+  // simulations due again (ETA getting close) run first, so the score sees them
+  async rescore(id, cause) {
+    const p = store.getProposal(id);
+    if (p && simulator.due(p)) await simulateProposal(id);
+    return computeRisk(id, cause);
+  },
+  openIds: openProposalIds,
+  intervalMs: RISK_RESCORE_MS,
+  onEscalation({ risk, snapshot, previous }) {
+    console.log(`📈 Risk escalated: ${risk.id} ${previous.level} -> ${risk.level} (${risk.score}/100, ${snapshot.cause})`);
+    // the public stream only says that it changed; the guardian reads the result
+    stream.publish("risk.escalated", { id: risk.id });
+    notifyEscalation(risk, snapshot, previous);
+  },
+});
 
-  const out = {
-    id,
-    score,
-    level: level(score),
-    reasons,
-    signals,
-    computedAt: now,
-  };
+// ------------------------------------------------------------
+// GUARDIAN AUTOMATION (opt-in, see guardian-auto.js and GUARDIAN_AUTO_* env)
+// ------------------------------------------------------------
+const guardianAuto = createGuardianAutomation({
+  store,
+  config: {
+    action: GUARDIAN_AUTO_ACTION,
+    onCritical: GUARDIAN_AUTO_ON_CRITICAL,
+    minScore: GUARDIAN_AUTO_MIN_SCORE,
+    dryRun: GUARDIAN_AUTO_DRY_RUN,
+    maxActions: GUARDIAN_AUTO_MAX_ACTIONS,
+    windowSec: GUARDIAN_AUTO_WINDOW_SEC,
+  },
+  signer: guardianWallet?.address || null,
+  chain: {
+    proposal: fetchOnchainProposal,
+    paused: () => contract.paused(),
+    guardian: getGuardianOnchain,
+    async cancel(id, reason) {
+      return (await (await guardianContract.cancel(id, reason)).wait()).hash;
+    },
+    async pause() {
+      return (await (await guardianContract.pause()).wait()).hash;
+    },
+  },
+  onAction(entry) {
+    console.log(`🛡️ Guardian automation: ${entry.action} ${entry.proposalId} -> ${entry.outcome}`, entry.error || entry.txHash || "");
+    // no risk details on the public stream: owners / guardian read them from GET /guardian/actions
+    stream.publish("guardian.autoAction", { id: entry.proposalId, action: entry.action, outcome: entry.outcome });
+    notifyAutoAction(entry);
+  },
+});
 
-  saveRiskState(riskState);
-  riskCache.set(id, out);
-  return out;
+if (guardianAuto.enabled) {
+  const triggers = [GUARDIAN_AUTO_ON_CRITICAL && "critical", GUARDIAN_AUTO_MIN_SCORE !== null && `score >= ${GUARDIAN_AUTO_MIN_SCORE}`];
+  console.log(
+    `🛡️ Guardian automation: ${GUARDIAN_AUTO_ACTION}${guardianAuto.dryRun ? " (dry run)" : ` as ${guardianWallet.address}`}` +
+      ` on ${triggers.filter(Boolean).join(" / ") || "nothing"}, max ${GUARDIAN_AUTO_MAX_ACTIONS} per ${GUARDIAN_AUTO_WINDOW_SEC}s`
+  );
 }
 
 function riskTextBlock(risk) {
@@ -653,19 +695,76 @@ function riskTextBlock(risk) {
 // ------------------------------------------------------------
 // NOTIFY HELPERS (owners vs guardian)
 // ------------------------------------------------------------
-async function emailOwners(subject, body) {
-  const { owners } = normalizeRecipients();
-  await sendEmailTo(owners, subject, body);
+// deliveries (with their retries) run in the background; the notifier logs and stores the outcome
+function notify(event, message) {
+  const link = message.proposalId ? proposalLink(message.proposalId) : FRONTEND_URL;
+  notifier.notify(event, { ...message, link: link || null }).catch((err) => console.error("❌ Notify:", err?.message || err));
+}
+
+// owners get `text`; guardian channels get the "Guardian view" with the risk appended
+function notifyWithRisk(event, { subject, text, proposalId }, risk) {
+  notify(event, {
+    subject,
+    text,
+    proposalId,
+    guardian: { subject: `${subject} (Guardian view)`, text: text + riskTextBlock(risk) },
+  });
+}
+
+const AUTO_ACTION_SUBJECTS = {
+  submitted: { cancel: "🛡️ Guardian automation cancelled a proposal", pause: "🛡️ Guardian automation paused the wallet" },
+  "dry-run": { cancel: "🧪 Guardian automation would cancel a proposal (dry run)", pause: "🧪 Guardian automation would pause the wallet (dry run)" },
+};
+
+// owners get the risk reasons too: they need to see why the automation fired
+function notifyAutoAction(entry) {
+  const subject =
+    AUTO_ACTION_SUBJECTS[entry.outcome]?.[entry.action] || `⚠️ Guardian automation did not ${entry.action} (${entry.outcome})`;
+  const body =
+    `The guardian automation acted on a risky proposal.\n\n` +
+    `Proposal ID: ${entry.proposalId}\n` +
+    `Action: ${entry.action} (${entry.outcome})\n` +
+    `Why: ${entry.reason}\n` +
+    (entry.txHash ? `Transaction: ${entry.txHash}\n` : "") +
+    (entry.error ? `Not done: ${entry.error}\n` : "") +
+    riskTextBlock(entry.risk) +
+    (FRONTEND_URL ? `\nOpen UI: ${proposalLink(entry.proposalId)}\n` : "");
+
+  notify("guardian.autoAction", { subject, text: body, proposalId: entry.proposalId });
+}
+
+// what made the risk monitor rescore (`cause` of computeRisk), as the end of a sentence
+function describeRiskCause(cause) {
+  if (cause === "schedule") return "a scheduled rescore";
+  if (cause === "request") return "a rescore on request";
+  if (cause === "simulation") return "a new simulation";
+  if (/^[A-Z]\w+$/.test(cause)) return `the ${cause} event`;
+  if (cause.startsWith("risk policy ")) return `loading ${cause}`;
+  return `an ${cause}`; // "ABI change (0x..)", "address book change (0x..)"
 }
 
-async function emailGuardian(subject, body, risk) {
-  const { guardian } = normalizeRecipients();
-  if (!guardian) return; // guardian email must be set explicitly
-  await sendEmailTo(guardian, `${subject} (Guardian view)`, body + riskTextBlock(risk));
+// every audience gets the levels and scores; the guardian view adds the reasons
+function notifyEscalation(risk, snapshot, previous) {
+  const p = store.queryProposals({ id: risk.id })[0];
+  const body =
+    `Risk rose from ${previous.level} (${previous.score}/100) to ${risk.level} (${risk.score}/100) ` +
+    `after ${describeRiskCause(snapshot.cause)}.\n\n` +
+    `Proposal ID: ${risk.id}\n` +
+    (p ? `ETA: ${new Date(p.eta * 1000).toISOString()}\n` : "") +
+    (FRONTEND_URL ? `\nOpen UI: ${proposalLink(risk.id)}\n` : "");
+
+  const subject = `📈 Risk escalated to ${risk.level}`;
+  notify("risk.escalated", {
+    audience: "guardian",
+    proposalId: risk.id,
+    subject,
+    text: body,
+    guardian: { subject: `${subject} (Guardian view)`, text: body + riskTextBlock(risk) },
+  });
 }
 
 // ------------------------------------------------------------
-// schedule “executable soon” email at ETA - 10 min
+// schedule “executable soon” notice at ETA - 10 min
 // ------------------------------------------------------------
 async function scheduleEtaWarning(id, eta) {
   const warnAt = Number(eta) - 600;
@@ -695,16 +794,14 @@ async function scheduleEtaWarning(id, eta) {
         `A proposal is approaching execution time.\n\n` +
         `Proposal ID: ${id}\n` +
         `Proposer: ${p.proposer}\n` +
-        `To: ${p.to}\n` +
+        `To: ${addressBook.describe(p.to)}\n` +
         `Value (wei): ${p.value}\n` +
         `Approvals: ${p.approvals}\n` +
         `Executable at (ETA): ${fmtTime(p.eta)}\n` +
         (FRONTEND_URL ? `\nOpen UI: ${proposalLink(id)}\n` : "");
 
-      await emailOwners(subject, body);
-
-      const risk = riskCache.get(id) || (await computeRisk(id));
-      await emailGuardian(subject, body, risk);
+      const risk = store.getRisk(id) || (await computeRisk(id));
+      notifyWithRisk("proposal.etaSoon", { subject, text: body, proposalId: id }, risk);
 
       mark(id, { etaWarnSent: true });
     } catch (err) {
@@ -721,7 +818,120 @@ async function scheduleEtaWarning(id, eta) {
   console.log(`⏳ ETA warning scheduled for ${id} at ${fmtTime(warnAt)}`);
 }
 
-async function sendCreatedEmail(id, kindLabel, govKind = null) {
+// queued (executable) but nobody executed it yet: its window is about to close
+async function sendExpiryWarning(p, ctx) {
+  if (getState(p.id).expiryWarnSent) return;
+  mark(p.id, { expiryWarnSent: true });
+
+  stream.publish("proposal.expiringSoon", { id: p.id, proposal: p, expiresAt: p.expiresAt });
+
+  const subject = "⌛ Queued proposal expires soon unexecuted";
+  const body =
+    `A proposal has enough approvals and is executable, but nobody has executed it yet.\n\n` +
+    `Proposal ID: ${p.id}\n` +
+    `Type: ${p.kind}${p.govKind !== null && p.govKind !== undefined ? ` (govKind=${p.govKind})` : ""}\n` +
+    `Approvals: ${p.approvals} / ${ctx.threshold}\n` +
+    `Expires at: ${fmtTime(p.expiresAt)} (in ${Math.max(0, p.expiresAt - ctx.now)}s)\n` +
+    `After that it can no longer be executed and must be proposed again.\n` +
+    (FRONTEND_URL ? `\nOpen UI: ${proposalLink(p.id)}\n` : "");
+
+  const risk = store.getRisk(p.id) || (await computeRisk(p.id));
+  notifyWithRisk("proposal.expiringSoon", { subject, text: body, proposalId: p.id }, risk);
+}
+
+// ------------------------------------------------------------
+// GUARDIAN PAUSE (time-boxed: lapses at pausedUntil unless resumed or voted off)
+// ------------------------------------------------------------
+async function pauseState() {
+  const [paused, pausedUntil, round, threshold, maxDuration, cooldown] = await Promise.all([
+    contract.paused(),
+    contract.pausedUntil(),
+    contract.pauseRound(),
+    contract.threshold(),
+    contract.maxPauseDuration(),
+    contract.pauseCooldown(),
+  ]);
+  const until = Number(pausedUntil);
+  const now = Math.floor(Date.now() / 1000);
+
+  return {
+    paused: Boolean(paused),
+    pausedUntil: until,
+    remaining: paused ? Math.max(0, until - now) : 0,
+    round: Number(round),
+    unpauseVotes: Number(await contract.unpauseVotes(round)),
+    threshold: Number(threshold),
+    maxDuration: Number(maxDuration),
+    cooldown: Number(cooldown),
+    // the guardian cannot pause again before this (0 = never paused)
+    nextPauseAt: until ? until + Number(cooldown) : 0,
+  };
+}
+
+async function notifyPaused(until) {
+  const { round, threshold } = await pauseState();
+  if (store.getPauseNotifyState(round).startedSent) return;
+  store.markPauseNotify(round, { startedSent: true });
+
+  const subject = "⏸️ Wallet paused by the guardian";
+  const body =
+    `The guardian paused the DelayedExecutionMultiSig wallet: nothing can be proposed or executed.\n\n` +
+    `Paused until: ${fmtTime(until)} (lapses by itself)\n` +
+    `Owners can end it early with voteUnpause (${threshold} votes needed).\n` +
+    (FRONTEND_URL ? `\nOpen UI: ${FRONTEND_URL}\n` : "");
+
+  notify("wallet.paused", { subject, text: body });
+}
+
+// paused state seen by the previous sweep (a lapse has no event)
+let sweptPaused = null;
+
+async function sweepPause() {
+  try {
+    const s = await pauseState();
+
+    if (sweptPaused && !s.paused) stream.publish("wallet.pauseLapsed", { pause: s });
+    sweptPaused = s.paused;
+    if (!s.paused || s.remaining > PAUSE_LAPSE_WARN_SEC) return;
+    if (store.getPauseNotifyState(s.round).lapseWarnSent) return;
+    store.markPauseNotify(s.round, { lapseWarnSent: true });
+
+    stream.publish("wallet.pauseLapsing", { pause: s });
+
+    const subject = "⏯️ Guardian pause lapses soon";
+    const body =
+      `The guardian pause ends by itself soon; proposals can then be created and executed again.\n\n` +
+      `Paused until: ${fmtTime(s.pausedUntil)} (in ${s.remaining}s)\n` +
+      `Unpause votes: ${s.unpauseVotes} / ${s.threshold}\n` +
+      `The guardian can pause again from ${fmtTime(s.nextPauseAt)}.\n` +
+      (FRONTEND_URL ? `\nOpen UI: ${FRONTEND_URL}\n` : "");
+
+    notify("wallet.pauseLapsing", { subject, text: body });
+  } catch (err) {
+    console.error("❌ Pause sweep failed:", err?.message || err);
+  }
+}
+
+function callTextLine(decoded) {
+  if (!decoded) return "";
+  if (!decoded.name) return `Call: unknown function ${decoded.selector}\n`;
+  return `Call: ${decoded.name}(${decoded.args.map((a) => `${a.name}=${JSON.stringify(a.value)}`).join(", ")})\n`;
+}
+
+async function batchTextLines(id, totalValue) {
+  const calls = await fetchBatchCalls(id);
+  return (
+    `Calls (executed atomically): ${calls.length}, total value (wei): ${totalValue}\n` +
+    calls
+      .map((c, i) => {
+        const call = callTextLine(abiRegistry.decode(c.to, c.data));
+        return `  #${i + 1} To: ${addressBook.describe(c.to)} Value (wei): ${c.value}\n` + (call ? `     ${call}` : "");
+      })
+      .join("")
+  );
+}
+
+async function notifyCreated(id, kindLabel, govKind = null) {
   const s = getState(id);
   if (s.createdSent) return;
 
@@ -733,25 +943,27 @@ async function sendCreatedEmail(id, kindLabel, govKind = null) {
     `Proposal ID: ${id}\n` +
     `Type: ${kindLabel}${govKind !== null ? ` (govKind=${govKind})` : ""}\n` +
     `Proposer: ${p.proposer}\n` +
-    (kindLabel === "tx" ? `To: ${p.to}\nValue (wei): ${p.value}\n` : "") +
+    (kindLabel === "tx" ? `To: ${addressBook.describe(p.to)}\nValue (wei): ${p.value}\n` : "") +
+    (kindLabel === "tx" ? callTextLine(abiRegistry.decode(p.to, p.data)) : "") +
+    (kindLabel === "batch" ? await batchTextLines(id, p.value) : "") +
     `ETA (execution after delay): ${fmtTime(p.eta)}\n` +
     (FRONTEND_URL ? `\nOpen UI: ${proposalLink(id)}\n` : "");
 
-  await emailOwners(subject, body);
-
-  const risk = riskCache.get(id) || (await computeRisk(id));
-  await emailGuardian(subject, body, risk);
+  const risk = store.getRisk(id) || (await computeRisk(id));
+  notifyWithRisk("proposal.created", { subject, text: body, proposalId: id }, risk);
 
   mark(id, { createdSent: true });
   await scheduleEtaWarning(id, p.eta);
 }
 
-async function maybeSendThresholdEmail(id) {
+async function maybeNotifyThreshold(id) {
   const s = getState(id);
   if (s.thresholdSent) return;
 
   const p = await fetchOnchainProposal(id);
-  const threshold = Number(await contract.threshold());
+  const ctx = await lifecycleContext();
+  const { threshold } = ctx;
+  const { state } = deriveLifecycle({ ...p, executionSuccess: store.getProposal(id)?.executionSuccess }, ctx);
 
   if (p.approvals >= threshold) {
     const subject = "✅ Proposal reached required approvals (threshold)";
@@ -760,13 +972,11 @@ async function maybeSendThresholdEmail(id) {
       `Proposal ID: ${id}\n` +
       `Approvals: ${p.approvals} / ${threshold}\n` +
       `ETA: ${fmtTime(p.eta)}\n` +
-      `Status: ${p.executed ? "EXECUTED" : p.cancelled ? "CANCELLED" : "PENDING"}\n` +
+      `Status: ${LIFECYCLE_LABELS[state]}\n` +
       (FRONTEND_URL ? `\nOpen UI: ${proposalLink(id)}\n` : "");
 
-    await emailOwners(subject, body);
-
-    const risk = riskCache.get(id) || (await computeRisk(id));
-    await emailGuardian(subject, body, risk);
+    const risk = store.getRisk(id) || (await computeRisk(id));
+    notifyWithRisk("proposal.thresholdReached", { subject, text: body, proposalId: id }, risk);
 
     mark(id, { thresholdSent: true });
     await scheduleEtaWarning(id, p.eta);
@@ -774,142 +984,338 @@ async function maybeSendThresholdEmail(id) {
 }
 
 // ------------------------------------------------------------
-// CONTRACT EVENT LISTENERS
+// LIVE UPDATES (SSE) - contract events -> normalized stream updates
 // ------------------------------------------------------------
-console.log("👂 Listening to smart contract events...");
+const STREAM_TYPES = {
+  ProposalCreated: "proposal.created",
+  GovernanceProposalCreated: "proposal.created",
+  BatchProposalCreated: "proposal.created",
+  ProposalApproved: "proposal.approved",
+  ProposalRevoked: "proposal.revoked",
+  ProposalCancelled: "proposal.cancelled",
+  ProposalExecuted: "proposal.executed",
+  Paused: "wallet.paused",
+  Resumed: "wallet.resumed",
+  UnpauseVoted: "wallet.unpauseVoted",
+  EmergencyUnpaused: "wallet.emergencyUnpaused",
+  OwnerAdded: "governance.ownerAdded",
+  OwnerRemoved: "governance.ownerRemoved",
+  ThresholdChanged: "governance.thresholdChanged",
+  MinDelayChanged: "governance.minDelayChanged",
+  GuardianChanged: "governance.guardianChanged",
+  TargetDelaySet: "governance.targetDelaySet",
+  SelectorDelaySet: "governance.selectorDelaySet",
+  GovernanceKindDelaySet: "governance.governanceKindDelaySet",
+  ProposalExpiryChanged: "governance.expiryChanged",
+  PauseConfigChanged: "governance.pauseConfigChanged",
+};
 
-function ensureProposerStats(proposer) {
-  const p = proposer.toLowerCase();
-  if (!riskState.proposerStats[p]) {
-    riskState.proposerStats[p] = { proposalTimes: [], approvalsByProposal: {} };
-  }
-  if (!Array.isArray(riskState.proposerStats[p].proposalTimes)) {
-    riskState.proposerStats[p].proposalTimes = [];
-  }
-  if (!riskState.proposerStats[p].approvalsByProposal) {
-    riskState.proposerStats[p].approvalsByProposal = {};
-  }
-  return riskState.proposerStats[p];
-}
-
-// Normal proposals
-contract.on("ProposalCreated", async (id, proposer, to, value, eta) => {
-  console.log("📘 EVENT — ProposalCreated:", id);
-
-  upsert(id, {
-    id,
-    proposer,
-    kind: "tx",
-    govKind: null,
-    to,
-    value: value.toString(),
-    eta: Number(eta),
-    executed: false,
-    cancelled: false,
-    lastEvent: "created",
-  });
+// last lifecycle state pushed per proposal (to detect time-driven transitions)
+const streamedStates = new Map();
 
-  // Risk meta + behavior seed (append once here)
-  const createdAt = Math.floor(Date.now() / 1000);
-  riskState.proposalMeta[id] = { createdAt, proposer: proposer.toLowerCase() };
+function proposalSnapshot(id, ctx) {
+  const p = store.queryProposals({ id })[0];
+  return p ? { ...withCalls(withLifecycle(p, ctx)), signedBy: signedBy(id) } : null;
+}
 
-  const stats = ensureProposerStats(proposer);
-  stats.proposalTimes.push(createdAt);
-  stats.proposalTimes = stats.proposalTimes.slice(-50);
+async function publishContractEvent(ev) {
+  const type = STREAM_TYPES[ev.name];
+  if (!type) return;
 
-  saveRiskState(riskState);
+  const ctx = await lifecycleContext();
+  const { id } = ev.args;
+  const meta = { event: ev.name, args: ev.args, txHash: ev.txHash, blockNumber: ev.blockNumber };
 
-  await computeRisk(id);
-  await sendCreatedEmail(id, "tx");
-});
+  if (!id) {
+    stream.publish(type, meta);
+    return;
+  }
 
-// Governance proposals
-contract.on("GovernanceProposalCreated", async (id, proposer, kind, eta) => {
-  console.log("📗 EVENT — GovernanceProposalCreated:", id);
+  const proposal = proposalSnapshot(id, ctx);
+  stream.publish(type, { id, proposal, ...meta });
 
-  upsert(id, {
-    id,
-    proposer,
-    kind: "gov",
-    govKind: Number(kind),
-    to: null,
-    value: "0",
-    eta: Number(eta),
-    executed: false,
-    cancelled: false,
-    lastEvent: "created",
-  });
+  if (ev.name === "ProposalApproved" && proposal && proposal.approvals === ctx.threshold) {
+    stream.publish("proposal.thresholdReached", { id, proposal });
+  }
+  if (proposal) streamedStates.set(id, proposal.status);
+}
 
-  const createdAt = Math.floor(Date.now() / 1000);
-  riskState.proposalMeta[id] = { createdAt, proposer: proposer.toLowerCase() };
+// executable / expired happen with time, not with an event
+async function sweepLifecycle() {
+  try {
+    const ctx = await lifecycleContext();
+    for (const p of store.queryProposals()) {
+      const prev = streamedStates.get(p.id);
+      if (prev && isFinal(prev)) continue;
+
+      const proposal = withLifecycle(p, ctx);
+      if (prev && prev !== proposal.status && ["executable", "expired"].includes(proposal.status)) {
+        stream.publish(`proposal.${proposal.status}`, { id: p.id, proposal });
+      }
+      streamedStates.set(p.id, proposal.status);
 
-  const stats = ensureProposerStats(proposer);
-  stats.proposalTimes.push(createdAt);
-  stats.proposalTimes = stats.proposalTimes.slice(-50);
+      if (proposal.status === "executable" && proposal.expiresAt - ctx.now <= EXPIRY_WARN_SEC) {
+        await sendExpiryWarning(proposal, ctx);
+      }
+    }
+  } catch (err) {
+    console.error("❌ Lifecycle sweep failed:", err?.message || err);
+  }
+}
 
-  saveRiskState(riskState);
+// ------------------------------------------------------------
+// CONTRACT EVENT INDEXER
+// Confirmed events are kept in the store's event log; proposals and approvals are a
+// projection of it, so a chain reorg only has to trim the log and replay it.
+// ------------------------------------------------------------
+const projection = createProjection({ store });
 
-  await computeRisk(id);
-  await sendCreatedEmail(id, "gov", Number(kind));
-});
+/**
+ * Indexer callback: records the event, updates the projection and (when live) runs
+ * risk scoring + notifications. Backfilled events only rebuild state so a restart
+ * does not re-send notifications for old proposals.
+ */
+async function handleEvent(ev, { live }) {
+  const key = eventKey(ev);
+  if (store.hasEvent(key)) return;
 
-// approvals -> threshold reached check
-contract.on("ProposalApproved", async (id, signer) => {
-  console.log("🟩 EVENT — Approved:", id, "by", signer);
-  upsert(id, { lastEvent: "approved" });
+  store.transaction(() => {
+    store.insertEvent(key, ev);
+    projection.apply(ev);
+  });
+
+  const { id } = ev.args;
 
   try {
-    const p = await fetchOnchainProposal(id);
-    const proposer = p.proposer.toLowerCase();
-    const stats = ensureProposerStats(proposer);
+    switch (ev.name) {
+      case "ProposalCreated":
+        console.log("📘 EVENT — ProposalCreated:", id);
+        if (live) {
+          await rememberCalldata(id);
+          await trackProposalToken(store.queryProposals({ id })[0]);
+          await simulateProposal(id);
+          await computeRisk(id, ev.name);
+          await notifyCreated(id, "tx");
+        }
+        break;
+
+      case "GovernanceProposalCreated":
+        console.log("📗 EVENT — GovernanceProposalCreated:", id);
+        if (live) {
+          await simulateProposal(id);
+          await computeRisk(id, ev.name);
+          await notifyCreated(id, "gov", Number(ev.args.kind));
+        }
+        break;
+
+      case "BatchProposalCreated":
+        console.log("📙 EVENT — BatchProposalCreated:", id, `(${ev.args.calls} calls)`);
+        if (live) {
+          await fetchBatchCalls(id);
+          await trackProposalToken(store.queryProposals({ id })[0]);
+          await simulateProposal(id);
+          await computeRisk(id, ev.name);
+          await notifyCreated(id, "batch");
+        }
+        break;
+
+      // approvals -> threshold reached check
+      case "ProposalApproved":
+        console.log("🟩 EVENT — Approved:", id, "by", ev.args.signer);
+        signedApprovals.settled(id, ev.args.signer);
+        if (live) {
+          await computeRisk(id, ev.name);
+          await maybeNotifyThreshold(id);
+        }
+        break;
+
+      case "ApprovalSignatureInvalidated":
+        console.log("🗑️ EVENT — Approval signature invalidated:", id, "by", ev.args.signer);
+        await signedApprovals.invalidated(id, ev.args.signer, ev.args.digest);
+        break;
+
+      case "ProposalRevoked":
+        console.log("🟨 EVENT — Revoked:", id, "by", ev.args.signer);
+        if (live) await computeRisk(id, ev.name);
+        break;
+
+      case "ProposalCancelled":
+        console.log("🟥 EVENT — Cancelled:", id, "by", ev.args.canceller);
+        clearEtaTimer(id);
+        if (live) await computeRisk(id, ev.name);
+        break;
+
+      case "ProposalExecuted":
+        console.log("🟦 EVENT — Executed:", id, "by", ev.args.executor);
+        clearEtaTimer(id);
+        if (live) await computeRisk(id, ev.name);
+        break;
+
+      case "GuardianChanged":
+        guardianCache = { addr: null, fetchedAt: 0 };
+        break;
+
+      case "Paused":
+        console.log("⏸️ EVENT — Paused until", fmtTime(Number(ev.args.until)));
+        if (live) {
+          sweptPaused = true;
+          await notifyPaused(Number(ev.args.until));
+        }
+        break;
+
+      case "Resumed":
+        console.log("▶️ EVENT — Resumed");
+        if (live) sweptPaused = false;
+        break;
+
+      case "UnpauseVoted":
+        console.log("🗳️ EVENT — UnpauseVoted by", ev.args.owner, `(${ev.args.votes} votes)`);
+        break;
+    }
 
-    if (!stats.approvalsByProposal[id]) stats.approvalsByProposal[id] = [];
-    stats.approvalsByProposal[id].push(Math.floor(Date.now() / 1000));
-    stats.approvalsByProposal[id] = stats.approvalsByProposal[id].slice(-20);
+    if (live) await publishContractEvent(ev);
+  } catch (err) {
+    console.error(`❌ Handling ${ev.name} failed:`, err?.message || err);
+  }
+}
 
-    saveRiskState(riskState);
-  } catch { }
+// Reorg: drop everything above the fork block and replay what is left (see projection.js)
+async function handleRollback(forkBlock) {
+  const { dropped, forgotten } = projection.rollback(forkBlock);
+  for (const id of forgotten) clearEtaTimer(id);
 
-  await computeRisk(id);
-  await maybeSendThresholdEmail(id);
-});
+  console.warn(`⚠️ Rolled back ${dropped} orphaned event(s) above block ${forkBlock}`);
+}
 
-contract.on("ProposalRevoked", async (id, signer) => {
-  console.log("🟨 EVENT — Revoked:", id, "by", signer);
-  upsert(id, { lastEvent: "revoked" });
-  await computeRisk(id);
-});
+// After backfill: re-arm the ETA warnings that were lost with the previous process
+// and start watching time-driven lifecycle changes for the stream
+async function handleCaughtUp() {
+  const now = Math.floor(Date.now() / 1000);
 
-contract.on("ProposalCancelled", async (id, canceller) => {
-  console.log("🟥 EVENT — Cancelled:", id, "by", canceller);
-  upsert(id, { cancelled: true, lastEvent: "cancelled" });
-  clearEtaTimer(id);
-  await computeRisk(id);
-});
+  // calldata of proposals indexed during backfill (or before calldata was stored)
+  for (const p of store.queryProposals({ kind: "tx" })) {
+    if (p.data !== null) continue;
+    try {
+      await rememberCalldata(p.id);
+    } catch (err) {
+      console.error("❌ Calldata fetch failed:", p.id, err?.message || err);
+    }
+  }
+  for (const p of store.queryProposals({ kind: "batch" })) {
+    if (p.calls.length) continue;
+    try {
+      await fetchBatchCalls(p.id);
+    } catch (err) {
+      console.error("❌ Batch calls fetch failed:", p.id, err?.message || err);
+    }
+  }
 
-contract.on("ProposalExecuted", async (id, executor) => {
-  console.log("🟦 EVENT — Executed:", id, "by", executor);
-  upsert(id, { executed: true, lastEvent: "executed" });
-  clearEtaTimer(id);
-  await computeRisk(id);
+  for (const address of TRACKED_TOKENS) {
+    if (!(await tokenTracker.track(address))) console.error("❌ TRACKED_TOKENS entry is not an ERC-20:", address);
+  }
+  for (const p of store.queryProposals()) await trackProposalToken(p);
+
+  for (const p of store.listProposals()) {
+    if (!p.executed && !p.cancelled && p.eta > now) {
+      await scheduleEtaWarning(p.id, p.eta);
+    }
+  }
+
+  await sweepLifecycle();
+  await sweepPause();
+  riskMonitor.start();
+  setInterval(async () => {
+    await sweepLifecycle();
+    await sweepPause();
+  }, LIFECYCLE_SWEEP_MS);
+}
+
+const indexer = createIndexer({
+  provider,
+  contract,
+  startBlock: INDEXER_START_BLOCK,
+  confirmations: INDEXER_CONFIRMATIONS,
+  batchSize: INDEXER_BATCH_SIZE,
+  pollMs: INDEXER_POLL_MS,
+  loadCursor: () => store.loadCursor(),
+  saveCursor: (cursor) => store.saveCursor(cursor),
+  onEvent: handleEvent,
+  onRollback: handleRollback,
+  onCaughtUp: handleCaughtUp,
 });
 
+console.log("👂 Indexing smart contract events...");
+indexer.start();
+
 // ------------------------------------------------------------
 // ROUTES
 // ------------------------------------------------------------
 
 // HEALTH CHECK
 app.get("/status", (req, res) => {
-  res.json({ ok: true, message: "Backend is running." });
+  res.json({
+    ok: true,
+    message: "Backend is running.",
+    indexer: indexer.status(),
+    streamClients: stream.clientCount(),
+  });
+});
+
+// ------------------------------------------------------------
+// SIGN-IN WITH ETHEREUM (EIP-4361)
+// 1. POST /auth/challenge  2. sign the returned message as-is  3. POST /auth/login
+// ------------------------------------------------------------
+
+// body: { address, purpose: "owner" | "guardian" } -> { message, nonce, expiresAt }
+app.post("/auth/challenge", async (req, res) => {
+  try {
+    const { address, purpose } = req.body || {};
+    if (address && ethers.isAddress(address) && AUTH_PURPOSES[purpose] && !(await holdsRole(address, purpose))) {
+      return res.status(403).json({ error: `${address} is not ${purpose === "owner" ? "an owner" : "the guardian"}` });
+    }
+    res.json(await siweAuth.challenge(address, purpose));
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    res.status(500).json({ error: err?.message || String(err) });
+  }
+});
+
+// body: { message, signature } -> { token, address, purpose, expiresAt, owner, guardian }
+app.post("/auth/login", async (req, res) => {
+  try {
+    const { token } = await siweAuth.login(req.body?.message, req.body?.signature);
+    const auth = await requestAuth({ headers: { authorization: `Bearer ${token}` } });
+
+    console.log("🔑 Signed in:", auth.address, `(${auth.purpose})`);
+    res.json({ token, ...auth });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    res.status(500).json({ error: err?.message || String(err) });
+  }
+});
+
+app.get("/auth/session", async (req, res) => {
+  try {
+    const auth = await requestAuth(req);
+    if (!auth) return res.status(401).json({ error: "no or expired session" });
+    res.json(auth);
+  } catch (err) {
+    res.status(500).json({ error: err?.message || String(err) });
+  }
+});
+
+app.post("/auth/logout", (req, res) => {
+  siweAuth.logout(bearerToken(req));
+  res.json({ ok: true });
 });
 
-// (resume / unpause) - must be called by guardian signer in backend wallet
-app.post("/resume", async (req, res) => {
+// (resume / unpause) - must be called by the guardian: the backend wallet, or
+// (watch-only / { unsigned: true, from? }) the guardian's own wallet
+app.post("/resume", requireRole("guardian"), async (req, res) => {
   try {
-    const tx = await contract.resume();
-    const receipt = await tx.wait();
-    res.json({ ok: true, txHash: receipt.hash });
+    res.json(await sendOrPrepare("resume", [], req));
   } catch (err) {
+    if (err.status === 400) return res.status(400).json({ error: err.message });
     res.status(500).json({ error: err?.message || String(err) });
   }
 });
@@ -922,6 +1328,7 @@ app.get("/info", async (req, res) => {
     const owners = await contract.owners();
     const guardian = await contract.guardian();
     const paused = await contract.paused();
+    const expiry = await contract.proposalExpiryDuration();
 
     const { owners: ownerRecipients, guardian: guardianRecipient } = normalizeRecipients();
 
@@ -929,9 +1336,17 @@ app.get("/info", async (req, res) => {
       address: CONTRACT_ADDRESS,
       threshold: threshold.toString(),
       minDelay: minDelay.toString(),
+      proposalExpiry: expiry.toString(),
       owners,
       guardian,
       paused: Boolean(paused),
+      pause: await pauseState(),
+      // "signer": the backend submits write routes itself; "watch-only": they return unsigned transactions
+      mode: wallet ? "signer" : "watch-only",
+      signer: wallet ? wallet.address : null,
+      auth: { siweDomain: SIWE_DOMAIN, sessionTtlSec: SESSION_TTL_SEC },
+      balance: (await provider.getBalance(CONTRACT_ADDRESS)).toString(),
+      tokens: await tokenTracker.balances(),
       emailNotifications: {
         enabled: EMAIL_ENABLED,
         ownerRecipients,
@@ -939,29 +1354,125 @@ app.get("/info", async (req, res) => {
         usingLegacyNotifyEmails: !OWNER_EMAILS.length && LEGACY_NOTIFY_EMAILS.length > 0,
       },
       risk: {
-        timezone: RISK_TIMEZONE,
-        blacklistCount: BLACKLIST.length,
-        guardianSignatureRequired: true,
+        timezone: riskPolicy.current().timezone || RISK_TIMEZONE,
+        blacklistCount: riskPolicy.current().lists.blacklist?.length || 0,
+        policyVersion: riskPolicy.current().version,
+        addressBookEntries: addressBook.list().length,
+        rescoreMs: RISK_RESCORE_MS,
+        guardianSessionRequired: true,
       },
+      guardianAutomation: { action: GUARDIAN_AUTO_ACTION, dryRun: guardianAuto.dryRun },
+      simulation: { rerunBeforeEtaSec: SIMULATION_RERUN_BEFORE_ETA_SEC },
+    });
+  } catch (err) {
+    res.status(500).json({ error: err?.message || String(err) });
+  }
+});
+
+// LIST PROPOSALS (single request, served from the store)
+// Query params (all optional):
+//   status=<lifecycle state>[,...] (see lifecycle.js; "pending" = created + awaitingApprovals)
+//   kind=tx|gov|batch
+//   proposer=0x..  recipient=0x..  etaFrom=<unix>  etaTo=<unix>
+//   sort=createdAt|eta|value  order=asc|desc  limit=1..200  cursor=<nextCursor>
+// Filtering, sorting and the cursor run in SQL (store.pageProposals), so a page reads at most
+// `limit` rows. `total` counts every match, `remaining` those from the cursor on.
+// Guardian (signed-in session) also gets "risk" for every item.
+const LIST_SORT_KEYS = {
+  createdAt: (p) => p.createdBlock ?? 0,
+  eta: (p) => p.eta ?? 0,
+  value: (p) => p.value ?? "0",
+};
+
+function encodeCursor(p, sort) {
+  return Buffer.from(JSON.stringify({ k: String(LIST_SORT_KEYS[sort](p)), id: p.id })).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  const c = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+  if (!/^\d+$/.test(c.k) || typeof c.id !== "string") throw new Error("invalid cursor");
+  return { key: c.k, id: c.id };
+}
+
+app.get("/proposals", async (req, res) => {
+  const q = req.query;
+  const bad = (msg) => res.status(400).json({ error: msg });
+
+  const statuses = q.status
+    ? String(q.status).split(",").flatMap((x) => STATUS_ALIASES[x.trim()] || [x.trim()])
+    : null;
+  if (statuses && statuses.some((x) => !LIFECYCLE_STATES.includes(x))) {
+    return bad(`status must be one of ${[...LIFECYCLE_STATES, ...Object.keys(STATUS_ALIASES)].join(", ")}`);
+  }
+  if (q.kind && !["tx", "gov", "batch"].includes(q.kind)) return bad("kind must be tx, gov or batch");
+  if (q.proposer && !ethers.isAddress(q.proposer)) return bad("invalid proposer address");
+  if (q.recipient && !ethers.isAddress(q.recipient)) return bad("invalid recipient address");
+
+  const etaFrom = q.etaFrom !== undefined ? Number(q.etaFrom) : undefined;
+  const etaTo = q.etaTo !== undefined ? Number(q.etaTo) : undefined;
+  if ([etaFrom, etaTo].some((x) => x !== undefined && !Number.isFinite(x))) return bad("etaFrom/etaTo must be unix seconds");
+
+  const sort = q.sort || "createdAt";
+  if (!LIST_SORT_KEYS[sort]) return bad(`sort must be one of ${Object.keys(LIST_SORT_KEYS).join(", ")}`);
+  const order = q.order || "desc";
+  if (!["asc", "desc"].includes(order)) return bad("order must be asc or desc");
+
+  const limit = clamp(Number(q.limit) || 50, 1, 200);
+
+  let cursor = null;
+  if (q.cursor) {
+    try {
+      cursor = decodeCursor(q.cursor);
+    } catch {
+      return bad("invalid cursor");
+    }
+  }
+
+  try {
+    const ctx = await lifecycleContext();
+
+    const { items, total, remaining } = store.pageProposals({
+      filters: { kind: q.kind, proposer: q.proposer, to: q.recipient, etaFrom, etaTo },
+      states: statuses,
+      lifecycle: ctx,
+      sort,
+      order,
+      after: cursor,
+      limit,
     });
+    const page = items.map((p) => ({ ...withCalls(withLifecycle(p, ctx)), signedBy: signedBy(p.id) }));
+    const nextCursor = remaining > page.length ? encodeCursor(page[page.length - 1], sort) : null;
+
+    const showRisk = await isGuardianRequest(req);
+    for (const p of page) {
+      p.risk = showRisk ? (store.getRisk(p.id) || (await computeRisk(p.id))) : null;
+    }
+
+    res.json({ items: page, total, remaining, nextCursor, threshold: ctx.threshold, expiry: ctx.expiry });
   } catch (err) {
     res.status(500).json({ error: err?.message || String(err) });
   }
 });
 
+// LIVE UPDATE STREAM (Server-Sent Events, see stream.js for event types)
+app.get("/stream", stream.handler);
+
 // RETURN ALL PROPOSAL IDS
 app.get("/proposal-ids", (req, res) => {
-  res.json({ ids: Array.from(cache.keys()) });
+  res.json({ ids: store.proposalIds() });
 });
 
 // GUARDIAN-ONLY RISK ENDPOINT
-app.get("/risk/:id", async (req, res) => {
-  try {
-    const ok = await isGuardianRequest(req);
-    if (!ok) return res.status(403).json({ error: "guardian only" });
+// active risk policy (as written in the file) with its version and hash
+app.get("/risk-policy", requireRole("guardian"), (req, res) => {
+  const policy = riskPolicy.current();
+  res.json({ version: policy.version, hash: policy.hash, file: policy.file, policy: policy.source });
+});
 
+app.get("/risk/:id", requireRole("guardian"), async (req, res) => {
+  try {
     const id = req.params.id;
-    const risk = riskCache.get(id) || (await computeRisk(id));
+    const risk = store.getRisk(id) || (await computeRisk(id));
     if (!risk) return res.status(404).json({ error: "risk not found" });
 
     res.json(risk);
@@ -970,58 +1481,707 @@ app.get("/risk/:id", async (req, res) => {
   }
 });
 
+// how the risk of a proposal changed (newest first): score, level, points per category,
+// reasons and what caused the rescore; `current` is the latest result
+app.get("/risk/:id/history", requireRole("guardian"), (req, res) => {
+  const id = req.params.id;
+  const current = store.getRisk(id);
+  if (!current) return res.status(404).json({ error: "risk not found" });
+  res.json({ id, current, items: store.riskHistory(id) });
+});
+
+// GUARDIAN AUTOMATION AUDIT LOG (owners and guardian: why it fired, what it did)
+// ?proposalId=0x... narrows to one proposal
+app.get("/guardian/actions", requireRole("owner", "guardian"), (req, res) => {
+  const proposalId = req.query.proposalId ? String(req.query.proposalId) : null;
+  if (proposalId && !/^0x[0-9a-fA-F]{64}$/.test(proposalId)) return res.status(400).json({ error: "invalid proposalId" });
+  res.json({ automation: guardianAuto.describe(), items: store.listGuardianActions({ proposalId }) });
+});
+
+// NOTIFICATION CHANNELS (owners and guardian; settings without URLs, tokens or recipients)
+// - deliveries: ?channel=<name> narrows, ?limit=1..500 (default 100)
+// - POST .../test sends a test message to one channel and waits for its retries
+app.get("/notifications/channels", requireRole("owner", "guardian"), (req, res) => {
+  res.json({ channels: notifier.channels(), retry: NOTIFY_RETRY });
+});
+
+app.get("/notifications/deliveries", requireRole("owner", "guardian"), (req, res) => {
+  const channel = req.query.channel ? String(req.query.channel) : null;
+  const limit = clamp(Number(req.query.limit || 100) || 100, 1, 500);
+  res.json({ items: store.listNotificationDeliveries({ channel, limit }) });
+});
+
+app.post("/notifications/channels/:name/test", requireRole("owner", "guardian"), async (req, res) => {
+  try {
+    const delivery = await notifier.test(req.params.name);
+    if (!delivery) return res.status(404).json({ error: "unknown channel" });
+    res.json(delivery);
+  } catch (err) {
+    res.status(500).json({ error: err?.message || String(err) });
+  }
+});
+
 // RETURN SINGLE PROPOSAL
 // - Everyone gets proposal details
-// - Guardian (with signature headers) also gets "risk"
+// - Guardian (signed-in session) also gets "risk"
 app.get("/proposals/:id", async (req, res) => {
   try {
     const id = req.params.id;
     const p = await contract.getProposal(id);
-    const cached = cache.get(id);
+    const cached = store.getProposal(id);
 
     const showRisk = await isGuardianRequest(req);
-    const risk = showRisk ? (riskCache.get(id) || (await computeRisk(id))) : null;
+    const risk = showRisk ? (store.getRisk(id) || (await computeRisk(id))) : null;
+
+    const kind = cached?.kind || ["tx", "gov", "batch"][Number(p.kind)];
+    const data = (p.data || "0x").toString();
+    const calls = kind === "batch" ? await fetchBatchCalls(id) : undefined;
+
+    const { state, executableFrom, expiresAt } = deriveLifecycle(
+      {
+        approvals: p.approvals,
+        eta: p.eta,
+        executed: p.executed,
+        cancelled: p.cancelled,
+        executionSuccess: cached?.executionSuccess,
+      },
+      await lifecycleContext()
+    );
 
     res.json({
       id,
       proposer: p.proposer,
-      to: p.to,
+      to: kind === "batch" ? null : p.to,
       value: p.value.toString(),
       eta: Number(p.eta),
       approvals: Number(p.approvals),
       executed: p.executed,
       cancelled: p.cancelled,
-      kind: cached?.kind || (p.kind === 0 ? "tx" : "gov"),
+      kind,
       govKind: cached?.govKind || null,
+      data,
+      ...withCalls({ kind, to: p.to, data, calls }),
+      approvedBy: store.getApprovals(id).map((a) => a.signer),
+      signedBy: signedBy(id),
+      status: state,
+      executableFrom,
+      expiresAt,
       risk, // null unless guardian-authenticated
+      simulation: store.getSimulation(id),
     });
   } catch (err) {
     res.status(404).json({ error: "Not found", detail: err?.message || String(err) });
   }
 });
 
-// CREATE NEW NORMAL TRANSACTION PROPOSAL
-app.post("/propose", async (req, res) => {
+// SIMULATION OF A PROPOSAL (public: anyone could eth_call it)
+// GET returns the stored result, 404 until the scheduler or POST has run one (reading never
+// simulates, so public requests cannot make the node trace calls);
+// POST runs it again now (owner or guardian) and rescores the proposal
+app.get("/proposals/:id/simulation", async (req, res) => {
+  try {
+    const id = req.params.id;
+    if (!store.getProposal(id)) return res.status(404).json({ error: "Not found" });
+    const sim = store.getSimulation(id);
+    if (!sim) return res.status(404).json({ error: "Not simulated yet" });
+    res.json(sim);
+  } catch (err) {
+    res.status(500).json({ error: err?.message || String(err) });
+  }
+});
+
+app.post("/proposals/:id/simulate", requireRole("owner", "guardian"), async (req, res) => {
+  try {
+    const id = req.params.id;
+    if (!store.getProposal(id)) return res.status(404).json({ error: "Not found" });
+    const sim = await simulateProposal(id);
+    await computeRisk(id, "simulation");
+    res.json(sim);
+  } catch (err) {
+    res.status(500).json({ error: err?.message || String(err) });
+  }
+});
+
+// APPROVALS OF A PROPOSAL
+// - approvals: current approving owners (revoked ones removed) with block time + tx hash
+// - pending: owners that have not approved yet
+app.get("/proposals/:id/approvals", async (req, res) => {
+  try {
+    const id = req.params.id;
+    if (!store.getProposal(id)) return res.status(404).json({ error: "Not found" });
+
+    const approvals = store.getApprovals(id);
+    const threshold = Number(await contract.threshold());
+    const owners = await contract.owners();
+
+    const approved = new Set(approvals.map((a) => a.signer.toLowerCase()));
+    const pending = owners.filter((o) => !approved.has(o.toLowerCase()));
+
+    res.json({
+      id,
+      threshold,
+      approvals,
+      pending,
+      remaining: Math.max(0, threshold - approvals.length),
+    });
+  } catch (err) {
+    res.status(500).json({ error: err?.message || String(err) });
+  }
+});
+
+// ------------------------------------------------------------
+// DELAY OVERRIDES (per target / per selector / governance kind floors)
+// ------------------------------------------------------------
+// current overrides, folded from the indexed *DelaySet events
+function delayOverrides() {
+  const targets = new Map();
+  const selectors = new Map();
+  const governance = new Map();
+
+  for (const ev of store.eventsNamed(["TargetDelaySet", "SelectorDelaySet", "GovernanceKindDelaySet"])) {
+    const { args } = ev;
+    if (ev.name === "TargetDelaySet") {
+      if (args.enabled) targets.set(args.target.toLowerCase(), { target: args.target, delay: Number(args.delay) });
+      else targets.delete(args.target.toLowerCase());
+    } else if (ev.name === "SelectorDelaySet") {
+      if (args.enabled) selectors.set(args.selector, { selector: args.selector, delay: Number(args.delay) });
+      else selectors.delete(args.selector);
+    } else if (Number(args.delay) > 0) {
+      governance.set(Number(args.kind), { kind: Number(args.kind), delay: Number(args.delay) });
+    } else {
+      governance.delete(Number(args.kind));
+    }
+  }
+
+  return {
+    targets: [...targets.values()],
+    selectors: [...selectors.values()].map((s) => ({ ...s, signature: abiRegistry.signatureOf(s.selector) })),
+    governance: [...governance.values()],
+  };
+}
+
+app.get("/delays", async (req, res) => {
+  try {
+    res.json({ minDelayGlobal: Number(await contract.minDelayGlobal()), ...delayOverrides() });
+  } catch (err) {
+    res.status(500).json({ error: err?.message || String(err) });
+  }
+});
+
+// required delay before submitting: ?to=0x..&data=0x.. (transaction) or ?govKind=N
+app.get("/delays/required", async (req, res) => {
+  try {
+    const { to, data, govKind } = req.query;
+
+    if (govKind !== undefined) {
+      if (!/^\d+$/.test(String(govKind)) || Number(govKind) > 255) {
+        return res.status(400).json({ error: "govKind must be 0..255" });
+      }
+      return res.json({ delay: Number(await contract.requiredGovernanceDelay(Number(govKind))) });
+    }
+
+    if (!to || !ethers.isAddress(to)) return res.status(400).json({ error: "Missing or invalid to" });
+    const calldata = resolveCalldata({ data });
+    res.json({ delay: Number(await contract.requiredDelay(to, calldata)) });
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ error: err.message });
+    res.status(500).json({ error: err?.message || String(err) });
+  }
+});
+
+// pause countdown, unpause votes of the current round and cooldown
+app.get("/pause", async (req, res) => {
+  try {
+    res.json(await pauseState());
+  } catch (err) {
+    res.status(500).json({ error: err?.message || String(err) });
+  }
+});
+
+// ------------------------------------------------------------
+// SIGNED APPROVALS (EIP-712, collected off-chain, submitted by anyone)
+// ------------------------------------------------------------
+app.get("/eip712", async (req, res) => {
+  try {
+    res.json(await signedApprovals.typedData());
+  } catch (err) {
+    res.status(500).json({ error: err?.message || String(err) });
+  }
+});
+
+// collected signatures + whether they (with on-chain approvals) reach the threshold
+app.get("/proposals/:id/signatures", async (req, res) => {
+  try {
+    const id = req.params.id;
+    if (!store.getProposal(id)) return res.status(404).json({ error: "Not found" });
+
+    const threshold = Number(await contract.threshold());
+    const approvals = store.getApprovals(id).length;
+    const items = signedApprovals.list(id);
+
+    res.json({
+      id,
+      threshold,
+      approvals,
+      items,
+      ready: approvals + items.filter((s) => s.valid).length >= threshold,
+    });
+  } catch (err) {
+    res.status(500).json({ error: err?.message || String(err) });
+  }
+});
+
+// body: { signer, deadline, signature } (signature over Approval(id, signer, deadline))
+app.post("/proposals/:id/signatures", async (req, res) => {
+  try {
+    const id = req.params.id;
+    if (!/^0x[0-9a-fA-F]{64}$/.test(id)) return res.status(400).json({ error: "invalid proposal id" });
+
+    const error = await signedApprovals.add(id, req.body || {});
+    if (error) return res.status(400).json({ error });
+
+    console.log("✍️ Approval signature stored:", id, "by", req.body.signer);
+    stream.publish("proposal.signed", {
+      id,
+      signer: ethers.getAddress(req.body.signer),
+      proposal: proposalSnapshot(id, await lifecycleContext()),
+    });
+    res.json({ ok: true, items: signedApprovals.list(id) });
+  } catch (err) {
+    res.status(500).json({ error: err?.message || String(err) });
+  }
+});
+
+// the signer withdraws their collected signature (owner session of that signer). It may have
+// been copied from the list above already: `invalidateTx` (invalidateApprovalDigest) is for the
+// signer's wallet to send, it burns the signature on chain.
+app.delete("/proposals/:id/signatures/:signer", requireRole("owner"), async (req, res) => {
+  try {
+    const { id, signer } = req.params;
+    if (!ethers.isAddress(signer)) return res.status(400).json({ error: "invalid signer address" });
+    if (req.auth.address.toLowerCase() !== signer.toLowerCase()) {
+      return res.status(403).json({ error: "only the signer can withdraw their signature" });
+    }
+
+    const removed = signedApprovals.withdraw(id, signer);
+    if (!removed) return res.status(404).json({ error: "no signature stored for this signer" });
+
+    console.log("🗑️ Approval signature withdrawn:", id, "by", removed.signer);
+    stream.publish("proposal.signatureWithdrawn", {
+      id,
+      signer: removed.signer,
+      proposal: proposalSnapshot(id, await lifecycleContext()),
+    });
+    res.json({
+      ok: true,
+      items: signedApprovals.list(id),
+      invalidateTx: await unsignedCall("invalidateApprovalDigest", [id, removed.deadline]),
+    });
+  } catch (err) {
+    res.status(500).json({ error: err?.message || String(err) });
+  }
+});
+
+// submits the collected signatures from the backend wallet (or, watch-only, returns
+// the transaction for any wallet to send: the signatures authorize it, not the sender)
+// body: { execute?: true } -> executeWithSignatures (approve + execute in one tx)
+app.post("/proposals/:id/signatures/submit", requireRole("owner"), async (req, res) => {
+  try {
+    const id = req.params.id;
+    const bundle = signedApprovals.bundle(id);
+    if (!bundle.length) return res.status(400).json({ error: "no valid signatures collected" });
+
+    const method = req.body?.execute ? "executeWithSignatures" : "approveWithSignatures";
+    const out = await sendOrPrepare(method, [id, bundle], req);
+
+    res.json({ ...out, submitted: bundle.length, executed: Boolean(req.body?.execute) && !out.unsignedTx });
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ error: err.message });
+    console.error("❌ Signature submit ERROR:", err?.shortMessage || err?.message || err);
+    res.status(500).json({ error: err?.shortMessage || err?.message || String(err) });
+  }
+});
+
+// TRACKED ERC-20 TOKENS (with the multisig's balances)
+app.get("/tokens", async (req, res) => {
+  try {
+    res.json({ items: await tokenTracker.balances() });
+  } catch (err) {
+    res.status(500).json({ error: err?.message || String(err) });
+  }
+});
+
+// ------------------------------------------------------------
+// ABI REGISTRY (read: public, write: guardian session)
+// ------------------------------------------------------------
+app.get("/abis", (req, res) => {
+  res.json({ items: abiRegistry.list(), bundledSignatures: abiRegistry.signatureCount() });
+});
+
+app.get("/abis/:address", (req, res) => {
+  if (!ethers.isAddress(req.params.address)) return res.status(400).json({ error: "invalid address" });
+  const entry = abiRegistry.getAbi(req.params.address);
+  if (!entry) return res.status(404).json({ error: "Not found" });
+  res.json(entry);
+});
+
+// decode arbitrary calldata (form preview)
+app.get("/decode", (req, res) => {
+  const { to, data } = req.query;
+  if (to && !ethers.isAddress(to)) return res.status(400).json({ error: "invalid to address" });
+  res.json({ decoded: abiRegistry.decode(to || null, data || "0x") });
+});
+
+// risk of open proposals to `address` depends on its ABI
+async function rescoreTarget(address) {
+  const ctx = await lifecycleContext();
+  for (const p of store.queryProposals({ kind: "tx", to: address })) {
+    if (!isFinal(withLifecycle(p, ctx).status)) await computeRisk(p.id, `ABI change (${address})`);
+  }
+}
+
+// a new risk policy or address book change applies to every proposal that can still be executed
+async function rescoreOpenProposals(cause) {
+  const ids = await openProposalIds();
+  for (const id of ids) await computeRisk(id, cause);
+  console.log(`🧮 Rescored ${ids.length} open proposal(s) after ${cause}`);
+}
+
+app.put("/abis/:address", requireRole("guardian"), async (req, res) => {
   try {
-    const { to, value } = req.body;
+    if (!ethers.isAddress(req.params.address)) return res.status(400).json({ error: "invalid address" });
 
-    if (!to || !value) {
-      return res.status(400).json({ error: "Missing to or value" });
+    let entry;
+    try {
+      entry = abiRegistry.setAbi(req.params.address, req.body.abi, req.body.name || null);
+    } catch (err) {
+      return res.status(400).json({ error: `Invalid abi: ${err.shortMessage || err.message}` });
     }
 
-    const delay = await contract.minDelayGlobal();
-    console.log("🟦 Submitting normal proposal:", to, value.toString());
+    console.log("📒 ABI uploaded for", entry.address, `(${entry.functions} functions)`);
+    await rescoreTarget(entry.address);
+    res.json({ ok: true, ...entry });
+  } catch (err) {
+    res.status(500).json({ error: err?.message || String(err) });
+  }
+});
+
+app.delete("/abis/:address", requireRole("guardian"), async (req, res) => {
+  try {
+    if (!ethers.isAddress(req.params.address)) return res.status(400).json({ error: "invalid address" });
+
+    if (!abiRegistry.removeAbi(req.params.address)) return res.status(404).json({ error: "Not found" });
+
+    await rescoreTarget(req.params.address);
+    res.json({ ok: true });
+  } catch (err) {
+    res.status(500).json({ error: err?.message || String(err) });
+  }
+});
+
+// ------------------------------------------------------------
+// ADDRESS BOOK (read: public, write: owner session)
+// Labels/categories also feed the risk policy, so open proposals are rescored on change.
+// ------------------------------------------------------------
+app.get("/address-book", (req, res) => {
+  res.json({ items: addressBook.list(), categories: ADDRESS_CATEGORIES });
+});
+
+app.get("/address-book/:address", (req, res) => {
+  if (!ethers.isAddress(req.params.address)) return res.status(400).json({ error: "invalid address" });
+  const entry = addressBook.get(req.params.address);
+  if (!entry) return res.status(404).json({ error: "Not found" });
+  res.json(entry);
+});
+
+app.put("/address-book/:address", requireRole("owner"), async (req, res) => {
+  try {
+    const { label, category, note } = req.body || {};
+    const entry = addressBook.put(req.params.address, { label, category, note }, req.auth.address);
+
+    console.log("📇 Address book:", entry.address, `= ${entry.label} [${entry.category}] by`, req.auth.address);
+    stream.publish("addressBook.updated", { address: entry.address, entry });
+    await rescoreOpenProposals(`address book change (${entry.address})`);
+    res.json({ ok: true, ...entry });
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ error: err.message });
+    res.status(500).json({ error: err?.message || String(err) });
+  }
+});
 
-    const tx = await contract.proposeTransaction(to, BigInt(value), "0x", delay);
-    const receipt = await tx.wait();
+app.delete("/address-book/:address", requireRole("owner"), async (req, res) => {
+  try {
+    if (!addressBook.remove(req.params.address)) return res.status(404).json({ error: "Not found" });
 
-    return res.json({ ok: true, txHash: receipt.hash });
+    const address = ethers.getAddress(req.params.address);
+    console.log("📇 Address book: removed", address, "by", req.auth.address);
+    stream.publish("addressBook.updated", { address, entry: null });
+    await rescoreOpenProposals(`address book change (${address})`);
+    res.json({ ok: true });
   } catch (err) {
+    if (err.status === 400) return res.status(400).json({ error: err.message });
+    res.status(500).json({ error: err?.message || String(err) });
+  }
+});
+
+// ------------------------------------------------------------
+// PROPOSAL INPUT (calldata + delay) for POST /propose
+// ------------------------------------------------------------
+// validation failures surface as 400 instead of 500
+function inputError(msg) {
+  const err = new Error(msg);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * Calldata is either raw (`data: "0x..."`) or encoded here from
+ * `call: { abi, function, args }` where `abi` is a fragment (human-readable
+ * string or JSON object) or a full ABI array, and `function` a name or signature.
+ */
+function resolveCalldata({ data, call }) {
+  if (data !== undefined && call !== undefined) {
+    throw inputError("Provide either data or call, not both");
+  }
+
+  if (call !== undefined) {
+    if (!call?.abi || !call?.function) throw inputError("call needs abi and function");
+
+    let iface;
+    try {
+      iface = new ethers.Interface(Array.isArray(call.abi) ? call.abi : [call.abi]);
+    } catch (err) {
+      throw inputError(`Invalid abi: ${err.shortMessage || err.message}`);
+    }
+
+    const fn = iface.getFunction(call.function);
+    if (!fn) throw inputError(`Function ${call.function} not found in abi`);
+
+    try {
+      return iface.encodeFunctionData(fn, call.args || []);
+    } catch (err) {
+      throw inputError(`Cannot encode ${fn.format()}: ${err.shortMessage || err.message}`);
+    }
+  }
+
+  if (data === undefined || data === null || data === "") return "0x";
+  if (!ethers.isHexString(data) || data.length % 2 !== 0) {
+    throw inputError("data must be a 0x-prefixed hex string");
+  }
+  return data;
+}
+
+// on-chain minimum delay for a set of calls (the longest requiredDelay of any of them)
+async function requiredDelayFor(calls) {
+  let required = 0n;
+  for (const c of calls) {
+    const d = await contract.requiredDelay(c.to, c.data);
+    if (d > required) required = d;
+  }
+  return required;
+}
+
+// optional custom delay (seconds); never below the on-chain minimum for these calls
+async function resolveDelay(delay, calls) {
+  const minDelay = await requiredDelayFor(calls);
+  if (delay === undefined || delay === null || delay === "") return minDelay;
+
+  if (!/^\d+$/.test(String(delay))) throw inputError("delay must be a whole number of seconds");
+  const d = BigInt(delay);
+  if (d < minDelay) throw inputError(`delay must be >= the required delay (${minDelay}s)`);
+  return d;
+}
+
+function parseWei(value) {
+  if (value === undefined || value === null || value === "") return 0n;
+  if (!/^\d+$/.test(String(value))) throw inputError("value must be an integer amount in wei");
+  return BigInt(value);
+}
+
+const CREATION_EVENTS = ["ProposalCreated", "GovernanceProposalCreated", "BatchProposalCreated"];
+
+// new proposal id / eta from the creation log of a mined propose* tx (nulls for other calls)
+function proposalCreated(receipt) {
+  const created = receipt.logs
+    .map((log) => {
+      try {
+        return contract.interface.parseLog(log);
+      } catch {
+        return null;
+      }
+    })
+    .find((ev) => CREATION_EVENTS.includes(ev?.name));
+
+  return {
+    id: created ? created.args.id : null,
+    eta: created ? Number(created.args.eta) : null,
+    txHash: receipt.hash,
+  };
+}
+
+// ------------------------------------------------------------
+// WRITES: backend wallet, or unsigned transactions + relay (watch-only)
+// ------------------------------------------------------------
+
+/**
+ * Multisig call for the user's own wallet to sign and send. With `from` it is
+ * pre-flighted (eth_estimateGas) so a call that would revert is rejected up front.
+ */
+async function unsignedCall(method, args, from) {
+  const { chainId } = await provider.getNetwork();
+  const tx = {
+    to: CONTRACT_ADDRESS,
+    data: contract.interface.encodeFunctionData(method, args),
+    value: "0",
+    chainId: Number(chainId),
+  };
+  if (from === undefined || from === null || from === "") return tx;
+
+  if (!ethers.isAddress(from)) throw inputError("from must be an address");
+  tx.from = ethers.getAddress(from);
+  try {
+    tx.gasLimit = (await provider.estimateGas(tx)).toString();
+  } catch (err) {
+    throw inputError(`transaction would revert: ${err.reason || err.shortMessage || err.message}`);
+  }
+  return tx;
+}
+
+/**
+ * Sends `method` from the backend wallet, or returns it unsigned when the backend
+ * is watch-only or the caller asked for it (body: { unsigned: true, from? }).
+ * `from` defaults to the signed-in address.
+ */
+async function sendOrPrepare(method, args, req) {
+  if (!wallet || req.body?.unsigned) {
+    return { ok: true, unsignedTx: await unsignedCall(method, args, req.body?.from || req.auth?.address) };
+  }
+
+  const receipt = await (await contract[method](...args)).wait();
+  const { id, eta, txHash } = proposalCreated(receipt);
+  return id ? { ok: true, id, eta, txHash } : { ok: true, txHash };
+}
+
+async function submitTransactionProposal(to, value, data, delay, req) {
+  const out = await sendOrPrepare("proposeTransaction", [to, value, data, delay], req);
+  return { ...out, delay: Number(delay), data };
+}
+
+// [{ to, value?, data? | call? }] -> [{ to, value, data }] as proposeBatch expects them
+async function resolveBatchCalls(calls) {
+  if (!Array.isArray(calls) || calls.length === 0) throw inputError("calls must be a non-empty array");
+
+  const max = Number(await contract.MAX_BATCH_CALLS());
+  if (calls.length > max) throw inputError(`a batch holds at most ${max} calls`);
+
+  return calls.map((c, i) => {
+    try {
+      if (!c || !c.to || !ethers.isAddress(c.to)) throw inputError("missing or invalid to");
+      return { to: ethers.getAddress(c.to), value: parseWei(c.value), data: resolveCalldata(c) };
+    } catch (err) {
+      err.message = `calls[${i}]: ${err.message}`;
+      throw err;
+    }
+  });
+}
+
+// CREATE NEW NORMAL TRANSACTION PROPOSAL (ETH transfer or contract call)
+app.post("/propose", requireRole("owner"), async (req, res) => {
+  try {
+    const { to } = req.body;
+
+    if (!to || !ethers.isAddress(to)) {
+      return res.status(400).json({ error: "Missing or invalid to" });
+    }
+
+    const value = parseWei(req.body.value);
+    const data = resolveCalldata(req.body);
+    const delay = await resolveDelay(req.body.delay, [{ to, data }]);
+
+    console.log("🟦 Submitting proposal:", to, value.toString(), data === "0x" ? "(no calldata)" : data.slice(0, 10));
+
+    return res.json(await submitTransactionProposal(to, value, data, delay, req));
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ error: err.message });
     console.error("❌ /propose ERROR:", err);
     res.status(500).json({ error: err?.message || String(err) });
   }
 });
 
+// PROPOSE A BATCH (calls executed atomically: all succeed or the execution reverts)
+// body: { calls: [{ to, value?, data? | call? }], delay? }
+app.post("/propose/batch", requireRole("owner"), async (req, res) => {
+  try {
+    const calls = await resolveBatchCalls(req.body.calls);
+    const delay = await resolveDelay(req.body.delay, calls);
+
+    console.log("🟦 Submitting batch proposal:", calls.length, "calls");
+
+    const out = await sendOrPrepare("proposeBatch", [calls, delay], req);
+    res.json({
+      ...out,
+      delay: Number(delay),
+      calls: calls.map((c) => ({ ...c, value: c.value.toString() })),
+    });
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ error: err.message });
+    console.error("❌ /propose/batch ERROR:", err);
+    res.status(500).json({ error: err?.message || String(err) });
+  }
+});
+
+// PROPOSE AN ERC-20 TRANSFER: { token, recipient, amount: "12.5" (token units), delay? }
+app.post("/propose/token", requireRole("owner"), async (req, res) => {
+  try {
+    const { token, recipient, amount } = req.body;
+
+    if (!token || !ethers.isAddress(token)) return res.status(400).json({ error: "Missing or invalid token" });
+    if (!recipient || !ethers.isAddress(recipient)) return res.status(400).json({ error: "Missing or invalid recipient" });
+    if (!/^\d+(\.\d+)?$/.test(String(amount ?? ""))) {
+      return res.status(400).json({ error: "amount must be a positive decimal number" });
+    }
+
+    const info = await tokenTracker.track(token);
+    if (!info) return res.status(400).json({ error: "token does not look like an ERC-20 (no decimals())" });
+
+    let units;
+    try {
+      units = await tokenTracker.parseAmount(token, amount);
+    } catch {
+      return res.status(400).json({ error: `amount has more than ${info.decimals} decimals` });
+    }
+    if (units === 0n) return res.status(400).json({ error: "amount must be greater than 0" });
+
+    const data = tokenTracker.encodeTransfer(recipient, units);
+    const delay = await resolveDelay(req.body.delay, [{ to: info.address, data }]);
+
+    console.log("🪙 Submitting token transfer:", amount, info.symbol, "to", recipient);
+
+    const out = await submitTransactionProposal(info.address, 0n, data, delay, req);
+    return res.json({ ...out, token: info, amount: units.toString() });
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ error: err.message });
+    console.error("❌ /propose/token ERROR:", err);
+    res.status(500).json({ error: err?.message || String(err) });
+  }
+});
+
+// RELAY A TRANSACTION THE USER SIGNED THEMSELVES (e.g. one returned unsigned above)
+// body: { signedTx: "0x..." } - only multisig calls on this chain are relayed; the
+// signer pays the gas and the contract checks who may call what, as with any sender.
+// -> { ok, txHash, status, ... }: a transaction that reverted is mined with ok: false
+const relay = createRelay({ provider, contract, contractAddress: CONTRACT_ADDRESS, proposalCreated });
+
+app.post("/relay", async (req, res) => {
+  try {
+    res.json(await relay.relay(req.body?.signedTx));
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ error: err.message });
+    console.error("❌ /relay ERROR:", err?.shortMessage || err?.message || err);
+    res.status(500).json({ error: err?.shortMessage || err?.message || String(err) });
+  }
+});
+
 // ------------------------------------------------------------
 // START SERVER
 // ------------------------------------------------------------
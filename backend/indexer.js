@@ -0,0 +1,218 @@
+// INDEXER — DelayedExecutionMultiSig
+/**
+ * @title Event Indexer
+ * @notice Replays contract events from a start block and then follows the chain head.
+ * @dev
+ * - Only blocks with at least `confirmations` confirmations are processed.
+ * - The hash of every batch tip (and of every block that carried an event) is remembered.
+ *   If the newest remembered hash no longer matches the chain, the indexer walks back to
+ *   the last block that still matches, calls `onRollback(forkBlock)` and re-indexes from there.
+ * - The caller owns persistence: `loadCursor()` / `saveCursor(cursor)`.
+ */
+
+export const INDEXED_EVENTS = [
+  "ProposalCreated",
+  "GovernanceProposalCreated",
+  "BatchProposalCreated",
+  "ProposalApproved",
+  "ApprovalSignatureInvalidated",
+  "ProposalRevoked",
+  "ProposalCancelled",
+  "ProposalExecuted",
+  "Paused",
+  "Resumed",
+  "UnpauseVoted",
+  "EmergencyUnpaused",
+  "OwnerAdded",
+  "OwnerRemoved",
+  "ThresholdChanged",
+  "MinDelayChanged",
+  "GuardianChanged",
+  "TargetDelaySet",
+  "SelectorDelaySet",
+  "GovernanceKindDelaySet",
+  "ProposalExpiryChanged",
+  "PauseConfigChanged",
+];
+
+// how many block hashes are kept for reorg detection
+const MAX_TRACKED_HASHES = 128;
+
+function toPlain(v) {
+  if (typeof v === "bigint") return v.toString();
+  if (Array.isArray(v)) return v.map(toPlain);
+  return v;
+}
+
+/**
+ * Converts an ethers EventLog into a JSON-safe record.
+ */
+function normalizeLog(log, timestamp) {
+  const args = {};
+  log.fragment.inputs.forEach((input, i) => {
+    args[input.name || String(i)] = toPlain(log.args[i]);
+  });
+
+  return {
+    name: log.fragment.name,
+    args,
+    blockNumber: log.blockNumber,
+    blockHash: log.blockHash,
+    txHash: log.transactionHash,
+    logIndex: log.index,
+    timestamp,
+  };
+}
+
+export function eventKey(ev) {
+  return `${ev.txHash}:${ev.logIndex}`;
+}
+
+export function createIndexer({
+  provider,
+  contract,
+  startBlock = 0,
+  confirmations = 2,
+  batchSize = 2000,
+  pollMs = 4000,
+  events = INDEXED_EVENTS,
+  loadCursor,
+  saveCursor,
+  onEvent,
+  onRollback,
+  onCaughtUp,
+}) {
+  const wanted = new Set(events);
+
+  const stored = loadCursor() || {};
+  const cursor = {
+    lastBlock: Number.isFinite(stored.lastBlock) ? stored.lastBlock : startBlock - 1,
+    blockHashes: stored.blockHashes || {},
+  };
+
+  let caughtUp = false;
+  let running = false;
+  let timer = null;
+  let lastError = null;
+
+  function rememberHash(blockNumber, hash) {
+    cursor.blockHashes[blockNumber] = hash;
+
+    const nums = Object.keys(cursor.blockHashes).map(Number).sort((a, b) => a - b);
+    for (const n of nums.slice(0, Math.max(0, nums.length - MAX_TRACKED_HASHES))) {
+      delete cursor.blockHashes[n];
+    }
+  }
+
+  // Returns the block to rewind to, or null if the remembered tip is still canonical.
+  async function findForkPoint() {
+    const nums = Object.keys(cursor.blockHashes).map(Number).sort((a, b) => b - a);
+    if (!nums.length) return null;
+
+    for (const n of nums) {
+      const block = await provider.getBlock(n);
+      if (block && block.hash === cursor.blockHashes[n]) {
+        return n === nums[0] ? null : n;
+      }
+    }
+
+    // nothing we remember is canonical anymore -> replay everything
+    return startBlock - 1;
+  }
+
+  async function rollbackTo(forkBlock) {
+    console.warn(`⚠️ Reorg detected: rolling back to block ${forkBlock}`);
+
+    for (const n of Object.keys(cursor.blockHashes).map(Number)) {
+      if (n > forkBlock) delete cursor.blockHashes[n];
+    }
+    cursor.lastBlock = Math.min(cursor.lastBlock, forkBlock);
+
+    await onRollback?.(forkBlock);
+    saveCursor(cursor);
+  }
+
+  async function processRange(from, to) {
+    const logs = (await contract.queryFilter("*", from, to))
+      .filter((log) => log.fragment && wanted.has(log.fragment.name))
+      .sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+    const timestamps = new Map();
+    for (const log of logs) {
+      if (!timestamps.has(log.blockNumber)) {
+        const block = await provider.getBlock(log.blockNumber);
+        timestamps.set(log.blockNumber, block ? Number(block.timestamp) : null);
+      }
+
+      const ev = normalizeLog(log, timestamps.get(log.blockNumber));
+      await onEvent(ev, { live: caughtUp });
+      rememberHash(log.blockNumber, log.blockHash);
+    }
+
+    const tip = await provider.getBlock(to);
+    if (tip) rememberHash(to, tip.hash);
+
+    cursor.lastBlock = to;
+    saveCursor(cursor);
+  }
+
+  async function tick() {
+    const forkBlock = await findForkPoint();
+    if (forkBlock !== null) await rollbackTo(forkBlock);
+
+    const head = await provider.getBlockNumber();
+    const safeHead = head - confirmations;
+
+    for (let from = cursor.lastBlock + 1; from <= safeHead; from += batchSize) {
+      const to = Math.min(from + batchSize - 1, safeHead);
+      await processRange(from, to);
+    }
+
+    if (!caughtUp) {
+      caughtUp = true;
+      console.log(`📚 Indexer caught up at block ${cursor.lastBlock}`);
+      await onCaughtUp?.();
+    }
+  }
+
+  async function loop() {
+    if (!running) return;
+
+    try {
+      await tick();
+      lastError = null;
+    } catch (err) {
+      lastError = err?.message || String(err);
+      console.error("❌ Indexer tick failed:", lastError);
+    }
+
+    if (running) timer = setTimeout(loop, pollMs);
+  }
+
+  return {
+    /** One pass: rolls back on a reorg, then indexes up to the confirmed head (start() repeats it). */
+    tick,
+
+    start() {
+      if (running) return;
+      running = true;
+      console.log(`📚 Indexer starting after block ${cursor.lastBlock} (confirmations=${confirmations})`);
+      loop();
+    },
+
+    stop() {
+      running = false;
+      if (timer) clearTimeout(timer);
+      timer = null;
+    },
+
+    status() {
+      return {
+        lastBlock: cursor.lastBlock,
+        confirmations,
+        caughtUp,
+        lastError,
+      };
+    },
+  };
+}
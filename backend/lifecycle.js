@@ -0,0 +1,72 @@
+// LIFECYCLE — DelayedExecutionMultiSig
+/**
+ * @title Proposal Lifecycle
+ * @notice Single source of truth for a proposal's state, derived from on-chain fields,
+ * the current threshold, the expiry window and the clock.
+ * @dev
+ * Created -> AwaitingApprovals -> Queued -> Executable -> Expired | Executed | Failed | Cancelled
+ *
+ * "failed" only exists for contract versions that record a failed call: this contract's
+ * _execute reverts on it (require(ok, "exec failed")), so ProposalExecuted always has
+ * success = true and the state never occurs today.
+ *
+ * Plain ES module without dependencies: the backend imports it and the static
+ * dashboard loads it from /lifecycle.js. frontend/src/lifecycle.ts MUST MATCH this file.
+ */
+
+export const LIFECYCLE_STATES = [
+  "created", // no approvals yet
+  "awaitingApprovals", // some approvals, below threshold
+  "queued", // threshold reached, waiting for ETA
+  "executable", // ETA passed, inside the expiry window
+  "expired", // expiry window passed without execution
+  "executed",
+  "failed", // executed, but the call reported failure (future contract versions only, see above)
+  "cancelled",
+];
+
+export const FINAL_STATES = ["expired", "executed", "failed", "cancelled"];
+
+export const LIFECYCLE_LABELS = {
+  created: "🆕 Created",
+  awaitingApprovals: "✍️ Awaiting approvals",
+  queued: "⏳ Queued",
+  executable: "🟢 Executable",
+  expired: "⌛ Expired",
+  executed: "✅ Executed",
+  failed: "⚠️ Failed",
+  cancelled: "❌ Cancelled",
+};
+
+// legacy status filter names -> lifecycle states
+export const STATUS_ALIASES = {
+  pending: ["created", "awaitingApprovals"],
+};
+
+/**
+ * @param p { approvals, eta, executed, cancelled, executionSuccess? }
+ * @param ctx { threshold, expiry, now } (now in unix seconds)
+ * @return { state, executableFrom, expiresAt }
+ */
+export function deriveLifecycle(p, { threshold, expiry, now }) {
+  const eta = Number(p.eta || 0);
+  const approvals = Number(p.approvals || 0);
+
+  const executableFrom = eta;
+  const expiresAt = eta + Number(expiry || 0);
+
+  let state;
+  if (p.cancelled) state = "cancelled";
+  else if (p.executed) state = p.executionSuccess === false ? "failed" : "executed";
+  else if (now > expiresAt) state = "expired";
+  else if (approvals >= Number(threshold) && now >= eta) state = "executable";
+  else if (approvals >= Number(threshold)) state = "queued";
+  else if (approvals > 0) state = "awaitingApprovals";
+  else state = "created";
+
+  return { state, executableFrom, expiresAt };
+}
+
+export function isFinal(state) {
+  return FINAL_STATES.includes(state);
+}
@@ -0,0 +1,335 @@
+// NOTIFIER — DelayedExecutionMultiSig
+/**
+ * @title Notification dispatcher
+ * @notice Delivers owner and guardian notifications to any number of channels: email, a
+ * signed HTTP webhook, a Slack-compatible incoming webhook and the Telegram bot API. Each
+ * channel subscribes to the events it wants, so a team chat can get the risky ones only.
+ * @dev
+ * - Channels are plugins (CHANNEL_PLUGINS): `fields` lists the settings a channel of that
+ *   type needs, `send(channel, message, io)` makes one delivery attempt and throws when it
+ *   fails. `io` is { post(url, body, headers), sendMail({ to, subject, text }) }.
+ * - Channel settings are validated once (parseChannels); string values may name an
+ *   environment variable as "${NAME}" so secrets stay out of the channels file.
+ * - Audience: an "owners" channel gets what owners get; a "guardian" channel gets the
+ *   guardian's version of a message (`message.guardian`, e.g. with the risk reasons) and
+ *   the guardian-only events. `message.audience` narrows a message to one of them.
+ * - `events` of a channel: event names (NOTIFY_EVENTS), "prefix.*" or "*" (the default).
+ * - A failed attempt is retried with exponential backoff: `baseMs`, doubling up to `maxMs`,
+ *   `attempts` tries in all. An HTTP 4xx other than 408 / 429 is not retried (the request
+ *   itself is wrong); a 429's Retry-After is honoured up to `maxMs`.
+ * - The outcome of every delivery ("delivered" / "failed", attempts, last error) is kept in
+ *   the store; `notify()` itself never throws.
+ *
+ * Webhook: POST of JSON { id, event, subject, text, audience, proposalId, link, timestamp }
+ * with headers X-Multisig-Event, X-Multisig-Delivery, X-Multisig-Timestamp and, when the
+ * channel has a `secret`, X-Multisig-Signature: "sha256=" + hex HMAC-SHA256 of
+ * `${timestamp}.${body}` (receivers should also reject old timestamps).
+ */
+
+import crypto from "crypto";
+
+export const NOTIFY_EVENTS = [
+  "proposal.created",
+  "proposal.thresholdReached",
+  "proposal.etaSoon",
+  "proposal.expiringSoon",
+  "proposal.simulationReverted",
+  "risk.escalated",
+  "guardian.autoAction",
+  "wallet.paused",
+  "wallet.pauseLapsing",
+  "test",
+];
+
+export const NOTIFY_AUDIENCES = ["owners", "guardian"];
+
+// Telegram rejects longer messages
+const TELEGRAM_MAX_TEXT = 4096;
+const HTTP_TIMEOUT_MS = 10_000;
+
+/** A failed attempt; `retryable: false` stops the retries, `retryAfterMs` delays the next one. */
+export class DeliveryError extends Error {
+  constructor(message, { retryable = true, retryAfterMs = 0 } = {}) {
+    super(message);
+    this.name = "DeliveryError";
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/** Hex HMAC-SHA256 a webhook receiver recomputes to check X-Multisig-Signature. */
+export function webhookSignature(secret, timestamp, body) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+export const CHANNEL_PLUGINS = {
+  webhook: {
+    fields: { url: "url", secret: "secret?" },
+    async send(channel, msg, io) {
+      const body = JSON.stringify({
+        id: msg.deliveryId,
+        event: msg.event,
+        subject: msg.subject,
+        text: msg.text,
+        audience: channel.audience,
+        proposalId: msg.proposalId,
+        link: msg.link,
+        timestamp: msg.timestamp,
+      });
+      const headers = {
+        "X-Multisig-Event": msg.event,
+        "X-Multisig-Delivery": msg.deliveryId,
+        "X-Multisig-Timestamp": String(msg.timestamp),
+      };
+      if (channel.secret) headers["X-Multisig-Signature"] = `sha256=${webhookSignature(channel.secret, msg.timestamp, body)}`;
+      await io.post(channel.url, body, headers);
+    },
+  },
+
+  // Slack incoming webhooks and the servers that mimic them (Mattermost, Rocket.Chat, ...)
+  slack: {
+    fields: { url: "url" },
+    async send(channel, msg, io) {
+      const text = `*${msg.subject}*\n${msg.text}` + (msg.link && !msg.text.includes(msg.link) ? `\n${msg.link}` : "");
+      await io.post(channel.url, JSON.stringify({ text }));
+    },
+  },
+
+  // Bot API sendMessage; `apiUrl` points it at a compatible server (default api.telegram.org)
+  telegram: {
+    fields: { botToken: "secret", chatId: "string", apiUrl: "url?" },
+    async send(channel, msg, io) {
+      let text = `${msg.subject}\n\n${msg.text}`;
+      if (text.length > TELEGRAM_MAX_TEXT) text = text.slice(0, TELEGRAM_MAX_TEXT - 1) + "…";
+      const base = (channel.apiUrl || "https://api.telegram.org").replace(/\/+$/, "");
+      await io.post(
+        `${base}/bot${channel.botToken}/sendMessage`,
+        JSON.stringify({ chat_id: channel.chatId, text, disable_web_page_preview: true })
+      );
+    },
+  },
+
+  email: {
+    fields: { to: "emails" },
+    async send(channel, msg, io) {
+      if (!io.sendMail) throw new DeliveryError("email is not configured (SMTP_*)", { retryable: false });
+      await io.sendMail({ to: channel.to, subject: msg.subject, text: msg.text });
+    },
+  },
+};
+
+// "${NAME}" -> process.env.NAME (only whole-value references, so URLs keep their "$")
+function expand(value, env, fail) {
+  if (typeof value !== "string") return value;
+  const m = /^\$\{([A-Za-z_][A-Za-z0-9_]*)\}$/.exec(value.trim());
+  if (!m) return value;
+  if (!env[m[1]]) fail(`environment variable ${m[1]} is not set`);
+  return env[m[1]] || "";
+}
+
+function isUrl(value) {
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+function eventPatternValid(pattern) {
+  if (pattern === "*") return true;
+  if (pattern.endsWith(".*")) return NOTIFY_EVENTS.some((e) => e.startsWith(pattern.slice(0, -1)));
+  return NOTIFY_EVENTS.includes(pattern);
+}
+
+/**
+ * Checks a list of channel settings and returns them normalized (env references expanded,
+ * email recipients as an array), or throws listing every problem.
+ * @param env  where "${NAME}" values are read from
+ */
+export function parseChannels(raw, { env = process.env, plugins = CHANNEL_PLUGINS } = {}) {
+  if (!Array.isArray(raw)) throw new Error("notification channels must be a JSON array");
+  const errors = [];
+  const names = new Set();
+
+  const channels = raw.map((c, i) => {
+    const where = `channels[${i}]${c?.name ? ` (${c.name})` : ""}`;
+    const fail = (msg) => errors.push(`${where}: ${msg}`);
+    if (!c || typeof c !== "object") return fail("must be an object");
+
+    if (typeof c.name !== "string" || !/^[a-z0-9][a-z0-9_-]*$/i.test(c.name)) fail("name must be letters, digits, - or _");
+    else if (names.has(c.name)) fail("duplicate name");
+    names.add(c.name);
+
+    const plugin = plugins[c.type];
+    if (!plugin) return fail(`type must be one of ${Object.keys(plugins).join(", ")}`);
+
+    const audience = c.audience ?? "owners";
+    if (!NOTIFY_AUDIENCES.includes(audience)) fail(`audience must be ${NOTIFY_AUDIENCES.join(" or ")}`);
+
+    const events = c.events ?? ["*"];
+    if (!Array.isArray(events) || !events.length) fail('events must be a non-empty array (["*"] for everything)');
+    else for (const e of events) if (typeof e !== "string" || !eventPatternValid(e)) fail(`unknown event "${e}"`);
+
+    const channel = { name: c.name, type: c.type, audience, events };
+    for (const [field, kind] of Object.entries(plugin.fields)) {
+      const optional = kind.endsWith("?");
+      const value = expand(c[field], env, (msg) => fail(`${field}: ${msg}`));
+      if (value === undefined || value === "") {
+        if (!optional) fail(`${field} is required`);
+        continue;
+      }
+      const type = kind.replace("?", "");
+      if (type === "url" && !isUrl(value)) fail(`${field} must be an http(s) URL`);
+      else if (type === "emails") {
+        const list = (Array.isArray(value) ? value : String(value).split(",")).map((s) => String(s).trim()).filter(Boolean);
+        if (!list.length || list.some((a) => !a.includes("@"))) fail(`${field} must list email addresses`);
+        channel[field] = list;
+        continue;
+      } else if (type !== "url" && typeof value !== "string" && typeof value !== "number") fail(`${field} must be a string`);
+      channel[field] = String(value);
+    }
+    return channel;
+  });
+
+  if (errors.length) throw new Error(`invalid notification channels:\n  - ${errors.join("\n  - ")}`);
+  return channels;
+}
+
+function subscribed(channel, event) {
+  return channel.events.some((p) => p === "*" || p === event || (p.endsWith(".*") && event.startsWith(p.slice(0, -1))));
+}
+
+// JSON POST; non-2xx answers become DeliveryErrors (4xx other than 408 / 429 are final)
+async function postJson(url, body, headers = {}) {
+  let res;
+  try {
+    res = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body,
+      signal: AbortSignal.timeout(HTTP_TIMEOUT_MS),
+    });
+  } catch (err) {
+    throw new DeliveryError(err?.cause?.message || err?.message || String(err));
+  }
+  if (res.ok) return;
+
+  const detail = (await res.text().catch(() => "")).slice(0, 200);
+  const retryAfter = Number(res.headers.get("retry-after"));
+  throw new DeliveryError(`HTTP ${res.status}${detail ? `: ${detail}` : ""}`, {
+    retryable: res.status >= 500 || res.status === 408 || res.status === 429,
+    retryAfterMs: Number.isFinite(retryAfter) && retryAfter > 0 ? retryAfter * 1000 : 0,
+  });
+}
+
+/**
+ * @param channels  parsed channel settings (parseChannels)
+ * @param retry     { attempts, baseMs, maxMs }
+ * @param sendMail  async ({ to, subject, text }) for email channels, or null (SMTP disabled)
+ * @param post      HTTP transport (tests); defaults to a JSON POST with fetch
+ * @param sleep     waits between attempts (tests)
+ * @param now       current unix time in seconds
+ */
+export function createNotifier({
+  store,
+  channels,
+  retry = {},
+  sendMail = null,
+  plugins = CHANNEL_PLUGINS,
+  post = postJson,
+  sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+  now: clock = () => Math.floor(Date.now() / 1000),
+}) {
+  const { attempts = 4, baseMs = 2000, maxMs = 60_000 } = retry;
+  const io = { post, sendMail };
+
+  // one delivery with its retries; @return the stored outcome
+  async function deliver(channel, msg) {
+    const createdAt = clock();
+    let error = null;
+    let attempt = 0;
+
+    while (attempt < attempts) {
+      attempt++;
+      try {
+        await plugins[channel.type].send(channel, msg, io);
+        error = null;
+        break;
+      } catch (err) {
+        error = err?.message || String(err);
+        if (err?.retryable === false || attempt >= attempts) break;
+        await sleep(Math.min(maxMs, Math.max(baseMs * 2 ** (attempt - 1), err?.retryAfterMs || 0)));
+      }
+    }
+
+    const status = error ? "failed" : "delivered";
+    if (error) console.error(`❌ Notification to ${channel.name} failed after ${attempt} attempt(s):`, msg.subject, "-", error);
+    else console.log(`📣 Notification sent to ${channel.name}:`, msg.subject);
+
+    return store.addNotificationDelivery({
+      id: msg.deliveryId,
+      channel: channel.name,
+      event: msg.event,
+      proposalId: msg.proposalId,
+      subject: msg.subject,
+      status,
+      attempts: attempt,
+      error,
+      createdAt,
+      finishedAt: clock(),
+    });
+  }
+
+  function messageFor(channel, event, message) {
+    const view = channel.audience === "guardian" && message.guardian ? message.guardian : message;
+    return {
+      deliveryId: crypto.randomUUID(),
+      event,
+      subject: view.subject,
+      text: view.text,
+      proposalId: message.proposalId ?? null,
+      link: message.link ?? null,
+      timestamp: clock(),
+    };
+  }
+
+  return {
+    /**
+     * Sends `message` to every channel subscribed to `event`.
+     * @param message { subject, text, audience?: "owners"|"guardian", guardian?: { subject, text },
+     *                  proposalId?, link? }
+     * @return the delivery outcomes, once all retries are done
+     */
+    async notify(event, message) {
+      const targets = channels.filter(
+        (c) => subscribed(c, event) && (!message.audience || message.audience === c.audience)
+      );
+      return Promise.all(
+        targets.map((c) =>
+          deliver(c, messageFor(c, event, message)).catch((err) => {
+            console.error(`❌ Notification to ${c.name}:`, err?.message || err);
+            return null;
+          })
+        )
+      );
+    },
+
+    /** Sends a "test" message to channel `name` whatever it subscribes to; @return the outcome. */
+    async test(name) {
+      const channel = channels.find((c) => c.name === name);
+      if (!channel) return null;
+      return deliver(
+        channel,
+        messageFor(channel, "test", {
+          subject: "🔔 Test notification",
+          text: `This channel (${channel.name}, ${channel.type}) receives DelayedExecutionMultiSig notifications for: ${channel.events.join(", ")}.`,
+        })
+      );
+    },
+
+    /** Channel settings without URLs, tokens or recipients. */
+    channels() {
+      return channels.map(({ name, type, audience, events }) => ({ name, type, audience, events }));
+    },
+  };
+}
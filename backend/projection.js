@@ -0,0 +1,118 @@
+// PROJECTION — DelayedExecutionMultiSig
+/**
+ * @title Proposal projection
+ * @notice Proposals and approvals are derived from the store's event log: each confirmed
+ * event is applied in order, so a chain reorg only has to trim the log and replay it.
+ * @dev
+ * - `apply(ev)` has no side effects beyond the store (no notifications, no chain reads).
+ * - `rollback(forkBlock)` trims the events above the fork block and rebuilds the
+ *   projection from the rest in one transaction; proposals created only on the orphaned
+ *   branch are forgotten with everything derived from them (risk, simulations, ...).
+ */
+
+export function createProjection({ store }) {
+  /** Applies one confirmed event to the projection (no side effects). */
+  function apply(ev) {
+    const { id } = ev.args;
+
+    switch (ev.name) {
+      case "ProposalCreated":
+        return store.upsertProposal(id, {
+          proposer: ev.args.proposer,
+          kind: "tx",
+          govKind: null,
+          to: ev.args.to,
+          value: ev.args.value,
+          eta: Number(ev.args.eta),
+          executed: false,
+          cancelled: false,
+          createdAt: ev.timestamp,
+          createdBlock: ev.blockNumber,
+          createdTx: ev.txHash,
+          lastEvent: "created",
+        });
+
+      case "GovernanceProposalCreated":
+        return store.upsertProposal(id, {
+          proposer: ev.args.proposer,
+          kind: "gov",
+          govKind: Number(ev.args.kind),
+          to: null,
+          value: "0",
+          eta: Number(ev.args.eta),
+          executed: false,
+          cancelled: false,
+          createdAt: ev.timestamp,
+          createdBlock: ev.blockNumber,
+          createdTx: ev.txHash,
+          lastEvent: "created",
+        });
+
+      case "BatchProposalCreated":
+        return store.upsertProposal(id, {
+          proposer: ev.args.proposer,
+          kind: "batch",
+          govKind: null,
+          to: null,
+          value: ev.args.totalValue,
+          eta: Number(ev.args.eta),
+          executed: false,
+          cancelled: false,
+          createdAt: ev.timestamp,
+          createdBlock: ev.blockNumber,
+          createdTx: ev.txHash,
+          lastEvent: "created",
+        });
+
+      case "ProposalApproved":
+        store.addApproval({
+          proposalId: id,
+          signer: ev.args.signer,
+          approvedAt: ev.timestamp,
+          txHash: ev.txHash,
+          blockNumber: ev.blockNumber,
+        });
+        return store.upsertProposal(id, { lastEvent: "approved" });
+
+      case "ProposalRevoked":
+        store.removeApproval(id, ev.args.signer);
+        return store.upsertProposal(id, { lastEvent: "revoked" });
+
+      case "ProposalCancelled":
+        return store.upsertProposal(id, { cancelled: true, lastEvent: "cancelled" });
+
+      case "ProposalExecuted":
+        return store.upsertProposal(id, {
+          executed: true,
+          executionSuccess: Boolean(ev.args.success),
+          lastEvent: "executed",
+        });
+
+      default:
+        return null;
+    }
+  }
+
+  return {
+    apply,
+
+    /**
+     * Drops everything above `forkBlock` and replays what is left.
+     * @return { dropped: number of events removed, forgotten: ids of proposals that no longer exist }
+     */
+    rollback(forkBlock) {
+      const before = store.proposalIds();
+
+      const dropped = store.transaction(() => {
+        const n = store.deleteEventsAfter(forkBlock);
+        store.clearProjection();
+        for (const ev of store.allEvents()) apply(ev);
+        return n;
+      });
+
+      const forgotten = before.filter((id) => !store.getProposal(id));
+      for (const id of forgotten) store.forgetProposal(id);
+      return { dropped, forgotten };
+    },
+  };
+}
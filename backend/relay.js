@@ -0,0 +1,74 @@
+// RELAY — DelayedExecutionMultiSig
+/**
+ * @title Signed Transaction Relay
+ * @notice Broadcasts a transaction a user signed offline (e.g. one a watch-only backend
+ * returned unsigned) and reports how it ended.
+ * @dev
+ * - Only transactions to the multisig, on this chain, that call one of its functions are
+ *   relayed; the signer pays the gas and the contract checks who may call what.
+ * - The receipt is awaited with provider.waitForTransaction: a transaction that reverted
+ *   is still mined, so it is reported ({ ok: false, txHash, status: 0 }) instead of
+ *   thrown, as ethers' TransactionResponse.wait() would (CALL_EXCEPTION).
+ */
+
+import { ethers } from "ethers";
+
+function relayError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * @param proposalCreated receipt -> { id, eta } of a propose* call (nulls for other calls)
+ */
+export function createRelay({ provider, contract, contractAddress, proposalCreated }) {
+  return {
+    /**
+     * Broadcasts `signedTx` (serialized, signed) and waits until it is mined.
+     * @return { ok, txHash, status, blockNumber, from, function, id?, eta? }
+     * @throws err.status = 400 when the transaction is not one to relay
+     */
+    async relay(signedTx) {
+      let tx;
+      try {
+        tx = ethers.Transaction.from(signedTx);
+      } catch {
+        throw relayError("signedTx must be a serialized, signed transaction");
+      }
+      if (!tx.signature) throw relayError("signedTx is not signed");
+      if (!tx.to || tx.to.toLowerCase() !== contractAddress.toLowerCase()) {
+        throw relayError("only transactions to the multisig are relayed");
+      }
+
+      const { chainId } = await provider.getNetwork();
+      if (tx.chainId !== chainId) throw relayError(`signedTx is for chainId ${tx.chainId}`);
+
+      let call = null;
+      try {
+        call = contract.interface.parseTransaction({ data: tx.data, value: tx.value });
+      } catch {
+        // unknown selector
+      }
+      if (!call) throw relayError("signedTx does not call a multisig function");
+
+      console.log("📡 Relaying", call.name, "from", tx.from);
+
+      const sent = await provider.broadcastTransaction(tx.serialized);
+      const receipt = await provider.waitForTransaction(sent.hash);
+      const ok = receipt.status === 1;
+      if (!ok) console.warn("⚠️ Relayed", call.name, "reverted:", receipt.hash);
+      const { id, eta } = ok ? proposalCreated(receipt) : {};
+
+      return {
+        ok,
+        txHash: receipt.hash,
+        status: receipt.status,
+        blockNumber: receipt.blockNumber,
+        from: tx.from,
+        function: call.name,
+        ...(id ? { id, eta } : {}),
+      };
+    },
+  };
+}
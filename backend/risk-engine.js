@@ -0,0 +1,532 @@
+// RISK ENGINE — DelayedExecutionMultiSig
+/**
+ * @title Risk engine (policy-driven proposal scoring)
+ * @notice Scores a proposal 0-100 (LOW / MEDIUM / HIGH) with reasons and critical flags,
+ * applying the rules of the active risk policy (see risk-policy.js).
+ * @dev
+ * - Independent of Express and of ethers contracts: on-chain reads go through the injected
+ *   `chain` object and the current time through `now`, so scenarios can be replayed in tests
+ *   (see test/RiskEngine.spec.cjs).
+ * - Off-chain history (proposal times, approval times, seen recipients) comes from the store;
+ *   results are saved there with the policy version and hash that produced them.
+ * - Behavioral baselines (what is usual for the proposer and the wallet) are built from the
+ *   same history, see baselines.js.
+ * - Address book entries (labels, categories) come from the injected `addressBook`.
+ *
+ * `chain` (all async):
+ *   proposal(id)          { proposer, kind (0 tx, 1 gov, 2 batch), to, value, data, eta, approvals }
+ *   batchCalls(id)        [{ to, value, data }]
+ *   roles()               { owners, guardian, threshold }
+ *   balance()             ETH balance of the wallet (bigint)
+ *   txCount(address)      nonce of an address
+ *   token(address)        { address, symbol, decimals } of an ERC-20, or null
+ *   tokenBalance(address) the wallet's balance of that token (bigint)
+ *   simulation(id)        optional: latest simulation of the proposal (see simulator.js), or null
+ */
+
+import { ethers } from "ethers";
+import { fillReason, RULE_CATEGORIES } from "./risk-policy.js";
+import { createBaselines } from "./baselines.js";
+
+function clamp(n, a, b) {
+  return Math.max(a, Math.min(b, n));
+}
+function add(reasons, text) {
+  reasons.push(text);
+}
+function getHourInTZ(tsSec, timeZone) {
+  const d = new Date(tsSec * 1000);
+  const hStr = d.toLocaleString("en-GB", {
+    timeZone,
+    hour: "2-digit",
+    hour12: false,
+  });
+  return Number(hStr);
+}
+
+/**
+ * Points, reasons and critical flags collected while applying policy rules.
+ * `hit` adds a matched rule (or tier): points per its category's combine mode.
+ */
+function createTally(policy) {
+  const pts = Object.fromEntries(RULE_CATEGORIES.map((c) => [c, 0]));
+  const tally = {
+    pts,
+    reasons: [],
+    criticalFlags: [],
+    critical: false,
+    hit(category, entry, vars) {
+      if (entry.reason) add(tally.reasons, fillReason(entry.reason, vars));
+      if (entry.critical) {
+        tally.critical = true;
+        tally.criticalFlags.push(entry.critical);
+      }
+      pts[category] = combinePts(policy, category, pts[category], entry.pts);
+    },
+    capped() {
+      return Object.fromEntries(RULE_CATEGORIES.map((c) => [c, clamp(pts[c], 0, policy.categories[c].cap)]));
+    },
+  };
+  return tally;
+}
+
+function combinePts(policy, category, a, b) {
+  return policy.categories[category].combine === "max" ? Math.max(a, b) : a + b;
+}
+
+const MAX_UINT256 = (1n << 256n) - 1n;
+
+// decoded-argument checks: position of the counterparty / amount per signature
+// (positions, not names, so uploaded ABIs with other parameter names still match)
+// `amount` marks ERC-20 value moved out of the wallet (scored against its token balance)
+export const DECODED_ARG_RULES = {
+  "transfer(address,uint256)": { recipient: 0, amount: 1 },
+  "transferFrom(address,address,uint256)": { from: 0, recipient: 1, amount: 2 },
+  "safeTransferFrom(address,address,uint256)": { recipient: 1 },
+  "safeTransferFrom(address,address,uint256,bytes)": { recipient: 1 },
+  "safeTransferFrom(address,address,uint256,uint256,bytes)": { recipient: 1 },
+  "approve(address,uint256)": { spender: 0, allowance: 1 },
+  "increaseAllowance(address,uint256)": { spender: 0, allowance: 1 },
+  "setApprovalForAll(address,bool)": { spender: 0, flag: 1 },
+};
+
+// ERC-20 amount moved out of the multisig by a decoded call, or null
+export function decodedTokenAmount(decoded, walletAddress) {
+  const rule = decoded?.args ? DECODED_ARG_RULES[decoded.signature] : null;
+  if (rule?.amount === undefined) return null;
+  if (rule.from !== undefined && String(decoded.args[rule.from].value).toLowerCase() !== walletAddress.toLowerCase()) {
+    return null;
+  }
+  return BigInt(decoded.args[rule.amount].value);
+}
+
+/**
+ * @param addressBook optional { get(address) } of labelled addresses (see address-book.js)
+ * @param policy      returns the active (validated) policy, e.g. () => riskPolicy.current()
+ * @param timezone    time zone of time-of-day rules unless the policy sets one
+ * @param now         current unix time in seconds
+ */
+export function createRiskEngine({
+  store,
+  abiRegistry,
+  addressBook = null,
+  chain,
+  policy: getPolicy,
+  walletAddress,
+  timezone = "UTC",
+  now: clock = () => Math.floor(Date.now() / 1000),
+}) {
+  const baselines = createBaselines({ store });
+
+  // ETH value rules: absolute tiers and share of the wallet balance
+  async function scoreEthAmount(valueWei, tally, policy) {
+    const rules = policy.of("amount", { asset: "eth" });
+
+    let bal = null;
+    try {
+      bal = await chain.balance();
+    } catch {
+      // balance-relative rules are skipped
+    }
+    const pct = bal > 0n ? Number((valueWei * 10000n) / bal) / 100 : null;
+
+    for (const rule of rules) {
+      const tier =
+        rule.basis === "absolute"
+          ? rule.tiers.find((t) => valueWei >= t.min)
+          : pct !== null && rule.tiers.find((t) => pct >= t.min);
+      if (tier) tally.hit(rule.category, tier, { pct });
+    }
+
+    return { valueWei: valueWei.toString(), balanceWei: bal === null ? null : bal.toString(), pct };
+  }
+
+  async function txCountOf(address) {
+    try {
+      return await chain.txCount(address);
+    } catch {
+      return null;
+    }
+  }
+
+  // recipient rules of one subject ("to", "tokenRecipient", "spender"); true if a `stop` rule matched
+  async function scoreRecipient(subject, address, display, tally, ctx) {
+    const entry = addressBook?.get(address) || null;
+
+    for (const rule of ctx.policy.of("recipient", { subject })) {
+      let match = false;
+      if (rule.match === "list") {
+        match = ctx.policy.lists[rule.list].includes(address);
+      } else if (rule.match === "addressBook") {
+        match = Boolean(entry) && rule.categories.includes(entry.category);
+      } else if (rule.match === "notOwnerOrGuardian") {
+        match = !ctx.owners.includes(address) && address !== ctx.guardian;
+      } else if (rule.match === "neverUsed") {
+        const firstSeenBy = address ? store.recipientFirstSeenBy(address) : null;
+        match = Boolean(address) && (!firstSeenBy || firstSeenBy === ctx.id);
+      } else if (rule.match === "noTransactions") {
+        match = (await ctx.txCount(address)) === 0;
+      }
+
+      if (!match) continue;
+      tally.hit(rule.category, rule, { address: display, label: entry?.label, category: entry?.category });
+      if (rule.stop) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Scores one call (the whole tx proposal, or one call of a batch).
+   * @return { pts (capped, per category), critical, criticalFlags, reasons, signals, seen }
+   */
+  async function scoreCall(call, ctx) {
+    const { policy } = ctx;
+    const tally = createTally(policy);
+    const signals = {};
+
+    const txCounts = new Map();
+    const callCtx = {
+      ...ctx,
+      async txCount(address) {
+        if (!txCounts.has(address)) txCounts.set(address, await txCountOf(address));
+        return txCounts.get(address);
+      },
+    };
+
+    // AMOUNT: ETH value, and ERC-20 value relative to the wallet's balance of that token
+    signals.amount = await scoreEthAmount(BigInt(call.value || "0"), tally, policy);
+
+    const dataHex = (call.data || "0x").toString();
+    const decoded = abiRegistry.decode(call.to, dataHex);
+    const tokenAmount = decodedTokenAmount(decoded, walletAddress);
+
+    if (tokenAmount !== null) {
+      const token = await chain.token(call.to);
+      if (token) {
+        try {
+          const bal = await chain.tokenBalance(token.address);
+          const tokenPct = bal > 0n ? Number((tokenAmount * 10000n) / bal) / 100 : null;
+          const vars = { pct: tokenPct, symbol: token.symbol };
+
+          for (const rule of policy.of("amount", { asset: "token" })) {
+            if (rule.basis === "exceedsBalance") {
+              if (tokenAmount > bal) tally.hit(rule.category, rule, vars);
+            } else if (tokenPct !== null) {
+              const tier = rule.tiers.find((t) => tokenPct >= t.min);
+              if (tier) tally.hit(rule.category, tier, vars);
+            }
+          }
+
+          signals.tokenAmount = {
+            token: token.address,
+            symbol: token.symbol,
+            amount: tokenAmount.toString(),
+            formatted: ethers.formatUnits(tokenAmount, token.decimals),
+            balance: bal.toString(),
+            pct: tokenPct,
+          };
+        } catch {
+          signals.tokenAmount = { token: token.address, symbol: token.symbol, amount: tokenAmount.toString(), balance: null, pct: null };
+        }
+      }
+    }
+
+    // RECIPIENT: lists first (a blacklisted address skips the softer checks)
+    const to = (call.to || "").toLowerCase();
+    const stopped = await scoreRecipient("to", to, call.to, tally, callCtx);
+    if (!stopped) {
+      signals.recipient = { to, isOwner: ctx.owners.includes(to), isGuardian: to === ctx.guardian, txCount: await callCtx.txCount(to) };
+    }
+
+    // FUNCTION: selector, decoded arguments (approve amount, transfer recipient, ...)
+    let tokenRecipient = null;
+
+    if (dataHex && dataHex !== "0x" && dataHex.length >= 10) {
+      const sel = dataHex.slice(0, 10).toLowerCase();
+      const selectorRule =
+        policy.of("selector", { selector: sel })[0] || policy.of("selector", { selector: decoded?.name ? "known" : "unknown" })[0];
+      if (selectorRule) {
+        tally.hit(selectorRule.category, selectorRule, {
+          selector: sel,
+          signature: decoded?.signature,
+          source: decoded?.source === "abi" ? "uploaded ABI" : "known signature",
+        });
+      }
+
+      const rule = decoded?.args ? DECODED_ARG_RULES[decoded.signature] : null;
+      const arg = (i) => decoded.args[i]?.value;
+      const spender = rule?.spender !== undefined ? arg(rule.spender) : undefined;
+
+      for (const approval of policy.of("approval")) {
+        const match =
+          approval.match === "unlimited"
+            ? rule?.allowance !== undefined && BigInt(arg(rule.allowance)) === MAX_UINT256
+            : rule?.flag !== undefined && arg(rule.flag) === true;
+        if (match) tally.hit(approval.category, approval, { spender });
+      }
+
+      if (spender !== undefined) await scoreRecipient("spender", String(spender).toLowerCase(), spender, tally, callCtx);
+
+      if (rule?.recipient !== undefined) {
+        tokenRecipient = String(arg(rule.recipient)).toLowerCase();
+        await scoreRecipient("tokenRecipient", tokenRecipient, arg(rule.recipient), tally, callCtx);
+      }
+
+      signals.function = {
+        selector: sel,
+        dataLen: dataHex.length,
+        decoded: decoded?.name ? { name: decoded.name, signature: decoded.signature, source: decoded.source } : null,
+        tokenRecipient,
+      };
+    } else {
+      signals.function = { selector: null, dataLen: dataHex?.length || 0, decoded: null, tokenRecipient };
+    }
+
+    return {
+      pts: tally.capped(),
+      critical: tally.critical,
+      criticalFlags: tally.criticalFlags,
+      reasons: tally.reasons,
+      signals,
+      seen: [to, tokenRecipient].filter(Boolean),
+    };
+  }
+
+  return {
+    /**
+     * Scores proposal `id` with the current policy and saves the result.
+     * @return { id, score, level, reasons, signals, computedAt, policyVersion, policyHash }
+     */
+    async computeRisk(id) {
+      const policy = getPolicy();
+      const p = await chain.proposal(id);
+
+      const roles = await chain.roles();
+      const threshold = Number(roles.threshold);
+      const owners = roles.owners.map((o) => o.toLowerCase());
+      const guardian = roles.guardian.toLowerCase();
+
+      const now = clock();
+      const tally = createTally(policy);
+      const signals = {};
+
+      const proposer = (p.proposer || "").toLowerCase();
+      const kind = Number(p.kind); // 0 tx, 1 gov, 2 batch
+
+      // creation time comes from the indexed block; fall back to now for not-yet-indexed ids
+      const createdAt = Number(store.getProposal(id)?.createdAt || now);
+      const longestWindow = Math.max(0, ...policy.of("velocity").map((r) => r.windowSec));
+      const proposalTimes = store.proposerProposalTimes(proposer, now - longestWindow);
+      if (!proposalTimes.includes(createdAt)) proposalTimes.push(createdAt);
+
+      const tz = policy.timezone || timezone;
+      const baseline = baselines.build({ proposer, createdAt, lookbackSec: policy.lookbackSec, timezone: tz });
+
+      // ---------------------------
+      // TIME: time of day, ETA proximity
+      // ---------------------------
+      const hour = getHourInTZ(createdAt, tz);
+      for (const rule of policy.of("timeOfDay")) {
+        const inWindow =
+          rule.fromHour <= rule.toHour
+            ? hour >= rule.fromHour && hour < rule.toHour
+            : hour >= rule.fromHour || hour < rule.toHour;
+        if (inWindow) tally.hit(rule.category, rule);
+      }
+
+      const timeToEta = Number(p.eta) > 0 ? Number(p.eta) - now : null;
+      if (timeToEta > 0) {
+        for (const rule of policy.of("etaWithin")) {
+          const tier = rule.tiers.find((t) => timeToEta <= t.max);
+          if (tier) tally.hit(rule.category, tier);
+        }
+      }
+
+      signals.time = { hour, tz, timeToEta };
+
+      // ---------------------------
+      // BEHAVIOR: proposer velocity, approval speed, threshold
+      // (fixed cutoffs with `untilSamples` give way once the matching baseline is built)
+      // ---------------------------
+      const velocity = policy.of("velocity").map((rule) => {
+        const count = proposalTimes.filter((t) => t >= now - rule.windowSec).length;
+        const replaced = rule.untilSamples !== undefined && baseline.proposer.interval.n >= rule.untilSamples;
+        const tier = !replaced && rule.tiers.find((t) => count >= t.min);
+        if (tier) tally.hit(rule.category, tier);
+        return { rule: rule.id, windowSec: rule.windowSec, proposals: count, ...(replaced && { replacedByBaseline: true }) };
+      });
+
+      const appr = store.approvalTimes(id).slice(-20);
+      const span = appr.length >= 2 ? appr[appr.length - 1] - appr[0] : null;
+      for (const rule of policy.of("approvalSpeed")) {
+        if (rule.untilSamples !== undefined && baseline.wallet.approvalLatency.n >= rule.untilSamples) continue;
+        if (appr.length >= rule.minApprovals && span <= rule.withinSec) tally.hit(rule.category, rule);
+      }
+      signals.behavior = { velocity, approvalsFastSpanSec: span };
+
+      // ---------------------------
+      // BASELINES: z-scores against the proposer's / wallet's history
+      // ---------------------------
+      const latencies = store
+        .getApprovals(id)
+        .filter((a) => a.signer.toLowerCase() !== proposer && a.approvedAt !== null)
+        .map((a) => a.approvedAt - createdAt);
+      const observed = {
+        value: kind === 1 ? "0" : p.value,
+        recipient: kind === 0 ? p.to : null,
+        createdAt,
+        latency: latencies.length ? Math.max(0, Math.min(...latencies)) : null,
+      };
+
+      signals.baseline = policy.of("baseline").map((rule) => {
+        const cmp = baselines.compare(rule.metric, baseline[rule.scope], observed, { minSamples: rule.minSamples, timezone: tz });
+        if (rule.metric === "recipient") {
+          if (cmp.novel) tally.hit(rule.category, rule, cmp);
+        } else if (cmp.z !== null) {
+          const tier = rule.tiers.find((t) => cmp.z >= t.z);
+          if (tier) tally.hit(rule.category, tier, cmp);
+        }
+        return { rule: rule.id, metric: rule.metric, scope: rule.scope, ...cmp };
+      });
+
+      // Threshold reached is informative but should not spike score alone
+      if (Number(p.approvals) >= threshold) {
+        for (const rule of policy.of("thresholdReached")) tally.hit(rule.category, rule);
+      }
+
+      const policyInfo = { policyVersion: policy.version, policyHash: policy.hash };
+
+      // ---------------------------
+      // GOVERNANCE BRANCH (high by nature: base + action, time/behavior scaled in)
+      // ---------------------------
+      if (kind === 1) {
+        const gov = policy.governance;
+        const { time: timePts, behavior: behaviorPts } = tally.capped();
+        let score = gov.base;
+        add(tally.reasons, gov.reason);
+
+        const dataHex = (p.data || "0x").toString();
+        let govKind = null;
+        if (dataHex.length >= 4) govKind = parseInt(dataHex.slice(2, 4), 16);
+
+        const g = gov.kinds[govKind];
+        score += g ? g.add : gov.unknown.add;
+        add(tally.reasons, g ? fillReason(gov.kindReason, { label: g.label }) : gov.unknown.reason);
+        if (gov.critical && g?.critical !== false) tally.criticalFlags.push(g ? `gov:${g.label}` : "gov:unknown");
+
+        score += Math.round((timePts / policy.categories.time.cap) * gov.timeWeight);
+        score += Math.round((behaviorPts / policy.categories.behavior.cap) * gov.behaviorWeight);
+
+        score = clamp(score, 0, 100);
+
+        const out = {
+          id,
+          score,
+          level: policy.level(score),
+          reasons: tally.reasons,
+          signals: { ...signals, govKind, criticalFlags: tally.criticalFlags },
+          computedAt: now,
+          ...policyInfo,
+        };
+
+        store.saveRisk(out);
+        return out;
+      }
+
+      // ---------------------------
+      // TX SUBSCORES (transaction, or every call of a batch)
+      // ---------------------------
+      const ctx = { id, owners, guardian, policy };
+      let results;
+
+      if (kind === 2) {
+        const calls = await chain.batchCalls(id);
+        results = [];
+        for (const call of calls) results.push(await scoreCall(call, ctx));
+
+        // the whole batch moves the summed ETH value
+        signals.amount = await scoreEthAmount(BigInt(p.value || "0"), tally, policy);
+
+        for (const rule of policy.of("batch")) tally.hit(rule.category, rule, { calls: calls.length });
+        results.forEach((r, i) => {
+          for (const reason of r.reasons) add(tally.reasons, `Call #${i + 1}: ${reason}`);
+          for (const flag of r.criticalFlags) if (!tally.criticalFlags.includes(flag)) tally.criticalFlags.push(flag);
+          tally.critical = tally.critical || r.critical;
+        });
+
+        signals.batch = { calls: calls.length, totalValueWei: String(p.value || "0") };
+        signals.calls = results.map((r) => r.signals);
+      } else {
+        const r = await scoreCall({ to: p.to, value: p.value, data: p.data }, ctx);
+        results = [r];
+        tally.reasons.push(...r.reasons);
+        tally.criticalFlags.push(...r.criticalFlags);
+        tally.critical = tally.critical || r.critical;
+        Object.assign(signals, r.signals);
+      }
+
+      // Mark recipients as seen AFTER scoring (first proposal keeps the "never used" signal)
+      for (const addr of results.flatMap((r) => r.seen)) store.markRecipientSeen(addr, id, now);
+
+      // ---------------------------
+      // SIMULATION: what the call does at the current state (see simulator.js)
+      // ---------------------------
+      let sim = null;
+      try {
+        sim = (await chain.simulation?.(id)) ?? null;
+      } catch {
+        // simulation rules are skipped
+      }
+      if (sim) {
+        for (const rule of policy.of("simulation", { status: sim.status })) {
+          tally.hit(rule.category, rule, { revertReason: sim.revertReason, error: sim.error });
+        }
+      }
+      signals.simulation = sim
+        ? { status: sim.status, revertReason: sim.revertReason, gasEstimate: sim.gasEstimate ?? null, simulatedAt: sim.simulatedAt }
+        : null;
+
+      // ---------------------------
+      // FINAL COMBINE (scaled, not raw sum)
+      // ---------------------------
+      // each subscore is as risky as the riskiest call, combined with the proposal-wide
+      // rules (time, behavior, batch) and capped per category; RAW_MAX = sum of the caps
+      const points = {};
+      for (const c of RULE_CATEGORIES) {
+        const riskiestCall = Math.max(0, ...results.map((r) => r.pts[c]));
+        points[c] = clamp(combinePts(policy, c, tally.pts[c], riskiestCall), 0, policy.categories[c].cap);
+      }
+      const raw = RULE_CATEGORIES.reduce((sum, c) => sum + points[c], 0);
+      let score = Math.round((raw / policy.rawMax) * 100);
+
+      // If critical flag exists, prevent “critical but low”
+      if (tally.critical && score < policy.criticalFloor) score = policy.criticalFloor;
+
+      score = clamp(score, 0, 100);
+
+      signals.points = {
+        amountPts: points.amount,
+        recipientPts: points.recipient,
+        functionPts: points.function,
+        behaviorPts: points.behavior,
+        timePts: points.time,
+        raw,
+        RAW_MAX: policy.rawMax,
+      };
+      signals.criticalFlags = tally.criticalFlags;
+
+      const out = {
+        id,
+        score,
+        level: policy.level(score),
+        reasons: tally.reasons,
+        signals,
+        computedAt: now,
+        ...policyInfo,
+      };
+
+      store.saveRisk(out);
+      return out;
+    },
+  };
+}
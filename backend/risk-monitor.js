@@ -0,0 +1,93 @@
+// RISK MONITOR — DelayedExecutionMultiSig
+/**
+ * @title Risk re-evaluation and history
+ * @notice Keeps every open proposal's risk current and remembers how it changed: time-driven
+ * signals (ETA getting closer, hour of day) and chain state (wallet balance, recipient
+ * activity) move without any contract event, so open proposals are rescored on a schedule
+ * as well as on events, and each result lands in the store's risk history.
+ * @dev
+ * - `record(risk, cause)` is called with every fresh result (events, policy / address book
+ *   changes, the schedule). A result identical to the previous snapshot (same score, level,
+ *   points, reasons and flags) is not stored again, so the history shows changes, not ticks.
+ * - Escalation: a result whose level is above every level the proposal had before
+ *   (LOW < MEDIUM < HIGH) calls `onEscalation` once; falling back and rising to the same
+ *   level again does not alert twice. The first result of a proposal is not an escalation
+ *   (the "created" email already carries it).
+ * - The schedule never overlaps itself: a sweep still running skips the next tick.
+ */
+
+export const RISK_LEVELS = ["LOW", "MEDIUM", "HIGH"];
+
+const rank = (level) => RISK_LEVELS.indexOf(level);
+
+// what a snapshot is compared on to decide whether anything changed
+function fingerprint(s) {
+  return JSON.stringify([s.score, s.level, s.points ?? null, s.reasons, s.criticalFlags]);
+}
+
+/**
+ * @param rescore       async (id, cause) => risk: scores a proposal (and calls record())
+ * @param openIds       async () => ids of the proposals that can still be executed
+ * @param intervalMs    schedule period; 0 disables it
+ * @param onEscalation  ({ risk, snapshot, previous }) on a new highest level
+ */
+export function createRiskMonitor({ store, rescore, openIds, intervalMs, onEscalation = () => {} }) {
+  let timer = null;
+  let sweeping = false;
+
+  return {
+    /**
+     * Stores a snapshot of a fresh result (unless nothing changed) and checks for escalation.
+     * @return the new snapshot, or null when it was identical to the previous one
+     */
+    record(risk, cause) {
+      const previous = store.lastRiskSnapshot(risk.id);
+      const candidate = {
+        score: risk.score,
+        level: risk.level,
+        points: risk.signals?.points ?? null,
+        reasons: risk.reasons,
+        criticalFlags: risk.signals?.criticalFlags || [],
+      };
+      if (previous && fingerprint(previous) === fingerprint(candidate)) return null;
+
+      const peak = store.peakRiskLevel(risk.id);
+      const snapshot = store.addRiskSnapshot(risk, cause);
+      if (peak && rank(risk.level) > rank(peak)) onEscalation({ risk, snapshot, previous: { ...previous, peak } });
+      return snapshot;
+    },
+
+    /**
+     * Rescores every open proposal once.
+     * @return number of proposals rescored, or null when a sweep was already running
+     */
+    async sweep() {
+      if (sweeping) return null;
+      sweeping = true;
+      try {
+        let count = 0;
+        for (const id of await openIds()) {
+          try {
+            await rescore(id, "schedule");
+            count++;
+          } catch (err) {
+            console.error("❌ Risk rescore failed:", id, err?.message || err);
+          }
+        }
+        return count;
+      } finally {
+        sweeping = false;
+      }
+    },
+
+    start() {
+      if (!intervalMs || timer) return;
+      timer = setInterval(() => this.sweep().catch((err) => console.error("❌ Risk schedule:", err?.message || err)), intervalMs);
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+  };
+}
@@ -0,0 +1,400 @@
+// RISK POLICY — DelayedExecutionMultiSig
+/**
+ * @title Risk policy (versioned, validated, hot-reloaded)
+ * @notice Every weight the risk engine uses comes from a JSON policy file
+ * (backend/risk-policy.json unless RISK_POLICY_FILE is set): value tiers, recipient
+ * lists, selectors, time-of-day windows, velocity, governance kinds, category caps,
+ * the critical floor and the level bounds.
+ * @dev
+ * - The file is validated when the backend starts (an invalid policy is a startup error)
+ *   and whenever it changes on disk; an invalid edit is logged and the previous policy
+ *   stays active.
+ * - Each loaded policy carries its `version` (from the file) and the SHA-256 of the file,
+ *   both recorded in every risk result, so a score can be traced to the exact rules.
+ * - Rules are evaluated in file order within their section (see risk-engine.js).
+ *
+ * Rule types (common fields: id, type, pts, reason, critical = flag name, category):
+ *   amount            asset "eth" | "token"; basis "absolute" (tiers by ETH `min`),
+ *                     "balancePct" (tiers by % of the wallet balance) or "exceedsBalance"
+ *   recipient         subject "to" | "tokenRecipient" | "spender"; match "list" (+ list),
+ *                     "addressBook" (+ categories, see address-book.js), "notOwnerOrGuardian",
+ *                     "neverUsed" or "noTransactions"; stop = skip the subject's remaining
+ *                     rules once matched (an allowlist is a stop rule with few or no pts)
+ *   selector          selector "0x12345678", "known" (decoded, no explicit rule) or "unknown"
+ *   approval          match "unlimited" | "forAll"
+ *   timeOfDay         fromHour (inclusive) .. toHour (exclusive), wraps past midnight
+ *   etaWithin         tiers by seconds left to the ETA (`max`)
+ *   velocity          tiers by proposals of the same proposer within windowSec (`min`)
+ *   approvalSpeed     minApprovals collected within withinSec
+ *                     (both take untilSamples: apply only while the proposer's "interval",
+ *                     resp. the wallet's "approvalLatency" baseline has fewer samples)
+ *   baseline          metric "value" | "recipient" | "hour" | "interval" | "approvalLatency"
+ *                     compared with the "proposer" or "wallet" scope (see baselines.js)
+ *                     once it has minSamples (default 5); tiers by z-score (`z`), or
+ *                     pts for "recipient" (destination new to the scope)
+ *   thresholdReached  approvals >= threshold
+ *   simulation        status "reverted" | "error" of the proposal's latest simulation
+ *                     (see simulator.js); not applied to governance proposals
+ *   batch             added to the function subscore of every batch
+ *   governance        base + kinds[kind].add (or unknown.add) + time/behavior scaled to
+ *                     timeWeight/behaviorWeight; critical = flag "gov:<label>"
+ * Reasons may use {placeholders} filled in by the engine (e.g. {pct}, {symbol}, {selector},
+ * {label} and {category} of an address book entry, {z}, {observed}, {typical} and
+ * {samples} of a baseline, {revertReason} and {error} of a simulation).
+ * Top level `baseline.lookbackDays` (default 180) bounds the history baselines are built from.
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import { ethers } from "ethers";
+import { ADDRESS_CATEGORIES } from "./address-book.js";
+import { BASELINE_METRICS, BASELINE_SCOPES } from "./baselines.js";
+
+export const RULE_CATEGORIES = ["amount", "recipient", "function", "behavior", "time"];
+
+const RULE_TYPES = {
+  amount: "amount",
+  recipient: null, // "recipient" for subject "to", "function" otherwise
+  selector: "function",
+  approval: "function",
+  timeOfDay: "time",
+  etaWithin: "time",
+  velocity: "behavior",
+  approvalSpeed: "behavior",
+  thresholdReached: "behavior",
+  batch: "function",
+  simulation: "function",
+  baseline: null, // per metric, see BASELINE_CATEGORIES
+  governance: null,
+};
+
+const BASELINE_CATEGORIES = {
+  value: "amount",
+  recipient: "recipient",
+  hour: "time",
+  interval: "behavior",
+  approvalLatency: "behavior",
+};
+
+const DEFAULT_LOOKBACK_DAYS = 180;
+
+const RECIPIENT_SUBJECTS = ["to", "tokenRecipient", "spender"];
+const RECIPIENT_MATCHES = ["list", "addressBook", "notOwnerOrGuardian", "neverUsed", "noTransactions"];
+const AMOUNT_BASES = ["absolute", "balancePct", "exceedsBalance"];
+const SIMULATION_MATCHES = ["reverted", "error"];
+
+const POLL_MS = 2000;
+
+function isNumber(n, min = 0) {
+  return typeof n === "number" && Number.isFinite(n) && n >= min;
+}
+
+/** Replaces {name} placeholders in a reason with values from `vars`. */
+export function fillReason(text, vars = {}) {
+  return String(text).replace(/\{(\w+)\}/g, (m, name) => (vars[name] === undefined ? m : String(vars[name])));
+}
+
+/**
+ * Checks a parsed policy and returns it normalized (addresses lowercased, ETH tiers in
+ * wei, tiers sorted so the first match is the most severe), or throws listing every problem.
+ */
+export function validatePolicy(raw, { extraLists = {} } = {}) {
+  const errors = [];
+  const fail = (where, msg) => errors.push(`${where}: ${msg}`);
+
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) throw new Error("risk policy must be a JSON object");
+
+  if (typeof raw.version !== "string" || !raw.version.trim()) fail("version", "must be a non-empty string");
+  if (raw.timezone !== undefined && typeof raw.timezone !== "string") fail("timezone", "must be a string");
+  if (typeof raw.timezone === "string") {
+    try {
+      new Intl.DateTimeFormat("en-GB", { timeZone: raw.timezone });
+    } catch {
+      fail("timezone", `unknown time zone "${raw.timezone}"`);
+    }
+  }
+
+  const levels = raw.levels || {};
+  if (!isNumber(levels.MEDIUM) || !isNumber(levels.HIGH) || levels.MEDIUM > levels.HIGH || levels.HIGH > 100) {
+    fail("levels", "needs MEDIUM <= HIGH <= 100 (lowest score of each level)");
+  }
+  if (!isNumber(raw.criticalFloor) || raw.criticalFloor > 100) fail("criticalFloor", "must be 0..100");
+
+  const categories = {};
+  for (const name of RULE_CATEGORIES) {
+    const c = raw.categories?.[name];
+    if (!c || !isNumber(c.cap) || c.cap === 0) {
+      fail(`categories.${name}`, "needs a positive cap");
+      continue;
+    }
+    const combine = c.combine || "sum";
+    if (!["sum", "max"].includes(combine)) fail(`categories.${name}`, 'combine must be "sum" or "max"');
+    categories[name] = { cap: c.cap, combine };
+  }
+
+  const lists = {};
+  for (const [name, entries] of Object.entries(raw.lists || {})) {
+    if (!Array.isArray(entries)) {
+      fail(`lists.${name}`, "must be an array of addresses");
+      continue;
+    }
+    const bad = entries.filter((a) => !ethers.isAddress(a));
+    if (bad.length) fail(`lists.${name}`, `invalid address ${bad[0]}`);
+    lists[name] = entries.filter((a) => ethers.isAddress(a)).map((a) => a.toLowerCase());
+  }
+  for (const [name, entries] of Object.entries(extraLists)) {
+    const bad = entries.filter((a) => !ethers.isAddress(a));
+    if (bad.length) fail(`lists.${name} (environment)`, `invalid address ${bad[0]}`);
+    lists[name] = [...new Set([...(lists[name] || []), ...entries.map((a) => a.toLowerCase())])];
+  }
+
+  const lookbackDays = raw.baseline?.lookbackDays ?? DEFAULT_LOOKBACK_DAYS;
+  if (!isNumber(lookbackDays, 1)) fail("baseline.lookbackDays", "must be a number >= 1");
+
+  if (!Array.isArray(raw.rules)) fail("rules", "must be an array");
+
+  const ids = new Set();
+  const rules = [];
+  let governance = null;
+
+  (raw.rules || []).forEach((r, i) => {
+    const where = `rules[${i}]${r?.id ? ` (${r.id})` : ""}`;
+    if (!r || typeof r !== "object") return fail(where, "must be an object");
+    if (typeof r.id !== "string" || !r.id) fail(where, "needs an id");
+    else if (ids.has(r.id)) fail(where, "duplicate id");
+    ids.add(r.id);
+
+    if (!(r.type in RULE_TYPES)) return fail(where, `unknown type "${r.type}"`);
+    if (r.category !== undefined && !RULE_CATEGORIES.includes(r.category)) fail(where, `unknown category "${r.category}"`);
+    if (r.critical !== undefined && typeof r.critical !== (r.type === "governance" ? "boolean" : "string")) {
+      fail(where, r.type === "governance" ? "critical must be true or false" : "critical must be a flag name");
+    }
+
+    const rule = { ...r };
+    if (r.type !== "governance" && !r.tiers && !isNumber(r.pts)) fail(where, "pts must be a number >= 0");
+
+    const checkTiers = (key, parse) => {
+      if (!Array.isArray(r.tiers) || !r.tiers.length) return fail(where, "needs a non-empty tiers array");
+      rule.tiers = r.tiers.map((t, j) => {
+        if (!isNumber(t.pts)) fail(`${where}.tiers[${j}]`, "pts must be a number >= 0");
+        if (t.critical !== undefined && typeof t.critical !== "string") fail(`${where}.tiers[${j}]`, "critical must be a flag name");
+        let bound = null;
+        try {
+          bound = parse(t[key]);
+        } catch {
+          fail(`${where}.tiers[${j}]`, `invalid ${key}`);
+        }
+        return { ...t, [key]: bound };
+      });
+    };
+
+    switch (r.type) {
+      case "amount":
+        if (!["eth", "token"].includes(r.asset)) fail(where, 'asset must be "eth" or "token"');
+        if (!AMOUNT_BASES.includes(r.basis)) fail(where, `basis must be one of ${AMOUNT_BASES.join(", ")}`);
+        if (r.basis === "absolute" && r.asset !== "eth") fail(where, "absolute tiers are only defined for eth");
+        if (r.basis === "exceedsBalance" && r.asset !== "token") fail(where, "exceedsBalance is only defined for token");
+        if (r.basis === "absolute") {
+          checkTiers("min", (v) => ethers.parseEther(String(v)));
+          rule.tiers?.sort((a, b) => (b.min > a.min ? 1 : b.min < a.min ? -1 : 0));
+        } else if (r.basis === "balancePct") {
+          checkTiers("min", (v) => {
+            if (!isNumber(v)) throw new Error();
+            return v;
+          });
+          rule.tiers?.sort((a, b) => b.min - a.min);
+        }
+        break;
+
+      case "recipient":
+        if (!RECIPIENT_SUBJECTS.includes(r.subject)) fail(where, `subject must be one of ${RECIPIENT_SUBJECTS.join(", ")}`);
+        if (!RECIPIENT_MATCHES.includes(r.match)) fail(where, `match must be one of ${RECIPIENT_MATCHES.join(", ")}`);
+        if (r.match === "list" && !lists[r.list]) fail(where, `unknown list "${r.list}"`);
+        if (
+          r.match === "addressBook" &&
+          (!Array.isArray(r.categories) || !r.categories.length || r.categories.some((c) => !ADDRESS_CATEGORIES.includes(c)))
+        ) {
+          fail(where, `categories must list address book categories (${ADDRESS_CATEGORIES.join(", ")})`);
+        }
+        if (r.subject === "spender" && !["list", "addressBook"].includes(r.match)) {
+          fail(where, 'spender only supports match "list" or "addressBook"');
+        }
+        break;
+
+      case "selector":
+        if (!["known", "unknown"].includes(r.selector) && !/^0x[0-9a-fA-F]{8}$/.test(r.selector || "")) {
+          fail(where, 'selector must be 4 bytes (0x12345678), "known" or "unknown"');
+        }
+        rule.selector = String(r.selector || "").toLowerCase();
+        break;
+
+      case "approval":
+        if (!["unlimited", "forAll"].includes(r.match)) fail(where, 'match must be "unlimited" or "forAll"');
+        break;
+
+      case "timeOfDay":
+        if (!Number.isInteger(r.fromHour) || r.fromHour < 0 || r.fromHour > 23) fail(where, "fromHour must be 0..23");
+        if (!Number.isInteger(r.toHour) || r.toHour < 0 || r.toHour > 24) fail(where, "toHour must be 0..24");
+        break;
+
+      case "etaWithin":
+        checkTiers("max", (v) => {
+          if (!isNumber(v, 1)) throw new Error();
+          return v;
+        });
+        rule.tiers?.sort((a, b) => a.max - b.max);
+        break;
+
+      case "velocity":
+        if (!isNumber(r.windowSec, 1)) fail(where, "windowSec must be a positive number");
+        checkTiers("min", (v) => {
+          if (!Number.isInteger(v) || v < 1) throw new Error();
+          return v;
+        });
+        rule.tiers?.sort((a, b) => b.min - a.min);
+        if (r.untilSamples !== undefined && (!Number.isInteger(r.untilSamples) || r.untilSamples < 1)) {
+          fail(where, "untilSamples must be an integer >= 1");
+        }
+        break;
+
+      case "approvalSpeed":
+        if (!Number.isInteger(r.minApprovals) || r.minApprovals < 2) fail(where, "minApprovals must be an integer >= 2");
+        if (!isNumber(r.withinSec)) fail(where, "withinSec must be a number >= 0");
+        if (r.untilSamples !== undefined && (!Number.isInteger(r.untilSamples) || r.untilSamples < 1)) {
+          fail(where, "untilSamples must be an integer >= 1");
+        }
+        break;
+
+      case "simulation":
+        if (!SIMULATION_MATCHES.includes(r.status)) fail(where, `status must be one of ${SIMULATION_MATCHES.join(", ")}`);
+        break;
+
+      case "baseline":
+        if (!BASELINE_METRICS.includes(r.metric)) fail(where, `metric must be one of ${BASELINE_METRICS.join(", ")}`);
+        if (!BASELINE_SCOPES.includes(r.scope)) fail(where, `scope must be one of ${BASELINE_SCOPES.join(", ")}`);
+        rule.minSamples = r.minSamples ?? 5;
+        if (!Number.isInteger(rule.minSamples) || rule.minSamples < 2) fail(where, "minSamples must be an integer >= 2");
+        if (r.metric === "recipient") {
+          if (r.tiers) fail(where, 'metric "recipient" takes pts, not tiers');
+        } else if (BASELINE_METRICS.includes(r.metric)) {
+          checkTiers("z", (v) => {
+            if (!isNumber(v) || v === 0) throw new Error();
+            return v;
+          });
+          rule.tiers?.sort((a, b) => b.z - a.z);
+        }
+        break;
+
+      case "governance": {
+        if (governance) fail(where, "only one governance rule is allowed");
+        if (!isNumber(r.base) || r.base > 100) fail(where, "base must be 0..100");
+        for (const key of ["timeWeight", "behaviorWeight"]) {
+          if (r[key] !== undefined && !isNumber(r[key])) fail(where, `${key} must be a number >= 0`);
+        }
+        const kinds = {};
+        for (const [k, v] of Object.entries(r.kinds || {})) {
+          const kind = Number(k);
+          if (!Number.isInteger(kind) || kind < 1 || kind > 255) fail(`${where}.kinds.${k}`, "kind must be 1..255");
+          if (!v || !isNumber(v.add) || typeof v.label !== "string") fail(`${where}.kinds.${k}`, "needs add and label");
+          kinds[kind] = v;
+        }
+        if (!r.unknown || !isNumber(r.unknown.add)) fail(where, "unknown.add must be a number >= 0");
+        governance = { timeWeight: 0, behaviorWeight: 0, ...r, kinds };
+        return;
+      }
+    }
+
+    rule.category =
+      r.category ||
+      RULE_TYPES[r.type] ||
+      (r.type === "baseline" ? BASELINE_CATEGORIES[r.metric] : r.subject === "to" ? "recipient" : "function");
+    rules.push(rule);
+  });
+
+  if (!governance) fail("rules", "needs a governance rule");
+  if (errors.length) throw new Error(`invalid risk policy:\n  - ${errors.join("\n  - ")}`);
+
+  return {
+    version: raw.version.trim(),
+    description: raw.description || "",
+    timezone: raw.timezone || null,
+    lookbackSec: lookbackDays * 86400,
+    levels: { MEDIUM: levels.MEDIUM, HIGH: levels.HIGH },
+    criticalFloor: raw.criticalFloor,
+    categories,
+    rawMax: RULE_CATEGORIES.reduce((sum, name) => sum + categories[name].cap, 0),
+    lists,
+    rules,
+    governance,
+    /** rules of one type (optionally only those matching `where`), in file order */
+    of(type, where = {}) {
+      return rules.filter((r) => r.type === type && Object.entries(where).every(([k, v]) => r[k] === v));
+    },
+    level(score) {
+      if (score >= levels.HIGH) return "HIGH";
+      if (score >= levels.MEDIUM) return "MEDIUM";
+      return "LOW";
+    },
+  };
+}
+
+/**
+ * Loads `file`, validates it (throws when invalid) and reloads it whenever it changes.
+ * @param extraLists named address lists merged into the file's lists (e.g. RISK_BLACKLIST)
+ * @param onReload called with the new policy after a successful hot reload
+ */
+export function createRiskPolicy({ file, extraLists = {}, onReload = () => {} }) {
+  function load() {
+    const text = fs.readFileSync(file, "utf8");
+    let raw;
+    try {
+      raw = JSON.parse(text);
+    } catch (err) {
+      throw new Error(`invalid risk policy: ${file} is not valid JSON (${err.message})`);
+    }
+    const policy = validatePolicy(raw, { extraLists });
+    policy.hash = crypto.createHash("sha256").update(text).digest("hex");
+    policy.source = raw;
+    policy.file = file;
+    return policy;
+  }
+
+  let policy = load();
+  let watching = false;
+
+  function reload() {
+    try {
+      const next = load();
+      if (next.hash === policy.hash) return false;
+      policy = next;
+      console.log(`🧮 Risk policy ${policy.version} loaded (${policy.hash.slice(0, 12)})`);
+      onReload(policy);
+      return true;
+    } catch (err) {
+      console.error(`❌ Risk policy reload rejected, keeping ${policy.version}:`, err?.message || err);
+      return false;
+    }
+  }
+
+  return {
+    current() {
+      return policy;
+    },
+
+    reload,
+
+    /** Polls the file for changes (fs.watchFile survives editors that replace the file). */
+    watch() {
+      if (watching) return;
+      watching = true;
+      fs.watchFile(file, { interval: POLL_MS, persistent: false }, (cur, prev) => {
+        if (cur.mtimeMs !== prev.mtimeMs) reload();
+      });
+    },
+
+    close() {
+      if (watching) fs.unwatchFile(file);
+      watching = false;
+    },
+  };
+}
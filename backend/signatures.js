@@ -0,0 +1,51 @@
+// SIGNATURES — DelayedExecutionMultiSig
+/**
+ * @title Bundled 4-byte Signature Database
+ * @notice Function signatures of common standards, used to decode calldata for
+ * targets without an uploaded ABI (see abi-registry.js).
+ * @dev Human-readable ethers fragments; parameter names are kept so decoded
+ * arguments are labelled. When two entries share a selector the first one wins.
+ */
+
+export const BUNDLED_SIGNATURES = [
+  // ERC-20
+  "function transfer(address to, uint256 amount)",
+  "function transferFrom(address from, address to, uint256 amount)",
+  "function approve(address spender, uint256 amount)",
+  "function increaseAllowance(address spender, uint256 addedValue)",
+  "function decreaseAllowance(address spender, uint256 subtractedValue)",
+
+  // ERC-2612 permit
+  "function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)",
+
+  // WETH
+  "function deposit()",
+  "function withdraw(uint256 amount)",
+
+  // ERC-721
+  "function safeTransferFrom(address from, address to, uint256 tokenId)",
+  "function safeTransferFrom(address from, address to, uint256 tokenId, bytes data)",
+  "function setApprovalForAll(address operator, bool approved)",
+
+  // ERC-1155
+  "function safeTransferFrom(address from, address to, uint256 id, uint256 amount, bytes data)",
+  "function safeBatchTransferFrom(address from, address to, uint256[] ids, uint256[] amounts, bytes data)",
+
+  // Ownable / AccessControl
+  "function transferOwnership(address newOwner)",
+  "function renounceOwnership()",
+  "function grantRole(bytes32 role, address account)",
+  "function revokeRole(bytes32 role, address account)",
+
+  // Pausable
+  "function pause()",
+  "function unpause()",
+
+  // Proxies (UUPS / Transparent / Beacon)
+  "function upgradeTo(address newImplementation)",
+  "function upgradeToAndCall(address newImplementation, bytes data)",
+  "function changeAdmin(address newAdmin)",
+
+  // Multicall
+  "function multicall(bytes[] data)",
+];
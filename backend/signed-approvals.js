@@ -0,0 +1,141 @@
+// SIGNED APPROVALS — DelayedExecutionMultiSig
+/**
+ * @title EIP-712 Approval Collector
+ * @notice Collects owners' off-chain approval signatures per proposal until someone
+ * submits them with approveWithSignatures / executeWithSignatures.
+ * @dev
+ * - Typed data: Approval(bytes32 id, address signer, uint256 deadline) in the domain
+ *   { name: "DelayedExecutionMultiSig", version: "1", chainId, verifyingContract }.
+ *   The domain is checked once against the contract's DOMAIN_SEPARATOR().
+ * - A signature is only stored if it recovers to `signer`, `signer` is an owner that has
+ *   not approved on chain yet and the deadline has not passed.
+ * - Stored signatures are dropped once the signer's ProposalApproved event is indexed.
+ * - A signer withdraws a signature by deleting it here and burning its digest on chain
+ *   (invalidateApprovalDigest): anyone may have copied it from the public list meanwhile.
+ */
+
+import { ethers } from "ethers";
+
+export const APPROVAL_TYPES = {
+  Approval: [
+    { name: "id", type: "bytes32" },
+    { name: "signer", type: "address" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+export function createSignedApprovals({ contract, provider, store }) {
+  let domainCache = null;
+
+  async function domain() {
+    if (domainCache) return domainCache;
+
+    const { chainId } = await provider.getNetwork();
+    const d = {
+      name: "DelayedExecutionMultiSig",
+      version: "1",
+      chainId: Number(chainId),
+      verifyingContract: await contract.getAddress(),
+    };
+    if (ethers.TypedDataEncoder.hashDomain(d) !== (await contract.DOMAIN_SEPARATOR())) {
+      throw new Error("EIP-712 domain does not match the contract's DOMAIN_SEPARATOR");
+    }
+
+    domainCache = d;
+    return d;
+  }
+
+  function now() {
+    return Math.floor(Date.now() / 1000);
+  }
+
+  return {
+    domain,
+
+    /** Everything a wallet needs for eth_signTypedData_v4. */
+    async typedData() {
+      return { domain: await domain(), types: APPROVAL_TYPES, primaryType: "Approval" };
+    },
+
+    /**
+     * Validates and stores one signature.
+     * @return error message, or null when stored
+     */
+    async add(id, { signer, deadline, signature }) {
+      if (!signer || !ethers.isAddress(signer)) return "missing or invalid signer";
+      if (!/^\d+$/.test(String(deadline ?? ""))) return "deadline must be a unix timestamp";
+      if (!ethers.isHexString(signature, 65)) return "signature must be 65 bytes of hex";
+      if (Number(deadline) <= now()) return "signature deadline has passed";
+
+      const p = await contract.getProposal(id);
+      if (p.proposer === ethers.ZeroAddress) return "unknown proposal";
+      if (p.executed || p.cancelled) return "proposal is finalized";
+      if (!(await contract.isOwner(signer))) return "signer is not an owner";
+      if (await contract.hasApproved(id, signer)) return "signer already approved on chain";
+
+      // malformed or non-canonical (bad v, high s) signatures make ethers throw
+      let recovered;
+      try {
+        recovered = ethers.verifyTypedData(await domain(), APPROVAL_TYPES, { id, signer, deadline }, signature);
+      } catch {
+        return "signature does not match signer";
+      }
+      if (recovered.toLowerCase() !== signer.toLowerCase()) {
+        return "signature does not match signer";
+      }
+
+      const digest = await contract.approvalDigest(id, signer, deadline);
+      if (await contract.usedApprovalDigests(digest)) return "signature was already used";
+
+      store.saveSignature({
+        proposalId: id,
+        signer: ethers.getAddress(signer),
+        deadline: Number(deadline),
+        signature,
+        receivedAt: now(),
+      });
+      return null;
+    },
+
+    /** Stored signatures with `valid` = deadline not passed yet. */
+    list(id) {
+      const t = now();
+      return store.getSignatures(id).map((s) => ({ ...s, valid: s.deadline >= t }));
+    },
+
+    /** Signatures in the SignedApproval[] shape the contract takes (unexpired only). */
+    bundle(id) {
+      const t = now();
+      return store
+        .getSignatures(id)
+        .filter((s) => s.deadline >= t)
+        .map((s) => ({ signer: s.signer, deadline: s.deadline, signature: s.signature }));
+    },
+
+    /** The signer's approval is on chain (by signature or directly). */
+    settled(id, signer) {
+      store.deleteSignature(id, signer);
+    },
+
+    /**
+     * Drops `signer`'s stored signature on their request.
+     * @return the removed { signer, deadline, ... }, or null when none was stored
+     */
+    withdraw(id, signer) {
+      const stored = store.getSignatures(id).find((s) => s.signer.toLowerCase() === signer.toLowerCase());
+      if (!stored) return null;
+      store.deleteSignature(id, stored.signer);
+      return stored;
+    },
+
+    /** ApprovalSignatureInvalidated: drops the stored signature if it is the burned digest. */
+    async invalidated(id, signer, digest) {
+      const stored = store.getSignatures(id).find((s) => s.signer.toLowerCase() === signer.toLowerCase());
+      if (!stored) return;
+      const message = { id, signer: stored.signer, deadline: stored.deadline };
+      if (ethers.TypedDataEncoder.hash(await domain(), APPROVAL_TYPES, message) === digest) {
+        store.deleteSignature(id, stored.signer);
+      }
+    },
+  };
+}
@@ -0,0 +1,298 @@
+// SIMULATOR — DelayedExecutionMultiSig
+/**
+ * @title Transaction simulation
+ * @notice Shows what `execute` will do before it runs: a proposal's call is simulated with
+ * `eth_call` from the wallet's address at the current state, reporting success or the
+ * revert reason, return data, a gas estimate and the balance changes it causes. Owners see
+ * it in the proposal details; the risk engine scores a call that would revert (policy rule
+ * type "simulation").
+ * @dev
+ * - Only the call `execute` makes is simulated, not `execute` itself: quorum, ETA, expiry
+ *   and pause are the lifecycle's business (see lifecycle.js).
+ * - Not every node checks the sender's balance in eth_call (Hardhat does not), so a value
+ *   above the wallet's ETH balance is reported as a revert without calling.
+ * - Batch calls are simulated in order but each on the state before the batch
+ *   (`independent: true`). Only the first call really runs on that state: when a later one
+ *   reverts it may just rely on an earlier call (approve, then transferFrom), so it is
+ *   "unknown", not "reverted", and the risk engine does not score it. A revert of the first
+ *   call stops the batch, as on chain.
+ * - Balance changes come from a `callTracer` trace (internal ETH transfers, ERC-20 Transfer
+ *   logs) where the node supports it (`balanceChangesFrom: "trace"`), otherwise from the
+ *   call itself: its ETH value and decoded ERC-20 transfer calldata ("calldata"). Nothing
+ *   moves when the call reverts. Tracing is only given up for good when the node reports
+ *   the method or tracer as unsupported; other trace errors fall back for that call only.
+ * - Governance proposals change the wallet's own settings and are not simulated.
+ * - Only the latest result per proposal is kept (store); `due()` tells when to run it
+ *   again: never simulated, the node failed last time, or the ETA is within
+ *   `rerunBeforeEtaSec` and it has not run since.
+ *
+ * Statuses: "success", "reverted", "unknown" (a later batch call reverted on the state
+ * before the batch), "error" (the node could not simulate), "unsupported".
+ *
+ * `chain` (all async):
+ *   proposal(id)     { kind (0 tx, 1 gov, 2 batch), to, value, data }
+ *   batchCalls(id)   [{ to, value, data }]
+ *   call(tx)         eth_call of { from, to, value, data } at the latest block: return data;
+ *                    a revert throws code "CALL_EXCEPTION" with the revert `data` (as ethers'
+ *                    JsonRpcProvider does), anything else is a node failure
+ *   estimateGas(tx)  gas estimate (bigint)
+ *   traceCall(tx)    callTracer frame (with logs) of the same call; throws if unsupported
+ *   balance()        ETH balance of the wallet (bigint)
+ *   token(address)   { symbol, decimals } of an ERC-20, or null
+ *   blockNumber()    block the simulation runs on
+ */
+
+import { ethers } from "ethers";
+import { DECODED_ARG_RULES } from "./risk-engine.js";
+
+export const SIMULATION_STATUSES = ["success", "reverted", "unknown", "error", "unsupported"];
+
+const TRANSFER_TOPIC = ethers.id("Transfer(address,address,uint256)");
+const ERROR_SELECTOR = "0x08c379a0"; // Error(string)
+const PANIC_SELECTOR = "0x4e487b71"; // Panic(uint256)
+
+const PANIC_CODES = {
+  0x01: "assertion failed",
+  0x11: "arithmetic overflow or underflow",
+  0x12: "division by zero",
+  0x21: "invalid enum value",
+  0x31: "pop on empty array",
+  0x32: "array index out of bounds",
+  0x41: "out of memory",
+  0x51: "call to an uninitialized function",
+};
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+
+/**
+ * Readable reason of revert data: Error(string), Panic(uint256), a custom error decoded by
+ * `decodeCustom` (e.g. from an uploaded ABI) or its raw selector.
+ */
+export function decodeRevert(data, decodeCustom = () => null) {
+  if (!data || data === "0x") return "reverted without a reason";
+  const selector = data.slice(0, 10).toLowerCase();
+  try {
+    if (selector === ERROR_SELECTOR) return coder.decode(["string"], ethers.dataSlice(data, 4))[0];
+    if (selector === PANIC_SELECTOR) {
+      const code = Number(coder.decode(["uint256"], ethers.dataSlice(data, 4))[0]);
+      return `panic 0x${code.toString(16).padStart(2, "0")} (${PANIC_CODES[code] || "unknown code"})`;
+    }
+  } catch {
+    // malformed payload: reported by selector below
+  }
+  return decodeCustom(data) || `custom error ${selector}`;
+}
+
+// net change per (address, asset); asset is "ETH" or a token address (lowercase)
+function createLedger() {
+  const deltas = new Map();
+  return {
+    move(asset, from, to, amount) {
+      if (!amount) return;
+      for (const [who, sign] of [
+        [from, -1n],
+        [to, 1n],
+      ]) {
+        const key = `${who.toLowerCase()}|${asset}`;
+        deltas.set(key, (deltas.get(key) || 0n) + sign * amount);
+      }
+    },
+    entries() {
+      return [...deltas]
+        .filter(([, delta]) => delta !== 0n)
+        .map(([key, delta]) => {
+          const [address, asset] = key.split("|");
+          return { address, asset, delta };
+        });
+    },
+  };
+}
+
+function topicAddress(topic) {
+  return ethers.getAddress(ethers.dataSlice(topic, 12));
+}
+
+// the node has no debug_traceCall / callTracer at all, as opposed to failing one call
+function traceUnsupported(err) {
+  if (err?.code === "UNSUPPORTED_OPERATION") return true; // ethers: "the method ... does not exist"
+  const rpc = err?.info?.error ?? err?.error ?? err;
+  if (rpc?.code === -32601) return true; // JSON-RPC method not found
+  return /method not found|does not exist|not supported|unsupported|only supports the default tracer/i.test(
+    `${rpc?.message ?? ""} ${err?.message ?? ""}`
+  );
+}
+
+// value transfers and ERC-20 Transfer logs of a callTracer frame tree
+function collectTrace(frame, ledger) {
+  if (frame.error) return; // a reverted frame (and everything below it) moves nothing
+  const value = frame.value ? BigInt(frame.value) : 0n;
+  if (value && !["DELEGATECALL", "STATICCALL"].includes(frame.type)) ledger.move("ETH", frame.from, frame.to, value);
+
+  for (const log of frame.logs || []) {
+    // 3 topics: ERC-20 (ERC-721 indexes the token id as a 4th)
+    if (log.topics?.length === 3 && log.topics[0] === TRANSFER_TOPIC && log.data && log.data !== "0x") {
+      ledger.move(log.address.toLowerCase(), topicAddress(log.topics[1]), topicAddress(log.topics[2]), BigInt(log.data));
+    }
+  }
+  for (const child of frame.calls || []) collectTrace(child, ledger);
+}
+
+/**
+ * @param rerunBeforeEtaSec  run again once the ETA is this close
+ * @param now                current unix time in seconds
+ */
+export function createSimulator({
+  store,
+  abiRegistry,
+  chain,
+  walletAddress,
+  rerunBeforeEtaSec = 600,
+  now: clock = () => Math.floor(Date.now() / 1000),
+}) {
+  // null until the node answered a callTracer request, false once it said it has none
+  let traceSupported = null;
+
+  // balance changes of a call from its ETH value and decoded ERC-20 transfer calldata
+  function collectCalldata(call, ledger) {
+    ledger.move("ETH", walletAddress, call.to, BigInt(call.value || 0));
+    const decoded = abiRegistry.decode(call.to, call.data || "0x");
+    const rule = decoded?.args ? DECODED_ARG_RULES[decoded.signature] : null;
+    if (rule?.amount === undefined || rule.recipient === undefined) return;
+    const from = rule.from !== undefined ? decoded.args[rule.from].value : walletAddress;
+    ledger.move(call.to.toLowerCase(), from, decoded.args[rule.recipient].value, BigInt(decoded.args[rule.amount].value));
+  }
+
+  // @return "trace" or "calldata": where the call's balance changes came from
+  async function collectChanges(tx, call, ledger) {
+    if (traceSupported !== false) {
+      try {
+        const frame = await chain.traceCall(tx);
+        collectTrace(frame, ledger);
+        traceSupported = true;
+        return "trace";
+      } catch (err) {
+        // anything else only costs this call its trace
+        if (traceUnsupported(err)) traceSupported = false;
+      }
+    }
+    collectCalldata(call, ledger);
+    return "calldata";
+  }
+
+  async function simulateCall(call, ledger, sources) {
+    const tx = { from: walletAddress, to: call.to, value: BigInt(call.value || 0), data: call.data || "0x" };
+    const out = { to: call.to, value: tx.value.toString(), status: "success", revertReason: null, returnData: null, gasEstimate: null };
+
+    try {
+      out.returnData = await chain.call(tx);
+    } catch (err) {
+      if (err?.code !== "CALL_EXCEPTION") throw err; // the node failed, not the call
+      const data = err.data ?? "0x";
+      return { ...out, status: "reverted", returnData: data, revertReason: decodeRevert(data, (d) => abiRegistry.decodeError(call.to, d)) };
+    }
+
+    try {
+      out.gasEstimate = (await chain.estimateGas(tx)).toString();
+    } catch {
+      // the estimate is informative only
+    }
+    sources.add(await collectChanges(tx, call, ledger));
+    return out;
+  }
+
+  async function formatChanges(entries) {
+    const wallet = walletAddress.toLowerCase();
+    const out = [];
+    for (const { address, asset, delta } of entries) {
+      const token = asset === "ETH" ? { symbol: "ETH", decimals: 18 } : await chain.token(asset).catch(() => null);
+      out.push({
+        address,
+        wallet: address === wallet,
+        asset,
+        symbol: token?.symbol ?? null,
+        delta: delta.toString(),
+        formatted: token ? ethers.formatUnits(delta, token.decimals) : null,
+      });
+    }
+    // the wallet's own changes first
+    return out.sort((a, b) => Number(b.wallet) - Number(a.wallet));
+  }
+
+  async function run(id) {
+    const p = await chain.proposal(id);
+    const kind = Number(p.kind);
+    if (kind === 1) {
+      return { status: "unsupported", revertReason: null, error: "governance changes are applied by the wallet itself and are not simulated" };
+    }
+
+    const calls = kind === 2 ? await chain.batchCalls(id) : [{ to: p.to, value: p.value, data: p.data }];
+    const block = await chain.blockNumber();
+    const result = { block, independent: calls.length > 1, calls: [], balanceChanges: [], balanceChangesFrom: null };
+
+    const total = calls.reduce((sum, c) => sum + BigInt(c.value || 0), 0n);
+    const balance = await chain.balance();
+    if (total > balance) {
+      const reason = `wallet ETH balance ${ethers.formatEther(balance)} is below the ${ethers.formatEther(total)} ETH sent`;
+      return { ...result, status: "reverted", revertReason: reason, returnData: null, gasEstimate: null };
+    }
+
+    const ledger = createLedger();
+    const sources = new Set();
+    for (const [i, call] of calls.entries()) {
+      const r = await simulateCall(call, ledger, sources);
+      if (r.status === "reverted" && i > 0) r.status = "unknown";
+      result.calls.push(r);
+      if (r.status === "reverted") break;
+    }
+
+    const failed = result.calls.findIndex((c) => c.status !== "success");
+    const status = failed === -1 ? "success" : result.calls[failed].status;
+    const last = result.calls[result.calls.length - 1];
+    const gas = result.calls.map((c) => c.gasEstimate);
+
+    let revertReason = null;
+    if (status === "reverted") revertReason = calls.length > 1 ? `call #1: ${last.revertReason}` : last.revertReason;
+    if (status === "unknown") {
+      revertReason = `call #${failed + 1} reverts on the state before the batch (${result.calls[failed].revertReason}), it may rely on an earlier call`;
+    }
+
+    return {
+      ...result,
+      status,
+      revertReason,
+      returnData: last.returnData,
+      gasEstimate: status === "success" && gas.every((g) => g !== null) ? gas.reduce((sum, g) => sum + BigInt(g), 0n).toString() : null,
+      balanceChanges: status === "success" ? await formatChanges(ledger.entries()) : [],
+      balanceChangesFrom: status === "success" ? (sources.size === 1 ? [...sources][0] : "mixed") : null,
+    };
+  }
+
+  return {
+    /**
+     * Simulates proposal `id` at the current state and saves the result.
+     * @return { id, status, revertReason, returnData, gasEstimate, calls, independent,
+     *           balanceChanges, balanceChangesFrom, block, simulatedAt, error? }
+     */
+    async simulate(id) {
+      const simulatedAt = clock();
+      let result;
+      try {
+        result = await run(id);
+      } catch (err) {
+        result = { status: "error", revertReason: null, error: err?.shortMessage || err?.message || String(err) };
+      }
+      const out = { id, ...result, simulatedAt };
+      store.saveSimulation(out);
+      return out;
+    },
+
+    /** Whether proposal `p` ({ id, eta }) should be simulated (again) now. */
+    due(p, now = clock()) {
+      const last = store.getSimulation(p.id);
+      if (!last || last.status === "error") return true;
+      if (last.status === "unsupported") return false;
+      const rerunAt = Number(p.eta) - rerunBeforeEtaSec;
+      return now >= rerunAt && last.simulatedAt < rerunAt;
+    },
+  };
+}
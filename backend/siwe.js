@@ -0,0 +1,171 @@
+// SIWE — DelayedExecutionMultiSig
+/**
+ * @title Sign-In with Ethereum (EIP-4361) sessions
+ * @notice POST a challenge for (address, purpose), sign the returned SIWE message,
+ * exchange message + signature for a session token scoped to that purpose.
+ * @dev
+ * - The server writes the whole message (domain, chain id, contract, purpose, nonce)
+ *   and stores its hash with the nonce; a login must present exactly that message,
+ *   signed by exactly that address, once, before the nonce expires (NONCE_TTL_SEC).
+ * - A session only carries the purpose it was signed for ("owner" / "guardian"), so a
+ *   signature or token obtained for one cannot be used for the other.
+ * - Signatures are checked with EIP-191 recovery, or for smart-contract wallets
+ *   (e.g. a Safe as guardian) with EIP-1271 isValidSignature.
+ * - Challenges are unauthenticated, so each one first purges expired nonces and is refused
+ *   (429) while MAX_PENDING_PER_ADDRESS / MAX_PENDING_CHALLENGES unanswered ones are pending.
+ * - Only the SHA-256 of a session token is stored, so the database does not leak sessions.
+ * - Whether the address still holds the role is read from the contract on every
+ *   request (see requireRole in index.js), so a removed owner loses access at once.
+ */
+
+import { ethers } from "ethers";
+import { createSiweMessage, parseSiweMessage } from "viem/siwe";
+
+const NONCE_TTL_SEC = 300;
+// unanswered challenges allowed at once (challenges are unauthenticated)
+const MAX_PENDING_CHALLENGES = 1000;
+const MAX_PENDING_PER_ADDRESS = 5;
+
+// purpose -> statement shown in the wallet
+export const AUTH_PURPOSES = {
+  owner: "Sign in as an owner of the DelayedExecutionMultiSig wallet (propose, submit signatures).",
+  guardian: "Sign in as the guardian of the DelayedExecutionMultiSig wallet (risk data, ABI registry, resume).",
+};
+
+const EIP1271_ABI = ["function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)"];
+const EIP1271_MAGIC = "0x1626ba7e";
+
+function authError(message, status = 401) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function sha256(text) {
+  return ethers.sha256(ethers.toUtf8Bytes(text));
+}
+
+/**
+ * EIP-191 signature by `address`, or (when `address` has code) a signature its
+ * EIP-1271 isValidSignature accepts for the message hash.
+ */
+export async function verifyMessageSignature(provider, address, message, signature) {
+  const hash = ethers.hashMessage(message);
+
+  try {
+    if (ethers.recoverAddress(hash, signature).toLowerCase() === address.toLowerCase()) return true;
+  } catch {
+    // not a 65-byte ECDSA signature: may still be valid for a contract wallet
+  }
+
+  if ((await provider.getCode(address)) === "0x") return false;
+  try {
+    const wallet = new ethers.Contract(address, EIP1271_ABI, provider);
+    return (await wallet.isValidSignature(hash, signature)) === EIP1271_MAGIC;
+  } catch {
+    return false;
+  }
+}
+
+export function createSiweAuth({ store, provider, domain, uri, contractAddress, sessionTtlSec }) {
+  function now() {
+    return Math.floor(Date.now() / 1000);
+  }
+
+  function hashToken(token) {
+    return sha256(token);
+  }
+
+  return {
+    domain,
+
+    /**
+     * One-time SIWE message for `address` to sign for `purpose`.
+     * @return { message, nonce, expiresAt }
+     */
+    async challenge(address, purpose) {
+      if (!address || !ethers.isAddress(address)) throw authError("missing or invalid address", 400);
+      if (!AUTH_PURPOSES[purpose]) {
+        throw authError(`purpose must be one of: ${Object.keys(AUTH_PURPOSES).join(", ")}`, 400);
+      }
+
+      const chainId = Number((await provider.getNetwork()).chainId);
+      const t = now();
+
+      store.purgeAuth(t);
+      const pending = store.countAuthNonces(ethers.getAddress(address), t);
+      if (pending.forAddress >= MAX_PENDING_PER_ADDRESS || pending.total >= MAX_PENDING_CHALLENGES) {
+        throw authError("too many pending sign-in challenges, try again in a few minutes", 429);
+      }
+
+      const nonce = ethers.hexlify(ethers.randomBytes(16)).slice(2);
+      const message = createSiweMessage({
+        domain,
+        address: ethers.getAddress(address),
+        statement: AUTH_PURPOSES[purpose],
+        uri,
+        version: "1",
+        chainId,
+        nonce,
+        issuedAt: new Date(t * 1000),
+        expirationTime: new Date((t + NONCE_TTL_SEC) * 1000),
+        resources: [`eip155:${chainId}:${ethers.getAddress(contractAddress)}`, `urn:delayed-multisig:${purpose}`],
+      });
+
+      store.saveAuthNonce({
+        nonce,
+        address: ethers.getAddress(address),
+        chainId,
+        purpose,
+        messageHash: sha256(message),
+        issuedAt: t,
+        expiresAt: t + NONCE_TTL_SEC,
+      });
+      return { message, nonce, expiresAt: t + NONCE_TTL_SEC };
+    },
+
+    /**
+     * Verifies a signed challenge and opens a session (the nonce is consumed either way).
+     * @return { token, address, purpose, expiresAt } (throws with status 400/401)
+     */
+    async login(message, signature) {
+      if (typeof message !== "string" || !message) throw authError("missing SIWE message", 400);
+      if (!ethers.isHexString(signature)) throw authError("missing or invalid signature", 400);
+
+      const { nonce } = parseSiweMessage(message);
+      const issued = nonce ? store.takeAuthNonce(nonce) : null;
+      const t = now();
+      if (!issued || issued.expiresAt < t) throw authError("unknown, used or expired nonce");
+      if (issued.messageHash !== sha256(message)) throw authError("message differs from the issued challenge");
+
+      if (!(await verifyMessageSignature(provider, issued.address, message, signature))) {
+        throw authError("signature does not match address");
+      }
+
+      const token = ethers.hexlify(ethers.randomBytes(32)).slice(2);
+      const expiresAt = t + sessionTtlSec;
+      store.saveSession({
+        tokenHash: hashToken(token),
+        address: issued.address,
+        chainId: issued.chainId,
+        purpose: issued.purpose,
+        issuedAt: t,
+        expiresAt,
+      });
+      store.purgeAuth(t);
+
+      return { token, address: issued.address, purpose: issued.purpose, expiresAt };
+    },
+
+    /** Live session of a bearer token ({ address, purpose, expiresAt, ... }), or null. */
+    session(token) {
+      if (!token) return null;
+      const s = store.getSession(hashToken(token));
+      return s && s.expiresAt > now() ? s : null;
+    },
+
+    logout(token) {
+      if (token) store.deleteSession(hashToken(token));
+    },
+  };
+}
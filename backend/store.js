@@ -0,0 +1,1150 @@
+// STORE — DelayedExecutionMultiSig
+/**
+ * @title Proposal Store
+ * @notice Embedded SQLite database with everything the backend keeps across restarts:
+ * indexed events, proposals, per-signer approvals, risk results and their history,
+ * transaction simulations, notification flags and deliveries, sign-in sessions, the address book, the guardian automation audit log and the
+ * indexer cursor.
+ * @dev
+ * - Schema changes are appended to MIGRATIONS (never edit an applied one);
+ *   the applied version is tracked in PRAGMA user_version.
+ * - better-sqlite3 is synchronous, so every write is atomic and nothing can
+ *   interleave a half-written state the way rewriting JSON files could.
+ */
+
+import Database from "better-sqlite3";
+
+const MIGRATIONS = [
+  // 1: initial schema
+  `
+  CREATE TABLE events (
+    key TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    proposal_id TEXT,
+    block_number INTEGER NOT NULL,
+    block_hash TEXT NOT NULL,
+    tx_hash TEXT NOT NULL,
+    log_index INTEGER NOT NULL,
+    timestamp INTEGER,
+    args TEXT NOT NULL
+  );
+  CREATE INDEX events_block ON events (block_number, log_index);
+  CREATE INDEX events_proposal ON events (proposal_id);
+
+  CREATE TABLE proposals (
+    id TEXT PRIMARY KEY,
+    proposer TEXT COLLATE NOCASE,
+    kind TEXT NOT NULL,
+    gov_kind INTEGER,
+    to_addr TEXT COLLATE NOCASE,
+    value TEXT NOT NULL DEFAULT '0',
+    eta INTEGER NOT NULL DEFAULT 0,
+    executed INTEGER NOT NULL DEFAULT 0,
+    cancelled INTEGER NOT NULL DEFAULT 0,
+    created_at INTEGER,
+    created_block INTEGER,
+    created_tx TEXT,
+    last_event TEXT
+  );
+  CREATE INDEX proposals_proposer ON proposals (proposer, created_at);
+
+  CREATE TABLE approvals (
+    proposal_id TEXT NOT NULL,
+    signer TEXT NOT NULL COLLATE NOCASE,
+    approved_at INTEGER,
+    tx_hash TEXT,
+    block_number INTEGER,
+    PRIMARY KEY (proposal_id, signer)
+  );
+
+  CREATE TABLE risk_results (
+    proposal_id TEXT PRIMARY KEY,
+    score INTEGER NOT NULL,
+    level TEXT NOT NULL,
+    computed_at INTEGER NOT NULL,
+    result TEXT NOT NULL
+  );
+
+  CREATE TABLE seen_recipients (
+    address TEXT PRIMARY KEY COLLATE NOCASE,
+    first_proposal_id TEXT,
+    first_seen_at INTEGER
+  );
+
+  CREATE TABLE notifications (
+    proposal_id TEXT PRIMARY KEY,
+    created_sent INTEGER NOT NULL DEFAULT 0,
+    threshold_sent INTEGER NOT NULL DEFAULT 0,
+    eta_warn_sent INTEGER NOT NULL DEFAULT 0,
+    eta_warn_at INTEGER
+  );
+
+  CREATE TABLE indexer_cursor (
+    id INTEGER PRIMARY KEY CHECK (id = 1),
+    last_block INTEGER NOT NULL,
+    block_hashes TEXT NOT NULL
+  );
+  `,
+
+  // 2: outcome of ProposalExecuted (lifecycle "failed" state)
+  `
+  ALTER TABLE proposals ADD COLUMN execution_success INTEGER;
+  `,
+
+  // 3: ABI registry + calldata (not part of the event projection: it survives rollbacks)
+  `
+  CREATE TABLE abis (
+    address TEXT PRIMARY KEY COLLATE NOCASE,
+    name TEXT,
+    abi TEXT NOT NULL,
+    uploaded_at INTEGER
+  );
+
+  CREATE TABLE proposal_calldata (
+    proposal_id TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+  );
+  `,
+
+  // 4: tracked ERC-20 tokens
+  `
+  CREATE TABLE tokens (
+    address TEXT PRIMARY KEY COLLATE NOCASE,
+    symbol TEXT,
+    name TEXT,
+    decimals INTEGER NOT NULL,
+    added_at INTEGER
+  );
+  `,
+
+  // 5: calls of batch proposals (like calldata: immutable, survives rollbacks)
+  `
+  CREATE TABLE batch_calls (
+    proposal_id TEXT NOT NULL,
+    idx INTEGER NOT NULL,
+    to_addr TEXT NOT NULL COLLATE NOCASE,
+    value TEXT NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (proposal_id, idx)
+  );
+  `,
+
+  // 6: EIP-712 approval signatures collected off-chain, not yet submitted
+  `
+  CREATE TABLE approval_signatures (
+    proposal_id TEXT NOT NULL,
+    signer TEXT NOT NULL COLLATE NOCASE,
+    deadline INTEGER NOT NULL,
+    signature TEXT NOT NULL,
+    received_at INTEGER,
+    PRIMARY KEY (proposal_id, signer)
+  );
+  `,
+
+  // 7: "about to expire unexecuted" warning
+  `
+  ALTER TABLE notifications ADD COLUMN expiry_warn_sent INTEGER NOT NULL DEFAULT 0;
+  `,
+
+  // 8: per pause round: "wallet paused" and "pause lapses soon" emails
+  `
+  CREATE TABLE pause_notifications (
+    round INTEGER PRIMARY KEY,
+    started_sent INTEGER NOT NULL DEFAULT 0,
+    lapse_warn_sent INTEGER NOT NULL DEFAULT 0
+  );
+  `,
+
+  // 9: Sign-In with Ethereum nonces (single use, bound to the challenged address, chain,
+  //    purpose and exact message) and sessions scoped to that purpose (token stored hashed)
+  `
+  CREATE TABLE auth_nonces (
+    nonce TEXT PRIMARY KEY,
+    address TEXT NOT NULL,
+    chain_id INTEGER NOT NULL,
+    purpose TEXT NOT NULL,
+    message_hash TEXT NOT NULL,
+    issued_at INTEGER NOT NULL,
+    expires_at INTEGER NOT NULL
+  );
+  CREATE TABLE sessions (
+    token_hash TEXT PRIMARY KEY,
+    address TEXT NOT NULL COLLATE NOCASE,
+    chain_id INTEGER NOT NULL,
+    purpose TEXT NOT NULL,
+    issued_at INTEGER NOT NULL,
+    expires_at INTEGER NOT NULL
+  );
+  `,
+
+  // 10: address book (labels, categories used by the risk policy)
+  `
+  CREATE TABLE address_book (
+    address TEXT PRIMARY KEY COLLATE NOCASE,
+    label TEXT NOT NULL,
+    category TEXT NOT NULL,
+    note TEXT,
+    updated_by TEXT,
+    updated_at INTEGER
+  );
+  `,
+
+  // 11: wallet-wide history scans (behavioral baselines)
+  `
+  CREATE INDEX proposals_created ON proposals (created_at);
+  `,
+
+  // 12: guardian automation audit log (every automated decision, dry runs included)
+  `
+  CREATE TABLE guardian_actions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    proposal_id TEXT NOT NULL,
+    action TEXT NOT NULL,
+    outcome TEXT NOT NULL,
+    cause TEXT NOT NULL,
+    reason TEXT NOT NULL,
+    risk TEXT NOT NULL,
+    tx_hash TEXT,
+    error TEXT,
+    created_at INTEGER NOT NULL
+  );
+  CREATE INDEX guardian_actions_proposal ON guardian_actions (proposal_id, action);
+  CREATE INDEX guardian_actions_created ON guardian_actions (created_at);
+  `,
+
+  // 13: risk history (one snapshot per changed result: scheduled rescores, events, policy reloads)
+  `
+  CREATE TABLE risk_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    proposal_id TEXT NOT NULL,
+    score INTEGER NOT NULL,
+    level TEXT NOT NULL,
+    cause TEXT NOT NULL,
+    points TEXT,
+    reasons TEXT NOT NULL,
+    critical_flags TEXT NOT NULL,
+    policy_version TEXT,
+    computed_at INTEGER NOT NULL
+  );
+  CREATE INDEX risk_history_proposal ON risk_history (proposal_id, id);
+  `,
+
+  // 14: latest transaction simulation per proposal (see simulator.js)
+  `
+  CREATE TABLE simulations (
+    proposal_id TEXT PRIMARY KEY,
+    status TEXT NOT NULL,
+    simulated_at INTEGER NOT NULL,
+    result TEXT NOT NULL
+  );
+  `,
+
+  // 15: outcome of every notification delivery (see notifier.js)
+  `
+  CREATE TABLE notification_deliveries (
+    id TEXT PRIMARY KEY,
+    channel TEXT NOT NULL,
+    event TEXT NOT NULL,
+    proposal_id TEXT,
+    subject TEXT NOT NULL,
+    status TEXT NOT NULL,
+    attempts INTEGER NOT NULL,
+    error TEXT,
+    created_at INTEGER NOT NULL,
+    finished_at INTEGER NOT NULL
+  );
+  CREATE INDEX notification_deliveries_channel ON notification_deliveries (channel, created_at);
+  CREATE INDEX notification_deliveries_created ON notification_deliveries (created_at);
+  `,
+];
+
+// JS field -> SQL column for the proposals table
+const PROPOSAL_COLUMNS = {
+  id: "id",
+  proposer: "proposer",
+  kind: "kind",
+  govKind: "gov_kind",
+  to: "to_addr",
+  value: "value",
+  eta: "eta",
+  executed: "executed",
+  cancelled: "cancelled",
+  createdAt: "created_at",
+  createdBlock: "created_block",
+  createdTx: "created_tx",
+  lastEvent: "last_event",
+  executionSuccess: "execution_success",
+};
+
+// GET /proposals sort keys -> ordering columns and the matching cursor values
+// (value is a decimal string: longer is larger, equal lengths compare as text)
+const PROPOSAL_SORTS = {
+  createdAt: { columns: ["COALESCE(p.created_block, 0)"], cursor: ["CAST(@afterKey AS INTEGER)"] },
+  eta: { columns: ["p.eta"], cursor: ["CAST(@afterKey AS INTEGER)"] },
+  value: { columns: ["length(p.value)", "p.value"], cursor: ["length(@afterKey)", "@afterKey"] },
+};
+
+// deriveLifecycle (lifecycle.js) in SQL, over p.approval_count and @threshold / @expiry / @now
+const LIFECYCLE_STATE_SQL = `CASE
+    WHEN p.cancelled THEN 'cancelled'
+    WHEN p.executed THEN (CASE WHEN p.execution_success = 0 THEN 'failed' ELSE 'executed' END)
+    WHEN @now > p.eta + @expiry THEN 'expired'
+    WHEN p.approval_count >= @threshold AND @now >= p.eta THEN 'executable'
+    WHEN p.approval_count >= @threshold THEN 'queued'
+    WHEN p.approval_count > 0 THEN 'awaitingApprovals'
+    ELSE 'created'
+  END`;
+
+function proposalFilters({ id, kind, proposer, to, etaFrom, etaTo } = {}) {
+  const where = [];
+  const params = {};
+
+  if (id) {
+    where.push("p.id = @id");
+    params.id = id;
+  }
+  if (kind) {
+    where.push("p.kind = @kind");
+    params.kind = kind;
+  }
+  if (proposer) {
+    where.push("p.proposer = @proposer");
+    params.proposer = proposer;
+  }
+  if (to) {
+    where.push("p.to_addr = @to");
+    params.to = to;
+  }
+  if (etaFrom !== undefined) {
+    where.push("p.eta >= @etaFrom");
+    params.etaFrom = etaFrom;
+  }
+  if (etaTo !== undefined) {
+    where.push("p.eta <= @etaTo");
+    params.etaTo = etaTo;
+  }
+
+  return { where, params };
+}
+
+const BOOL_FIELDS = new Set(["executed", "cancelled"]);
+// booleans where "unknown" (NULL) is meaningful
+const NULLABLE_BOOL_FIELDS = new Set(["executionSuccess"]);
+
+function rowToProposal(row) {
+  if (!row) return null;
+  const p = {};
+  for (const [field, col] of Object.entries(PROPOSAL_COLUMNS)) {
+    if (BOOL_FIELDS.has(field)) p[field] = Boolean(row[col]);
+    else if (NULLABLE_BOOL_FIELDS.has(field)) p[field] = row[col] === null ? null : Boolean(row[col]);
+    else p[field] = row[col];
+  }
+  return p;
+}
+
+function rowToEvent(row) {
+  return {
+    name: row.name,
+    args: JSON.parse(row.args),
+    blockNumber: row.block_number,
+    blockHash: row.block_hash,
+    txHash: row.tx_hash,
+    logIndex: row.log_index,
+    timestamp: row.timestamp,
+  };
+}
+
+function rowToToken(row) {
+  return {
+    address: row.address,
+    symbol: row.symbol,
+    name: row.name,
+    decimals: row.decimals,
+    addedAt: row.added_at,
+  };
+}
+
+function rowToAddressEntry(row) {
+  return {
+    address: row.address,
+    label: row.label,
+    category: row.category,
+    note: row.note,
+    updatedBy: row.updated_by,
+    updatedAt: row.updated_at,
+  };
+}
+
+function rowToRiskSnapshot(row) {
+  return {
+    id: row.id,
+    proposalId: row.proposal_id,
+    score: row.score,
+    level: row.level,
+    cause: row.cause,
+    points: row.points ? JSON.parse(row.points) : null,
+    reasons: JSON.parse(row.reasons),
+    criticalFlags: JSON.parse(row.critical_flags),
+    policyVersion: row.policy_version,
+    computedAt: row.computed_at,
+  };
+}
+
+function rowToGuardianAction(row) {
+  return {
+    id: row.id,
+    proposalId: row.proposal_id,
+    action: row.action,
+    outcome: row.outcome,
+    trigger: row.cause,
+    reason: row.reason,
+    risk: JSON.parse(row.risk),
+    txHash: row.tx_hash,
+    error: row.error,
+    createdAt: row.created_at,
+  };
+}
+
+function rowToDelivery(row) {
+  return {
+    id: row.id,
+    channel: row.channel,
+    event: row.event,
+    proposalId: row.proposal_id,
+    subject: row.subject,
+    status: row.status,
+    attempts: row.attempts,
+    error: row.error,
+    createdAt: row.created_at,
+    finishedAt: row.finished_at,
+  };
+}
+
+function migrate(db) {
+  const current = db.pragma("user_version", { simple: true });
+
+  for (let v = current; v < MIGRATIONS.length; v++) {
+    db.transaction(() => {
+      db.exec(MIGRATIONS[v]);
+      db.pragma(`user_version = ${v + 1}`);
+    })();
+  }
+  // once per open, and only for a file that changed (":memory:" stores start at v0 every time)
+  if (current < MIGRATIONS.length && !db.memory) {
+    console.log(`🗄️ Store migrated from schema v${current} to v${MIGRATIONS.length}`);
+  }
+
+  return current;
+}
+
+/**
+ * Opens (and migrates) the store.
+ * @param {string} file SQLite file path (":memory:" works for throwaway use).
+ */
+export function openStore(file) {
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.pragma("foreign_keys = ON");
+
+  const previousVersion = migrate(db);
+
+  const stmt = {
+    hasEvent: db.prepare("SELECT 1 FROM events WHERE key = ?"),
+    insertEvent: db.prepare(
+      `INSERT OR IGNORE INTO events (key, name, proposal_id, block_number, block_hash, tx_hash, log_index, timestamp, args)
+       VALUES (@key, @name, @proposalId, @blockNumber, @blockHash, @txHash, @logIndex, @timestamp, @args)`
+    ),
+    allEvents: db.prepare("SELECT * FROM events ORDER BY block_number, log_index"),
+    eventsFor: db.prepare("SELECT * FROM events WHERE proposal_id = ? ORDER BY block_number, log_index"),
+    deleteEventsAfter: db.prepare("DELETE FROM events WHERE block_number > ?"),
+
+    getProposal: db.prepare("SELECT * FROM proposals WHERE id = ?"),
+    listProposals: db.prepare("SELECT * FROM proposals ORDER BY created_block, id"),
+    proposalIds: db.prepare("SELECT id FROM proposals ORDER BY created_block, id"),
+    proposerTimes: db.prepare(
+      "SELECT created_at FROM proposals WHERE proposer = ? AND created_at >= ? ORDER BY created_at DESC"
+    ),
+    proposalHistory: db.prepare(
+      `SELECT * FROM proposals
+       WHERE created_at >= @since AND created_at < @before AND cancelled = 0
+         AND (@proposer IS NULL OR proposer = @proposer)
+       ORDER BY created_at, created_block, id`
+    ),
+    approvalLatencies: db.prepare(
+      `SELECT a.approved_at - p.created_at AS latency FROM approvals a JOIN proposals p ON p.id = a.proposal_id
+       WHERE p.created_at >= @since AND p.created_at < @before AND p.cancelled = 0
+         AND a.signer != p.proposer AND a.approved_at IS NOT NULL
+         AND (@proposer IS NULL OR p.proposer = @proposer)`
+    ),
+
+    addApproval: db.prepare(
+      `INSERT OR REPLACE INTO approvals (proposal_id, signer, approved_at, tx_hash, block_number)
+       VALUES (@proposalId, @signer, @approvedAt, @txHash, @blockNumber)`
+    ),
+    removeApproval: db.prepare("DELETE FROM approvals WHERE proposal_id = ? AND signer = ?"),
+    getApprovals: db.prepare("SELECT * FROM approvals WHERE proposal_id = ? ORDER BY block_number, approved_at"),
+    approvalTimes: db.prepare(
+      "SELECT timestamp FROM events WHERE proposal_id = ? AND name = 'ProposalApproved' ORDER BY block_number, log_index"
+    ),
+
+    getRisk: db.prepare("SELECT result FROM risk_results WHERE proposal_id = ?"),
+    saveRisk: db.prepare(
+      `INSERT OR REPLACE INTO risk_results (proposal_id, score, level, computed_at, result)
+       VALUES (@id, @score, @level, @computedAt, @result)`
+    ),
+
+    getRecipient: db.prepare("SELECT * FROM seen_recipients WHERE address = ?"),
+    markRecipient: db.prepare(
+      "INSERT OR IGNORE INTO seen_recipients (address, first_proposal_id, first_seen_at) VALUES (?, ?, ?)"
+    ),
+
+    getNotify: db.prepare("SELECT * FROM notifications WHERE proposal_id = ?"),
+    saveNotify: db.prepare(
+      `INSERT OR REPLACE INTO notifications (proposal_id, created_sent, threshold_sent, eta_warn_sent, eta_warn_at, expiry_warn_sent)
+       VALUES (@id, @createdSent, @thresholdSent, @etaWarnSent, @etaWarnAt, @expiryWarnSent)`
+    ),
+
+    getPauseNotify: db.prepare("SELECT * FROM pause_notifications WHERE round = ?"),
+    savePauseNotify: db.prepare(
+      `INSERT OR REPLACE INTO pause_notifications (round, started_sent, lapse_warn_sent)
+       VALUES (@round, @startedSent, @lapseWarnSent)`
+    ),
+
+    saveAuthNonce: db.prepare(
+      `INSERT INTO auth_nonces (nonce, address, chain_id, purpose, message_hash, issued_at, expires_at)
+       VALUES (@nonce, @address, @chainId, @purpose, @messageHash, @issuedAt, @expiresAt)`
+    ),
+    getAuthNonce: db.prepare("SELECT * FROM auth_nonces WHERE nonce = ?"),
+    deleteAuthNonce: db.prepare("DELETE FROM auth_nonces WHERE nonce = ?"),
+    countAuthNonces: db.prepare(
+      "SELECT COUNT(*) AS total, COALESCE(SUM(address = ?), 0) AS forAddress FROM auth_nonces WHERE expires_at >= ?"
+    ),
+    saveSession: db.prepare(
+      `INSERT INTO sessions (token_hash, address, chain_id, purpose, issued_at, expires_at)
+       VALUES (@tokenHash, @address, @chainId, @purpose, @issuedAt, @expiresAt)`
+    ),
+    getSession: db.prepare("SELECT * FROM sessions WHERE token_hash = ?"),
+    deleteSession: db.prepare("DELETE FROM sessions WHERE token_hash = ?"),
+
+    getCalldata: db.prepare("SELECT data FROM proposal_calldata WHERE proposal_id = ?"),
+    saveCalldata: db.prepare("INSERT OR REPLACE INTO proposal_calldata (proposal_id, data) VALUES (?, ?)"),
+
+    getBatchCalls: db.prepare("SELECT * FROM batch_calls WHERE proposal_id = ? ORDER BY idx"),
+    saveBatchCall: db.prepare(
+      "INSERT OR REPLACE INTO batch_calls (proposal_id, idx, to_addr, value, data) VALUES (?, ?, ?, ?, ?)"
+    ),
+
+    getSignatures: db.prepare("SELECT * FROM approval_signatures WHERE proposal_id = ? ORDER BY received_at, signer"),
+    saveSignature: db.prepare(
+      `INSERT OR REPLACE INTO approval_signatures (proposal_id, signer, deadline, signature, received_at)
+       VALUES (@proposalId, @signer, @deadline, @signature, @receivedAt)`
+    ),
+    deleteSignature: db.prepare("DELETE FROM approval_signatures WHERE proposal_id = ? AND signer = ?"),
+
+    getAbi: db.prepare("SELECT * FROM abis WHERE address = ?"),
+    listAbis: db.prepare("SELECT * FROM abis ORDER BY address"),
+    saveAbi: db.prepare(
+      "INSERT OR REPLACE INTO abis (address, name, abi, uploaded_at) VALUES (@address, @name, @abi, @uploadedAt)"
+    ),
+    deleteAbi: db.prepare("DELETE FROM abis WHERE address = ?"),
+
+    getToken: db.prepare("SELECT * FROM tokens WHERE address = ?"),
+    listTokens: db.prepare("SELECT * FROM tokens ORDER BY added_at, address"),
+    saveToken: db.prepare(
+      "INSERT OR REPLACE INTO tokens (address, symbol, name, decimals, added_at) VALUES (@address, @symbol, @name, @decimals, @addedAt)"
+    ),
+
+    addRiskSnapshot: db.prepare(
+      `INSERT INTO risk_history (proposal_id, score, level, cause, points, reasons, critical_flags, policy_version, computed_at)
+       VALUES (@proposalId, @score, @level, @cause, @points, @reasons, @criticalFlags, @policyVersion, @computedAt)`
+    ),
+    lastRiskSnapshot: db.prepare("SELECT * FROM risk_history WHERE proposal_id = ? ORDER BY id DESC LIMIT 1"),
+    riskHistory: db.prepare("SELECT * FROM risk_history WHERE proposal_id = @proposalId ORDER BY id DESC LIMIT @limit"),
+
+    getSimulation: db.prepare("SELECT result FROM simulations WHERE proposal_id = ?"),
+    saveSimulation: db.prepare(
+      `INSERT OR REPLACE INTO simulations (proposal_id, status, simulated_at, result)
+       VALUES (@id, @status, @simulatedAt, @result)`
+    ),
+
+    getAddressEntry: db.prepare("SELECT * FROM address_book WHERE address = ?"),
+    listAddressBook: db.prepare("SELECT * FROM address_book ORDER BY category, label, address"),
+    saveAddressEntry: db.prepare(
+      `INSERT OR REPLACE INTO address_book (address, label, category, note, updated_by, updated_at)
+       VALUES (@address, @label, @category, @note, @updatedBy, @updatedAt)`
+    ),
+    deleteAddressEntry: db.prepare("DELETE FROM address_book WHERE address = ?"),
+
+    addGuardianAction: db.prepare(
+      `INSERT INTO guardian_actions (proposal_id, action, outcome, cause, reason, risk, tx_hash, error, created_at)
+       VALUES (@proposalId, @action, @outcome, @trigger, @reason, @risk, @txHash, @error, @createdAt)`
+    ),
+    findGuardianAction: db.prepare(
+      "SELECT * FROM guardian_actions WHERE proposal_id = ? AND action = ? ORDER BY id DESC LIMIT 1"
+    ),
+    listGuardianActions: db.prepare(
+      "SELECT * FROM guardian_actions WHERE (@proposalId IS NULL OR proposal_id = @proposalId) ORDER BY id DESC LIMIT @limit"
+    ),
+
+    addNotificationDelivery: db.prepare(
+      `INSERT INTO notification_deliveries (id, channel, event, proposal_id, subject, status, attempts, error, created_at, finished_at)
+       VALUES (@id, @channel, @event, @proposalId, @subject, @status, @attempts, @error, @createdAt, @finishedAt)`
+    ),
+    listNotificationDeliveries: db.prepare(
+      `SELECT * FROM notification_deliveries WHERE (@channel IS NULL OR channel = @channel)
+       ORDER BY created_at DESC, rowid DESC LIMIT @limit`
+    ),
+
+    loadCursor: db.prepare("SELECT * FROM indexer_cursor WHERE id = 1"),
+    saveCursor: db.prepare(
+      "INSERT OR REPLACE INTO indexer_cursor (id, last_block, block_hashes) VALUES (1, ?, ?)"
+    ),
+  };
+
+  // proposal row with its approving signers, calldata and (batches) calls
+  function rowToListedProposal(row) {
+    const approvedBy = row.approved_by ? row.approved_by.split(",") : [];
+    const p = { ...rowToProposal(row), data: row.data ?? null, approvedBy, approvals: approvedBy.length };
+    if (p.kind === "batch") p.calls = store.getBatchCalls(p.id);
+    return p;
+  }
+
+  const store = {
+    db,
+
+    /** True when the database was created by this process (schema started at v0). */
+    isNew: previousVersion === 0,
+
+    transaction(fn) {
+      return db.transaction(fn)();
+    },
+
+    // ---------------- events ----------------
+    hasEvent(key) {
+      return Boolean(stmt.hasEvent.get(key));
+    },
+
+    insertEvent(key, ev) {
+      stmt.insertEvent.run({
+        key,
+        name: ev.name,
+        proposalId: ev.args?.id ?? null,
+        blockNumber: ev.blockNumber,
+        blockHash: ev.blockHash,
+        txHash: ev.txHash,
+        logIndex: ev.logIndex,
+        timestamp: ev.timestamp ?? null,
+        args: JSON.stringify(ev.args),
+      });
+    },
+
+    allEvents() {
+      return stmt.allEvents.all().map(rowToEvent);
+    },
+
+    eventsFor(id) {
+      return stmt.eventsFor.all(id).map(rowToEvent);
+    },
+
+    /** Every indexed event with one of `names`, oldest first. */
+    eventsNamed(names) {
+      const list = names.map(() => "?").join(", ");
+      return db
+        .prepare(`SELECT * FROM events WHERE name IN (${list}) ORDER BY block_number, log_index`)
+        .all(...names)
+        .map(rowToEvent);
+    },
+
+    /** Deletes events above `blockNumber`; returns how many were removed. */
+    deleteEventsAfter(blockNumber) {
+      return stmt.deleteEventsAfter.run(blockNumber).changes;
+    },
+
+    // ---------------- proposals ----------------
+    getProposal(id) {
+      return rowToProposal(stmt.getProposal.get(id));
+    },
+
+    listProposals() {
+      return stmt.listProposals.all().map(rowToProposal);
+    },
+
+    proposalIds() {
+      return stmt.proposalIds.all().map((r) => r.id);
+    },
+
+    upsertProposal(id, patch) {
+      const updated = { ...(store.getProposal(id) || { id, kind: "tx", value: "0", eta: 0 }), ...patch, id };
+
+      const cols = Object.values(PROPOSAL_COLUMNS);
+      const values = Object.keys(PROPOSAL_COLUMNS).map((f) => {
+        const v = updated[f];
+        if (BOOL_FIELDS.has(f)) return v ? 1 : 0;
+        if (v === undefined || v === null) return null;
+        if (NULLABLE_BOOL_FIELDS.has(f)) return v ? 1 : 0;
+        return v;
+      });
+
+      db.prepare(
+        `INSERT OR REPLACE INTO proposals (${cols.join(", ")}) VALUES (${cols.map(() => "?").join(", ")})`
+      ).run(values);
+
+      return updated;
+    },
+
+    /**
+     * Proposals matching the static filters (kind, proposer, recipient, ETA range)
+     * together with their current approving signers.
+     */
+    queryProposals(filters = {}) {
+      const { where, params } = proposalFilters(filters);
+
+      const sql =
+        `SELECT p.*,
+           (SELECT group_concat(a.signer) FROM approvals a WHERE a.proposal_id = p.id) AS approved_by,
+           (SELECT c.data FROM proposal_calldata c WHERE c.proposal_id = p.id) AS data
+         FROM proposals p` + (where.length ? ` WHERE ${where.join(" AND ")}` : "");
+
+      return db.prepare(sql).all(params).map(rowToListedProposal);
+    },
+
+    /**
+     * One page of GET /proposals: queryProposals' filters plus lifecycle `states` (derived
+     * in SQL from `lifecycle` = { threshold, expiry, now }), ordered by `sort` / `order` then
+     * id, starting after `after` = { key, id } of the previous page's last item.
+     * @return { items, total, remaining } total ignores `after`; remaining counts from it on
+     */
+    pageProposals({ filters = {}, states = null, lifecycle, sort = "createdAt", order = "desc", after = null, limit = 50 }) {
+      const sortBy = PROPOSAL_SORTS[sort];
+      if (!sortBy) throw new Error(`unknown proposal sort: ${sort}`);
+      const { where, params } = proposalFilters(filters);
+
+      let listed =
+        `SELECT p.*, (SELECT COUNT(*) FROM approvals a WHERE a.proposal_id = p.id) AS approval_count
+         FROM proposals p` + (where.length ? ` WHERE ${where.join(" AND ")}` : "");
+      if (states) {
+        Object.assign(params, { threshold: lifecycle.threshold, expiry: lifecycle.expiry, now: lifecycle.now });
+        states.forEach((state, i) => (params[`state${i}`] = state));
+        listed = `SELECT p.* FROM (${listed}) p
+          WHERE ${LIFECYCLE_STATE_SQL} IN (${states.map((_, i) => `@state${i}`).join(", ")})`;
+      }
+      const total = db.prepare(`SELECT COUNT(*) AS n FROM (${listed})`).get(params).n;
+
+      const columns = [...sortBy.columns, "p.id"];
+      let from = listed;
+      if (after) {
+        Object.assign(params, { afterKey: String(after.key), afterId: after.id });
+        from = `SELECT p.* FROM (${listed}) p
+          WHERE (${columns.join(", ")}) ${order === "asc" ? ">" : "<"} (${[...sortBy.cursor, "@afterId"].join(", ")})`;
+      }
+      const remaining = after ? db.prepare(`SELECT COUNT(*) AS n FROM (${from})`).get(params).n : total;
+
+      const dir = order === "asc" ? "ASC" : "DESC";
+      const rows = db
+        .prepare(
+          `SELECT p.*,
+             (SELECT group_concat(a.signer) FROM approvals a WHERE a.proposal_id = p.id) AS approved_by,
+             (SELECT c.data FROM proposal_calldata c WHERE c.proposal_id = p.id) AS data
+           FROM (${from}) p
+           ORDER BY ${columns.map((c) => `${c} ${dir}`).join(", ")}
+           LIMIT @limit`
+        )
+        .all({ ...params, limit });
+
+      return { items: rows.map(rowToListedProposal), total, remaining };
+    },
+
+    /** Removes the event-derived projection (proposals + approvals) before a replay. */
+    clearProjection() {
+      db.exec("DELETE FROM proposals; DELETE FROM approvals;");
+    },
+
+    /** Drops everything derived for a proposal that no longer exists on chain. */
+    forgetProposal(id) {
+      db.prepare("DELETE FROM risk_results WHERE proposal_id = ?").run(id);
+      db.prepare("DELETE FROM risk_history WHERE proposal_id = ?").run(id);
+      db.prepare("DELETE FROM simulations WHERE proposal_id = ?").run(id);
+      db.prepare("DELETE FROM notifications WHERE proposal_id = ?").run(id);
+      db.prepare("DELETE FROM seen_recipients WHERE first_proposal_id = ?").run(id);
+      db.prepare("DELETE FROM proposal_calldata WHERE proposal_id = ?").run(id);
+      db.prepare("DELETE FROM batch_calls WHERE proposal_id = ?").run(id);
+      db.prepare("DELETE FROM approval_signatures WHERE proposal_id = ?").run(id);
+    },
+
+    /** Creation times (unix sec) of a proposer's proposals created since `since`, newest first. */
+    proposerProposalTimes(proposer, since = 0) {
+      return stmt.proposerTimes.all(proposer, since).map((r) => r.created_at);
+    },
+
+    /**
+     * Non-cancelled proposals created in [since, before), oldest first, of one proposer
+     * or (proposer null) of the whole wallet.
+     */
+    proposalHistory({ proposer = null, since, before }) {
+      return stmt.proposalHistory.all({ proposer, since, before }).map(rowToProposal);
+    },
+
+    /** Seconds from creation to each approval by another owner, over the same history. */
+    approvalLatencies({ proposer = null, since, before }) {
+      return stmt.approvalLatencies
+        .all({ proposer, since, before })
+        .map((r) => r.latency)
+        .filter((l) => l >= 0);
+    },
+
+    // ---------------- approvals ----------------
+    addApproval({ proposalId, signer, approvedAt, txHash, blockNumber }) {
+      stmt.addApproval.run({ proposalId, signer, approvedAt, txHash, blockNumber });
+    },
+
+    removeApproval(proposalId, signer) {
+      stmt.removeApproval.run(proposalId, signer);
+    },
+
+    getApprovals(proposalId) {
+      return stmt.getApprovals.all(proposalId).map((r) => ({
+        signer: r.signer,
+        approvedAt: r.approved_at,
+        txHash: r.tx_hash,
+        blockNumber: r.block_number,
+      }));
+    },
+
+    /** Timestamps of every approval event for a proposal (revoked ones included). */
+    approvalTimes(proposalId) {
+      return stmt.approvalTimes.all(proposalId).map((r) => r.timestamp).filter((t) => t !== null);
+    },
+
+    // ---------------- risk ----------------
+    getRisk(id) {
+      const row = stmt.getRisk.get(id);
+      return row ? JSON.parse(row.result) : null;
+    },
+
+    saveRisk(risk) {
+      stmt.saveRisk.run({
+        id: risk.id,
+        score: risk.score,
+        level: risk.level,
+        computedAt: risk.computedAt,
+        result: JSON.stringify(risk),
+      });
+    },
+
+    /** Appends a snapshot of a risk result; @return it with its id. */
+    addRiskSnapshot(risk, cause) {
+      const { lastInsertRowid } = stmt.addRiskSnapshot.run({
+        proposalId: risk.id,
+        score: risk.score,
+        level: risk.level,
+        cause,
+        points: risk.signals?.points ? JSON.stringify(risk.signals.points) : null,
+        reasons: JSON.stringify(risk.reasons),
+        criticalFlags: JSON.stringify(risk.signals?.criticalFlags || []),
+        policyVersion: risk.policyVersion ?? null,
+        computedAt: risk.computedAt,
+      });
+      return rowToRiskSnapshot(db.prepare("SELECT * FROM risk_history WHERE id = ?").get(lastInsertRowid));
+    },
+
+    lastRiskSnapshot(proposalId) {
+      const row = stmt.lastRiskSnapshot.get(proposalId);
+      return row ? rowToRiskSnapshot(row) : null;
+    },
+
+    /** Snapshots of a proposal, newest first. */
+    riskHistory(proposalId, { limit = 500 } = {}) {
+      return stmt.riskHistory.all({ proposalId, limit }).map(rowToRiskSnapshot);
+    },
+
+    /** Highest level among a proposal's snapshots ("LOW" < "MEDIUM" < "HIGH"), or null. */
+    peakRiskLevel(proposalId) {
+      const row = db
+        .prepare(
+          `SELECT level FROM risk_history WHERE proposal_id = ?
+           ORDER BY CASE level WHEN 'HIGH' THEN 2 WHEN 'MEDIUM' THEN 1 ELSE 0 END DESC LIMIT 1`
+        )
+        .get(proposalId);
+      return row?.level ?? null;
+    },
+
+    // ---------------- simulations ----------------
+    getSimulation(id) {
+      const row = stmt.getSimulation.get(id);
+      return row ? JSON.parse(row.result) : null;
+    },
+
+    saveSimulation(sim) {
+      stmt.saveSimulation.run({ id: sim.id, status: sim.status, simulatedAt: sim.simulatedAt, result: JSON.stringify(sim) });
+    },
+
+    /** Id of the proposal that first used `address` as recipient, or null. */
+    recipientFirstSeenBy(address) {
+      return stmt.getRecipient.get(address)?.first_proposal_id ?? null;
+    },
+
+    markRecipientSeen(address, proposalId, at) {
+      stmt.markRecipient.run(address, proposalId, at);
+    },
+
+    // ---------------- notifications ----------------
+    getNotifyState(id) {
+      const row = stmt.getNotify.get(id);
+      return {
+        createdSent: Boolean(row?.created_sent),
+        thresholdSent: Boolean(row?.threshold_sent),
+        etaWarnSent: Boolean(row?.eta_warn_sent),
+        etaWarnAt: row?.eta_warn_at ?? null,
+        expiryWarnSent: Boolean(row?.expiry_warn_sent),
+      };
+    },
+
+    markNotify(id, patch) {
+      const s = { ...store.getNotifyState(id), ...patch };
+      stmt.saveNotify.run({
+        id,
+        createdSent: s.createdSent ? 1 : 0,
+        thresholdSent: s.thresholdSent ? 1 : 0,
+        etaWarnSent: s.etaWarnSent ? 1 : 0,
+        etaWarnAt: s.etaWarnAt ?? null,
+        expiryWarnSent: s.expiryWarnSent ? 1 : 0,
+      });
+      return s;
+    },
+
+    /** Emails already sent for pause round `round` (contract pauseRound). */
+    getPauseNotifyState(round) {
+      const row = stmt.getPauseNotify.get(round);
+      return {
+        startedSent: Boolean(row?.started_sent),
+        lapseWarnSent: Boolean(row?.lapse_warn_sent),
+      };
+    },
+
+    markPauseNotify(round, patch) {
+      const s = { ...store.getPauseNotifyState(round), ...patch };
+      stmt.savePauseNotify.run({
+        round,
+        startedSent: s.startedSent ? 1 : 0,
+        lapseWarnSent: s.lapseWarnSent ? 1 : 0,
+      });
+      return s;
+    },
+
+    // ---------------- auth (SIWE) ----------------
+    saveAuthNonce(n) {
+      stmt.saveAuthNonce.run(n);
+    },
+
+    /** Unexpired nonces: { total, forAddress } (address checksummed, as saved). */
+    countAuthNonces(address, now) {
+      return stmt.countAuthNonces.get(address, now);
+    },
+
+    /** Consumes a nonce: returns what it was issued for once, then null. */
+    takeAuthNonce(nonce) {
+      return db.transaction(() => {
+        const row = stmt.getAuthNonce.get(nonce);
+        if (!row) return null;
+        stmt.deleteAuthNonce.run(nonce);
+        return {
+          address: row.address,
+          chainId: row.chain_id,
+          purpose: row.purpose,
+          messageHash: row.message_hash,
+          issuedAt: row.issued_at,
+          expiresAt: row.expires_at,
+        };
+      })();
+    },
+
+    saveSession(s) {
+      stmt.saveSession.run(s);
+    },
+
+    getSession(tokenHash) {
+      const row = stmt.getSession.get(tokenHash);
+      if (!row) return null;
+      return {
+        address: row.address,
+        chainId: row.chain_id,
+        purpose: row.purpose,
+        issuedAt: row.issued_at,
+        expiresAt: row.expires_at,
+      };
+    },
+
+    deleteSession(tokenHash) {
+      stmt.deleteSession.run(tokenHash);
+    },
+
+    /** Drops expired nonces and sessions. */
+    purgeAuth(now) {
+      db.prepare("DELETE FROM auth_nonces WHERE expires_at < ?").run(now);
+      db.prepare("DELETE FROM sessions WHERE expires_at <= ?").run(now);
+    },
+
+    // ---------------- calldata ----------------
+    /** Raw calldata of a proposal (immutable on chain, fetched once), or null if not fetched yet. */
+    getCalldata(id) {
+      return stmt.getCalldata.get(id)?.data ?? null;
+    },
+
+    saveCalldata(id, data) {
+      stmt.saveCalldata.run(id, data);
+    },
+
+    /** Calls of a batch proposal ([] if not fetched yet). */
+    getBatchCalls(id) {
+      return stmt.getBatchCalls.all(id).map((r) => ({ to: r.to_addr, value: r.value, data: r.data }));
+    },
+
+    saveBatchCalls(id, calls) {
+      db.transaction(() => {
+        calls.forEach((c, i) => stmt.saveBatchCall.run(id, i, c.to, String(c.value), c.data));
+      })();
+    },
+
+    // ---------------- signed approvals (EIP-712) ----------------
+    /** Off-chain approval signatures of a proposal that are not on chain yet. */
+    getSignatures(proposalId) {
+      return stmt.getSignatures.all(proposalId).map((r) => ({
+        signer: r.signer,
+        deadline: r.deadline,
+        signature: r.signature,
+        receivedAt: r.received_at,
+      }));
+    },
+
+    saveSignature({ proposalId, signer, deadline, signature, receivedAt }) {
+      stmt.saveSignature.run({ proposalId, signer, deadline, signature, receivedAt });
+    },
+
+    deleteSignature(proposalId, signer) {
+      stmt.deleteSignature.run(proposalId, signer);
+    },
+
+    // ---------------- ABI registry ----------------
+    getAbi(address) {
+      const row = stmt.getAbi.get(address);
+      return row ? { address: row.address, name: row.name, abi: row.abi, uploadedAt: row.uploaded_at } : null;
+    },
+
+    listAbis() {
+      return stmt.listAbis.all().map((row) => ({
+        address: row.address,
+        name: row.name,
+        abi: row.abi,
+        uploadedAt: row.uploaded_at,
+      }));
+    },
+
+    saveAbi({ address, name, abi, uploadedAt }) {
+      stmt.saveAbi.run({ address, name: name ?? null, abi, uploadedAt });
+    },
+
+    /** @return true if an ABI was removed */
+    deleteAbi(address) {
+      return stmt.deleteAbi.run(address).changes > 0;
+    },
+
+    // ---------------- tokens ----------------
+    getToken(address) {
+      const row = stmt.getToken.get(address);
+      return row ? rowToToken(row) : null;
+    },
+
+    listTokens() {
+      return stmt.listTokens.all().map(rowToToken);
+    },
+
+    saveToken({ address, symbol, name, decimals, addedAt }) {
+      stmt.saveToken.run({ address, symbol: symbol ?? null, name: name ?? null, decimals, addedAt });
+    },
+
+    // ---------------- address book ----------------
+    getAddressEntry(address) {
+      const row = stmt.getAddressEntry.get(address);
+      return row ? rowToAddressEntry(row) : null;
+    },
+
+    listAddressBook() {
+      return stmt.listAddressBook.all().map(rowToAddressEntry);
+    },
+
+    saveAddressEntry({ address, label, category, note, updatedBy, updatedAt }) {
+      stmt.saveAddressEntry.run({ address, label, category, note: note ?? null, updatedBy: updatedBy ?? null, updatedAt });
+    },
+
+    /** @return true if an entry was removed */
+    deleteAddressEntry(address) {
+      return stmt.deleteAddressEntry.run(address).changes > 0;
+    },
+
+    // ---------------- guardian automation ----------------
+    /** Appends an audit entry; @return it with its id. */
+    addGuardianAction({ proposalId, action, outcome, trigger, reason, risk, txHash = null, error = null, createdAt }) {
+      const { lastInsertRowid } = stmt.addGuardianAction.run({
+        proposalId,
+        action,
+        outcome,
+        trigger,
+        reason,
+        risk: JSON.stringify(risk),
+        txHash,
+        error,
+        createdAt,
+      });
+      return rowToGuardianAction(db.prepare("SELECT * FROM guardian_actions WHERE id = ?").get(lastInsertRowid));
+    },
+
+    /** Latest entry of `action` for a proposal, or null. */
+    findGuardianAction(proposalId, action) {
+      const row = stmt.findGuardianAction.get(proposalId, action);
+      return row ? rowToGuardianAction(row) : null;
+    },
+
+    /** Newest first; `proposalId` narrows to one proposal. */
+    listGuardianActions({ proposalId = null, limit = 100 } = {}) {
+      return stmt.listGuardianActions.all({ proposalId, limit }).map(rowToGuardianAction);
+    },
+
+    /** Entries since `since` with one of `outcomes` (rate limiting). */
+    countGuardianActions(since, outcomes) {
+      return db
+        .prepare(
+          `SELECT COUNT(*) AS n FROM guardian_actions WHERE created_at >= ? AND outcome IN (${outcomes.map(() => "?").join(", ")})`
+        )
+        .get(since, ...outcomes).n;
+    },
+
+    // ---------------- notification deliveries ----------------
+    /** Records the outcome of one delivery; @return it. */
+    addNotificationDelivery({ id, channel, event, proposalId = null, subject, status, attempts, error = null, createdAt, finishedAt }) {
+      const row = { id, channel, event, proposalId, subject, status, attempts, error, createdAt, finishedAt };
+      stmt.addNotificationDelivery.run(row);
+      return row;
+    },
+
+    /** Newest first; `channel` narrows to one channel. */
+    listNotificationDeliveries({ channel = null, limit = 100 } = {}) {
+      return stmt.listNotificationDeliveries.all({ channel, limit }).map(rowToDelivery);
+    },
+
+    // ---------------- indexer cursor ----------------
+    loadCursor() {
+      const row = stmt.loadCursor.get();
+      return row ? { lastBlock: row.last_block, blockHashes: JSON.parse(row.block_hashes) } : null;
+    },
+
+    saveCursor(cursor) {
+      stmt.saveCursor.run(cursor.lastBlock, JSON.stringify(cursor.blockHashes));
+    },
+
+    close() {
+      db.close();
+    },
+  };
+
+  return store;
+}
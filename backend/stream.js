@@ -0,0 +1,107 @@
+// STREAM — DelayedExecutionMultiSig
+/**
+ * @title Update Stream
+ * @notice Server-Sent Events channel pushing normalized proposal / wallet updates to the UIs.
+ * @dev
+ * - Every update gets an increasing id; the last `historySize` updates are kept so a
+ *   reconnecting EventSource (Last-Event-ID header) receives what it missed.
+ * - A comment line is sent every `heartbeatMs` to keep proxies from closing idle connections.
+ */
+
+export const STREAM_EVENT_TYPES = [
+  "proposal.created",
+  "proposal.approved",
+  "proposal.revoked",
+  "proposal.thresholdReached",
+  "proposal.signed",
+  "proposal.signatureWithdrawn",
+  "proposal.executable",
+  "proposal.expiringSoon",
+  "proposal.expired",
+  "proposal.executed",
+  "proposal.cancelled",
+  "wallet.paused",
+  "wallet.resumed",
+  "wallet.unpauseVoted",
+  "wallet.emergencyUnpaused",
+  "wallet.pauseLapsing",
+  "wallet.pauseLapsed",
+  "governance.ownerAdded",
+  "governance.ownerRemoved",
+  "governance.thresholdChanged",
+  "governance.minDelayChanged",
+  "governance.guardianChanged",
+  "governance.targetDelaySet",
+  "governance.selectorDelaySet",
+  "governance.governanceKindDelaySet",
+  "governance.expiryChanged",
+  "governance.pauseConfigChanged",
+  "addressBook.updated",
+  "guardian.autoAction",
+  "risk.escalated",
+  "proposal.simulated",
+];
+
+export function createEventStream({ historySize = 100, heartbeatMs = 25_000 } = {}) {
+  const clients = new Set();
+  const history = [];
+  let nextId = 1;
+
+  function write(res, update) {
+    res.write(`id: ${update.seq}\nevent: ${update.type}\ndata: ${JSON.stringify(update)}\n\n`);
+  }
+
+  const heartbeat = setInterval(() => {
+    for (const res of clients) res.write(": ping\n\n");
+  }, heartbeatMs);
+  heartbeat.unref?.();
+
+  return {
+    /**
+     * Express handler for GET /stream.
+     */
+    handler(req, res) {
+      res.set({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+        "X-Accel-Buffering": "no",
+      });
+      res.flushHeaders();
+      res.write("retry: 3000\n\n");
+
+      const lastId = Number(req.get("Last-Event-ID") || req.query.lastEventId || 0);
+      if (lastId > 0) {
+        for (const update of history) if (update.seq > lastId) write(res, update);
+      }
+
+      clients.add(res);
+      req.on("close", () => clients.delete(res));
+    },
+
+    /**
+     * Sends one update to every connected client.
+     * @param type one of STREAM_EVENT_TYPES
+     * @param payload JSON-safe object (proposal snapshot, tx hash, ...)
+     */
+    publish(type, payload = {}) {
+      const update = { seq: nextId++, type, at: Math.floor(Date.now() / 1000), ...payload };
+
+      history.push(update);
+      if (history.length > historySize) history.shift();
+
+      for (const res of clients) write(res, update);
+      return update;
+    },
+
+    clientCount() {
+      return clients.size;
+    },
+
+    close() {
+      clearInterval(heartbeat);
+      for (const res of clients) res.end();
+      clients.clear();
+    },
+  };
+}
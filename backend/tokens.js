@@ -0,0 +1,96 @@
+// TOKENS — DelayedExecutionMultiSig
+/**
+ * @title ERC-20 Token Tracker
+ * @notice Keeps the list of ERC-20 tokens the multisig deals with and reads their balances.
+ * @dev
+ * - Metadata (symbol, name, decimals) is read once and persisted in the store (`tokens` table).
+ * - Tokens are tracked from TRACKED_TOKENS, from token-transfer proposals and from
+ *   any indexed proposal whose calldata decodes to an ERC-20 transfer.
+ * - Balances are always read live (`balanceOf(holder)`), never cached.
+ */
+
+import { ethers } from "ethers";
+
+export const ERC20_ABI = [
+  "function name() view returns (string)",
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function balanceOf(address account) view returns (uint256)",
+  "function transfer(address to, uint256 amount) returns (bool)",
+];
+
+const erc20 = new ethers.Interface(ERC20_ABI);
+
+export function createTokenTracker({ provider, store, holder }) {
+  function tokenContract(address) {
+    return new ethers.Contract(address, ERC20_ABI, provider);
+  }
+
+  /**
+   * Metadata of a token, read from chain on first use. Throws if `address`
+   * does not answer `decimals()` like an ERC-20.
+   */
+  async function info(address) {
+    const known = store.getToken(address);
+    if (known) return known;
+
+    const t = tokenContract(address);
+    const decimals = Number(await t.decimals());
+
+    // symbol/name are optional in ERC-20
+    const symbol = await t.symbol().catch(() => "TOKEN");
+    const name = await t.name().catch(() => null);
+
+    const token = {
+      address: ethers.getAddress(address),
+      symbol,
+      name,
+      decimals,
+      addedAt: Math.floor(Date.now() / 1000),
+    };
+    store.saveToken(token);
+    return token;
+  }
+
+  async function balanceOf(address) {
+    return tokenContract(address).balanceOf(holder);
+  }
+
+  return {
+    info,
+    balanceOf,
+
+    /** Tracks a token; returns its metadata or null if it is not an ERC-20. */
+    async track(address) {
+      try {
+        return await info(address);
+      } catch {
+        return null;
+      }
+    },
+
+    /** Human amount ("12.5") -> base units, using the token's decimals. */
+    async parseAmount(address, amount) {
+      const { decimals } = await info(address);
+      return ethers.parseUnits(String(amount), decimals);
+    },
+
+    encodeTransfer(recipient, amount) {
+      return erc20.encodeFunctionData("transfer", [recipient, amount]);
+    },
+
+    /** Every tracked token with the multisig's current balance. */
+    async balances() {
+      const out = [];
+      for (const t of store.listTokens()) {
+        try {
+          const balance = await balanceOf(t.address);
+          out.push({ ...t, balance: balance.toString(), formatted: ethers.formatUnits(balance, t.decimals) });
+        } catch (err) {
+          out.push({ ...t, balance: null, formatted: null, error: err?.shortMessage || err?.message || String(err) });
+        }
+      }
+      return out;
+    },
+  };
+}
@@ -11,7 +11,7 @@ contract DelayedExecutionMultiSig {
     }
 
     modifier whenNotPaused() {
-        require(!paused, "paused");
+        require(!paused(), "paused");
         _;
     }
 
@@ -22,10 +22,65 @@ contract DelayedExecutionMultiSig {
     uint256 public minDelayGlobal;
     address public guardian;
 
-    bool public paused;
-    uint256 public proposalExpiryDuration = 600; // 10 minutes
+    // Time-boxed pause: it lapses at `pausedUntil` on its own. A guardian resume or an
+    // owner emergency-unpause moves `pausedUntil` to now. A new pause needs `pauseCooldown`
+    // after the previous one ended, so a guardian cannot chain pauses forever.
+    uint256 public pausedUntil;
+    uint256 public maxPauseDuration = 3 days;
+    uint256 public pauseCooldown = 1 days;
+    uint256 public pauseRound; // incremented by every pause; unpause votes count per round
+    mapping(uint256 => mapping(address => bool)) private _unpauseVoted;
+    mapping(uint256 => uint256) public unpauseVotes;
+
+    uint256 public constant MIN_PAUSE_DURATION = 1 hours;
+    uint256 public constant MAX_PAUSE_DURATION = 30 days;
+    uint256 public constant MAX_PAUSE_COOLDOWN = 30 days;
+    uint256 public proposalExpiryDuration = 600; // 10 minutes, governance kind 0x09 changes it
+
+    // bounds of the execution window after ETA
+    uint256 public constant MIN_EXPIRY_DURATION = 5 minutes;
+    uint256 public constant MAX_EXPIRY_DURATION = 30 days;
+
+    enum ProposalKind { Transaction, Governance, Batch }
+
+    // one call of a Batch proposal
+    struct Call {
+        address to;
+        uint256 value;
+        bytes data;
+    }
+
+    uint256 public constant MAX_BATCH_CALLS = 20;
+
+    // Delay overrides (set by governance). A target or selector override replaces
+    // minDelayGlobal for matching calls (it may be shorter or longer); when both match,
+    // the longer one applies. Governance kinds only get a floor above minDelayGlobal.
+    struct DelayOverride {
+        bool enabled;
+        uint256 delay;
+    }
+
+    mapping(address => DelayOverride) public targetDelay;
+    mapping(bytes4 => DelayOverride) public selectorDelay;
+    mapping(uint8 => uint256) public governanceKindDelay;
+
+    // EIP-712 off-chain approvals: an owner signs Approval(id, signer, deadline),
+    // anyone submits it. The domain binds chain id + this contract; each digest is usable once.
+    struct SignedApproval {
+        address signer;
+        uint256 deadline;
+        bytes signature;
+    }
 
-    enum ProposalKind { Transaction, Governance }
+    bytes32 public constant APPROVAL_TYPEHASH =
+        keccak256("Approval(bytes32 id,address signer,uint256 deadline)");
+    bytes32 private constant _DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    bytes32 private constant _NAME_HASH = keccak256("DelayedExecutionMultiSig");
+    bytes32 private constant _VERSION_HASH = keccak256("1");
+
+    uint256 private immutable _cachedChainId;
+    bytes32 private immutable _cachedDomainSeparator;
 
     struct Proposal {
         address proposer;
@@ -41,11 +96,16 @@ contract DelayedExecutionMultiSig {
 
     mapping(bytes32 => Proposal) private _proposals;
     mapping(bytes32 => mapping(address => bool)) private _approvedBy;
+    mapping(bytes32 => Call[]) private _batchCalls;
+    mapping(bytes32 => bool) public usedApprovalDigests;
 
     // Events
     event ProposalCreated(bytes32 indexed id, address indexed proposer, address indexed to, uint256 value, uint256 eta);
     event GovernanceProposalCreated(bytes32 indexed id, address indexed proposer, uint8 kind, uint256 eta);
+    event BatchProposalCreated(bytes32 indexed id, address indexed proposer, uint256 calls, uint256 totalValue, uint256 eta);
     event ProposalApproved(bytes32 indexed id, address indexed signer);
+    event ApprovalSignatureUsed(bytes32 indexed id, address indexed signer, bytes32 digest);
+    event ApprovalSignatureInvalidated(bytes32 indexed id, address indexed signer, bytes32 digest);
     event ProposalRevoked(bytes32 indexed id, address indexed signer);
     event ProposalCancelled(bytes32 indexed id, address indexed canceller, string reason);
     event ProposalExecuted(bytes32 indexed id, address indexed executor, bool success, bytes ret);
@@ -55,9 +115,16 @@ contract DelayedExecutionMultiSig {
     event ThresholdChanged(uint256 newThreshold);
     event MinDelayChanged(uint256 newMinDelay);
     event GuardianChanged(address newGuardian);
+    event TargetDelaySet(address indexed target, uint256 delay, bool enabled);
+    event SelectorDelaySet(bytes4 indexed selector, uint256 delay, bool enabled);
+    event GovernanceKindDelaySet(uint8 indexed kind, uint256 delay);
+    event ProposalExpiryChanged(uint256 newExpiry);
 
-    event Paused();
+    event Paused(uint256 until);
     event Resumed();
+    event UnpauseVoted(address indexed owner, uint256 round, uint256 votes);
+    event EmergencyUnpaused(uint256 round, uint256 votes);
+    event PauseConfigChanged(uint256 maxDuration, uint256 cooldown);
 
     modifier onlyOwner() {
         require(isOwner[msg.sender], "not owner");
@@ -87,9 +154,14 @@ contract DelayedExecutionMultiSig {
 
         _status = 1;
 
+        _cachedChainId = block.chainid;
+        _cachedDomainSeparator = _buildDomainSeparator();
+
         emit ThresholdChanged(_threshold);
         emit MinDelayChanged(_minDelay);
         emit GuardianChanged(_guardian);
+        emit ProposalExpiryChanged(proposalExpiryDuration);
+        emit PauseConfigChanged(maxPauseDuration, pauseCooldown);
     }
 
     // ------------------
@@ -102,7 +174,7 @@ contract DelayedExecutionMultiSig {
      * @param to The target address for the transaction.
      * @param value The amount of ETH to send.
      * @param data The calldata to execute.
-     * @param delay The delay in seconds (must be >= global minDelay).
+     * @param delay The delay in seconds (must be >= requiredDelay(to, data)).
      * @return id The generated proposal ID.
      */
     function proposeTransaction(address to, uint256 value, bytes calldata data, uint256 delay)
@@ -111,7 +183,7 @@ contract DelayedExecutionMultiSig {
         whenNotPaused
         returns (bytes32 id)
     {
-        require(delay >= minDelayGlobal, "delay<min");
+        require(delay >= requiredDelay(to, data), "delay<min");
         uint256 eta = block.timestamp + delay;
         id = keccak256(abi.encode(msg.sender, to, value, data, eta, block.number));
         require(_proposals[id].proposer == address(0), "exists");
@@ -137,8 +209,8 @@ contract DelayedExecutionMultiSig {
         whenNotPaused
         returns (bytes32 id)
     {
-        require(delay >= minDelayGlobal, "delay<min");
         require(encoded.length >= 1, "bad enc");
+        require(delay >= requiredGovernanceDelay(uint8(encoded[0])), "delay<min");
 
         uint256 eta = block.timestamp + delay;
         id = keccak256(abi.encode(msg.sender, bytes1(encoded[0]), encoded[1:], eta, block.number));
@@ -159,6 +231,50 @@ contract DelayedExecutionMultiSig {
         emit GovernanceProposalCreated(id, msg.sender, uint8(encoded[0]), eta);
     }
 
+    /**
+     * @notice Creates a batch proposal: all calls run in order inside one `execute`,
+     * and if any of them fails the whole execution reverts.
+     * @dev The proposal's `value` is the sum of the call values; the calls are read with getBatchCalls(id).
+     * @param calls The calls to execute (1..MAX_BATCH_CALLS).
+     * @param delay The delay in seconds (must be >= the longest requiredDelay of its calls).
+     * @return id The generated proposal ID.
+     */
+    function proposeBatch(Call[] calldata calls, uint256 delay)
+        external
+        onlyOwner
+        whenNotPaused
+        returns (bytes32 id)
+    {
+        require(calls.length > 0 && calls.length <= MAX_BATCH_CALLS, "bad batch");
+        for (uint i = 0; i < calls.length; i++) {
+            require(delay >= requiredDelay(calls[i].to, calls[i].data), "delay<min");
+        }
+
+        uint256 eta = block.timestamp + delay;
+        id = keccak256(abi.encode(msg.sender, calls, eta, block.number));
+        require(_proposals[id].proposer == address(0), "exists");
+
+        uint256 totalValue;
+        for (uint i = 0; i < calls.length; i++) {
+            totalValue += calls[i].value;
+            _batchCalls[id].push(calls[i]);
+        }
+
+        _proposals[id] = Proposal({
+            proposer: msg.sender,
+            kind: ProposalKind.Batch,
+            to: address(0),
+            value: totalValue,
+            data: "",
+            eta: eta,
+            executed: false,
+            cancelled: false,
+            approvals: 0
+        });
+
+        emit BatchProposalCreated(id, msg.sender, calls.length, totalValue, eta);
+    }
+
     /**
      * @notice Approves a pending proposal.
      * @dev Increases approval count. If count >= threshold, the proposal effectively becomes queued.
@@ -180,6 +296,69 @@ contract DelayedExecutionMultiSig {
         emit ProposalApproved(id, msg.sender);
     }
 
+    /**
+     * @notice Approves a proposal with an owner's EIP-712 signature; callable by anyone.
+     * @param id The proposal ID.
+     * @param signer The owner who signed.
+     * @param deadline Unix time after which the signature is no longer accepted.
+     * @param signature 65-byte (r, s, v) signature over Approval(id, signer, deadline).
+     */
+    function approveBySig(bytes32 id, address signer, uint256 deadline, bytes calldata signature)
+        external
+        whenNotPaused
+    {
+        Proposal storage p = _proposals[id];
+        require(p.proposer != address(0), "no id");
+        require(!p.executed && !p.cancelled, "finalized");
+        require(!_approvedBy[id][signer], "dup");
+
+        _approveWithSig(id, SignedApproval(signer, deadline, signature));
+    }
+
+    /**
+     * @notice Applies several owners' signed approvals in one transaction.
+     * @dev Signers that already approved (e.g. on-chain in the meantime) are skipped,
+     *      so a collected bundle stays submittable.
+     * @return applied Number of approvals added.
+     */
+    function approveWithSignatures(bytes32 id, SignedApproval[] calldata approvals)
+        external
+        whenNotPaused
+        returns (uint256 applied)
+    {
+        applied = _approveAll(id, approvals);
+    }
+
+    /**
+     * @notice Applies signed approvals and executes the proposal in the same transaction.
+     * @dev Same checks as execute(); reverts if the signatures do not reach the threshold.
+     */
+    function executeWithSignatures(bytes32 id, SignedApproval[] calldata approvals)
+        external
+        payable
+        nonReentrant
+        whenNotPaused
+    {
+        _approveAll(id, approvals);
+        _execute(id);
+    }
+
+    /**
+     * @notice Withdraws the caller's signed approval before anyone submits it: marks the
+     *         digest of Approval(id, msg.sender, deadline) used, so it can never be applied.
+     * @dev Not gated on ownership or pause: a signature can be burned whenever it leaked.
+     * @param id The proposal ID the signature approves.
+     * @param deadline The deadline the signature was made with.
+     */
+    function invalidateApprovalDigest(bytes32 id, uint256 deadline) external {
+        bytes32 digest = approvalDigest(id, msg.sender, deadline);
+        require(!usedApprovalDigests[digest], "sig used");
+
+        usedApprovalDigests[digest] = true;
+
+        emit ApprovalSignatureInvalidated(id, msg.sender, digest);
+    }
+
     /**
      * @notice Revokes a previous approval.
      * @dev Can only be done before execution.
@@ -233,6 +412,10 @@ contract DelayedExecutionMultiSig {
         nonReentrant
         whenNotPaused
     {
+        _execute(id);
+    }
+
+    function _execute(bytes32 id) internal {
         Proposal storage p = _proposals[id];
         require(p.proposer != address(0), "no id");
         require(!p.executed && !p.cancelled, "finalized");
@@ -245,6 +428,8 @@ contract DelayedExecutionMultiSig {
         bool ok; bytes memory ret;
         if (p.kind == ProposalKind.Transaction) {
             (ok, ret) = p.to.call{value: p.value}(p.data);
+        } else if (p.kind == ProposalKind.Batch) {
+            (ok, ret) = _executeBatch(id);
         } else {
             (ok, ret) = _executeGovernance(p.data);
         }
@@ -257,17 +442,54 @@ contract DelayedExecutionMultiSig {
     // PAUSE CONTROL
     // ------------------
 
+    /**
+     * @notice Pauses the wallet for at most maxPauseDuration.
+     * @dev Not allowed until pauseCooldown has passed since the previous pause ended.
+     */
     function pause() external onlyGuardian whenNotPaused {
-        paused = true;
-        emit Paused();
+        require(pausedUntil == 0 || block.timestamp >= pausedUntil + pauseCooldown, "cooldown");
+
+        pausedUntil = block.timestamp + maxPauseDuration;
+        pauseRound += 1;
+        emit Paused(pausedUntil);
     }
 
     function resume() external onlyGuardian {
-        require(paused, "not paused");
-        paused = false;
+        require(paused(), "not paused");
+        pausedUntil = block.timestamp;
         emit Resumed();
     }
 
+    /**
+     * @notice Owner vote to end the current pause; at `threshold` votes the wallet resumes.
+     * @dev Votes only count for the pause they were cast in.
+     */
+    function voteUnpause() external onlyOwner {
+        require(paused(), "not paused");
+        require(!_unpauseVoted[pauseRound][msg.sender], "dup");
+
+        _unpauseVoted[pauseRound][msg.sender] = true;
+        uint256 votes = ++unpauseVotes[pauseRound];
+        emit UnpauseVoted(msg.sender, pauseRound, votes);
+
+        if (votes >= threshold) {
+            pausedUntil = block.timestamp;
+            emit EmergencyUnpaused(pauseRound, votes);
+            emit Resumed();
+        }
+    }
+
+    /**
+     * @notice Whether the wallet is paused right now (a pause lapses by itself at pausedUntil).
+     */
+    function paused() public view returns (bool) {
+        return block.timestamp < pausedUntil;
+    }
+
+    function hasVotedUnpause(address owner) external view returns (bool) {
+        return _unpauseVoted[pauseRound][owner];
+    }
+
     // ------------------
     // VIEW
     // ------------------
@@ -276,10 +498,133 @@ contract DelayedExecutionMultiSig {
         return _proposals[id];
     }
 
+    function getBatchCalls(bytes32 id) external view returns (Call[] memory) {
+        return _batchCalls[id];
+    }
+
+    /**
+     * @notice EIP-712 domain separator (recomputed if the chain id changed after a fork).
+     */
+    function DOMAIN_SEPARATOR() public view returns (bytes32) {
+        return block.chainid == _cachedChainId ? _cachedDomainSeparator : _buildDomainSeparator();
+    }
+
+    /**
+     * @notice Digest an owner signs to approve `id` off-chain.
+     */
+    function approvalDigest(bytes32 id, address signer, uint256 deadline) public view returns (bytes32) {
+        bytes32 structHash = keccak256(abi.encode(APPROVAL_TYPEHASH, id, signer, deadline));
+        return keccak256(abi.encodePacked("\x19\x01", DOMAIN_SEPARATOR(), structHash));
+    }
+
+    /**
+     * @notice Minimum delay for a transaction calling `to` with `data`
+     * (selector overrides only apply to calldata of at least 4 bytes).
+     */
+    function requiredDelay(address to, bytes calldata data) public view returns (uint256) {
+        DelayOverride memory t = targetDelay[to];
+        DelayOverride memory f;
+        if (data.length >= 4) f = selectorDelay[bytes4(data[:4])];
+
+        if (!t.enabled && !f.enabled) return minDelayGlobal;
+        if (!f.enabled) return t.delay;
+        if (!t.enabled) return f.delay;
+        return t.delay > f.delay ? t.delay : f.delay;
+    }
+
+    /**
+     * @notice Minimum delay for a governance proposal of `kind`: never below minDelayGlobal.
+     */
+    function requiredGovernanceDelay(uint8 kind) public view returns (uint256) {
+        uint256 floor = governanceKindDelay[kind];
+        return floor > minDelayGlobal ? floor : minDelayGlobal;
+    }
+
     function owners() external view returns (address[] memory) {
         return ownerList;
     }
 
+    /**
+     * @notice Whether `owner` currently approves proposal `id` (revoked approvals return false).
+     */
+    function hasApproved(bytes32 id, address owner) external view returns (bool) {
+        return _approvedBy[id][owner];
+    }
+
+    // ------------------
+    // INTERNAL SIGNED APPROVALS
+    // ------------------
+
+    function _buildDomainSeparator() internal view returns (bytes32) {
+        return keccak256(abi.encode(_DOMAIN_TYPEHASH, _NAME_HASH, _VERSION_HASH, block.chainid, address(this)));
+    }
+
+    function _approveAll(bytes32 id, SignedApproval[] calldata approvals) internal returns (uint256 applied) {
+        Proposal storage p = _proposals[id];
+        require(p.proposer != address(0), "no id");
+        require(!p.executed && !p.cancelled, "finalized");
+
+        for (uint i = 0; i < approvals.length; i++) {
+            if (_approvedBy[id][approvals[i].signer]) continue;
+            _approveWithSig(id, approvals[i]);
+            applied++;
+        }
+    }
+
+    // caller checked that the proposal is open and `a.signer` has not approved yet
+    function _approveWithSig(bytes32 id, SignedApproval memory a) internal {
+        require(block.timestamp <= a.deadline, "sig expired");
+        require(isOwner[a.signer], "not owner");
+
+        bytes32 digest = approvalDigest(id, a.signer, a.deadline);
+        require(!usedApprovalDigests[digest], "sig used");
+        require(_recover(digest, a.signature) == a.signer, "bad sig");
+
+        usedApprovalDigests[digest] = true;
+        _approvedBy[id][a.signer] = true;
+        _proposals[id].approvals += 1;
+
+        emit ApprovalSignatureUsed(id, a.signer, digest);
+        emit ProposalApproved(id, a.signer);
+    }
+
+    // ecrecover for a 65-byte (r, s, v) signature; rejects malleable (high-s) signatures
+    function _recover(bytes32 digest, bytes memory sig) internal pure returns (address signer) {
+        require(sig.length == 65, "bad sig");
+
+        bytes32 r;
+        bytes32 s;
+        uint8 v;
+        assembly {
+            r := mload(add(sig, 0x20))
+            s := mload(add(sig, 0x40))
+            v := byte(0, mload(add(sig, 0x60)))
+        }
+        if (v < 27) v += 27;
+
+        require(v == 27 || v == 28, "bad sig");
+        require(uint256(s) <= 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0, "bad sig");
+
+        signer = ecrecover(digest, v, r, s);
+        require(signer != address(0), "bad sig");
+    }
+
+    // ------------------
+    // INTERNAL BATCH EXEC
+    // ------------------
+
+    // stops at the first failing call; execute() then reverts, undoing the earlier ones
+    function _executeBatch(bytes32 id) internal returns (bool, bytes memory) {
+        Call[] storage calls = _batchCalls[id];
+        bytes memory ret;
+        for (uint i = 0; i < calls.length; i++) {
+            bool ok;
+            (ok, ret) = calls[i].to.call{value: calls[i].value}(calls[i].data);
+            if (!ok) return (false, ret);
+        }
+        return (true, ret);
+    }
+
     // ------------------
     // INTERNAL GOVERNANCE EXEC
     // ------------------
@@ -312,6 +657,29 @@ contract DelayedExecutionMultiSig {
             address g = abi.decode(arg, (address));
             _setGuardian(g);
             return (true, "");
+        } else if (kind == 0x06) {
+            (address target, uint256 d, bool enabled) = abi.decode(arg, (address, uint256, bool));
+            targetDelay[target] = DelayOverride(enabled, enabled ? d : 0);
+            emit TargetDelaySet(target, enabled ? d : 0, enabled);
+            return (true, "");
+        } else if (kind == 0x07) {
+            (bytes4 selector, uint256 d, bool enabled) = abi.decode(arg, (bytes4, uint256, bool));
+            selectorDelay[selector] = DelayOverride(enabled, enabled ? d : 0);
+            emit SelectorDelaySet(selector, enabled ? d : 0, enabled);
+            return (true, "");
+        } else if (kind == 0x08) {
+            (uint8 govKind, uint256 d) = abi.decode(arg, (uint8, uint256));
+            governanceKindDelay[govKind] = d;
+            emit GovernanceKindDelaySet(govKind, d);
+            return (true, "");
+        } else if (kind == 0x09) {
+            uint256 e = abi.decode(arg, (uint256));
+            _setProposalExpiry(e);
+            return (true, "");
+        } else if (kind == 0x0A) {
+            (uint256 maxDuration, uint256 cooldown) = abi.decode(arg, (uint256, uint256));
+            _setPauseConfig(maxDuration, cooldown);
+            return (true, "");
         } else {
             revert("bad kind");
         }
@@ -359,5 +727,21 @@ contract DelayedExecutionMultiSig {
         emit GuardianChanged(g);
     }
 
+    // applies from the next pause on
+    function _setPauseConfig(uint256 maxDuration, uint256 cooldown) internal {
+        require(maxDuration >= MIN_PAUSE_DURATION && maxDuration <= MAX_PAUSE_DURATION, "bad pause");
+        require(cooldown <= MAX_PAUSE_COOLDOWN, "bad cooldown");
+        maxPauseDuration = maxDuration;
+        pauseCooldown = cooldown;
+        emit PauseConfigChanged(maxDuration, cooldown);
+    }
+
+    // applies to every proposal not executed yet (checked at execute time)
+    function _setProposalExpiry(uint256 e) internal {
+        require(e >= MIN_EXPIRY_DURATION && e <= MAX_EXPIRY_DURATION, "bad expiry");
+        proposalExpiryDuration = e;
+        emit ProposalExpiryChanged(e);
+    }
+
     receive() external payable {}
 }
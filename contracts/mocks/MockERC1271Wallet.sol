@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/// @notice Minimal smart-contract wallet for tests: EIP-1271 signatures are
+/// ECDSA signatures of its single signer.
+contract MockERC1271Wallet {
+    bytes4 internal constant MAGIC_VALUE = 0x1626ba7e;
+
+    address public immutable signer;
+
+    constructor(address signer_) {
+        signer = signer_;
+    }
+
+    function isValidSignature(bytes32 hash, bytes calldata signature) external view returns (bytes4) {
+        if (signature.length != 65) return 0xffffffff;
+
+        bytes32 r = bytes32(signature[0:32]);
+        bytes32 s = bytes32(signature[32:64]);
+        uint8 v = uint8(signature[64]);
+
+        return ecrecover(hash, v, r, s) == signer ? MAGIC_VALUE : bytes4(0xffffffff);
+    }
+}
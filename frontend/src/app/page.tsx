@@ -1,6 +1,6 @@
 "use client";
 
-import { useEffect, useMemo, useState } from "react";
+import { Fragment, useEffect, useMemo, useState } from "react";
 import { useAccount } from "wagmi";
 import { ConnectButton } from "@rainbow-me/rainbowkit";
 import { Providers } from "./providers";
@@ -10,13 +10,30 @@ import {
   waitForTransactionReceipt,
   readContract,
   signMessage,
+  signTypedData,
+  sendTransaction,
 } from "@wagmi/core";
-import { isAddressEqual, encodeAbiParameters } from "viem";
+import { isAddress, isAddressEqual, encodeAbiParameters, formatUnits } from "viem";
 import abi from "../../abi/abi.json";
+import { deriveLifecycle, isFinal, LIFECYCLE_LABELS, type LifecycleState } from "../lifecycle";
 
 const CONTRACT_ADDRESS = process.env.NEXT_PUBLIC_CONTRACT_ADDRESS as `0x${string}`;
 const BACKEND_URL = process.env.NEXT_PUBLIC_BACKEND_URL || "http://localhost:4000";
 
+// governance action -> payload prefix byte (MUST MATCH contract _executeGovernance)
+const GOV_ACTION_KINDS: Record<string, number> = {
+  addOwner: 0x01,
+  removeOwner: 0x02,
+  setThreshold: 0x03,
+  setMinDelayGlobal: 0x04,
+  setGuardian: 0x05,
+  setTargetDelay: 0x06,
+  setSelectorDelay: 0x07,
+  setGovernanceKindDelay: 0x08,
+  setProposalExpiry: 0x09,
+  setPauseConfig: 0x0a,
+};
+
 /* ------------------------------------------------------------------
    RETRY HELPER
 ------------------------------------------------------------------*/
@@ -56,18 +73,142 @@ type Risk = {
   reasons: string[];
   signals?: any;
   computedAt: number;
+  policyVersion?: string;
+};
+
+// MUST MATCH backend/abi-registry.js decode()
+type DecodedCall = {
+  selector: string | null;
+  source: "abi" | "signature" | null;
+  name?: string;
+  signature?: string;
+  args?: { name: string; type: string; value: unknown }[];
+  error?: string;
+};
+
+// MUST MATCH backend/tokens.js balances()
+type TokenBalance = {
+  address: string;
+  symbol: string;
+  name: string | null;
+  decimals: number;
+  balance: string | null;
+  formatted: string | null;
+};
+
+// one call of a batch proposal (MUST MATCH backend withCalls())
+type BatchCall = {
+  to: string;
+  value: string;
+  data: string;
+  decoded?: DecodedCall | null;
+};
+
+// MUST MATCH backend/address-book.js
+type AddressCategory = "vendor" | "exchange" | "internal" | "blocked";
+type AddressEntry = {
+  address: string;
+  label: string;
+  category: AddressCategory;
+  note: string | null;
+  updatedBy: string | null;
+  updatedAt: number;
+};
+
+const ADDRESS_CATEGORY_STYLES: Record<AddressCategory, string> = {
+  vendor: "text-green-700",
+  internal: "text-green-700",
+  exchange: "text-amber-700",
+  blocked: "text-red-700",
+};
+
+// guardian auto-action audit entries (MUST MATCH backend GET /guardian/actions)
+type GuardianAction = {
+  id: number;
+  proposalId: string;
+  action: "cancel" | "pause";
+  outcome: "submitted" | "dry-run" | "rate-limited" | "skipped" | "failed";
+  trigger: "critical" | "score";
+  reason: string;
+  risk: { score: number; level: string; flags: string[]; reasons: string[]; policyVersion: string } | null;
+  txHash: string | null;
+  error: string | null;
+  createdAt: number;
+};
+
+const AUTO_OUTCOME_STYLES: Record<GuardianAction["outcome"], string> = {
+  submitted: "text-red-700",
+  "dry-run": "text-amber-700",
+  "rate-limited": "text-amber-700",
+  skipped: "text-gray-600",
+  failed: "text-red-700",
+};
+
+// eth_call preview of a proposal (MUST MATCH backend/simulator.js simulate())
+type BalanceChange = {
+  address: string;
+  wallet: boolean;
+  asset: string; // "ETH" or token address
+  symbol: string | null;
+  delta: string;
+  formatted: string | null;
+};
+
+type Simulation = {
+  id: string;
+  status: "success" | "reverted" | "unknown" | "error" | "unsupported";
+  revertReason: string | null;
+  returnData?: string | null;
+  gasEstimate?: string | null;
+  calls?: { to: string; status: "success" | "reverted" | "unknown"; revertReason: string | null; gasEstimate: string | null }[];
+  independent?: boolean;
+  balanceChanges?: BalanceChange[];
+  balanceChangesFrom?: "trace" | "calldata" | "mixed" | null;
+  block?: number;
+  simulatedAt: number;
+  error?: string;
+};
+
+const SIMULATION_STYLES: Record<Simulation["status"], string> = {
+  success: "text-green-700",
+  reverted: "text-red-700",
+  unknown: "text-amber-700",
+  error: "text-amber-700",
+  unsupported: "text-gray-600",
+};
+
+// time-boxed guardian pause (MUST MATCH backend pauseState())
+type PauseInfo = {
+  paused: boolean;
+  pausedUntil: number;
+  remaining: number;
+  round: number;
+  unpauseVotes: number;
+  threshold: number;
+  maxDuration: number;
+  cooldown: number;
+  nextPauseAt: number;
 };
 
 interface Proposal {
   id: string;
-  kind: "tx" | "gov";
+  kind: "tx" | "gov" | "batch";
   govKind?: number;
   to: string | null;
   value: string;
   eta: number;
   approvals?: number;
+  approvedBy?: string[];
+  signedBy?: string[]; // EIP-712 approvals collected off-chain, not submitted yet
   cancelled: boolean;
   executed: boolean;
+  executionSuccess?: boolean | null;
+  data?: string | null;
+  decoded?: DecodedCall | null;
+  calls?: BatchCall[];
+  status?: LifecycleState;
+  executableFrom?: number;
+  expiresAt?: number;
   risk?: Risk | null;
 }
 
@@ -78,22 +219,80 @@ function PageContent() {
   const [loading, setLoading] = useState(false);
   const [to, setTo] = useState("");
   const [value, setValue] = useState("");
+  const [calldata, setCalldata] = useState("");
+  const [txDelay, setTxDelay] = useState("");
+  const [calldataPreview, setCalldataPreview] = useState<DecodedCall | null>(null);
+
+  // token-transfer mode: token + human amount, recipient reuses `to`
+  // batch mode: several calls executed atomically
+  const [txMode, setTxMode] = useState<"eth" | "token" | "batch">("eth");
+  const [batchCalls, setBatchCalls] = useState<BatchCall[]>([{ to: "", value: "", data: "" }]);
+  const [tokens, setTokens] = useState<TokenBalance[]>([]);
+  const [tokenAddr, setTokenAddr] = useState("");
+  const [tokenAmount, setTokenAmount] = useState("");
+
+  // ABI registry upload (guardian)
+  const [abiAddress, setAbiAddress] = useState("");
+  const [abiName, setAbiName] = useState("");
+  const [abiJson, setAbiJson] = useState("");
+  const [addressBook, setAddressBook] = useState<AddressEntry[]>([]);
+  const [bookAddress, setBookAddress] = useState("");
+  const [bookLabel, setBookLabel] = useState("");
+  const [bookCategory, setBookCategory] = useState<AddressCategory>("vendor");
+  const [bookNote, setBookNote] = useState("");
   const [submitting, setSubmitting] = useState(false);
 
+  // guardian automation audit log (owners + guardian); bumped by "guardian.autoAction"
+  const [autoActions, setAutoActions] = useState<GuardianAction[]>([]);
+  const [autoConfig, setAutoConfig] = useState<{ action: string; dryRun: boolean; maxActions: number; windowSec: number } | null>(null);
+  const [autoActionTick, setAutoActionTick] = useState(0);
+
+  // proposal whose risk level escalated ("risk.escalated"): the guardian refetches its risk
+  const [escalated, setEscalated] = useState<{ id: string; at: number } | null>(null);
+
+  // proposal row expanded to its details + its simulation; "proposal.simulated" bumps simulatedTick
+  const [detailsId, setDetailsId] = useState<string | null>(null);
+  const [simulation, setSimulation] = useState<Simulation | null>(null);
+  const [simulating, setSimulating] = useState(false);
+  const [simulatedTick, setSimulatedTick] = useState<{ id: string; at: number } | null>(null);
+
   // pause + guardian
   const [paused, setPaused] = useState(false);
+  const [pauseInfo, setPauseInfo] = useState<PauseInfo | null>(null);
   const [guardian, setGuardian] = useState<`0x${string}` | null>(null);
 
+  // owners + threshold (for "who still needs to sign")
+  const [owners, setOwners] = useState<string[]>([]);
+  const [threshold, setThreshold] = useState<number>(0);
+  const [expiry, setExpiry] = useState<number>(0);
+
+  // clock for lifecycle states that change with time (queued -> executable -> expired)
+  const [now, setNow] = useState(() => Math.floor(Date.now() / 1000));
+
   // optional debug
   const [readErr, setReadErr] = useState<string>("");
 
   // governance form
   const [govAction, setGovAction] = useState("");
   const [govArg, setGovArg] = useState("");
+  const [govArg2, setGovArg2] = useState(""); // delay of a delay override ("" removes it)
   const [govDelay, setGovDelay] = useState("");
 
-  // guardian-only risk auth (signature + timestamp)
-  const [riskAuth, setRiskAuth] = useState<{ ts: number; sig: `0x${string}` } | null>(null);
+  // on-chain minimum delays for what is being entered (GET /delays/required)
+  const [txRequiredDelay, setTxRequiredDelay] = useState<number | null>(null);
+  const [govRequiredDelay, setGovRequiredDelay] = useState<number | null>(null);
+  // bumped by governance stream updates (minDelay, delay overrides) to re-read the above
+  const [delaysTick, setDelaysTick] = useState(0);
+
+  // Sign-In with Ethereum session (backend POST /auth/login), scoped to one purpose; roles as of sign-in
+  const [session, setSession] = useState<{
+    token: string;
+    address: string;
+    purpose: "owner" | "guardian";
+    expiresAt: number;
+    owner: boolean;
+    guardian: boolean;
+  } | null>(null);
 
   const { address: userAddress } = useAccount();
 
@@ -101,27 +300,18 @@ function PageContent() {
     return userAddress && guardian ? isAddressEqual(userAddress, guardian) : false;
   }, [userAddress, guardian]);
 
-  /* ------------------------------------------------------------------
-     EXACT MESSAGE MUST MATCH BACKEND buildGuardianMessage(ts)
-  ------------------------------------------------------------------*/
-  const buildGuardianMessage = (ts: number) =>
-    `Guardian access for risk data.\nContract: ${CONTRACT_ADDRESS}\nTimestamp: ${ts}`;
+  const isOwner = useMemo(() => {
+    return userAddress ? owners.some((o) => isAddressEqual(o as `0x${string}`, userAddress)) : false;
+  }, [userAddress, owners]);
 
-  // ✅ FIX: Always return Record<string,string> (no undefined values, no union)
-  function guardianHeadersOrEmpty(): Record<string, string> {
-    if (!riskAuth) return {};
-
-    // backend allows ±300s; we auto-lock earlier to avoid random failures
-    const now = Math.floor(Date.now() / 1000);
-    if (Math.abs(now - riskAuth.ts) > 240) {
-      setRiskAuth(null);
+  // Always a Record<string,string>: empty without a live session
+  function authHeaders(token = session?.token): Record<string, string> {
+    if (!token) return {};
+    if (session && session.token === token && session.expiresAt <= Math.floor(Date.now() / 1000)) {
+      setSession(null);
       return {};
     }
-
-    return {
-      "x-guardian-ts": String(riskAuth.ts),
-      "x-guardian-signature": riskAuth.sig,
-    };
+    return { Authorization: `Bearer ${token}` };
   }
 
   /* ------------------------------------------------------------------
@@ -133,11 +323,74 @@ function PageContent() {
       const j = await r.json();
       if (j?.guardian) setGuardian(j.guardian as `0x${string}`);
       if (typeof j?.paused === "boolean") setPaused(Boolean(j.paused));
+      if (j?.pause) setPauseInfo(j.pause as PauseInfo);
+      if (Array.isArray(j?.owners)) setOwners(j.owners);
+      if (j?.threshold) setThreshold(Number(j.threshold));
+      if (j?.proposalExpiry) setExpiry(Number(j.proposalExpiry));
+      if (Array.isArray(j?.tokens)) setTokens(j.tokens);
     } catch {
       // ignore if backend is down
     }
   };
 
+  /* ------------------------------------------------------------------
+     ADDRESS BOOK (labels are public, edits need an owner session)
+  ------------------------------------------------------------------*/
+  const fetchAddressBook = async () => {
+    try {
+      const j = await fetch(`${BACKEND_URL}/address-book`).then((r) => r.json());
+      if (Array.isArray(j?.items)) setAddressBook(j.items);
+    } catch {
+      // ignore if backend is down
+    }
+  };
+
+  /* ------------------------------------------------------------------
+     GUARDIAN AUTOMATION (audit log needs an owner or guardian session)
+  ------------------------------------------------------------------*/
+  const fetchAutoActions = async () => {
+    if (!session) {
+      setAutoActions([]);
+      setAutoConfig(null);
+      return;
+    }
+    try {
+      const r = await fetch(`${BACKEND_URL}/guardian/actions`, { headers: authHeaders() });
+      if (!r.ok) return;
+      const j = await r.json();
+      if (Array.isArray(j?.items)) setAutoActions(j.items);
+      if (j?.automation) setAutoConfig(j.automation);
+    } catch {
+      // ignore if backend is down
+    }
+  };
+
+  /* ------------------------------------------------------------------
+     SIMULATION (public; re-running needs an owner or guardian session)
+  ------------------------------------------------------------------*/
+  const fetchSimulation = async (id: string) => {
+    try {
+      const r = await fetch(`${BACKEND_URL}/proposals/${id}/simulation`);
+      if (r.ok) setSimulation(await r.json());
+    } catch {
+      // ignore if backend is down
+    }
+  };
+
+  const rerunSimulation = async (id: string) => {
+    setSimulating(true);
+    try {
+      const r = await fetch(`${BACKEND_URL}/proposals/${id}/simulate`, { method: "POST", headers: authHeaders() });
+      const j = await r.json();
+      if (!r.ok) throw new Error(j?.error || `HTTP ${r.status}`);
+      setSimulation(j);
+    } catch (err: unknown) {
+      alert(`Simulation failed: ${err instanceof Error ? err.message : String(err)}`);
+    } finally {
+      setSimulating(false);
+    }
+  };
+
   /* ------------------------------------------------------------------
      FETCH PAUSED (on-chain, with fallback)
   ------------------------------------------------------------------*/
@@ -179,40 +432,59 @@ function PageContent() {
   };
 
   /* ------------------------------------------------------------------
-     UNLOCK / LOCK RISK VIEW (guardian-only)
+     SIGN IN / OUT (Sign-In with Ethereum, EIP-4361)
+     @dev The backend writes the one-time message (nonce, chain, contract,
+          purpose) and only accepts it back unchanged; the wallet signs it as-is.
+          Owner / guardian roles are re-checked on every request.
   ------------------------------------------------------------------*/
-  const toggleRiskView = async () => {
-    if (!isGuardian) {
-      alert("❌ Only guardian can unlock risk view");
-      return;
-    }
-
-    // lock
-    if (riskAuth) {
-      setRiskAuth(null);
-      await fetchProposals();
-      return;
-    }
-
-    // unlock
+  const signIn = async () => {
+    if (!userAddress) return;
     try {
-      const ts = Math.floor(Date.now() / 1000);
-      const message = buildGuardianMessage(ts);
+      const challenge = await fetch(`${BACKEND_URL}/auth/challenge`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ address: userAddress, purpose: isGuardian ? "guardian" : "owner" }),
+      });
+      const c = await challenge.json();
+      if (!challenge.ok) {
+        alert(`❌ Sign-in failed: ${c?.error || challenge.status}`);
+        return;
+      }
 
-      const sig = await signMessage(wagmiConfig, { message });
-      setRiskAuth({ ts, sig: sig as `0x${string}` });
+      const message: string = c.message;
+      const signature = await signMessage(wagmiConfig, { message });
+
+      const res = await fetch(`${BACKEND_URL}/auth/login`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ message, signature }),
+      });
+      const j = await res.json();
+      if (!res.ok) {
+        alert(`❌ Sign-in failed: ${j?.error || res.status}`);
+        return;
+      }
 
-      await fetchProposals({ forceRisk: true, ts, sig: sig as `0x${string}` });
+      setSession(j);
+      await fetchProposals({ token: j.token });
     } catch (e) {
       console.error(e);
-      alert("❌ Unlock failed (signature rejected or wallet issue)");
+      alert("❌ Sign-in failed (signature rejected or wallet issue)");
     }
   };
 
+  const signOut = async () => {
+    if (session) {
+      await fetch(`${BACKEND_URL}/auth/logout`, { method: "POST", headers: authHeaders() }).catch(() => {});
+    }
+    setSession(null);
+    await fetchProposals({ token: "" });
+  };
+
   /* ------------------------------------------------------------------
      PAUSE / RESUME
   ------------------------------------------------------------------*/
-  const handlePauseResume = async (fn: "pause" | "resume") => {
+  const handlePauseResume = async (fn: "pause" | "resume" | "voteUnpause") => {
     try {
       const tx = await writeContract(wagmiConfig, {
         address: CONTRACT_ADDRESS,
@@ -224,6 +496,7 @@ function PageContent() {
 
       await waitForTransactionReceipt(wagmiConfig, { hash: tx });
       await fetchPaused();
+      await fetchBackendInfo();
       alert(`✅ ${fn} OK`);
     } catch (e: any) {
       alert(`❌ Failed to ${fn}: ${e?.message || ""}`);
@@ -232,32 +505,29 @@ function PageContent() {
 
   /* ------------------------------------------------------------------
      FETCH PROPOSALS
-     @notice Fetches proposal IDs and details from Backend.
-     @dev If Guardian is active/unlocked, injects signature headers for risk data.
+     @notice Fetches proposals page by page from the backend list endpoint.
+     @dev With a signed-in guardian session the backend includes risk data.
+          `token` overrides the session state (which is not updated yet right
+          after sign-in / sign-out).
   ------------------------------------------------------------------*/
-  const fetchProposals = async (opts?: { forceRisk?: boolean; ts?: number; sig?: `0x${string}` }) => {
+  const fetchProposals = async (opts?: { token?: string }) => {
     setLoading(true);
     try {
-      const res = await fetch(`${BACKEND_URL}/proposal-ids`);
-      const { ids } = await res.json();
-
-      let headers: Record<string, string> = {};
-
-      if (opts?.forceRisk && opts.ts && opts.sig) {
-        headers = {
-          "x-guardian-ts": String(opts.ts),
-          "x-guardian-signature": opts.sig,
-        };
-      } else if (riskAuth && isGuardian) {
-        headers = guardianHeadersOrEmpty(); // ✅ now always Record<string,string>
-      }
+      const headers = authHeaders(opts?.token ?? session?.token);
 
-      const data = await Promise.all(
-        (ids as string[]).map(async (id: string) => {
-          const r = await fetch(`${BACKEND_URL}/proposals/${id}`, { headers });
-          return await r.json();
-        })
-      );
+      const data: Proposal[] = [];
+      let cursor: string | null = null;
+
+      do {
+        const qs = new URLSearchParams({ limit: "100", sort: "createdAt", order: "desc" });
+        if (cursor) qs.set("cursor", cursor);
+
+        const r = await fetch(`${BACKEND_URL}/proposals?${qs}`, { headers });
+        const page: { items: Proposal[]; nextCursor: string | null } = await r.json();
+
+        data.push(...page.items);
+        cursor = page.nextCursor;
+      } while (cursor);
 
       setProposals(data);
     } finally {
@@ -265,14 +535,80 @@ function PageContent() {
     }
   };
 
+  /* ------------------------------------------------------------------
+     LIFECYCLE (same rules as backend/lifecycle.js, re-derived as time passes)
+  ------------------------------------------------------------------*/
+  const lifecycleOf = (p: Proposal) => {
+    if (!threshold) {
+      return {
+        state: p.status || "created",
+        executableFrom: p.executableFrom ?? p.eta,
+        expiresAt: p.expiresAt ?? p.eta,
+      };
+    }
+    return deriveLifecycle(
+      { ...p, approvals: p.approvals ?? (p.approvedBy || []).length },
+      { threshold, expiry, now }
+    );
+  };
+
+  const fmtCountdown = (sec: number) => {
+    if (sec <= 0) return "now";
+    const m = Math.floor(sec / 60);
+    return m >= 60 ? `${Math.floor(m / 60)}h ${m % 60}m` : `${m}m ${sec % 60}s`;
+  };
+
+  /* ------------------------------------------------------------------
+     OWNERS THAT HAVE NOT APPROVED YET
+  ------------------------------------------------------------------*/
+  const pendingSigners = (p: Proposal) => {
+    const approved = (p.approvedBy || []).map((a) => a.toLowerCase());
+    return owners.filter((o) => !approved.includes(o.toLowerCase()));
+  };
+
+  const shortAddr = (a: string) => `${a.slice(0, 6)}…${a.slice(-4)}`;
+
+  const bookEntry = (a: string | null | undefined) =>
+    a ? addressBook.find((e) => e.address.toLowerCase() === a.toLowerCase()) : undefined;
+
+  // "Label" (category-coloured) with the address as tooltip, or the address itself
+  const addressLabel = (a: string, short = false) => {
+    const entry = bookEntry(a);
+    if (!entry) return short ? shortAddr(a) : a;
+    return (
+      <span className={`font-semibold ${ADDRESS_CATEGORY_STYLES[entry.category]}`} title={`${a} (${entry.category})`}>
+        {entry.label}
+      </span>
+    );
+  };
+
   /* ------------------------------------------------------------------
      NORMAL ACTIONS
+     @dev approve/revoke are checked on-chain with hasApproved() first,
+          so a duplicate approve or a revoke without approval never reverts.
   ------------------------------------------------------------------*/
   const handleAction = async (
     action: "approve" | "execute" | "cancel" | "revoke",
     id: string
   ) => {
     try {
+      if ((action === "approve" || action === "revoke") && userAddress) {
+        const approved = await readContract(wagmiConfig, {
+          address: CONTRACT_ADDRESS,
+          abi,
+          functionName: "hasApproved",
+          args: [id, userAddress],
+        });
+        if (action === "approve" && approved) {
+          alert("ℹ️ You already approved this proposal");
+          return;
+        }
+        if (action === "revoke" && !approved) {
+          alert("ℹ️ You have not approved this proposal");
+          return;
+        }
+      }
+
       const args =
         action === "cancel"
           ? [id, prompt("Enter reason") || "No reason"]
@@ -293,22 +629,152 @@ function PageContent() {
     }
   };
 
+  /* ------------------------------------------------------------------
+     SIGNED APPROVALS (EIP-712)
+     @dev The owner signs Approval(id, signer, deadline) without gas; the backend
+          collects the signatures and anyone submits them in one transaction.
+          Domain + types come from the backend (GET /eip712), which checked them
+          against the contract's DOMAIN_SEPARATOR.
+  ------------------------------------------------------------------*/
+  const signApproval = async (id: string) => {
+    if (!userAddress) return;
+    try {
+      const td = await fetch(`${BACKEND_URL}/eip712`).then((r) => r.json());
+      const deadline = Math.floor(Date.now() / 1000) + 7 * 24 * 3600;
+
+      const signature = await signTypedData(wagmiConfig, {
+        domain: { ...td.domain, verifyingContract: td.domain.verifyingContract as `0x${string}` },
+        types: td.types,
+        primaryType: "Approval",
+        message: { id: id as `0x${string}`, signer: userAddress, deadline: BigInt(deadline) },
+      });
+
+      const res = await fetch(`${BACKEND_URL}/proposals/${id}/signatures`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ signer: userAddress, deadline, signature }),
+      });
+      const j = await res.json();
+      if (!res.ok) {
+        alert(`❌ Signature rejected: ${j?.error || res.status}`);
+        return;
+      }
+      await fetchProposals();
+    } catch {
+      alert("❌ Failed to sign approval");
+    }
+  };
+
+  // approve (or, once executable with them, approve + execute) with the collected signatures
+  const submitSignatures = async (p: Proposal) => {
+    try {
+      const j = await fetch(`${BACKEND_URL}/proposals/${p.id}/signatures`).then((r) => r.json());
+      const bundle = (j.items || [])
+        .filter((s: { valid: boolean }) => s.valid)
+        .map((s: { signer: string; deadline: number; signature: string }) => ({
+          signer: s.signer as `0x${string}`,
+          deadline: BigInt(s.deadline),
+          signature: s.signature as `0x${string}`,
+        }));
+      if (!bundle.length) {
+        alert("ℹ️ No valid signatures to submit");
+        return;
+      }
+
+      const execute = j.ready && Math.floor(Date.now() / 1000) >= p.eta;
+      const tx = await writeContract(wagmiConfig, {
+        address: CONTRACT_ADDRESS,
+        abi,
+        functionName: execute ? "executeWithSignatures" : "approveWithSignatures",
+        args: [p.id, bundle],
+        gas: 600000n,
+      });
+
+      await waitForTransactionReceipt(wagmiConfig, { hash: tx });
+      await fetchProposals();
+    } catch {
+      alert("❌ Failed to submit signatures");
+    }
+  };
+
   /* ------------------------------------------------------------------
      SUBMIT TX PROPOSAL
+     @dev The backend only builds (and pre-flights) the propose call; the
+          connected owner's wallet signs and sends it, so the backend needs no key.
   ------------------------------------------------------------------*/
   const submitProposal = async () => {
+    if (!userAddress) {
+      alert("❌ Connect an owner wallet to propose");
+      return;
+    }
+    if (!session?.owner) {
+      alert("❌ Sign in as an owner to propose");
+      return;
+    }
+    const signing = { unsigned: true, from: userAddress };
+
     setSubmitting(true);
     try {
-      const res = await fetch(`${BACKEND_URL}/propose`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ to, value }),
+      const res =
+        txMode === "batch"
+          ? await fetch(`${BACKEND_URL}/propose/batch`, {
+              method: "POST",
+              headers: { "Content-Type": "application/json", ...authHeaders() },
+              body: JSON.stringify({
+                calls: batchCalls.map((c) => ({ to: c.to, value: c.value || "0", data: c.data || undefined })),
+                delay: txDelay || undefined,
+                ...signing,
+              }),
+            })
+          : txMode === "token"
+          ? await fetch(`${BACKEND_URL}/propose/token`, {
+              method: "POST",
+              headers: { "Content-Type": "application/json", ...authHeaders() },
+              body: JSON.stringify({
+                token: tokenAddr,
+                recipient: to,
+                amount: tokenAmount,
+                delay: txDelay || undefined,
+                ...signing,
+              }),
+            })
+          : await fetch(`${BACKEND_URL}/propose`, {
+              method: "POST",
+              headers: { "Content-Type": "application/json", ...authHeaders() },
+              body: JSON.stringify({
+                to,
+                value: value || "0",
+                data: calldata || undefined,
+                delay: txDelay || undefined,
+                ...signing,
+              }),
+            });
+
+      const j = await res.json();
+      if (!res.ok) {
+        alert(`❌ Proposal failed: ${j?.error || res.status}`);
+        return;
+      }
+
+      // MUST MATCH backend unsignedCall()
+      const utx: { to: `0x${string}`; data: `0x${string}`; gasLimit?: string } = j.unsignedTx;
+      const hash = await sendTransaction(wagmiConfig, {
+        to: utx.to,
+        data: utx.data,
+        gas: utx.gasLimit ? (BigInt(utx.gasLimit) * 12n) / 10n : undefined,
       });
+      await waitForTransactionReceipt(wagmiConfig, { hash });
 
-      await res.json();
       setTo("");
       setValue("");
+      setCalldata("");
+      setTxDelay("");
+      setTokenAmount("");
+      setBatchCalls([{ to: "", value: "", data: "" }]);
+      await fetchBackendInfo();
       await fetchProposals();
+    } catch (e) {
+      alert(`❌ Proposal failed: ${e instanceof Error ? e.message : String(e)}`);
     } finally {
       setSubmitting(false);
     }
@@ -350,6 +816,47 @@ function PageContent() {
           encodedArg = encodeAbiParameters([{ type: "address" }], [govArg as `0x${string}`]);
           break;
 
+        // delay overrides: an empty delay removes the override
+        case "setTargetDelay":
+          prefix = "0x06";
+          encodedArg = encodeAbiParameters(
+            [{ type: "address" }, { type: "uint256" }, { type: "bool" }],
+            [govArg as `0x${string}`, BigInt(govArg2 || 0), govArg2 !== ""]
+          );
+          break;
+
+        case "setSelectorDelay":
+          prefix = "0x07";
+          encodedArg = encodeAbiParameters(
+            [{ type: "bytes4" }, { type: "uint256" }, { type: "bool" }],
+            [govArg as `0x${string}`, BigInt(govArg2 || 0), govArg2 !== ""]
+          );
+          break;
+
+        // floor for one governance kind (0 removes it)
+        case "setGovernanceKindDelay":
+          prefix = "0x08";
+          encodedArg = encodeAbiParameters(
+            [{ type: "uint8" }, { type: "uint256" }],
+            [Number(govArg), BigInt(govArg2 || 0)]
+          );
+          break;
+
+        // execution window after ETA, in seconds (contract bounds: 5 minutes .. 30 days)
+        case "setProposalExpiry":
+          prefix = "0x09";
+          encodedArg = encodeAbiParameters([{ type: "uint256" }], [BigInt(govArg)]);
+          break;
+
+        // guardian pause: max duration (1 hour .. 30 days) + cooldown before the next one (<= 30 days)
+        case "setPauseConfig":
+          prefix = "0x0a";
+          encodedArg = encodeAbiParameters(
+            [{ type: "uint256" }, { type: "uint256" }],
+            [BigInt(govArg), BigInt(govArg2 || 0)]
+          );
+          break;
+
         default:
           alert("Invalid action");
           return;
@@ -370,6 +877,7 @@ function PageContent() {
       alert("✅ Governance Proposal Submitted");
       setGovAction("");
       setGovArg("");
+      setGovArg2("");
       setGovDelay("");
 
       await fetchProposals();
@@ -383,18 +891,281 @@ function PageContent() {
   ------------------------------------------------------------------*/
   useEffect(() => {
     const load = async () => {
-      setRiskAuth(null);
+      setSession(null);
       await fetchBackendInfo();
+      await fetchAddressBook();
       await fetchPaused();
       await new Promise((r) => setTimeout(r, 300));
       await fetchGuardian();
       await new Promise((r) => setTimeout(r, 300));
-      await fetchProposals();
+      await fetchProposals({ token: "" });
     };
     load();
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [userAddress]);
 
+  useEffect(() => {
+    const t = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 1000);
+    return () => clearInterval(t);
+  }, []);
+
+  /* ------------------------------------------------------------------
+     LIVE UPDATES (backend GET /stream, Server-Sent Events)
+     @dev Proposal updates carry a public snapshot; the guardian-only risk
+     already loaded for that row is kept.
+  ------------------------------------------------------------------*/
+  useEffect(() => {
+    const es = new EventSource(`${BACKEND_URL}/stream`);
+
+    const onProposal = (e: MessageEvent) => {
+      const update: { proposal?: Proposal | null } = JSON.parse(e.data);
+      const next = update.proposal;
+      if (!next) return;
+      if (e.type === "proposal.executed") fetchBackendInfo(); // balances moved
+
+      setProposals((prev) => {
+        const i = prev.findIndex((p) => p.id === next.id);
+        if (i === -1) return [next, ...prev];
+        const copy = [...prev];
+        copy[i] = { ...next, risk: prev[i].risk };
+        return copy;
+      });
+    };
+
+    const onWallet = (e: MessageEvent) => {
+      if (e.type === "wallet.paused") setPaused(true);
+      if (["wallet.resumed", "wallet.emergencyUnpaused", "wallet.pauseLapsed"].includes(e.type)) setPaused(false);
+      fetchBackendInfo(); // countdown, unpause votes, cooldown
+    };
+    const onGovernance = () => {
+      fetchBackendInfo();
+      fetchGuardian();
+      setDelaysTick((n) => n + 1);
+    };
+
+    const proposalTypes = [
+      "proposal.created",
+      "proposal.approved",
+      "proposal.revoked",
+      "proposal.thresholdReached",
+      "proposal.signed",
+      "proposal.signatureWithdrawn",
+      "proposal.executable",
+      "proposal.expiringSoon",
+      "proposal.expired",
+      "proposal.executed",
+      "proposal.cancelled",
+    ];
+    const governanceTypes = [
+      "governance.ownerAdded",
+      "governance.ownerRemoved",
+      "governance.thresholdChanged",
+      "governance.minDelayChanged",
+      "governance.guardianChanged",
+      "governance.targetDelaySet",
+      "governance.selectorDelaySet",
+      "governance.governanceKindDelaySet",
+      "governance.expiryChanged",
+      "governance.pauseConfigChanged",
+    ];
+    const walletTypes = [
+      "wallet.paused",
+      "wallet.resumed",
+      "wallet.unpauseVoted",
+      "wallet.emergencyUnpaused",
+      "wallet.pauseLapsing",
+      "wallet.pauseLapsed",
+    ];
+
+    proposalTypes.forEach((t) => es.addEventListener(t, onProposal));
+    walletTypes.forEach((t) => es.addEventListener(t, onWallet));
+    governanceTypes.forEach((t) => es.addEventListener(t, onGovernance));
+    es.addEventListener("addressBook.updated", () => fetchAddressBook());
+    es.addEventListener("guardian.autoAction", () => setAutoActionTick((n) => n + 1));
+    es.addEventListener("risk.escalated", (e: MessageEvent) => {
+      const update: { id?: string } = JSON.parse(e.data);
+      if (update.id) setEscalated({ id: update.id, at: Date.now() });
+    });
+    es.addEventListener("proposal.simulated", (e: MessageEvent) => {
+      const update: { id?: string } = JSON.parse(e.data);
+      if (update.id) setSimulatedTick({ id: update.id, at: Date.now() });
+    });
+
+    return () => es.close();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  /* ------------------------------------------------------------------
+     DECODED CALLDATA (backend ABI registry)
+  ------------------------------------------------------------------*/
+  const fmtArg = (v: unknown): string => {
+    if (typeof v === "string") return /^0x[0-9a-fA-F]{40}$/.test(v) ? shortAddr(v) : v;
+    return JSON.stringify(v);
+  };
+
+  const callLabel = (d: DecodedCall) => {
+    if (!d.name) return d.error ? `⚠ ${d.error}` : `unknown function ${d.selector}`;
+    return `${d.name}(${(d.args || []).map((a) => `${a.name}: ${fmtArg(a.value)}`).join(", ")})`;
+  };
+
+  const updateBatchCall = (i: number, patch: Partial<BatchCall>) =>
+    setBatchCalls((calls) => calls.map((c, j) => (j === i ? { ...c, ...patch } : c)));
+
+  // ERC-20 transfer(recipient, amount) to a tracked token -> "12.5 mUSD"
+  const tokenValueLabel = (p: Proposal) => {
+    const d = p.decoded;
+    if (!p.to || d?.signature !== "transfer(address,uint256)" || !d.args) return null;
+    const t = tokens.find((x) => x.address.toLowerCase() === p.to?.toLowerCase());
+    if (!t) return null;
+    return `${formatUnits(BigInt(String(d.args[1].value)), t.decimals)} ${t.symbol}`;
+  };
+
+  useEffect(() => {
+    fetchAutoActions();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [session, autoActionTick]);
+
+  useEffect(() => {
+    if (!escalated || !session?.guardian) return;
+    fetch(`${BACKEND_URL}/risk/${escalated.id}`, { headers: authHeaders() })
+      .then((r) => (r.ok ? r.json() : null))
+      .then((risk: Risk | null) => {
+        if (risk) setProposals((prev) => prev.map((p) => (p.id === risk.id ? { ...p, risk } : p)));
+      })
+      .catch(() => {});
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [escalated]);
+
+  useEffect(() => {
+    setSimulation((s) => (s?.id === detailsId ? s : null));
+    if (detailsId && (!simulatedTick || simulatedTick.id === detailsId)) fetchSimulation(detailsId);
+  }, [detailsId, simulatedTick]);
+
+  useEffect(() => {
+    if (!calldata || calldata === "0x") {
+      setCalldataPreview(null);
+      return;
+    }
+    const t = setTimeout(async () => {
+      try {
+        const qs = new URLSearchParams({ data: calldata });
+        if (isAddress(to)) qs.set("to", to);
+        const r = await fetch(`${BACKEND_URL}/decode?${qs}`);
+        const j = await r.json();
+        setCalldataPreview(j?.decoded ?? null);
+      } catch {
+        setCalldataPreview(null);
+      }
+    }, 400);
+    return () => clearTimeout(t);
+  }, [calldata, to]);
+
+  // required delay of the transaction being composed (the longest one for a batch)
+  useEffect(() => {
+    const targets =
+      txMode === "batch"
+        ? batchCalls.filter((c) => isAddress(c.to)).map((c) => ({ to: c.to, data: c.data }))
+        : txMode === "token"
+          ? isAddress(tokenAddr)
+            ? [{ to: tokenAddr, data: "0xa9059cbb" }] // only target + selector matter
+            : []
+          : isAddress(to)
+            ? [{ to, data: calldata }]
+            : [];
+    if (!targets.length) {
+      setTxRequiredDelay(null);
+      return;
+    }
+
+    const t = setTimeout(async () => {
+      try {
+        let required = 0;
+        for (const c of targets) {
+          const qs = new URLSearchParams({ to: c.to });
+          if (c.data) qs.set("data", c.data);
+          const j = await fetch(`${BACKEND_URL}/delays/required?${qs}`).then((r) => r.json());
+          required = Math.max(required, Number(j.delay ?? 0));
+        }
+        setTxRequiredDelay(required);
+      } catch {
+        setTxRequiredDelay(null);
+      }
+    }, 400);
+    return () => clearTimeout(t);
+  }, [txMode, to, calldata, tokenAddr, batchCalls, delaysTick]);
+
+  useEffect(() => {
+    const kind = GOV_ACTION_KINDS[govAction];
+    if (kind === undefined) {
+      setGovRequiredDelay(null);
+      return;
+    }
+    fetch(`${BACKEND_URL}/delays/required?govKind=${kind}`)
+      .then((r) => r.json())
+      .then((j) => setGovRequiredDelay(j.delay ?? null))
+      .catch(() => setGovRequiredDelay(null));
+  }, [govAction, delaysTick]);
+
+  async function uploadAbi() {
+    try {
+      const abi = JSON.parse(abiJson);
+      const res = await fetch(`${BACKEND_URL}/abis/${abiAddress}`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json", ...authHeaders() },
+        body: JSON.stringify({ abi, name: abiName || undefined }),
+      });
+      const j = await res.json();
+      if (!res.ok) {
+        alert(`❌ ABI upload failed: ${j?.error || res.status}`);
+        return;
+      }
+      alert(`✅ ABI saved (${j.functions} functions)`);
+      setAbiAddress("");
+      setAbiName("");
+      setAbiJson("");
+      await fetchProposals();
+    } catch (e) {
+      alert(`❌ ABI upload failed: ${e instanceof Error ? e.message : String(e)}`);
+    }
+  }
+
+  async function saveAddressEntry() {
+    try {
+      const res = await fetch(`${BACKEND_URL}/address-book/${bookAddress}`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json", ...authHeaders() },
+        body: JSON.stringify({ label: bookLabel, category: bookCategory, note: bookNote || undefined }),
+      });
+      const j = await res.json();
+      if (!res.ok) {
+        alert(`❌ Address book update failed: ${j?.error || res.status}`);
+        return;
+      }
+      setBookAddress("");
+      setBookLabel("");
+      setBookNote("");
+      await fetchAddressBook();
+      await fetchProposals(); // risk depends on the categories
+    } catch (e) {
+      alert(`❌ Address book update failed: ${e instanceof Error ? e.message : String(e)}`);
+    }
+  }
+
+  async function removeAddressEntry(address: string) {
+    try {
+      const res = await fetch(`${BACKEND_URL}/address-book/${address}`, { method: "DELETE", headers: authHeaders() });
+      const j = await res.json();
+      if (!res.ok) {
+        alert(`❌ Address book update failed: ${j?.error || res.status}`);
+        return;
+      }
+      await fetchAddressBook();
+      await fetchProposals();
+    } catch (e) {
+      alert(`❌ Address book update failed: ${e instanceof Error ? e.message : String(e)}`);
+    }
+  }
+
   /* ------------------------------------------------------------------
      FILTER
   ------------------------------------------------------------------*/
@@ -402,11 +1173,16 @@ function PageContent() {
   const filteredProposals = proposals.filter(
     (p) =>
       p.id.toLowerCase().includes(searchLower) ||
-      (p.to && p.to.toLowerCase().includes(searchLower))
+      (p.to && p.to.toLowerCase().includes(searchLower)) ||
+      Boolean(bookEntry(p.to)?.label.toLowerCase().includes(searchLower))
   );
 
+  // a pause lapses at pausedUntil without any event; the guardian then waits out the cooldown
+  const pauseRemaining = paused && pauseInfo ? pauseInfo.pausedUntil - now : 0;
+  const pauseCooldownLeft = !paused && pauseInfo ? pauseInfo.nextPauseAt - now : 0;
+
   const showRiskColumn = isGuardian;
-  const riskUnlocked = Boolean(riskAuth);
+  const riskUnlocked = Boolean(session?.guardian);
 
   /* ------------------------------------------------------------------
      UI
@@ -416,7 +1192,18 @@ function PageContent() {
       {/* HEADER */}
       <div className="flex justify-between items-center mb-4">
         <h1 className="text-2xl font-bold">Delayed MultiSig Wallet</h1>
-        <ConnectButton />
+        <div className="flex items-center gap-2">
+          {userAddress && (isOwner || isGuardian) && (
+            <button
+              className="bg-black text-white px-4 py-1 rounded"
+              onClick={session ? signOut : signIn}
+              title="Sign-In with Ethereum: owners can propose, the guardian sees risk data"
+            >
+              {session ? "Sign Out" : "Sign In"}
+            </button>
+          )}
+          <ConnectButton />
+        </div>
       </div>
 
       {/* SEARCH */}
@@ -439,8 +1226,35 @@ function PageContent() {
           ) : (
             <span className="text-green-600 font-semibold">Active</span>
           )}
+          {paused && pauseInfo && (
+            <span className="text-gray-600">
+              {" "}
+              · lapses {pauseRemaining > 0 ? `in ${fmtCountdown(pauseRemaining)}` : "now"} · unpause votes{" "}
+              {pauseInfo.unpauseVotes} / {pauseInfo.threshold}
+            </span>
+          )}
+          {!paused && pauseCooldownLeft > 0 && (
+            <span className="text-gray-600"> · guardian can pause again in {fmtCountdown(pauseCooldownLeft)}</span>
+          )}
         </p>
 
+        {paused && isOwner && (
+          <button
+            className="mt-2 bg-orange-600 text-white px-4 py-1 rounded"
+            onClick={() => handlePauseResume("voteUnpause")}
+            title="Ends the pause once enough owners have voted"
+          >
+            Vote Emergency Unpause
+          </button>
+        )}
+
+        {tokens.length > 0 && (
+          <p className="text-sm">
+            Token balances:{" "}
+            {tokens.map((t) => `${t.formatted ?? "?"} ${t.symbol}`).join(" · ")}
+          </p>
+        )}
+
         {/* debug */}
         <p className="text-xs text-gray-500 mt-1">
           connected: {userAddress || "—"} | guardian: {guardian || "—"} | isGuardian:{" "}
@@ -452,7 +1266,7 @@ function PageContent() {
           <div className="mt-2 flex gap-2">
             <button
               className="bg-red-600 text-white px-4 py-1 rounded"
-              disabled={paused}
+              disabled={paused || pauseCooldownLeft > 0}
               onClick={() => handlePauseResume("pause")}
             >
               Pause
@@ -465,14 +1279,6 @@ function PageContent() {
             >
               Resume
             </button>
-
-            <button
-              className="bg-black text-white px-4 py-1 rounded"
-              onClick={toggleRiskView}
-              title="Guardian-only. Requires message signature."
-            >
-              {riskUnlocked ? "Lock Risk View" : "Unlock Risk View"}
-            </button>
           </div>
         )}
       </div>
@@ -481,30 +1287,302 @@ function PageContent() {
       <div className="bg-gray-100 p-4 rounded mb-6">
         <h2 className="text-lg font-semibold mb-2">New Transaction Proposal</h2>
         <div className="flex flex-col gap-2">
-          <input
-            type="text"
+          <select
             className="border p-2"
-            placeholder="To (0x...)"
-            value={to}
-            onChange={(e) => setTo(e.target.value)}
-          />
+            value={txMode}
+            onChange={(e) => setTxMode(e.target.value as "eth" | "token" | "batch")}
+          >
+            <option value="eth">ETH transfer / contract call</option>
+            <option value="token">ERC-20 token transfer</option>
+            <option value="batch">Batch (several calls, all or nothing)</option>
+          </select>
+
+          {txMode === "batch" && (
+            <>
+              {batchCalls.map((c, i) => (
+                <div key={i} className="flex gap-2">
+                  <input
+                    type="text"
+                    className="border p-2 flex-1"
+                    placeholder={`Call #${i + 1} to (0x...)`}
+                    value={c.to}
+                    onChange={(e) => updateBatchCall(i, { to: e.target.value })}
+                  />
+                  <input
+                    type="number"
+                    className="border p-2 w-40"
+                    placeholder="Value (wei)"
+                    value={c.value}
+                    onChange={(e) => updateBatchCall(i, { value: e.target.value })}
+                  />
+                  <input
+                    type="text"
+                    className="border p-2 flex-1 font-mono"
+                    placeholder="Calldata (optional, 0x...)"
+                    value={c.data}
+                    onChange={(e) => updateBatchCall(i, { data: e.target.value })}
+                  />
+                  <button
+                    className="px-2 text-red-600 disabled:opacity-30"
+                    disabled={batchCalls.length === 1}
+                    onClick={() => setBatchCalls((calls) => calls.filter((_, j) => j !== i))}
+                  >
+                    ✕
+                  </button>
+                </div>
+              ))}
+              <button
+                className="self-start text-sm text-blue-600 underline"
+                onClick={() => setBatchCalls((calls) => [...calls, { to: "", value: "", data: "" }])}
+              >
+                + Add call
+              </button>
+            </>
+          )}
+
+          {txMode === "token" && (
+            <>
+              <select
+                className="border p-2"
+                value={tokens.some((t) => t.address === tokenAddr) ? tokenAddr : ""}
+                onChange={(e) => setTokenAddr(e.target.value)}
+              >
+                <option value="">Other token (enter address)</option>
+                {tokens.map((t) => (
+                  <option key={t.address} value={t.address}>
+                    {t.symbol} — balance {t.formatted ?? "?"}
+                  </option>
+                ))}
+              </select>
+              <input
+                type="text"
+                className="border p-2"
+                placeholder="Token contract (0x...)"
+                value={tokenAddr}
+                onChange={(e) => setTokenAddr(e.target.value)}
+              />
+            </>
+          )}
+
+          {txMode !== "batch" && (
+            <input
+              type="text"
+              className="border p-2"
+              placeholder={txMode === "token" ? "Recipient (0x...)" : "To (0x...)"}
+              value={to}
+              onChange={(e) => setTo(e.target.value)}
+            />
+          )}
+
+          {txMode === "batch" ? null : txMode === "token" ? (
+            <input
+              type="text"
+              inputMode="decimal"
+              className="border p-2"
+              placeholder={`Amount (${tokens.find((t) => t.address === tokenAddr)?.symbol || "token units"}, e.g. 12.5)`}
+              value={tokenAmount}
+              onChange={(e) => setTokenAmount(e.target.value)}
+            />
+          ) : (
+            <>
+              <input
+                type="number"
+                className="border p-2"
+                placeholder="ETH Value (wei)"
+                value={value}
+                onChange={(e) => setValue(e.target.value)}
+              />
+              <input
+                type="text"
+                className="border p-2 font-mono"
+                placeholder="Calldata (optional, 0x...)"
+                value={calldata}
+                onChange={(e) => setCalldata(e.target.value)}
+              />
+              {calldataPreview && (
+                <p className="text-xs font-mono text-gray-600 break-all">
+                  {calldataPreview.source ? `${calldataPreview.source}: ` : ""}
+                  {callLabel(calldataPreview)}
+                </p>
+              )}
+            </>
+          )}
           <input
             type="number"
             className="border p-2"
-            placeholder="ETH Value (wei)"
-            value={value}
-            onChange={(e) => setValue(e.target.value)}
+            placeholder="Delay (seconds, optional — defaults to the required delay)"
+            value={txDelay}
+            onChange={(e) => setTxDelay(e.target.value)}
           />
+          {txRequiredDelay !== null && (
+            <p
+              className={`text-xs ${
+                txDelay && Number(txDelay) < txRequiredDelay ? "text-red-600" : "text-gray-600"
+              }`}
+            >
+              Required delay: {txRequiredDelay}s ({fmtCountdown(txRequiredDelay)})
+            </p>
+          )}
           <button
             className="bg-blue-600 text-white px-4 py-2 rounded disabled:opacity-50"
             onClick={submitProposal}
-            disabled={!to || !value || submitting}
+            disabled={
+              submitting ||
+              (txMode === "batch"
+                ? batchCalls.some((c) => !isAddress(c.to))
+                : !to || (txMode === "token" ? !isAddress(tokenAddr) || !tokenAmount : !value && !calldata))
+            }
           >
             {submitting ? "Submitting..." : "Submit"}
           </button>
         </div>
       </div>
 
+      {/* ABI REGISTRY (guardian, needs a signed-in session) */}
+      {isGuardian && riskUnlocked && (
+        <div className="bg-gray-100 p-4 rounded mb-6">
+          <h2 className="text-lg font-semibold mb-2">ABI Registry</h2>
+          <div className="flex flex-col gap-2">
+            <input
+              type="text"
+              className="border p-2"
+              placeholder="Target contract (0x...)"
+              value={abiAddress}
+              onChange={(e) => setAbiAddress(e.target.value)}
+            />
+            <input
+              type="text"
+              className="border p-2"
+              placeholder="Name (optional)"
+              value={abiName}
+              onChange={(e) => setAbiName(e.target.value)}
+            />
+            <textarea
+              className="border p-2 font-mono text-xs"
+              rows={4}
+              placeholder="ABI JSON ([...])"
+              value={abiJson}
+              onChange={(e) => setAbiJson(e.target.value)}
+            />
+            <button
+              className="bg-gray-800 text-white px-4 py-2 rounded disabled:opacity-50"
+              disabled={!isAddress(abiAddress) || !abiJson}
+              onClick={uploadAbi}
+            >
+              Upload ABI
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* ADDRESS BOOK (owner, needs a signed-in owner session to edit) */}
+      {isOwner && (
+        <div className="bg-gray-100 p-4 rounded mb-6">
+          <h2 className="text-lg font-semibold mb-2">Address Book</h2>
+          {addressBook.length > 0 && (
+            <ul className="text-sm mb-3">
+              {addressBook.map((e) => (
+                <li key={e.address} className="flex items-center gap-2">
+                  <span className={`font-semibold ${ADDRESS_CATEGORY_STYLES[e.category]}`}>{e.label}</span>
+                  <span className="text-xs text-gray-600">[{e.category}]</span>
+                  <span className="font-mono text-xs" title={e.note || ""}>
+                    {e.address}
+                  </span>
+                  {session?.owner && (
+                    <button className="text-xs text-red-700 underline" onClick={() => removeAddressEntry(e.address)}>
+                      Delete
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+          {session?.owner ? (
+            <div className="flex flex-col gap-2">
+              <input
+                type="text"
+                className="border p-2"
+                placeholder="Address (0x...)"
+                value={bookAddress}
+                onChange={(e) => setBookAddress(e.target.value)}
+              />
+              <input
+                type="text"
+                className="border p-2"
+                placeholder="Label"
+                value={bookLabel}
+                onChange={(e) => setBookLabel(e.target.value)}
+              />
+              <select
+                className="border p-2"
+                value={bookCategory}
+                onChange={(e) => setBookCategory(e.target.value as AddressCategory)}
+              >
+                <option value="vendor">Vendor (allowlisted)</option>
+                <option value="internal">Internal (allowlisted)</option>
+                <option value="exchange">Exchange</option>
+                <option value="blocked">Blocked (critical risk)</option>
+              </select>
+              <input
+                type="text"
+                className="border p-2"
+                placeholder="Note (optional)"
+                value={bookNote}
+                onChange={(e) => setBookNote(e.target.value)}
+              />
+              <button
+                className="bg-gray-800 text-white px-4 py-2 rounded disabled:opacity-50"
+                disabled={!isAddress(bookAddress) || !bookLabel.trim()}
+                onClick={saveAddressEntry}
+              >
+                Save Entry
+              </button>
+            </div>
+          ) : (
+            <p className="text-xs text-gray-600">Sign in as owner to edit the address book.</p>
+          )}
+        </div>
+      )}
+
+      {/* GUARDIAN AUTOMATION (audit log, owner or guardian session) */}
+      {autoConfig && autoConfig.action !== "off" && (
+        <div className="bg-gray-100 p-4 rounded mb-6">
+          <h2 className="text-lg font-semibold mb-2">Guardian Automation</h2>
+          <p className="text-sm mb-2">
+            Auto-{autoConfig.action} on critical risk
+            {autoConfig.dryRun ? " (dry run: decisions are recorded, nothing is sent)" : ""}, at most{" "}
+            {autoConfig.maxActions} per {Math.round(autoConfig.windowSec / 60)} min.
+          </p>
+          {autoActions.length === 0 ? (
+            <p className="text-xs text-gray-600">No automated actions yet.</p>
+          ) : (
+            <ul className="text-sm flex flex-col gap-2">
+              {autoActions.map((a) => (
+                <li key={a.id} className="border-b pb-1">
+                  <div className="flex flex-wrap items-center gap-2">
+                    <span className={`font-semibold ${AUTO_OUTCOME_STYLES[a.outcome]}`}>
+                      {a.action} · {a.outcome}
+                    </span>
+                    <span className="font-mono text-xs">{a.proposalId.slice(0, 10)}…</span>
+                    <span className="text-xs text-gray-600">{new Date(a.createdAt * 1000).toLocaleString()}</span>
+                  </div>
+                  <div className="text-xs">{a.reason}</div>
+                  {a.risk && a.risk.reasons.length > 0 && (
+                    <ul className="text-xs text-gray-700 list-disc ml-4">
+                      {a.risk.reasons.map((r, i) => (
+                        <li key={i}>{r}</li>
+                      ))}
+                    </ul>
+                  )}
+                  {a.txHash && <div className="font-mono text-xs">tx {a.txHash}</div>}
+                  {a.error && <div className="text-xs text-red-700">{a.error}</div>}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
       {/* GOVERNANCE FORM */}
       <div className="bg-gray-100 p-4 rounded mb-6">
         <h2 className="text-lg font-semibold mb-2">Governance Proposal</h2>
@@ -520,6 +1598,11 @@ function PageContent() {
             <option value="removeOwner">Remove Owner</option>
             <option value="setThreshold">Change Threshold</option>
             <option value="setMinDelayGlobal">Change Min Delay</option>
+            <option value="setTargetDelay">Set Delay for a Target Address</option>
+            <option value="setSelectorDelay">Set Delay for a Function Selector</option>
+            <option value="setGovernanceKindDelay">Set Delay Floor for a Governance Action</option>
+            <option value="setProposalExpiry">Change Expiry Window</option>
+            <option value="setPauseConfig">Change Pause Duration / Cooldown</option>
           </select>
 
           {govAction && (
@@ -528,13 +1611,40 @@ function PageContent() {
               placeholder={
                 govAction === "setThreshold" || govAction === "setMinDelayGlobal"
                   ? "Number"
-                  : "Address (0x...)"
+                  : govAction === "setProposalExpiry"
+                    ? `Seconds after ETA (300 - 2592000, now ${expiry || "?"})`
+                    : govAction === "setPauseConfig"
+                      ? `Max pause duration (3600 - 2592000 seconds, now ${pauseInfo?.maxDuration ?? "?"})`
+                      : govAction === "setSelectorDelay"
+                        ? "Selector (0x12345678)"
+                        : govAction === "setGovernanceKindDelay"
+                          ? "Governance kind (1-10)"
+                          : "Address (0x...)"
               }
               value={govArg}
               onChange={(e) => setGovArg(e.target.value)}
             />
           )}
 
+          {(govAction === "setTargetDelay" ||
+            govAction === "setSelectorDelay" ||
+            govAction === "setGovernanceKindDelay" ||
+            govAction === "setPauseConfig") && (
+            <input
+              type="number"
+              className="border p-2"
+              placeholder={
+                govAction === "setPauseConfig"
+                  ? `Cooldown between pauses (0 - 2592000 seconds, now ${pauseInfo?.cooldown ?? "?"})`
+                  : govAction === "setGovernanceKindDelay"
+                    ? "Minimum delay (seconds, 0 removes the floor)"
+                    : "Minimum delay (seconds, empty removes the override)"
+              }
+              value={govArg2}
+              onChange={(e) => setGovArg2(e.target.value)}
+            />
+          )}
+
           <input
             type="number"
             className="border p-2"
@@ -542,6 +1652,15 @@ function PageContent() {
             value={govDelay}
             onChange={(e) => setGovDelay(e.target.value)}
           />
+          {govRequiredDelay !== null && (
+            <p
+              className={`text-xs ${
+                govDelay && Number(govDelay) < govRequiredDelay ? "text-red-600" : "text-gray-600"
+              }`}
+            >
+              Required delay: {govRequiredDelay}s ({fmtCountdown(govRequiredDelay)})
+            </p>
+          )}
 
           <button
             className="bg-purple-600 text-white px-4 py-2 rounded disabled:opacity-50"
@@ -565,6 +1684,7 @@ function PageContent() {
               <th className="p-2">To</th>
               <th className="p-2">Value</th>
               <th className="p-2">ETA</th>
+              <th className="p-2">Approvals</th>
               {showRiskColumn && <th className="p-2">Risk</th>}
               <th className="p-2">Status</th>
               <th className="p-2">Actions</th>
@@ -573,82 +1693,242 @@ function PageContent() {
 
           <tbody>
             {filteredProposals.map((p, i) => (
-              <tr key={i} className="border-t border-gray-600">
-                <td className="p-2 font-mono text-xs">{p.id.slice(0, 12)}…</td>
-
-                <td className="p-2">
-                  {p.kind === "gov" ? (
-                    <span className="text-purple-600 font-semibold">Gov ({p.govKind})</span>
-                  ) : (
-                    <span className="text-blue-600 font-semibold">Tx</span>
-                  )}
-                </td>
+              <Fragment key={i}>
+                <tr className="border-t border-gray-600">
+                  <td className="p-2 font-mono text-xs">{p.id.slice(0, 12)}…</td>
 
-                <td className="p-2">{p.kind === "tx" ? p.to : "—"}</td>
-                <td className="p-2">{p.kind === "tx" ? p.value : "—"}</td>
-                <td className="p-2">{new Date(p.eta * 1000).toLocaleString()}</td>
-
-                {showRiskColumn && (
                   <td className="p-2">
-                    {!riskUnlocked ? (
-                      <span className="text-gray-500">🔒</span>
-                    ) : p.risk ? (
-                      <span
-                        className={
-                          p.risk.level === "HIGH"
-                            ? "text-red-600 font-semibold"
-                            : p.risk.level === "MEDIUM"
-                              ? "text-yellow-700 font-semibold"
-                              : "text-green-700 font-semibold"
-                        }
-                        title={p.risk.reasons?.join("\n")}
-                      >
-                        {p.risk.level} ({p.risk.score}/100)
-                      </span>
+                    {p.kind === "gov" ? (
+                      <span className="text-purple-600 font-semibold">Gov ({p.govKind})</span>
+                    ) : p.kind === "batch" ? (
+                      <span className="text-teal-600 font-semibold">Batch ({p.calls?.length ?? "?"})</span>
                     ) : (
-                      <span className="text-gray-500">—</span>
+                      <span className="text-blue-600 font-semibold">Tx</span>
                     )}
                   </td>
-                )}
-
-                <td className="p-2">
-                  {p.cancelled ? "❌ Cancelled" : p.executed ? "✅ Executed" : "⏳ Pending"}
-                </td>
-
-                <td className="p-2 flex gap-2 flex-wrap">
-                  {!p.executed && !p.cancelled && (
-                    <>
-                      <button
-                        className="bg-yellow-500 text-white px-2 py-1 text-xs rounded"
-                        onClick={() => handleAction("approve", p.id)}
-                      >
-                        Approve
-                      </button>
 
-                      <button
-                        className="bg-green-600 text-white px-2 py-1 text-xs rounded"
-                        onClick={() => handleAction("execute", p.id)}
+                  <td className="p-2">
+                    {p.kind === "tx" && p.to ? addressLabel(p.to) : p.kind === "batch" ? null : "—"}
+                    {p.decoded && (
+                      <div
+                        className="text-xs font-mono text-gray-600 break-all"
+                        title={p.decoded.signature || p.decoded.selector || ""}
                       >
-                        Execute
-                      </button>
+                        {callLabel(p.decoded)}
+                      </div>
+                    )}
+                    {(p.calls || []).map((c, j) => (
+                      <div key={j} className="text-xs font-mono break-all">
+                        #{j + 1} {addressLabel(c.to, true)}
+                        {c.value !== "0" && ` · ${c.value} wei`}
+                        {c.decoded && <span className="text-gray-600"> · {callLabel(c.decoded)}</span>}
+                      </div>
+                    ))}
+                  </td>
+                  <td className="p-2">
+                    {p.kind === "gov" ? "—" : (tokenValueLabel(p) ?? p.value)}
+                  </td>
+                  <td className="p-2">{new Date(p.eta * 1000).toLocaleString()}</td>
 
-                      <button
-                        className="bg-red-600 text-white px-2 py-1 text-xs rounded"
-                        onClick={() => handleAction("cancel", p.id)}
-                      >
-                        Cancel
-                      </button>
+                  <td className="p-2">
+                    <span title={(p.approvedBy || []).join("\n")}>
+                      {(p.approvedBy || []).length}/{threshold || "?"}
+                    </span>
+                    {!p.executed && !p.cancelled && pendingSigners(p).length > 0 && (
+                      <div className="text-xs text-gray-500">
+                        waiting: {pendingSigners(p).map(shortAddr).join(", ")}
+                      </div>
+                    )}
+                  </td>
 
-                      <button
-                        className="bg-gray-600 text-white px-2 py-1 text-xs rounded"
-                        onClick={() => handleAction("revoke", p.id)}
-                      >
-                        Revoke
-                      </button>
-                    </>
+                  {showRiskColumn && (
+                    <td className="p-2">
+                      {!riskUnlocked ? (
+                        <span className="text-gray-500">🔒</span>
+                      ) : p.risk ? (
+                        <span
+                          className={
+                            p.risk.level === "HIGH"
+                              ? "text-red-600 font-semibold"
+                              : p.risk.level === "MEDIUM"
+                                ? "text-yellow-700 font-semibold"
+                                : "text-green-700 font-semibold"
+                          }
+                          title={[...(p.risk.reasons || []), `Risk policy ${p.risk.policyVersion ?? "?"}`].join("\n")}
+                        >
+                          {p.risk.level} ({p.risk.score}/100)
+                        </span>
+                      ) : (
+                        <span className="text-gray-500">—</span>
+                      )}
+                    </td>
                   )}
-                </td>
-              </tr>
+
+                  <td className="p-2">
+                    {(() => {
+                      const lc = lifecycleOf(p);
+                      return (
+                        <>
+                          {LIFECYCLE_LABELS[lc.state]}
+                          {lc.state === "queued" && (
+                            <div className="text-xs text-gray-500">
+                              executable in {fmtCountdown(lc.executableFrom - now)}
+                            </div>
+                          )}
+                          {lc.state === "executable" && (
+                            <div className="text-xs text-gray-500">
+                              expires in {fmtCountdown(lc.expiresAt - now)}
+                            </div>
+                          )}
+                        </>
+                      );
+                    })()}
+                  </td>
+
+                  <td className="p-2 flex gap-2 flex-wrap">
+                    <button
+                      className="bg-gray-200 text-gray-800 px-2 py-1 text-xs rounded"
+                      onClick={() => setDetailsId(detailsId === p.id ? null : p.id)}
+                    >
+                      {detailsId === p.id ? "Hide" : "Details"}
+                    </button>
+
+                    {!isFinal(lifecycleOf(p).state) && (
+                      <>
+                        {lifecycleOf(p).state !== "executable" && (
+                          <button
+                            className="bg-yellow-500 text-white px-2 py-1 text-xs rounded"
+                            onClick={() => handleAction("approve", p.id)}
+                          >
+                            Approve
+                          </button>
+                        )}
+
+                        {lifecycleOf(p).state !== "executable" && isOwner && (
+                          <button
+                            className="bg-yellow-100 text-yellow-800 border border-yellow-500 px-2 py-1 text-xs rounded"
+                            title="Approve with an EIP-712 signature (no gas); anyone can submit it later"
+                            onClick={() => signApproval(p.id)}
+                          >
+                            Sign
+                          </button>
+                        )}
+
+                        {(p.signedBy || []).length > 0 && (
+                          <button
+                            className="bg-yellow-700 text-white px-2 py-1 text-xs rounded"
+                            title={(p.signedBy || []).join("\n")}
+                            onClick={() => submitSignatures(p)}
+                          >
+                            Submit {(p.signedBy || []).length} signature(s)
+                          </button>
+                        )}
+
+                        {lifecycleOf(p).state === "executable" && (
+                          <button
+                            className="bg-green-600 text-white px-2 py-1 text-xs rounded"
+                            onClick={() => handleAction("execute", p.id)}
+                          >
+                            Execute
+                          </button>
+                        )}
+
+                        {now < p.eta && (
+                          <>
+                            <button
+                              className="bg-red-600 text-white px-2 py-1 text-xs rounded"
+                              onClick={() => handleAction("cancel", p.id)}
+                            >
+                              Cancel
+                            </button>
+
+                            <button
+                              className="bg-gray-600 text-white px-2 py-1 text-xs rounded"
+                              onClick={() => handleAction("revoke", p.id)}
+                            >
+                              Revoke
+                            </button>
+                          </>
+                        )}
+                      </>
+                    )}
+                  </td>
+                </tr>
+
+                {detailsId === p.id && (
+                  <tr className="bg-gray-50">
+                    <td className="p-3" colSpan={showRiskColumn ? 9 : 8}>
+                      <div className="flex items-center gap-3 mb-1">
+                        <h3 className="font-semibold">Simulation</h3>
+                        {session && !isFinal(lifecycleOf(p).state) && (
+                          <button
+                            className="bg-gray-600 text-white px-2 py-1 text-xs rounded disabled:opacity-50"
+                            disabled={simulating}
+                            onClick={() => rerunSimulation(p.id)}
+                          >
+                            {simulating ? "Simulating…" : "Re-run"}
+                          </button>
+                        )}
+                      </div>
+
+                      {!simulation || simulation.id !== p.id ? (
+                        <p className="text-xs text-gray-500">Not simulated yet…</p>
+                      ) : (
+                        <div className="text-xs space-y-1">
+                          <div>
+                            <span className={`font-semibold ${SIMULATION_STYLES[simulation.status]}`}>
+                              {simulation.status}
+                            </span>
+                            {simulation.revertReason && <span> — {simulation.revertReason}</span>}
+                            {simulation.error && <span className="text-gray-600"> — {simulation.error}</span>}
+                            <span className="text-gray-500">
+                              {" "}
+                              · {simulation.block !== undefined && `block ${simulation.block}, `}
+                              {new Date(simulation.simulatedAt * 1000).toLocaleString()}
+                            </span>
+                          </div>
+
+                          {simulation.gasEstimate && <div>Gas estimate: {simulation.gasEstimate}</div>}
+                          {simulation.returnData && simulation.returnData !== "0x" && (
+                            <div className="font-mono break-all text-gray-600">Return data: {simulation.returnData}</div>
+                          )}
+                          {simulation.independent && (
+                            <div className="text-gray-500">
+                              Batch calls simulated one by one on the current state (a later call
+                              that reverts may rely on an earlier one, so it shows as unknown):{" "}
+                              {(simulation.calls || [])
+                                .map((c, j) => `#${j + 1} ${c.status}${c.gasEstimate ? ` (${c.gasEstimate} gas)` : ""}`)
+                                .join(", ")}
+                            </div>
+                          )}
+
+                          {(simulation.balanceChanges || []).length > 0 && (
+                            <table className="mt-1">
+                              <tbody>
+                                {(simulation.balanceChanges || []).map((c, j) => (
+                                  <tr key={j}>
+                                    <td className="pr-3">{c.wallet ? "Wallet" : addressLabel(c.address, true)}</td>
+                                    <td
+                                      className={`pr-3 font-mono ${c.delta.startsWith("-") ? "text-red-700" : "text-green-700"}`}
+                                    >
+                                      {c.formatted ?? c.delta} {c.symbol ?? shortAddr(c.asset)}
+                                    </td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                          )}
+                          {simulation.balanceChangesFrom === "calldata" && (
+                            <div className="text-gray-500">
+                              Balance changes read from the call itself (the node cannot trace it).
+                            </div>
+                          )}
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                )}
+              </Fragment>
             ))}
           </tbody>
         </table>
@@ -0,0 +1,65 @@
+/* ------------------------------------------------------------------
+   PROPOSAL LIFECYCLE
+   EXACT RULES MUST MATCH backend/lifecycle.js (the API returns the same
+   state; this copy only re-derives it as time passes without a refetch).
+   Created -> AwaitingApprovals -> Queued -> Executable -> Expired | Executed | Failed | Cancelled
+   "failed" is never reached with the current contract (a failed call
+   reverts _execute); it is kept for versions that record failed calls.
+------------------------------------------------------------------*/
+
+export type LifecycleState =
+  | "created"
+  | "awaitingApprovals"
+  | "queued"
+  | "executable"
+  | "expired"
+  | "executed"
+  | "failed"
+  | "cancelled";
+
+export const LIFECYCLE_LABELS: Record<LifecycleState, string> = {
+  created: "🆕 Created",
+  awaitingApprovals: "✍️ Awaiting approvals",
+  queued: "⏳ Queued",
+  executable: "🟢 Executable",
+  expired: "⌛ Expired",
+  executed: "✅ Executed",
+  failed: "⚠️ Failed",
+  cancelled: "❌ Cancelled",
+};
+
+export const FINAL_STATES: LifecycleState[] = ["expired", "executed", "failed", "cancelled"];
+
+export interface LifecycleInput {
+  approvals?: number;
+  eta: number;
+  executed: boolean;
+  cancelled: boolean;
+  executionSuccess?: boolean | null;
+}
+
+export function deriveLifecycle(
+  p: LifecycleInput,
+  ctx: { threshold: number; expiry: number; now: number }
+): { state: LifecycleState; executableFrom: number; expiresAt: number } {
+  const eta = Number(p.eta || 0);
+  const approvals = Number(p.approvals || 0);
+
+  const executableFrom = eta;
+  const expiresAt = eta + Number(ctx.expiry || 0);
+
+  let state: LifecycleState;
+  if (p.cancelled) state = "cancelled";
+  else if (p.executed) state = p.executionSuccess === false ? "failed" : "executed";
+  else if (ctx.now > expiresAt) state = "expired";
+  else if (approvals >= ctx.threshold && ctx.now >= eta) state = "executable";
+  else if (approvals >= ctx.threshold) state = "queued";
+  else if (approvals > 0) state = "awaitingApprovals";
+  else state = "created";
+
+  return { state, executableFrom, expiresAt };
+}
+
+export function isFinal(state: LifecycleState) {
+  return FINAL_STATES.includes(state);
+}
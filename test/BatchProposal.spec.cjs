@@ -0,0 +1,136 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+function parseEvent(receipt, contract, eventName) {
+  for (const log of receipt.logs) {
+    try {
+      const parsed = contract.interface.parseLog(log);
+      if (parsed && parsed.name === eventName) return parsed.args;
+    } catch (_) {}
+  }
+  return null;
+}
+
+describe("Batch (multi-call) proposals", function () {
+  async function deployFixture() {
+    const [owner1, owner2, owner3, guardian, alice, bob, outsider] = await ethers.getSigners();
+
+    const owners = [owner1.address, owner2.address, owner3.address];
+    const threshold = 2;
+    const minDelay = 60;
+
+    const Factory = await ethers.getContractFactory("DelayedExecutionMultiSig");
+    const contract = await Factory.deploy(owners, threshold, minDelay, guardian.address);
+    await contract.waitForDeployment();
+
+    const Token = await ethers.getContractFactory("MockERC20");
+    const token = await Token.deploy("Mock USD", "mUSD", 6);
+    await token.waitForDeployment();
+
+    const contractAddr = await contract.getAddress();
+    await token.mint(contractAddr, ethers.parseUnits("100", 6));
+    await owner1.sendTransaction({ to: contractAddr, value: ethers.parseEther("1") });
+
+    return { contract, token, owner1, owner2, alice, bob, outsider, minDelay };
+  }
+
+  async function proposeAndQueue({ contract, owner1, owner2, minDelay }, calls) {
+    const receipt = await (await contract.connect(owner1).proposeBatch(calls, minDelay)).wait();
+    const created = parseEvent(receipt, contract, "BatchProposalCreated");
+
+    await contract.connect(owner1).approve(created.id);
+    await contract.connect(owner2).approve(created.id);
+    await time.increaseTo(Number(created.eta) + 1);
+
+    return created;
+  }
+
+  it("stores the calls and emits BatchProposalCreated with the total value", async function () {
+    const fx = await deployFixture();
+    const { contract, token, owner1, alice, bob, minDelay } = fx;
+
+    const calls = [
+      { to: alice.address, value: ethers.parseEther("0.1"), data: "0x" },
+      { to: await token.getAddress(), value: 0n, data: token.interface.encodeFunctionData("transfer", [bob.address, 5n]) },
+      { to: bob.address, value: ethers.parseEther("0.2"), data: "0x" },
+    ];
+
+    const receipt = await (await contract.connect(owner1).proposeBatch(calls, minDelay)).wait();
+    const created = parseEvent(receipt, contract, "BatchProposalCreated");
+
+    expect(created.proposer).to.equal(owner1.address);
+    expect(created.calls).to.equal(3n);
+    expect(created.totalValue).to.equal(ethers.parseEther("0.3"));
+
+    const p = await contract.getProposal(created.id);
+    expect(p.kind).to.equal(2n); // Batch
+    expect(p.value).to.equal(ethers.parseEther("0.3"));
+
+    const stored = await contract.getBatchCalls(created.id);
+    expect(stored.length).to.equal(3);
+    expect(stored[1].to).to.equal(calls[1].to);
+    expect(stored[1].data).to.equal(calls[1].data);
+  });
+
+  it("executes every call in one transaction (approve then transferFrom)", async function () {
+    const fx = await deployFixture();
+    const { contract, token, alice, bob } = fx;
+    const contractAddr = await contract.getAddress();
+
+    // approve alice, then pay bob 0.25 ETH and 10 mUSD in the same execution
+    const calls = [
+      { to: await token.getAddress(), value: 0n, data: token.interface.encodeFunctionData("approve", [alice.address, 30n]) },
+      { to: await token.getAddress(), value: 0n, data: token.interface.encodeFunctionData("transfer", [bob.address, 10n]) },
+      { to: bob.address, value: ethers.parseEther("0.25"), data: "0x" },
+    ];
+
+    const { id } = await proposeAndQueue(fx, calls);
+    const bobEth = await ethers.provider.getBalance(bob.address);
+
+    await expect(contract.execute(id)).to.emit(contract, "ProposalExecuted").withArgs(id, fx.owner1.address, true, "0x");
+
+    expect(await token.allowance(contractAddr, alice.address)).to.equal(30n);
+    expect(await token.balanceOf(bob.address)).to.equal(10n);
+    expect(await ethers.provider.getBalance(bob.address)).to.equal(bobEth + ethers.parseEther("0.25"));
+
+    // the allowance is usable right away
+    await token.connect(alice).transferFrom(contractAddr, alice.address, 30n);
+    expect(await token.balanceOf(alice.address)).to.equal(30n);
+  });
+
+  it("reverts the whole batch when one call fails", async function () {
+    const fx = await deployFixture();
+    const { contract, token, alice, bob } = fx;
+    const contractAddr = await contract.getAddress();
+
+    const calls = [
+      { to: alice.address, value: ethers.parseEther("0.1"), data: "0x" },
+      { to: await token.getAddress(), value: 0n, data: token.interface.encodeFunctionData("transfer", [bob.address, ethers.parseUnits("101", 6)]) },
+    ];
+
+    const { id } = await proposeAndQueue(fx, calls);
+    const aliceEth = await ethers.provider.getBalance(alice.address);
+
+    await expect(contract.execute(id)).to.be.revertedWith("exec failed");
+
+    expect(await ethers.provider.getBalance(alice.address)).to.equal(aliceEth);
+    expect(await ethers.provider.getBalance(contractAddr)).to.equal(ethers.parseEther("1"));
+    expect((await contract.getProposal(id)).executed).to.equal(false);
+  });
+
+  it("rejects empty or oversized batches, short delays and non-owners", async function () {
+    const { contract, owner1, alice, outsider, minDelay } = await deployFixture();
+    const call = { to: alice.address, value: 0n, data: "0x" };
+
+    await expect(contract.connect(owner1).proposeBatch([], minDelay)).to.be.revertedWith("bad batch");
+
+    const max = Number(await contract.MAX_BATCH_CALLS());
+    await expect(
+      contract.connect(owner1).proposeBatch(Array(max + 1).fill(call), minDelay)
+    ).to.be.revertedWith("bad batch");
+
+    await expect(contract.connect(owner1).proposeBatch([call], minDelay - 1)).to.be.revertedWith("delay<min");
+    await expect(contract.connect(outsider).proposeBatch([call], minDelay)).to.be.revertedWith("not owner");
+  });
+});
@@ -0,0 +1,119 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+function parseEvent(receipt, contract, eventName) {
+  for (const log of receipt.logs) {
+    try {
+      const parsed = contract.interface.parseLog(log);
+      if (parsed && parsed.name === eventName) return parsed.args;
+    } catch (_) {}
+  }
+  return null;
+}
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+const gov = (kind, types, values) => ethers.concat([ethers.toBeHex(kind, 1), coder.encode(types, values)]);
+
+describe("Per-target, per-selector and governance delays", function () {
+  async function deployFixture() {
+    const [owner1, owner2, owner3, guardian, refunds, vault] = await ethers.getSigners();
+
+    const owners = [owner1.address, owner2.address, owner3.address];
+    const threshold = 2;
+    const minDelay = 3600;
+
+    const Factory = await ethers.getContractFactory("DelayedExecutionMultiSig");
+    const contract = await Factory.deploy(owners, threshold, minDelay, guardian.address);
+    await contract.waitForDeployment();
+
+    return { contract, owner1, owner2, refunds, vault, minDelay };
+  }
+
+  // proposes + approves + executes a governance change
+  async function govern({ contract, owner1, owner2 }, encoded) {
+    const delay = await contract.requiredGovernanceDelay(Number(encoded.slice(0, 4)));
+    const receipt = await (await contract.connect(owner1).proposeGovernance(encoded, delay)).wait();
+    const { id, eta } = parseEvent(receipt, contract, "GovernanceProposalCreated");
+
+    await contract.connect(owner1).approve(id);
+    await contract.connect(owner2).approve(id);
+    await time.increaseTo(Number(eta) + 1);
+    return (await contract.execute(id)).wait();
+  }
+
+  const TRANSFER = "0xa9059cbb";
+
+  it("target override shortens (or lengthens) the delay for that address only", async function () {
+    const fx = await deployFixture();
+    const { contract, owner1, refunds, vault, minDelay } = fx;
+
+    const receipt = await govern(fx, gov(0x06, ["address", "uint256", "bool"], [refunds.address, 60, true]));
+    const ev = parseEvent(receipt, contract, "TargetDelaySet");
+    expect(ev.target).to.equal(refunds.address);
+    expect(ev.delay).to.equal(60n);
+
+    expect(await contract.requiredDelay(refunds.address, "0x")).to.equal(60n);
+    expect(await contract.requiredDelay(vault.address, "0x")).to.equal(BigInt(minDelay));
+
+    await expect(contract.connect(owner1).proposeTransaction(refunds.address, 1n, "0x", 60)).to.emit(
+      contract,
+      "ProposalCreated"
+    );
+    await expect(contract.connect(owner1).proposeTransaction(vault.address, 1n, "0x", 60)).to.be.revertedWith(
+      "delay<min"
+    );
+
+    // removal falls back to minDelayGlobal
+    await govern(fx, gov(0x06, ["address", "uint256", "bool"], [refunds.address, 0, false]));
+    expect(await contract.requiredDelay(refunds.address, "0x")).to.equal(BigInt(minDelay));
+  });
+
+  it("selector override applies to matching calldata; the longer of target/selector wins", async function () {
+    const fx = await deployFixture();
+    const { contract, owner1, refunds, vault } = fx;
+
+    await govern(fx, gov(0x07, ["bytes4", "uint256", "bool"], [TRANSFER, 7200, true]));
+    await govern(fx, gov(0x06, ["address", "uint256", "bool"], [refunds.address, 60, true]));
+
+    const data = ethers.concat([TRANSFER, coder.encode(["address", "uint256"], [vault.address, 1])]);
+    expect(await contract.requiredDelay(vault.address, data)).to.equal(7200n);
+    expect(await contract.requiredDelay(refunds.address, data)).to.equal(7200n);
+    expect(await contract.requiredDelay(refunds.address, "0x")).to.equal(60n);
+
+    await expect(contract.connect(owner1).proposeTransaction(vault.address, 0n, data, 3600)).to.be.revertedWith(
+      "delay<min"
+    );
+
+    // a batch needs the longest delay of its calls
+    const calls = [
+      { to: refunds.address, value: 0n, data: "0x" },
+      { to: vault.address, value: 0n, data },
+    ];
+    await expect(contract.connect(owner1).proposeBatch(calls, 3600)).to.be.revertedWith("delay<min");
+    await expect(contract.connect(owner1).proposeBatch(calls, 7200)).to.emit(contract, "BatchProposalCreated");
+  });
+
+  it("governance kinds get a floor that is never below minDelayGlobal", async function () {
+    const fx = await deployFixture();
+    const { contract, owner1, vault, minDelay } = fx;
+
+    await expect(govern(fx, gov(0x08, ["uint8", "uint256"], [0x05, 86400])))
+      .to.emit(contract, "GovernanceKindDelaySet")
+      .withArgs(0x05, 86400);
+
+    expect(await contract.requiredGovernanceDelay(0x05)).to.equal(86400n);
+    expect(await contract.requiredGovernanceDelay(0x03)).to.equal(BigInt(minDelay));
+
+    const setGuardian = gov(0x05, ["address"], [vault.address]);
+    await expect(contract.connect(owner1).proposeGovernance(setGuardian, minDelay)).to.be.revertedWith("delay<min");
+    await expect(contract.connect(owner1).proposeGovernance(setGuardian, 86400)).to.emit(
+      contract,
+      "GovernanceProposalCreated"
+    );
+
+    // a floor below minDelayGlobal has no effect
+    await govern(fx, gov(0x08, ["uint8", "uint256"], [0x03, 10]));
+    expect(await contract.requiredGovernanceDelay(0x03)).to.equal(BigInt(minDelay));
+  });
+});
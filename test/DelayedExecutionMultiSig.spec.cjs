@@ -112,6 +112,26 @@ describe("DelayedExecutionMultiSig (Automated Security + Lifecycle)", function (
     expect(Number(p.approvals)).to.equal(1);
   });
 
+  it("hasApproved tracks each owner's approval and revoke", async function () {
+    const { contract, owner1, owner2, owner3, outsider, minDelay } = await deployFixture();
+
+    const tx = await contract
+      .connect(owner1)
+      .proposeTransaction(outsider.address, 0n, "0x", minDelay);
+    const receipt = await tx.wait();
+    const id = eventId(parseEvent(receipt, contract, "ProposalCreated"));
+
+    await contract.connect(owner1).approve(id);
+    await contract.connect(owner2).approve(id);
+
+    expect(await contract.hasApproved(id, owner1.address)).to.equal(true);
+    expect(await contract.hasApproved(id, owner2.address)).to.equal(true);
+    expect(await contract.hasApproved(id, owner3.address)).to.equal(false);
+
+    await contract.connect(owner2).revoke(id);
+    expect(await contract.hasApproved(id, owner2.address)).to.equal(false);
+  });
+
   it("guardian cancellation blocks execution", async function () {
     const { contract, owner1, owner2, guardian, outsider, minDelay } = await deployFixture();
 
@@ -205,4 +225,48 @@ describe("DelayedExecutionMultiSig (Automated Security + Lifecycle)", function (
     await expect(contract.execute(id)).to.emit(contract, "ProposalExecuted");
     expect(await contract.threshold()).to.equal(newThreshold);
   });
+
+  async function proposeExpiry({ contract, owner1, owner2, minDelay }, seconds) {
+    const payload = ethers.AbiCoder.defaultAbiCoder().encode(["uint256"], [seconds]);
+    const encoded = ethers.concat(["0x09", payload]); // kind = 0x09 (setProposalExpiry)
+
+    const receipt = await (await contract.connect(owner1).proposeGovernance(encoded, minDelay)).wait();
+    const id = eventId(parseEvent(receipt, contract, "GovernanceProposalCreated"));
+
+    await contract.connect(owner1).approve(id);
+    await contract.connect(owner2).approve(id);
+    await time.increaseTo(Number((await contract.getProposal(id)).eta) + 1);
+    return id;
+  }
+
+  it("governance proposal changes the expiry window (kind=0x09)", async function () {
+    const fx = await deployFixture();
+    const { contract, owner1, owner2, outsider, minDelay } = fx;
+
+    // queued before the change, executed after the old 600s window
+    const tx = await contract.connect(owner1).proposeTransaction(outsider.address, 0n, "0x", minDelay);
+    const txId = eventId(parseEvent(await tx.wait(), contract, "ProposalCreated"));
+    await contract.connect(owner1).approve(txId);
+    await contract.connect(owner2).approve(txId);
+
+    const id = await proposeExpiry(fx, 3600);
+    await expect(contract.execute(id)).to.emit(contract, "ProposalExpiryChanged").withArgs(3600);
+    expect(await contract.proposalExpiryDuration()).to.equal(3600n);
+
+    const p = await contract.getProposal(txId);
+    await time.increaseTo(Number(p.eta) + 1800);
+    await expect(contract.execute(txId)).to.emit(contract, "ProposalExecuted");
+  });
+
+  it("rejects an expiry window outside the bounds", async function () {
+    const fx = await deployFixture();
+    const { contract } = fx;
+
+    const min = await contract.MIN_EXPIRY_DURATION();
+    const max = await contract.MAX_EXPIRY_DURATION();
+
+    await expect(contract.execute(await proposeExpiry(fx, min - 1n))).to.be.revertedWith("bad expiry");
+    await expect(contract.execute(await proposeExpiry(fx, max + 1n))).to.be.revertedWith("bad expiry");
+    expect(await contract.proposalExpiryDuration()).to.equal(600n);
+  });
 });
@@ -0,0 +1,155 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadBackend, backendFixture } = require("./helpers/backend.cjs");
+
+const NOW = 1700049600;
+const GUARDIAN = "0x90F79bf6EB2c4f870365E785982E1f101E93b906";
+
+function risk(id, { score = 70, flags = [], level = "HIGH" } = {}) {
+  return {
+    id,
+    score,
+    level,
+    reasons: ["Recipient risk: address is blacklisted/dangerous."],
+    signals: { criticalFlags: flags },
+    computedAt: NOW,
+    policyVersion: "3.0.0",
+  };
+}
+
+/**
+ * Automation over a fresh store and a fake chain; `sent` records the transactions it sends.
+ * `chain` overrides the fake's reads (proposal, paused, guardian, cancel, pause).
+ */
+async function setup(config = {}, { chain = {}, signer = GUARDIAN } = {}) {
+  const { createGuardianAutomation } = await loadBackend("guardian-auto");
+  const { store, now } = await backendFixture({ now: NOW });
+  const sent = [];
+  const actions = [];
+
+  const auto = createGuardianAutomation({
+    store,
+    config: { action: "cancel", onCritical: true, minScore: null, dryRun: false, maxActions: 3, windowSec: 3600, ...config },
+    signer,
+    chain: {
+      proposal: async () => ({ executed: false, cancelled: false, eta: NOW + 3600 }),
+      paused: async () => false,
+      guardian: async () => GUARDIAN.toLowerCase(),
+      cancel: async (id, reason) => {
+        sent.push(["cancel", id, reason]);
+        return "0xcafe";
+      },
+      pause: async () => {
+        sent.push(["pause"]);
+        return "0xbeef";
+      },
+      ...chain,
+    },
+    onAction: (entry) => actions.push(entry),
+    now,
+  });
+  return { auto, store, sent, actions };
+}
+
+describe("Guardian automation", function () {
+  const id = (n) => ethers.id(`auto-${n}`);
+
+  it("cancels a critical proposal once, with the reason on-chain and in the audit log", async function () {
+    const { auto, store, sent, actions } = await setup();
+
+    const entry = await auto.consider(id(1), risk(id(1), { flags: ["recipient:blacklist"] }));
+    expect(entry).to.include({ proposalId: id(1), action: "cancel", outcome: "submitted", trigger: "critical", txHash: "0xcafe" });
+    expect(entry.reason).to.equal("guardian automation: risk 70/100 HIGH (recipient:blacklist), policy 3.0.0");
+    expect(entry.risk.reasons).to.deep.equal(["Recipient risk: address is blacklisted/dangerous."]);
+    expect(sent).to.deep.equal([["cancel", id(1), entry.reason]]);
+    expect(actions).to.have.length(1);
+
+    // rescoring the same proposal does not act again
+    expect(await auto.consider(id(1), risk(id(1), { flags: ["recipient:blacklist"] }))).to.equal(null);
+    expect(store.listGuardianActions({ proposalId: id(1) })).to.have.length(1);
+  });
+
+  it("ignores risk below the triggers and the by-design governance flags", async function () {
+    const { auto, sent } = await setup({ minScore: 90 });
+
+    expect(await auto.consider(id(2), risk(id(2), { score: 45, level: "MEDIUM" }))).to.equal(null);
+    expect(await auto.consider(id(3), risk(id(3), { score: 85, flags: ["gov:changeGuardian"] }))).to.equal(null);
+    expect((await auto.consider(id(4), risk(id(4), { score: 92, flags: ["gov:changeGuardian"] }))).trigger).to.equal("score");
+    expect(sent).to.have.length(1);
+  });
+
+  it("only records decisions in dry-run mode or without a guardian signer", async function () {
+    for (const [config, signer] of [
+      [{ dryRun: true }, GUARDIAN],
+      [{}, null],
+    ]) {
+      const { auto, sent } = await setup(config, { signer });
+      expect(auto.dryRun).to.equal(true);
+      expect((await auto.consider(id(5), risk(id(5), { flags: ["recipient:blacklist"] }))).outcome).to.equal("dry-run");
+      expect(sent).to.deep.equal([]);
+    }
+  });
+
+  it("stops acting past the rate limit and leaves the rest to the guardian", async function () {
+    const { auto, sent } = await setup({ maxActions: 2 });
+    const outcomes = [];
+    for (let n = 10; n < 13; n++) outcomes.push((await auto.consider(id(n), risk(id(n), { flags: ["amount:>=5eth"] }))).outcome);
+
+    expect(outcomes).to.deep.equal(["submitted", "submitted", "rate-limited"]);
+    expect(sent).to.have.length(2);
+  });
+
+  it("records why nothing was sent: past ETA, already paused, wrong signer, reverted", async function () {
+    const critical = (n) => risk(id(n), { flags: ["recipient:blacklist"] });
+
+    const late = await setup({}, { chain: { proposal: async () => ({ executed: false, cancelled: false, eta: NOW - 1 }) } });
+    expect(await late.auto.consider(id(20), critical(20))).to.include({ outcome: "skipped", error: "past ETA: cancel is no longer possible" });
+
+    const paused = await setup({ action: "pause" }, { chain: { paused: async () => true } });
+    expect(await paused.auto.consider(id(21), critical(21))).to.include({ outcome: "skipped", error: "wallet already paused" });
+
+    const replaced = await setup({}, { chain: { guardian: async () => ethers.ZeroAddress } });
+    expect((await replaced.auto.consider(id(22), critical(22))).error).to.contain("is not the guardian");
+
+    const reverted = await setup({}, { chain: { cancel: async () => Promise.reject(new Error("execution reverted: finalized")) } });
+    expect(await reverted.auto.consider(id(23), critical(23))).to.include({ outcome: "failed", error: "execution reverted: finalized" });
+
+    const done = await setup({}, { chain: { proposal: async () => ({ executed: true, cancelled: false, eta: NOW + 60 }) } });
+    expect(await done.auto.consider(id(24), critical(24))).to.equal(null);
+  });
+
+  it("tries again after a failure or a dry run, recording each new outcome once", async function () {
+    let down = true;
+    const { auto, store, sent } = await setup(
+      {},
+      {
+        chain: {
+          cancel: async (id) => {
+            if (down) throw new Error("rpc timeout");
+            sent.push(["cancel", id]);
+            return "0xcafe";
+          },
+        },
+      }
+    );
+    const critical = risk(id(40), { flags: ["recipient:blacklist"] });
+
+    expect(await auto.consider(id(40), critical)).to.include({ outcome: "failed", error: "rpc timeout" });
+    expect(await auto.consider(id(40), critical)).to.equal(null); // same failure: not logged again
+    down = false;
+    expect(await auto.consider(id(40), critical)).to.include({ outcome: "submitted", txHash: "0xcafe" });
+    expect(await auto.consider(id(40), critical)).to.equal(null);
+    expect(store.listGuardianActions({ proposalId: id(40) }).map((e) => e.outcome)).to.deep.equal(["submitted", "failed"]);
+
+    const dry = await setup({ dryRun: true });
+    expect((await dry.auto.consider(id(41), critical)).outcome).to.equal("dry-run");
+    expect(await dry.auto.consider(id(41), critical)).to.equal(null);
+    expect(dry.store.listGuardianActions({ proposalId: id(41) })).to.have.length(1);
+  });
+
+  it("pauses the wallet when configured to", async function () {
+    const { auto, sent } = await setup({ action: "pause" });
+    expect((await auto.consider(id(30), risk(id(30), { flags: ["function:proxy-upgrade"] }))).txHash).to.equal("0xbeef");
+    expect(sent).to.deep.equal([["pause"]]);
+  });
+});
@@ -1,15 +1,27 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 
-function buildGuardianMessage(contractAddress, ts) {
-  return `Guardian access for risk data.\nContract: ${contractAddress}\nTimestamp: ${ts}`;
+// backend modules are ES modules; one in-memory store serves the whole suite
+let store = null;
+async function loadAuth() {
+  const { createSiweAuth, verifyMessageSignature } = await import("../backend/siwe.js");
+  const { openStore } = await import("../backend/store.js");
+  store = store || openStore(":memory:");
+  return { createSiweAuth, verifyMessageSignature, openStore, store };
 }
 
-function withinWindow(nowSec, tsSec, windowSec = 300) {
-  return Math.abs(nowSec - tsSec) <= windowSec;
+async function expectAuthError(promise, message) {
+  try {
+    await promise;
+  } catch (err) {
+    expect(err.status).to.equal(401);
+    expect(err.message).to.contain(message);
+    return;
+  }
+  expect.fail(`expected "${message}"`);
 }
 
-describe("Guardian Risk Gate (Signature + Replay Window)", function () {
+describe("Guardian Risk Gate (SIWE challenge, one-time nonce, EIP-1271)", function () {
   async function deployFixture() {
     const [owner1, owner2, owner3, guardian] = await ethers.getSigners();
 
@@ -21,42 +33,110 @@ describe("Guardian Risk Gate (Signature + Replay Window)", function () {
     const contract = await Factory.deploy(owners, threshold, minDelay, guardian.address);
     await contract.waitForDeployment();
 
-    return { contract, owner1, guardian };
+    const { createSiweAuth, verifyMessageSignature, store } = await loadAuth();
+    const auth = createSiweAuth({
+      store,
+      provider: ethers.provider,
+      domain: "localhost:3000",
+      uri: "http://localhost:3000",
+      contractAddress: await contract.getAddress(),
+      sessionTtlSec: 3600,
+    });
+
+    return { contract, auth, verifyMessageSignature, owner1, guardian };
   }
 
-  it("accepts valid guardian signature and rejects non-guardian", async function () {
-    const { contract, owner1, guardian } = await deployFixture();
+  it("binds the challenge to chain id, contract and purpose and opens a scoped session", async function () {
+    const { contract, auth, guardian } = await deployFixture();
 
-    const now = Math.floor(Date.now() / 1000);
-    const msg = buildGuardianMessage(await contract.getAddress(), now);
+    const { message } = await auth.challenge(guardian.address, "guardian");
+    expect(message).to.contain("Chain ID: 31337");
+    expect(message).to.contain(`eip155:31337:${await contract.getAddress()}`);
+    expect(message).to.contain("urn:delayed-multisig:guardian");
 
-    const sigGuardian = await guardian.signMessage(msg);
-    const recoveredG = ethers.verifyMessage(msg, sigGuardian);
-    expect(recoveredG.toLowerCase()).to.equal(guardian.address.toLowerCase());
+    const { token, address, purpose } = await auth.login(message, await guardian.signMessage(message));
+    expect(address).to.equal(guardian.address);
+    expect(purpose).to.equal("guardian");
+    expect(auth.session(token).address).to.equal(guardian.address);
 
-    const sigOwner = await owner1.signMessage(msg);
-    const recoveredO = ethers.verifyMessage(msg, sigOwner);
-    expect(recoveredO.toLowerCase()).to.not.equal(guardian.address.toLowerCase());
+    auth.logout(token);
+    expect(auth.session(token)).to.equal(null);
   });
 
-  it("rejects stale timestamps outside replay window", async function () {
-    const { contract, guardian } = await deployFixture();
+  it("a captured signature cannot be replayed: the nonce is single use", async function () {
+    const { auth, guardian } = await deployFixture();
+
+    const { message } = await auth.challenge(guardian.address, "guardian");
+    const signature = await guardian.signMessage(message);
+
+    await auth.login(message, signature);
+    await expectAuthError(auth.login(message, signature), "unknown, used or expired nonce");
+  });
 
-    const now = Math.floor(Date.now() / 1000);
-    const stale = now - 301; // 1 second outside window
-    const fresh = now - 10;
+  it("rejects edited messages, other signers and expired challenges", async function () {
+    const { auth, owner1, guardian } = await deployFixture();
+
+    // purpose swapped after issuing (re-signed by the same key)
+    const issued = await auth.challenge(guardian.address, "guardian");
+    const edited = issued.message.replace("urn:delayed-multisig:guardian", "urn:delayed-multisig:owner");
+    await expectAuthError(auth.login(edited, await guardian.signMessage(edited)), "differs from the issued challenge");
+
+    // owner1 signing the guardian's challenge
+    const other = await auth.challenge(guardian.address, "guardian");
+    await expectAuthError(auth.login(other.message, await owner1.signMessage(other.message)), "does not match");
+
+    // signed after the nonce expired
+    const late = await auth.challenge(guardian.address, "guardian");
+    const realNow = Date.now;
+    Date.now = () => realNow() + 301_000;
+    try {
+      await expectAuthError(auth.login(late.message, await guardian.signMessage(late.message)), "expired nonce");
+    } finally {
+      Date.now = realNow;
+    }
+  });
+
+  it("purges expired challenges and refuses more than a few pending ones per address", async function () {
+    const { contract, guardian } = await deployFixture();
+    const { createSiweAuth, openStore } = await loadAuth();
+    const own = openStore(":memory:"); // counts below must not see the other tests' nonces
+    const auth = createSiweAuth({
+      store: own,
+      provider: ethers.provider,
+      domain: "localhost:3000",
+      uri: "http://localhost:3000",
+      contractAddress: await contract.getAddress(),
+      sessionTtlSec: 3600,
+    });
+
+    for (let i = 0; i < 5; i++) await auth.challenge(guardian.address, "guardian");
+    const refused = await auth.challenge(guardian.address, "guardian").catch((err) => err);
+    expect(refused.status).to.equal(429);
+    expect(refused.message).to.contain("too many pending sign-in challenges");
+
+    const realNow = Date.now;
+    Date.now = () => realNow() + 301_000;
+    try {
+      await auth.challenge(guardian.address, "guardian");
+      expect(own.countAuthNonces(guardian.address, Math.floor(Date.now() / 1000))).to.deep.equal({ total: 1, forAddress: 1 });
+    } finally {
+      Date.now = realNow;
+    }
+  });
 
-    expect(withinWindow(now, fresh, 300)).to.equal(true);
-    expect(withinWindow(now, stale, 300)).to.equal(false);
+  it("accepts a smart-contract guardian through EIP-1271", async function () {
+    const { auth, verifyMessageSignature, owner1, guardian } = await deployFixture();
 
-    // Also prove signature is bound to timestamp (signature differs)
-    const addr = await contract.getAddress();
-    const msgFresh = buildGuardianMessage(addr, fresh);
-    const msgStale = buildGuardianMessage(addr, stale);
+    const Wallet = await ethers.getContractFactory("MockERC1271Wallet");
+    const safe = await Wallet.deploy(owner1.address);
+    await safe.waitForDeployment();
+    const safeAddress = await safe.getAddress();
 
-    const sigFresh = await guardian.signMessage(msgFresh);
-    const sigStale = await guardian.signMessage(msgStale);
+    const { message } = await auth.challenge(safeAddress, "guardian");
+    const wrongKey = await guardian.signMessage(message);
+    expect(await verifyMessageSignature(ethers.provider, safeAddress, message, wrongKey)).to.equal(false);
 
-    expect(sigFresh).to.not.equal(sigStale);
+    const { address } = await auth.login(message, await owner1.signMessage(message));
+    expect(address).to.equal(safeAddress);
   });
 });
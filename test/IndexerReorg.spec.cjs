@@ -0,0 +1,119 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const abi = require("../backend/abi.json");
+const { loadBackend, backendFixture } = require("./helpers/backend.cjs");
+
+const iface = new ethers.Interface(abi);
+const OWNER = ethers.getAddress("0x" + "0a".repeat(20));
+const SIGNER = ethers.getAddress("0x" + "0b".repeat(20));
+const A = ethers.id("proposal-a");
+const B = ethers.id("proposal-b");
+
+/**
+ * A chain whose blocks and logs the test rewrites: `fork(from, branch)` replaces every block
+ * from `from` on with new hashes, like a reorg the node reports on its next answer.
+ */
+function fakeChain() {
+  const blocks = []; // { hash, timestamp, logs: [[name, args]] }
+  let branch = "main";
+
+  function mine(logs = []) {
+    const n = blocks.length;
+    blocks.push({ hash: ethers.id(`${branch}:${n}`), timestamp: 1700000000 + n * 12, logs });
+  }
+
+  const provider = {
+    getBlockNumber: async () => blocks.length - 1,
+    getBlock: async (n) => (blocks[n] ? { number: n, hash: blocks[n].hash, timestamp: blocks[n].timestamp } : null),
+  };
+
+  // ethers EventLog shape the indexer reads
+  const contract = {
+    async queryFilter(_filter, from, to) {
+      const out = [];
+      for (let n = from; n <= to && n < blocks.length; n++) {
+        blocks[n].logs.forEach(([name, args], index) => {
+          out.push({
+            fragment: iface.getEvent(name),
+            args,
+            blockNumber: n,
+            blockHash: blocks[n].hash,
+            transactionHash: ethers.id(`${blocks[n].hash}:tx:${index}`),
+            index,
+          });
+        });
+      }
+      return out;
+    },
+  };
+
+  return {
+    provider,
+    contract,
+    mine,
+    fork(from, name) {
+      blocks.length = from;
+      branch = name;
+    },
+  };
+}
+
+describe("Indexer reorg handling", function () {
+  it("finds the fork point, trims orphaned events and replays the projection", async function () {
+    const { createIndexer, eventKey, createProjection } = await loadBackend("indexer", "projection");
+    const { store } = await backendFixture();
+    const projection = createProjection({ store });
+    const chain = fakeChain();
+    const rollbacks = [];
+
+    const indexer = createIndexer({
+      provider: chain.provider,
+      contract: chain.contract,
+      confirmations: 0,
+      loadCursor: () => store.loadCursor(),
+      saveCursor: (cursor) => store.saveCursor(cursor),
+      // what index.js handleEvent / handleRollback do to the store
+      async onEvent(ev) {
+        store.transaction(() => {
+          store.insertEvent(eventKey(ev), ev);
+          projection.apply(ev);
+        });
+      },
+      async onRollback(forkBlock) {
+        rollbacks.push({ forkBlock, ...projection.rollback(forkBlock) });
+      },
+    });
+
+    // blocks 0..8: A created at 3, B created at 6, A approved at 7
+    for (let n = 0; n < 9; n++) {
+      if (n === 3) chain.mine([["ProposalCreated", [A, OWNER, OWNER, 1n, 5000n]]]);
+      else if (n === 6) chain.mine([["ProposalCreated", [B, OWNER, OWNER, 2n, 6000n]]]);
+      else if (n === 7) chain.mine([["ProposalApproved", [A, SIGNER]]]);
+      else chain.mine();
+    }
+    await indexer.tick();
+    expect(store.proposalIds()).to.deep.equal([A, B]);
+    expect(store.getApprovals(A)).to.have.length(1);
+
+    // reorg from block 5: B never happens, A is approved at block 6 of the new branch
+    chain.fork(5, "other");
+    chain.mine();
+    chain.mine([["ProposalApproved", [A, SIGNER]]]);
+    chain.mine();
+    await indexer.tick();
+
+    expect(rollbacks).to.deep.equal([{ forkBlock: 3, dropped: 2, forgotten: [B] }]);
+    expect(store.allEvents().map((e) => [e.name, e.blockNumber])).to.deep.equal([
+      ["ProposalCreated", 3],
+      ["ProposalApproved", 6],
+    ]);
+    expect(store.proposalIds()).to.deep.equal([A]);
+    expect(store.getProposal(A)).to.include({ value: "1", eta: 5000, lastEvent: "approved" });
+    expect(store.getApprovals(A).map((a) => [a.signer.toLowerCase(), a.blockNumber])).to.deep.equal([[SIGNER.toLowerCase(), 6]]);
+    expect(indexer.status().lastBlock).to.equal(7);
+
+    // the new tip is remembered: nothing to roll back on the next pass
+    await indexer.tick();
+    expect(rollbacks).to.have.length(1);
+  });
+});
@@ -0,0 +1,193 @@
+const { expect } = require("chai");
+const http = require("http");
+const { loadBackend, backendFixture } = require("./helpers/backend.cjs");
+
+/**
+ * Local stand-in for webhook / Slack / Telegram endpoints: records every request and
+ * answers with the next status of `statuses[path]` (200 once they run out).
+ */
+async function startServer() {
+  const requests = [];
+  const statuses = {};
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (d) => (body += d));
+    req.on("end", () => {
+      requests.push({ path: req.url, headers: req.headers, body });
+      const status = statuses[req.url]?.shift() ?? 200;
+      if (status === 429) res.setHeader("Retry-After", "3");
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(status === 200 ? '{"ok":true}' : '{"ok":false,"description":"nope"}');
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  return { url, requests, statuses, close: () => new Promise((resolve) => server.close(resolve)) };
+}
+
+describe("Notification dispatcher", function () {
+  let server;
+
+  before(async function () {
+    server = await startServer();
+  });
+
+  after(async function () {
+    await server.close();
+  });
+
+  beforeEach(function () {
+    server.requests.length = 0;
+  });
+
+  /** Notifier over a fresh store; waits between retries are recorded instead of slept. */
+  async function setup(channels, { env = {}, sendMail = null, retry = { attempts: 4, baseMs: 100, maxMs: 1000 } } = {}) {
+    const { createNotifier, parseChannels } = await loadBackend("notifier");
+    const { store, now } = await backendFixture();
+    const waits = [];
+    const notifier = createNotifier({
+      store,
+      channels: parseChannels(channels, { env }),
+      retry,
+      sendMail,
+      sleep: async (ms) => waits.push(ms),
+      now,
+    });
+    return { notifier, store, waits };
+  }
+
+  const message = {
+    subject: "🆕 New proposal created",
+    text: "Proposal ID: 0x01\n",
+    proposalId: "0x01",
+    link: "http://localhost:3000/?proposal=0x01",
+    guardian: { subject: "🆕 New proposal created (Guardian view)", text: "Proposal ID: 0x01\n\nRISK: HIGH (80/100)\n" },
+  };
+
+  it("signs webhook payloads with the channel secret", async function () {
+    const { webhookSignature } = await loadBackend("notifier");
+    const { notifier } = await setup(
+      [{ name: "ops", type: "webhook", url: `${server.url}/hook`, secret: "${HOOK_SECRET}" }],
+      { env: { HOOK_SECRET: "s3cret" } }
+    );
+
+    const [delivery] = await notifier.notify("proposal.created", message);
+    expect(delivery).to.include({ channel: "ops", status: "delivered", attempts: 1 });
+
+    const [{ headers, body }] = server.requests;
+    const payload = JSON.parse(body);
+    expect(payload).to.include({ event: "proposal.created", subject: message.subject, audience: "owners", proposalId: "0x01" });
+    expect(payload.text).to.equal(message.text); // owners' view
+    expect(headers["x-multisig-event"]).to.equal("proposal.created");
+    expect(headers["x-multisig-delivery"]).to.equal(delivery.id);
+    expect(headers["x-multisig-signature"]).to.equal(
+      "sha256=" + webhookSignature("s3cret", headers["x-multisig-timestamp"], body)
+    );
+  });
+
+  it("formats Slack and Telegram messages and picks the guardian view by audience", async function () {
+    const { notifier } = await setup([
+      { name: "slack", type: "slack", url: `${server.url}/slack` },
+      { name: "tg", type: "telegram", audience: "guardian", botToken: "123:abc", chatId: -10042, apiUrl: server.url },
+    ]);
+
+    await notifier.notify("proposal.created", message);
+    const byPath = Object.fromEntries(server.requests.map((r) => [r.path, JSON.parse(r.body)]));
+
+    expect(byPath["/slack"].text).to.equal(`*${message.subject}*\n${message.text}\n${message.link}`);
+    expect(byPath["/bot123:abc/sendMessage"]).to.deep.equal({
+      chat_id: "-10042",
+      text: `${message.guardian.subject}\n\n${message.guardian.text}`,
+      disable_web_page_preview: true,
+    });
+  });
+
+  it("delivers only what a channel subscribes to and what its audience may see", async function () {
+    const mails = [];
+    const { notifier } = await setup(
+      [
+        { name: "wallet-chat", type: "slack", url: `${server.url}/wallet`, events: ["wallet.*"] },
+        { name: "guardian-mail", type: "email", audience: "guardian", to: "g@example.com, h@example.com" },
+      ],
+      { sendMail: async (m) => mails.push(m) }
+    );
+
+    await notifier.notify("proposal.created", message);
+    await notifier.notify("wallet.paused", { subject: "⏸️ Wallet paused", text: "paused" });
+    await notifier.notify("wallet.pauseLapsing", { subject: "owners only", text: "-", audience: "owners" });
+
+    expect(server.requests.map((r) => r.path)).to.deep.equal(["/wallet", "/wallet"]);
+    expect(mails.map((m) => [m.to, m.subject])).to.deep.equal([
+      [["g@example.com", "h@example.com"], message.guardian.subject],
+      [["g@example.com", "h@example.com"], "⏸️ Wallet paused"],
+    ]);
+  });
+
+  it("retries with exponential backoff and records the outcome", async function () {
+    const { notifier, store, waits } = await setup([
+      { name: "flaky", type: "webhook", url: `${server.url}/flaky` },
+      { name: "limited", type: "webhook", url: `${server.url}/limited` },
+    ]);
+    server.statuses["/flaky"] = [500, 502, 503];
+    server.statuses["/limited"] = [429];
+
+    const [flaky, limited] = await notifier.notify("risk.escalated", message);
+    expect(flaky).to.include({ status: "delivered", attempts: 4, error: null });
+    expect(limited).to.include({ status: "delivered", attempts: 2 });
+    // flaky: 100, 200, 400; limited: Retry-After 3s capped at maxMs
+    expect([...waits].sort((a, b) => a - b)).to.deep.equal([100, 200, 400, 1000]);
+    expect(store.listNotificationDeliveries({ channel: "flaky" })).to.have.length(1);
+  });
+
+  it("gives up on client errors and after the last attempt", async function () {
+    const { notifier, store, waits } = await setup(
+      [
+        { name: "bad-request", type: "webhook", url: `${server.url}/bad` },
+        { name: "down", type: "slack", url: `${server.url}/down` },
+      ],
+      { retry: { attempts: 3, baseMs: 100, maxMs: 1000 } }
+    );
+    server.statuses["/bad"] = [400];
+    server.statuses["/down"] = [500, 500, 500];
+
+    await notifier.notify("proposal.created", message);
+    const outcomes = Object.fromEntries(store.listNotificationDeliveries().map((d) => [d.channel, d]));
+    expect(outcomes["bad-request"]).to.include({ status: "failed", attempts: 1 });
+    expect(outcomes["bad-request"].error).to.match(/^HTTP 400/);
+    expect(outcomes.down).to.include({ status: "failed", attempts: 3 });
+    expect(waits).to.deep.equal([100, 200]);
+  });
+
+  it("sends a test message to one channel whatever it subscribes to", async function () {
+    const { notifier } = await setup([{ name: "quiet", type: "slack", url: `${server.url}/quiet`, events: ["risk.escalated"] }]);
+    expect(await notifier.test("quiet")).to.include({ event: "test", status: "delivered" });
+    expect(await notifier.test("missing")).to.equal(null);
+    expect(notifier.channels()).to.deep.equal([{ name: "quiet", type: "slack", audience: "owners", events: ["risk.escalated"] }]);
+  });
+
+  it("rejects invalid channel settings, listing every problem", async function () {
+    const { parseChannels } = await loadBackend("notifier");
+    expect(() =>
+      parseChannels(
+        [
+          { name: "a", type: "webhook", url: "ftp://example.com" },
+          { name: "a", type: "sms" },
+          { name: "b", type: "telegram", chatId: "1", botToken: "${MISSING}", audience: "everyone" },
+          { name: "c", type: "slack", url: "https://example.com", events: ["proposal.nope"] },
+        ],
+        { env: {} }
+      )
+    ).to.throw(
+      [
+        "invalid notification channels:",
+        "  - channels[0] (a): url must be an http(s) URL",
+        "  - channels[1] (a): duplicate name",
+        "  - channels[1] (a): type must be one of webhook, slack, telegram, email",
+        '  - channels[2] (b): audience must be owners or guardian',
+        "  - channels[2] (b): botToken: environment variable MISSING is not set",
+        "  - channels[2] (b): botToken is required",
+        '  - channels[3] (c): unknown event "proposal.nope"',
+      ].join("\n")
+    );
+  });
+});
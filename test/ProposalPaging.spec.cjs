@@ -0,0 +1,80 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadBackend, backendFixture } = require("./helpers/backend.cjs");
+
+const NOW = 1700000000;
+const lifecycle = { threshold: 2, expiry: 3600, now: NOW };
+const SIGNERS = ["0a", "0b", "0c"].map((b) => ethers.getAddress("0x" + b.repeat(20)));
+
+describe("Proposal list paging (store.pageProposals)", function () {
+  /** Store with proposals in every lifecycle state, values past 2^64 and tied sort keys. */
+  async function setup() {
+    const { store } = await backendFixture();
+    const rows = [
+      // [eta, approvals, extra]
+      [NOW + 600, 0, { value: "5" }],
+      [NOW + 600, 1, { value: "40" }],
+      [NOW + 600, 2, { value: "1000000000000000000000000" }],
+      [NOW - 60, 2, { value: "999" }],
+      [NOW - 7200, 2, { value: "0" }],
+      [NOW - 60, 3, { executed: true, executionSuccess: true, value: "7" }],
+      [NOW - 60, 2, { executed: true, executionSuccess: false, value: "7" }],
+      [NOW + 600, 1, { cancelled: true, value: "18446744073709551617" }],
+      [NOW - 7200, 0, { value: "5" }],
+      [NOW + 1200, 0, { value: "40" }],
+    ];
+    rows.forEach(([eta, approvals, extra], n) => {
+      const id = ethers.id(`proposal-${n}`);
+      store.upsertProposal(id, { kind: "tx", eta, createdBlock: 10 + (n % 4), ...extra });
+      for (const signer of SIGNERS.slice(0, approvals)) store.addApproval({ proposalId: id, signer, approvedAt: NOW });
+    });
+    return store;
+  }
+
+  it("filters on the lifecycle state the same way deriveLifecycle does", async function () {
+    const { deriveLifecycle, LIFECYCLE_STATES } = await loadBackend("lifecycle");
+    const store = await setup();
+    const derived = store.queryProposals().map((p) => [p.id, deriveLifecycle(p, lifecycle).state]);
+
+    for (const state of LIFECYCLE_STATES) {
+      const { items, total } = store.pageProposals({ states: [state], lifecycle, limit: 200 });
+      const expected = derived.filter(([, s]) => s === state).map(([id]) => id);
+      expect(items.map((p) => p.id)).to.have.members(expected, state);
+      expect(total).to.equal(expected.length);
+    }
+    expect(store.pageProposals({ states: ["created", "awaitingApprovals"], lifecycle }).total).to.equal(3);
+  });
+
+  it("walks every sort in both orders page by page, without gaps or repeats", async function () {
+    const store = await setup();
+    const keys = {
+      createdAt: (p) => BigInt(p.createdBlock ?? 0),
+      eta: (p) => BigInt(p.eta),
+      value: (p) => BigInt(p.value),
+    };
+
+    for (const sort of Object.keys(keys)) {
+      for (const order of ["asc", "desc"]) {
+        const dir = order === "asc" ? 1 : -1;
+        const key = keys[sort];
+        const expected = store
+          .queryProposals()
+          .sort((a, b) => (key(a) === key(b) ? (a.id < b.id ? -1 : 1) : key(a) < key(b) ? -1 : 1) * dir)
+          .map((p) => p.id);
+
+        const seen = [];
+        let after = null;
+        for (;;) {
+          const { items, total, remaining } = store.pageProposals({ lifecycle, sort, order, after, limit: 3 });
+          expect(total).to.equal(expected.length);
+          expect(remaining).to.equal(expected.length - seen.length);
+          seen.push(...items.map((p) => p.id));
+          if (remaining <= items.length) break;
+          const last = items[items.length - 1];
+          after = { key: String(key(last)), id: last.id };
+        }
+        expect(seen).to.deep.equal(expected, `${sort} ${order}`);
+      }
+    }
+  });
+});
@@ -0,0 +1,96 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { loadBackend } = require("./helpers/backend.cjs");
+
+const ETH = 10n ** 18n;
+
+describe("Signed transaction relay (backend/relay.js)", function () {
+  // a relayed transaction as a JsonRpcProvider sees it on a real node: broadcast, then mined
+  // even when it reverts (the in-process node refuses it while automining, so the test mines)
+  const nodeProvider = {
+    getNetwork: () => ethers.provider.getNetwork(),
+    broadcastTransaction: async (raw) => ({ hash: await network.provider.send("eth_sendRawTransaction", [raw]) }),
+    waitForTransaction: async (hash) => {
+      await network.provider.send("evm_mine");
+      return ethers.provider.getTransactionReceipt(hash);
+    },
+  };
+
+  afterEach(() => network.provider.send("evm_setAutomine", [true]));
+
+  /** Multisig with an owner whose key the test holds, and the relay in front of it. */
+  async function setup() {
+    const [, owner2, owner3, guardian, outsider] = await ethers.getSigners();
+    const user = ethers.Wallet.createRandom().connect(ethers.provider);
+    await network.provider.send("hardhat_setBalance", [user.address, ethers.toQuantity(ETH)]);
+
+    const Factory = await ethers.getContractFactory("DelayedExecutionMultiSig");
+    const contract = await Factory.deploy([user.address, owner2.address, owner3.address], 2, 60, guardian.address);
+    await contract.waitForDeployment();
+    await network.provider.send("evm_setAutomine", [false]);
+
+    const { createRelay } = await loadBackend("relay");
+    const relay = createRelay({
+      provider: nodeProvider,
+      contract,
+      contractAddress: contract.target,
+      proposalCreated: (receipt) => {
+        const created = receipt.logs.map((log) => contract.interface.parseLog(log)).find((ev) => ev?.name === "ProposalCreated");
+        return { id: created?.args.id ?? null, eta: created ? Number(created.args.eta) : null };
+      },
+    });
+
+    // signed offline; a fixed gas limit skips the estimate, which would refuse a reverting call
+    const sign = async (method, args, overrides = {}) =>
+      user.signTransaction(
+        await user.populateTransaction({
+          to: contract.target,
+          data: contract.interface.encodeFunctionData(method, args),
+          ...overrides,
+        })
+      );
+    return { contract, relay, sign, user, outsider };
+  }
+
+  it("broadcasts a signed proposal and returns its id", async function () {
+    const { contract, relay, sign, user, outsider } = await setup();
+
+    const out = await relay.relay(await sign("proposeTransaction", [outsider.address, 0n, "0x", 60]));
+    expect(out).to.include({ ok: true, status: 1, from: user.address, function: "proposeTransaction" });
+    expect((await contract.getProposal(out.id)).proposer).to.equal(user.address);
+  });
+
+  it("reports a transaction that reverted on chain instead of failing", async function () {
+    const { relay, sign, user } = await setup();
+
+    const out = await relay.relay(await sign("approve", [ethers.id("no such proposal")], { gasLimit: 200000 }));
+    expect(out).to.include({ ok: false, status: 0, from: user.address, function: "approve" });
+    expect(out.txHash).to.match(/^0x[0-9a-f]{64}$/);
+    expect(out).to.not.have.property("id");
+
+    const receipt = await ethers.provider.getTransactionReceipt(out.txHash);
+    expect(receipt.status).to.equal(0);
+  });
+
+  it("refuses what it does not relay, as a client error", async function () {
+    const { relay, sign, user, outsider } = await setup();
+    const refused = async (signedTx) => {
+      try {
+        await relay.relay(signedTx);
+      } catch (err) {
+        return { status: err.status, message: err.message };
+      }
+      throw new Error("relayed");
+    };
+
+    expect(await refused("0x1234")).to.deep.equal({ status: 400, message: "signedTx must be a serialized, signed transaction" });
+    const toOutsider = await user.signTransaction(await user.populateTransaction({ to: outsider.address, value: 1n }));
+    expect(await refused(toOutsider)).to.deep.equal({ status: 400, message: "only transactions to the multisig are relayed" });
+
+    const tx = ethers.Transaction.from(await sign("threshold", []));
+    expect(await refused(tx.unsignedSerialized)).to.deep.equal({
+      status: 400,
+      message: "signedTx is not signed",
+    });
+  });
+});
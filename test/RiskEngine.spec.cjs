@@ -0,0 +1,564 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const POLICY_FILE = path.join(__dirname, "..", "backend", "risk-policy.json");
+
+const ETH = 10n ** 18n;
+const NOON = 1700049600; // 2023-11-15 12:00 UTC
+const NIGHT = 1700017200; // 2023-11-15 03:00 UTC
+
+const addr = (n) => ethers.getAddress("0x" + (0x1000 + n).toString(16).padStart(40, "0"));
+const OWNERS = [addr(1), addr(2), addr(3)];
+const GUARDIAN = addr(4);
+const WALLET = addr(5);
+
+const erc20 = new ethers.Interface(["function transfer(address,uint256)", "function approve(address,uint256)"]);
+
+// backend modules are ES modules; one in-memory store serves the whole suite
+let deps = null;
+async function loadEngine() {
+  if (deps) return deps;
+  const { createRiskEngine } = await import("../backend/risk-engine.js");
+  const { createRiskPolicy, validatePolicy } = await import("../backend/risk-policy.js");
+  const { openStore } = await import("../backend/store.js");
+  const { createAbiRegistry } = await import("../backend/abi-registry.js");
+  const { createAddressBook } = await import("../backend/address-book.js");
+
+  const store = openStore(":memory:");
+  deps = {
+    createRiskEngine,
+    validatePolicy,
+    openStore,
+    store,
+    abiRegistry: createAbiRegistry({ store }),
+    addressBook: createAddressBook({ store }),
+    policy: createRiskPolicy({ file: POLICY_FILE }).current(),
+  };
+  return deps;
+}
+
+/**
+ * Chain reads of one scenario. Addresses have sent transactions unless listed in
+ * `txCounts`; `tokens` maps a token address to its metadata and the wallet's balance;
+ * `simulation` is the proposal's latest simulation result (none by default).
+ */
+function fakeChain({ proposal, calls = [], balance = 10n * ETH, txCounts = {}, tokens = {}, simulation = null }) {
+  const byAddress = (map) => Object.fromEntries(Object.entries(map).map(([k, v]) => [k.toLowerCase(), v]));
+  const counts = byAddress(txCounts);
+  const tokenInfo = byAddress(tokens);
+
+  return {
+    proposal: async () => proposal,
+    batchCalls: async () => calls,
+    roles: async () => ({ owners: OWNERS, guardian: GUARDIAN, threshold: 2 }),
+    balance: async () => balance,
+    txCount: async (a) => {
+      const n = counts[a.toLowerCase()];
+      if (n instanceof Error) throw n;
+      return n ?? 1;
+    },
+    token: async (a) => {
+      const t = tokenInfo[a.toLowerCase()];
+      return t ? { address: a, symbol: t.symbol, decimals: t.decimals } : null;
+    },
+    tokenBalance: async (a) => tokenInfo[a.toLowerCase()].balance,
+    simulation: async () => simulation,
+  };
+}
+
+/**
+ * Scores one scenario (`proposal` fields default to a plain tx far from its ETA).
+ * `store` replaces the shared one for scenarios that need a history of their own.
+ */
+async function score(name, scenario, { policy, now = NOON, store: ownStore } = {}) {
+  const { createRiskEngine, store: shared, abiRegistry, addressBook, policy: shipped } = await loadEngine();
+  const store = ownStore || shared;
+  const proposal = {
+    proposer: OWNERS[0],
+    kind: 0,
+    to: ethers.ZeroAddress,
+    value: "0",
+    data: "0x",
+    eta: now + 86400,
+    approvals: 0,
+    ...scenario.proposal,
+  };
+
+  const engine = createRiskEngine({
+    store,
+    abiRegistry,
+    addressBook,
+    chain: fakeChain({ ...scenario, proposal }),
+    policy: () => policy || shipped,
+    walletAddress: WALLET,
+    timezone: "UTC",
+    now: () => now,
+  });
+  return engine.computeRisk(ethers.id(name));
+}
+
+function expectRisk(risk, { score, level, reasons, flags }) {
+  expect(risk.reasons).to.deep.equal(reasons);
+  expect(risk.signals.criticalFlags).to.deep.equal(flags);
+  expect(risk.score).to.equal(score);
+  expect(risk.level).to.equal(level);
+}
+
+describe("Risk engine (shipped policy fixtures)", function () {
+  it("a small transfer to an owner only notes its first use, and records the policy", async function () {
+    const first = await score("owner-first", { proposal: { to: OWNERS[1], value: (ETH / 100n).toString() } });
+    expectRisk(first, {
+      score: 5,
+      level: "LOW",
+      reasons: ["Recipient risk: destination has never been used in this system."],
+      flags: [],
+    });
+    expect(first.policyVersion).to.equal("3.1.0");
+    expect(first.policyHash).to.equal(crypto.createHash("sha256").update(fs.readFileSync(POLICY_FILE)).digest("hex"));
+
+    const again = await score("owner-again", { proposal: { to: OWNERS[1], value: (ETH / 100n).toString() } });
+    expectRisk(again, { score: 0, level: "LOW", reasons: [], flags: [] });
+  });
+
+  it("a large share of the balance to a brand new address is critical", async function () {
+    const to = addr(100);
+    const risk = await score("eth-large", {
+      proposal: { to, value: (6n * ETH).toString() },
+      balance: 8n * ETH,
+      txCounts: { [to]: 0 },
+    });
+
+    expectRisk(risk, {
+      score: 70,
+      level: "HIGH",
+      reasons: [
+        "Amount risk: very high value (≥ 5 ETH).",
+        "Amount risk: transfer is 75% of wallet balance (very high).",
+        "Recipient risk: destination is not an owner/guardian (unknown).",
+        "Recipient risk: destination has never been used in this system.",
+        "Recipient risk: destination appears brand new (txCount=0).",
+      ],
+      flags: ["amount:>=5eth", "amount:>=60%balance"],
+    });
+    expect(risk.signals.points).to.deep.equal({
+      amountPts: 35,
+      recipientPts: 24,
+      functionPts: 0,
+      behaviorPts: 0,
+      timePts: 0,
+      raw: 59,
+      RAW_MAX: 115,
+    });
+  });
+
+  it("a blacklisted recipient skips the softer recipient checks", async function () {
+    const risk = await score("blacklisted", { proposal: { to: "0x000000000000000000000000000000000000dEaD" } });
+
+    expectRisk(risk, {
+      score: 70,
+      level: "HIGH",
+      reasons: ["Recipient risk: address is blacklisted/dangerous."],
+      flags: ["recipient:blacklist"],
+    });
+    expect(risk.signals.recipient).to.equal(undefined);
+  });
+
+  it("an unlimited approval is flagged on top of the approve selector", async function () {
+    const token = addr(200);
+    const spender = addr(201);
+    const risk = await score("unlimited-approve", {
+      proposal: { to: token, data: erc20.encodeFunctionData("approve", [spender, ethers.MaxUint256]) },
+    });
+
+    expectRisk(risk, {
+      score: 70,
+      level: "HIGH",
+      reasons: [
+        "Recipient risk: destination is not an owner/guardian (unknown).",
+        "Recipient risk: destination has never been used in this system.",
+        "Function risk: call matches ERC20 approve (0x095ea7b3).",
+        `Function risk: unlimited token approval (amount = max uint256) to ${spender}.`,
+      ],
+      flags: ["function:unlimited-approval"],
+    });
+    expect(risk.signals.points.functionPts).to.equal(25); // 18 + 10, capped
+  });
+
+  it("a token transfer is scored against the wallet's balance of that token", async function () {
+    const token = addr(300);
+    const recipient = addr(301);
+    const risk = await score("token-share", {
+      proposal: { to: token, data: erc20.encodeFunctionData("transfer", [recipient, 700_000_000n]) },
+      tokens: { [token]: { symbol: "mUSD", decimals: 6, balance: 1_000_000_000n } },
+    });
+
+    expectRisk(risk, {
+      score: 70,
+      level: "HIGH",
+      reasons: [
+        "Amount risk: token transfer is 70% of wallet mUSD balance (very high).",
+        "Recipient risk: destination is not an owner/guardian (unknown).",
+        "Recipient risk: destination has never been used in this system.",
+        "Function risk: call matches ERC20 transfer (0xa9059cbb).",
+        `Function risk: token recipient ${recipient} is not an owner/guardian (unknown).`,
+        "Function risk: token recipient has never been used in this system.",
+      ],
+      flags: ["amount:>=60%tokenBalance"],
+    });
+    expect(risk.signals.tokenAmount.formatted).to.equal("700.0");
+    expect(risk.signals.points).to.include({ amountPts: 30, recipientPts: 16, functionPts: 13, raw: 59 });
+  });
+
+  it("night hours, a close ETA, velocity and fast approvals add up without a critical flag", async function () {
+    const { store } = await loadEngine();
+    const proposer = OWNERS[2];
+    const id = ethers.id("busy-night");
+
+    // five earlier proposals by the same owner within the velocity window
+    for (let i = 1; i <= 5; i++) {
+      store.upsertProposal(ethers.id(`busy-night-${i}`), { proposer, createdAt: NIGHT - 60 * i });
+    }
+    // two approvals 30s apart
+    [NIGHT - 40, NIGHT - 10].forEach((timestamp, i) => {
+      store.insertEvent(`busy-night-approval-${i}`, {
+        name: "ProposalApproved",
+        args: { id, owner: OWNERS[i] },
+        blockNumber: i + 1,
+        blockHash: ethers.ZeroHash,
+        txHash: ethers.ZeroHash,
+        logIndex: 0,
+        timestamp,
+      });
+    });
+
+    const to = addr(400);
+    const risk = await score(
+      "busy-night",
+      {
+        proposal: { proposer, to, data: "0xdeadbeef00", eta: NIGHT + 300, approvals: 2 },
+        txCounts: { [to]: 0 },
+      },
+      { now: NIGHT }
+    );
+
+    expectRisk(risk, {
+      score: 53,
+      level: "MEDIUM",
+      reasons: [
+        "Time risk: created during night/low-activity hours.",
+        "Time risk: ETA very close (≤ 10 minutes).",
+        "Behavior risk: many proposals created in last 10 minutes (very unusual).",
+        "Behavior risk: approvals accumulated very fast (≤ 60s).",
+        "Behavior signal: threshold reached (actionable after delay).",
+        "Recipient risk: destination is not an owner/guardian (unknown).",
+        "Recipient risk: destination has never been used in this system.",
+        "Recipient risk: destination appears brand new (txCount=0).",
+        "Function risk: non-empty calldata with unknown selector (0xdeadbeef).",
+      ],
+      flags: [],
+    });
+    expect(risk.signals.points).to.deep.equal({
+      amountPts: 0,
+      recipientPts: 24,
+      functionPts: 10,
+      behaviorPts: 15,
+      timePts: 12,
+      raw: 61,
+      RAW_MAX: 115,
+    });
+    expect(risk.signals.behavior).to.deep.equal({
+      velocity: [{ rule: "proposer-velocity", windowSec: 600, proposals: 6 }],
+      approvalsFastSpanSec: 30,
+    });
+  });
+
+  it("governance proposals start at the base score plus the action's weight", async function () {
+    const coder = ethers.AbiCoder.defaultAbiCoder();
+    const changeGuardian = await score("gov-guardian", {
+      proposal: { kind: 1, data: ethers.concat(["0x05", coder.encode(["address"], [addr(500)])]) },
+    });
+    expectRisk(changeGuardian, {
+      score: 85,
+      level: "HIGH",
+      reasons: ["Function risk: governance proposal (high impact by design).", "Governance risk: action = changeGuardian."],
+      flags: ["gov:changeGuardian"],
+    });
+    expect(changeGuardian.signals.govKind).to.equal(5);
+
+    const unknown = await score("gov-unknown", { proposal: { kind: 1, data: "0x7f" } });
+    expectRisk(unknown, {
+      score: 80,
+      level: "HIGH",
+      reasons: ["Function risk: governance proposal (high impact by design).", "Governance risk: unknown action."],
+      flags: ["gov:unknown"],
+    });
+  });
+
+  it("a batch is as risky as its riskiest call, plus the batch weight", async function () {
+    const fresh = addr(600);
+    const token = addr(601);
+    const calls = [
+      { to: fresh, value: ((3n * ETH) / 10n).toString(), data: "0x" },
+      { to: token, value: "0", data: erc20.encodeFunctionData("transfer", [OWNERS[0], 10_000_000n]) },
+    ];
+    const risk = await score("batch", {
+      proposal: { kind: 2, to: ethers.ZeroAddress, value: ((3n * ETH) / 10n).toString() },
+      calls,
+      txCounts: { [fresh]: 0 },
+      tokens: { [token]: { symbol: "mUSD", decimals: 6, balance: 1_000_000_000n } },
+    });
+
+    expectRisk(risk, {
+      score: 44,
+      level: "MEDIUM",
+      reasons: [
+        "Amount risk: moderate value (≥ 0.2 ETH).",
+        "Function risk: batch of 2 calls executed atomically.",
+        "Call #1: Amount risk: moderate value (≥ 0.2 ETH).",
+        "Call #1: Recipient risk: destination is not an owner/guardian (unknown).",
+        "Call #1: Recipient risk: destination has never been used in this system.",
+        "Call #1: Recipient risk: destination appears brand new (txCount=0).",
+        "Call #2: Recipient risk: destination is not an owner/guardian (unknown).",
+        "Call #2: Recipient risk: destination has never been used in this system.",
+        "Call #2: Function risk: call matches ERC20 transfer (0xa9059cbb).",
+        "Call #2: Function risk: token recipient has never been used in this system.",
+      ],
+      flags: [],
+    });
+    expect(risk.signals.points).to.include({ amountPts: 14, recipientPts: 24, functionPts: 13, raw: 51 });
+  });
+
+  it("address book categories replace the recipient checks", async function () {
+    const { addressBook } = await loadEngine();
+    const [vendor, exchange, blocked, token] = [addr(900), addr(901), addr(902), addr(903)];
+    addressBook.put(vendor, { label: "Acme Payroll", category: "vendor" });
+    addressBook.put(exchange, { label: "Exchange Hot Wallet", category: "exchange" });
+    addressBook.put(blocked, { label: "Mixer", category: "blocked" });
+
+    const toVendor = await score("book-vendor", { proposal: { to: vendor }, txCounts: { [vendor]: 0 } });
+    expectRisk(toVendor, {
+      score: 0,
+      level: "LOW",
+      reasons: ["Recipient signal: Acme Payroll is an allowlisted vendor address (address book)."],
+      flags: [],
+    });
+
+    const toExchange = await score("book-exchange", { proposal: { to: exchange } });
+    expectRisk(toExchange, {
+      score: 5,
+      level: "LOW",
+      reasons: ["Recipient risk: Exchange Hot Wallet is an exchange address (funds leave custody)."],
+      flags: [],
+    });
+
+    const toBlocked = await score("book-blocked", { proposal: { to: blocked } });
+    expectRisk(toBlocked, {
+      score: 70,
+      level: "HIGH",
+      reasons: ["Recipient risk: Mixer is blocked in the address book."],
+      flags: ["recipient:address-book-blocked"],
+    });
+
+    const tokenToBlocked = await score("book-token-blocked", {
+      proposal: { to: token, data: erc20.encodeFunctionData("transfer", [blocked, 1_000_000n]) },
+      tokens: { [token]: { symbol: "mUSD", decimals: 6, balance: 1_000_000_000n } },
+    });
+    expectRisk(tokenToBlocked, {
+      score: 70,
+      level: "HIGH",
+      reasons: [
+        "Recipient risk: destination is not an owner/guardian (unknown).",
+        "Recipient risk: destination has never been used in this system.",
+        "Function risk: call matches ERC20 transfer (0xa9059cbb).",
+        "Function risk: token recipient Mixer is blocked in the address book.",
+      ],
+      flags: ["function:recipient-address-book-blocked"],
+    });
+
+    expect(() => addressBook.put(vendor, { label: "Acme", category: "friend" })).to.throw(/category must be one of/);
+    expect(addressBook.remove(vendor)).to.equal(true);
+    const unlisted = await score("book-removed", { proposal: { to: vendor } });
+    expect(unlisted.reasons).to.include("Recipient risk: destination is not an owner/guardian (unknown).");
+  });
+
+  it("scores against the proposer's and the wallet's history once baselines exist", async function () {
+    const { openStore } = await loadEngine();
+    const store = openStore(":memory:");
+    const proposer = OWNERS[0];
+    const [usualA, usualB, fresh] = [addr(1000), addr(1001), addr(1002)];
+
+    // twelve days of ~0.1 ETH payments around 10:00 UTC, approved ~2h later by another owner
+    const day1 = 1700042400 - 12 * 86400; // 2023-11-03 10:00 UTC
+    const jitterMin = [0, -20, 15, 30, -10, 5, -30, 20, 10, -15, 25, 0];
+    jitterMin.forEach((j, i) => {
+      const id = ethers.id(`history-${i}`);
+      const createdAt = day1 + i * 86400 + j * 60;
+      store.upsertProposal(id, {
+        proposer,
+        kind: "tx",
+        to: i % 2 ? usualB : usualA,
+        value: (((8n + BigInt(i % 5)) * ETH) / 100n).toString(),
+        createdAt,
+      });
+      store.addApproval({ proposalId: id, signer: OWNERS[1], approvedAt: createdAt + 7200 + (i % 3) * 900 });
+      store.markRecipientSeen(i % 2 ? usualB : usualA, id, createdAt);
+    });
+
+    const usual = await score("baseline-usual", { proposal: { to: usualA, value: (ETH / 10n).toString() } }, { store, now: 1700043300 });
+    expectRisk(usual, {
+      score: 14,
+      level: "LOW",
+      reasons: ["Amount risk: small but notable (≥ 0.05 ETH).", "Recipient risk: destination is not an owner/guardian (unknown)."],
+      flags: [],
+    });
+    expect(usual.signals.baseline.map((b) => [b.rule, b.samples, b.z])).to.deep.equal([
+      ["value-vs-proposer", 12, 0.1],
+      ["value-vs-wallet", 12, 0.1],
+      ["recipient-new-for-proposer", 12, null],
+      ["hour-vs-proposer", 12, 0.2],
+      ["hour-vs-wallet", 12, 0.2],
+      ["interval-vs-proposer", 11, 0],
+      ["approval-latency-vs-wallet", 12, null],
+    ]);
+    // the fixed 10-minute velocity cutoff gives way to the interval baseline
+    expect(usual.signals.behavior.velocity[0]).to.include({ replacedByBaseline: true });
+
+    // 20 minutes after the last one: 0.9 ETH to a new address, approved after 30s
+    const burstId = ethers.id("baseline-burst");
+    const burstAt = day1 + 11 * 86400 + 1200;
+    store.upsertProposal(burstId, { proposer, kind: "tx", to: fresh, value: ((9n * ETH) / 10n).toString(), createdAt: burstAt });
+    store.addApproval({ proposalId: burstId, signer: OWNERS[1], approvedAt: burstAt + 30 });
+    const burst = await score(
+      "baseline-burst",
+      { proposal: { to: fresh, value: ((9n * ETH) / 10n).toString(), approvals: 1 } },
+      { store, now: burstAt + 60 }
+    );
+    expectRisk(burst, {
+      score: 48,
+      level: "MEDIUM",
+      reasons: [
+        "Amount risk: 0.9 ETH is 3.2σ above this proposer's usual value (typically ~0.0965 ETH, 12 proposals).",
+        "Amount risk: 0.9 ETH is 3.2σ above the wallet's usual value (typically ~0.0965 ETH, 12 proposals).",
+        "Recipient risk: first proposal from this proposer to this destination (12 earlier ones went to 2 other addresses).",
+        "Behavior risk: proposed 20 min after this proposer's previous proposal, 6.2σ sooner than usual (typically 24 h).",
+        "Behavior risk: approved 30s after creation, 8.1σ faster than usual for this wallet (typically 2.2 h).",
+        "Amount risk: moderate value (≥ 0.2 ETH).",
+        "Recipient risk: destination is not an owner/guardian (unknown).",
+        "Recipient risk: destination has never been used in this system.",
+      ],
+      flags: [],
+    });
+    expect(burst.signals.points).to.include({ amountPts: 20, recipientPts: 20, behaviorPts: 15, raw: 55 });
+
+    const night = await score("baseline-night", { proposal: { to: usualA, value: (ETH / 10n).toString() } }, { store, now: NIGHT });
+    expectRisk(night, {
+      score: 27,
+      level: "LOW",
+      reasons: [
+        "Time risk: created during night/low-activity hours.",
+        "Time risk: created at 03:00, 7.1σ away from this proposer's usual hours (around 10:04).",
+        "Time risk: created at 03:00, 7.1σ away from the wallet's usual hours (around 10:04).",
+        "Amount risk: small but notable (≥ 0.05 ETH).",
+        "Recipient risk: destination is not an owner/guardian (unknown).",
+      ],
+      flags: [],
+    });
+    expect(night.signals.points.timePts).to.equal(15); // 4 + 8 + 6, capped
+  });
+
+  it("a failed chain read skips its rule instead of failing the score", async function () {
+    const to = addr(700);
+    const risk = await score("rpc-down", {
+      proposal: { to },
+      balance: 10n * ETH,
+      txCounts: { [to]: new Error("rpc down") },
+    });
+
+    expectRisk(risk, {
+      score: 14,
+      level: "LOW",
+      reasons: [
+        "Recipient risk: destination is not an owner/guardian (unknown).",
+        "Recipient risk: destination has never been used in this system.",
+      ],
+      flags: [],
+    });
+    expect(risk.signals.recipient.txCount).to.equal(null);
+  });
+
+  it("a call that reverts in simulation is a function risk", async function () {
+    const simulation = { status: "reverted", revertReason: "insufficient balance", gasEstimate: null, simulatedAt: NOON - 60 };
+    const risk = await score("sim-reverts", { proposal: { to: OWNERS[1] }, simulation });
+
+    expectRisk(risk, {
+      score: 13,
+      level: "LOW",
+      reasons: ["Function risk: simulated at the current state, the call reverts (insufficient balance); execute would fail."],
+      flags: [],
+    });
+    expect(risk.signals.simulation).to.deep.equal(simulation);
+
+    const ok = await score("sim-succeeds", { proposal: { to: OWNERS[1] }, simulation: { ...simulation, status: "success", revertReason: null } });
+    expectRisk(ok, { score: 0, level: "LOW", reasons: [], flags: [] });
+  });
+});
+
+describe("Risk engine (custom policies)", function () {
+  function shippedJson() {
+    return JSON.parse(fs.readFileSync(POLICY_FILE, "utf8"));
+  }
+
+  it("scores with the rules, floor and version of the policy it is given", async function () {
+    const { validatePolicy } = await loadEngine();
+    const raw = shippedJson();
+    raw.version = "test-strict";
+    raw.criticalFloor = 90;
+    raw.rules.unshift({
+      id: "drain",
+      type: "selector",
+      selector: "0xdeadbeef",
+      pts: 20,
+      reason: "Function risk: known drainer selector ({selector}).",
+      critical: "function:drain",
+    });
+
+    const risk = await score("custom-drain", { proposal: { to: addr(800), data: "0xdeadbeef" } }, { policy: validatePolicy(raw) });
+
+    expectRisk(risk, {
+      score: 90,
+      level: "HIGH",
+      reasons: [
+        "Recipient risk: destination is not an owner/guardian (unknown).",
+        "Recipient risk: destination has never been used in this system.",
+        "Function risk: known drainer selector (0xdeadbeef).",
+      ],
+      flags: ["function:drain"],
+    });
+    expect(risk.policyVersion).to.equal("test-strict");
+  });
+
+  it("rejects an invalid policy with every problem listed", async function () {
+    const { validatePolicy } = await loadEngine();
+    const raw = shippedJson();
+    raw.rules.push({ id: "batch", type: "batch", pts: 1 });
+    raw.rules.push({ id: "vendor", type: "recipient", subject: "to", match: "list", list: "vendors", pts: 1 });
+    raw.rules.push({ id: "bad-selector", type: "selector", selector: "0x1234", pts: 1 });
+    raw.rules.push({ id: "bad-baseline", type: "baseline", metric: "gasPrice", scope: "proposer", pts: 1 });
+    raw.categories.time.combine = "avg";
+
+    let message = "";
+    try {
+      validatePolicy(raw);
+    } catch (err) {
+      message = err.message;
+    }
+    expect(message).to.contain("rules[").and.to.contain("(batch): duplicate id");
+    expect(message).to.contain('(vendor): unknown list "vendors"');
+    expect(message).to.contain("(bad-selector): selector must be 4 bytes");
+    expect(message).to.contain("(bad-baseline): metric must be one of value, recipient, hour, interval, approvalLatency");
+    expect(message).to.contain('categories.time: combine must be "sum" or "max"');
+  });
+});
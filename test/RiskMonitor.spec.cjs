@@ -0,0 +1,91 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadBackend, backendFixture } = require("./helpers/backend.cjs");
+
+const ID = ethers.id("monitored");
+let clock = 1700000000;
+
+function risk(score, level, { reasons = [], flags = [], id = ID } = {}) {
+  clock += 300;
+  return {
+    id,
+    score,
+    level,
+    reasons,
+    signals: { points: { amountPts: score, timePts: 0 }, criticalFlags: flags },
+    computedAt: clock,
+    policyVersion: "3.0.0",
+  };
+}
+
+/** Monitor over a fresh store (schedule off); `escalations` records alerts. */
+async function setup({ openIds = async () => [], rescore = null } = {}) {
+  const { createRiskMonitor } = await loadBackend("risk-monitor");
+  const { store } = await backendFixture();
+  const escalations = [];
+  const monitor = createRiskMonitor({
+    store,
+    openIds,
+    rescore: rescore || (async () => null),
+    intervalMs: 0,
+    onEscalation: (e) => escalations.push(e),
+  });
+  return { monitor, store, escalations };
+}
+
+describe("Risk monitor", function () {
+  it("keeps a snapshot per changed result with its cause and points", async function () {
+    const { monitor, store } = await setup();
+
+    expect(monitor.record(risk(12, "LOW"), "ProposalCreated")).to.include({ score: 12, cause: "ProposalCreated" });
+    // nothing changed: a scheduled rescore is not stored again
+    expect(monitor.record(risk(12, "LOW"), "schedule")).to.equal(null);
+    monitor.record(risk(30, "MEDIUM", { reasons: ["Time risk: ETA is very soon."] }), "schedule");
+
+    const history = store.riskHistory(ID);
+    expect(history.map((s) => [s.score, s.level, s.cause])).to.deep.equal([
+      [30, "MEDIUM", "schedule"],
+      [12, "LOW", "ProposalCreated"],
+    ]);
+    expect(history[0].points).to.deep.equal({ amountPts: 30, timePts: 0 });
+    expect(history[0].reasons).to.deep.equal(["Time risk: ETA is very soon."]);
+  });
+
+  it("alerts once per new highest level, never on the first result", async function () {
+    const { monitor, escalations } = await setup();
+
+    monitor.record(risk(40, "MEDIUM"), "ProposalCreated");
+    monitor.record(risk(20, "LOW"), "ProposalApproved");
+    monitor.record(risk(45, "MEDIUM"), "schedule"); // back to MEDIUM: seen before
+    monitor.record(risk(75, "HIGH", { flags: ["amount:>=5eth"] }), "schedule");
+    monitor.record(risk(50, "MEDIUM"), "schedule");
+    monitor.record(risk(80, "HIGH", { flags: ["amount:>=5eth"] }), "schedule");
+
+    expect(escalations).to.have.length(1);
+    const [{ risk: r, snapshot, previous }] = escalations;
+    expect([previous.level, previous.score, previous.peak]).to.deep.equal(["MEDIUM", 45, "MEDIUM"]);
+    expect([r.level, snapshot.cause, snapshot.criticalFlags]).to.deep.equal(["HIGH", "schedule", ["amount:>=5eth"]]);
+  });
+
+  it("rescores every open proposal on a sweep, past failures, without overlapping", async function () {
+    const ids = [ethers.id("a"), ethers.id("b"), ethers.id("c")];
+    const calls = [];
+    let release;
+    const gate = new Promise((r) => (release = r));
+
+    const { monitor } = await setup({
+      openIds: async () => ids,
+      async rescore(id, cause) {
+        calls.push([id, cause]);
+        if (id === ids[0]) await gate;
+        if (id === ids[1]) throw new Error("rpc down");
+      },
+    });
+
+    const first = monitor.sweep();
+    expect(await monitor.sweep()).to.equal(null); // still running
+    release();
+    expect(await first).to.equal(2);
+    expect(calls).to.deep.equal(ids.map((id) => [id, "schedule"]));
+  });
+});
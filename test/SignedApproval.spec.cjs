@@ -0,0 +1,227 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { loadBackend, backendFixture } = require("./helpers/backend.cjs");
+
+function parseEvent(receipt, contract, eventName) {
+  for (const log of receipt.logs) {
+    try {
+      const parsed = contract.interface.parseLog(log);
+      if (parsed && parsed.name === eventName) return parsed.args;
+    } catch (_) {}
+  }
+  return null;
+}
+
+const APPROVAL_TYPES = {
+  Approval: [
+    { name: "id", type: "bytes32" },
+    { name: "signer", type: "address" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+describe("EIP-712 signed approvals", function () {
+  async function deployFixture() {
+    const [owner1, owner2, owner3, guardian, relayer, outsider] = await ethers.getSigners();
+
+    const owners = [owner1.address, owner2.address, owner3.address];
+    const threshold = 2;
+    const minDelay = 60;
+
+    const Factory = await ethers.getContractFactory("DelayedExecutionMultiSig");
+    const contract = await Factory.deploy(owners, threshold, minDelay, guardian.address);
+    await contract.waitForDeployment();
+
+    const domain = {
+      name: "DelayedExecutionMultiSig",
+      version: "1",
+      chainId: network.config.chainId,
+      verifyingContract: await contract.getAddress(),
+    };
+
+    const receipt = await (
+      await contract.connect(owner1).proposeTransaction(outsider.address, 0n, "0x", minDelay)
+    ).wait();
+    const { id, eta } = parseEvent(receipt, contract, "ProposalCreated");
+
+    return { contract, domain, id, eta, owner1, owner2, owner3, relayer, outsider };
+  }
+
+  async function signApproval(signer, domain, id, deadline) {
+    const signature = await signer.signTypedData(domain, APPROVAL_TYPES, { id, signer: signer.address, deadline });
+    return { signer: signer.address, deadline, signature };
+  }
+
+  it("matches the typed-data digest signed by wallets", async function () {
+    const { contract, domain, id, owner1 } = await deployFixture();
+    const deadline = (await time.latest()) + 3600;
+
+    expect(await contract.DOMAIN_SEPARATOR()).to.equal(ethers.TypedDataEncoder.hashDomain(domain));
+    expect(await contract.approvalDigest(id, owner1.address, deadline)).to.equal(
+      ethers.TypedDataEncoder.hash(domain, APPROVAL_TYPES, { id, signer: owner1.address, deadline })
+    );
+  });
+
+  it("lets anyone submit an owner's signature with approveBySig", async function () {
+    const { contract, domain, id, owner2, relayer } = await deployFixture();
+    const a = await signApproval(owner2, domain, id, (await time.latest()) + 3600);
+
+    await expect(contract.connect(relayer).approveBySig(id, a.signer, a.deadline, a.signature))
+      .to.emit(contract, "ProposalApproved")
+      .withArgs(id, owner2.address);
+
+    expect(await contract.hasApproved(id, owner2.address)).to.equal(true);
+    expect((await contract.getProposal(id)).approvals).to.equal(1n);
+  });
+
+  it("rejects expired, foreign, non-owner and reused signatures", async function () {
+    const { contract, domain, id, owner1, owner2, relayer, outsider } = await deployFixture();
+    const deadline = (await time.latest()) + 3600;
+
+    // expired
+    const old = await signApproval(owner1, domain, id, (await time.latest()) + 5);
+    await time.increase(10);
+    await expect(contract.approveBySig(id, old.signer, old.deadline, old.signature)).to.be.revertedWith("sig expired");
+
+    // signed for another contract (or chain): recovers a different address
+    const foreign = await signApproval(owner1, { ...domain, verifyingContract: outsider.address }, id, deadline);
+    await expect(contract.approveBySig(id, foreign.signer, foreign.deadline, foreign.signature)).to.be.revertedWith(
+      "bad sig"
+    );
+    const otherChain = await signApproval(owner1, { ...domain, chainId: 1 }, id, deadline);
+    await expect(
+      contract.approveBySig(id, otherChain.signer, otherChain.deadline, otherChain.signature)
+    ).to.be.revertedWith("bad sig");
+
+    // signature of owner2 claimed for owner1
+    const o2 = await signApproval(owner2, domain, id, deadline);
+    await expect(contract.approveBySig(id, owner1.address, deadline, o2.signature)).to.be.revertedWith("bad sig");
+
+    // non-owner
+    const stranger = await signApproval(outsider, domain, id, deadline);
+    await expect(contract.approveBySig(id, stranger.signer, deadline, stranger.signature)).to.be.revertedWith(
+      "not owner"
+    );
+
+    // replay after revoke
+    await contract.connect(relayer).approveBySig(id, o2.signer, o2.deadline, o2.signature);
+    await contract.connect(owner2).revoke(id);
+    await expect(contract.approveBySig(id, o2.signer, o2.deadline, o2.signature)).to.be.revertedWith("sig used");
+  });
+
+  it("lets a signer burn their signature before anyone submits it", async function () {
+    const { contract, domain, id, owner1, owner2, relayer } = await deployFixture();
+    const deadline = (await time.latest()) + 3600;
+    const a = await signApproval(owner2, domain, id, deadline);
+
+    // burning someone else's digest is impossible: the caller is part of it
+    await contract.connect(owner1).invalidateApprovalDigest(id, deadline);
+    expect(await contract.usedApprovalDigests(await contract.approvalDigest(id, owner2.address, deadline))).to.equal(false);
+
+    await expect(contract.connect(owner2).invalidateApprovalDigest(id, deadline))
+      .to.emit(contract, "ApprovalSignatureInvalidated")
+      .withArgs(id, owner2.address, await contract.approvalDigest(id, owner2.address, deadline));
+
+    await expect(contract.connect(relayer).approveBySig(id, a.signer, a.deadline, a.signature)).to.be.revertedWith(
+      "sig used"
+    );
+    await expect(contract.connect(relayer).approveWithSignatures(id, [a])).to.be.revertedWith("sig used");
+    await expect(contract.connect(owner2).invalidateApprovalDigest(id, deadline)).to.be.revertedWith("sig used");
+    expect(await contract.hasApproved(id, owner2.address)).to.equal(false);
+  });
+
+  it("aggregates signatures and executes in one transaction", async function () {
+    const { contract, domain, id, eta, owner1, owner2, owner3, relayer } = await deployFixture();
+    const deadline = Number(eta) + 3600;
+
+    // owner3 approves on-chain meanwhile: its signature is skipped, not rejected
+    const sigs = [
+      await signApproval(owner1, domain, id, deadline),
+      await signApproval(owner3, domain, id, deadline),
+    ];
+    await contract.connect(owner3).approve(id);
+
+    await time.increaseTo(Number(eta) + 1);
+    await expect(contract.connect(relayer).executeWithSignatures(id, sigs))
+      .to.emit(contract, "ProposalExecuted")
+      .withArgs(id, relayer.address, true, "0x");
+
+    const p = await contract.getProposal(id);
+    expect(p.approvals).to.equal(2n);
+    expect(p.executed).to.equal(true);
+  });
+
+  it("executeWithSignatures still requires the threshold", async function () {
+    const { contract, domain, id, eta, owner1 } = await deployFixture();
+    const sigs = [await signApproval(owner1, domain, id, Number(eta) + 3600)];
+
+    await time.increaseTo(Number(eta) + 1);
+    await expect(contract.executeWithSignatures(id, sigs)).to.be.revertedWith("need quorum");
+  });
+});
+
+describe("Approval signature collector (backend/signed-approvals.js)", function () {
+  async function setup() {
+    const [owner1, owner2, owner3, guardian, outsider] = await ethers.getSigners();
+    const Factory = await ethers.getContractFactory("DelayedExecutionMultiSig");
+    const contract = await Factory.deploy([owner1.address, owner2.address, owner3.address], 2, 60, guardian.address);
+    await contract.waitForDeployment();
+    const receipt = await (await contract.proposeTransaction(outsider.address, 0n, "0x", 60)).wait();
+    const { id } = parseEvent(receipt, contract, "ProposalCreated");
+
+    const { createSignedApprovals } = await loadBackend("signed-approvals");
+    const { store } = await backendFixture();
+    const collector = createSignedApprovals({ contract, provider: ethers.provider, store });
+
+    // the collector checks deadlines against the wall clock, the contract against the chain
+    const deadline = Math.max(await time.latest(), Math.floor(Date.now() / 1000)) + 3600;
+    const sign = async (signer) => {
+      const signature = await signer.signTypedData(await collector.domain(), APPROVAL_TYPES, {
+        id,
+        signer: signer.address,
+        deadline,
+      });
+      return { signer: signer.address, deadline, signature };
+    };
+    return { contract, collector, store, id, deadline, sign, owner1, owner2 };
+  }
+
+  it("drops a withdrawn signature, and one whose digest was burned on chain", async function () {
+    const { contract, collector, id, deadline, sign, owner1, owner2 } = await setup();
+    expect(await collector.add(id, await sign(owner1))).to.equal(null);
+    expect(await collector.add(id, await sign(owner2))).to.equal(null);
+
+    const removed = collector.withdraw(id, owner1.address.toLowerCase());
+    expect(removed).to.include({ signer: owner1.address, deadline });
+    expect(collector.withdraw(id, owner1.address)).to.equal(null);
+    expect(collector.bundle(id).map((s) => s.signer)).to.deep.equal([owner2.address]);
+
+    // a digest that is not the stored one leaves it alone
+    await collector.invalidated(id, owner2.address, await contract.approvalDigest(id, owner2.address, deadline + 1));
+    expect(collector.list(id)).to.have.length(1);
+
+    await contract.connect(owner2).invalidateApprovalDigest(id, deadline);
+    await collector.invalidated(id, owner2.address, await contract.approvalDigest(id, owner2.address, deadline));
+    expect(collector.list(id)).to.deep.equal([]);
+
+    // once burned, the copied signature is refused again
+    expect(await collector.add(id, await sign(owner2))).to.equal("signature was already used");
+  });
+
+  it("refuses a malformed 65-byte signature as not matching the signer", async function () {
+    const { collector, id, deadline, sign, owner1 } = await setup();
+    const good = await sign(owner1);
+
+    for (const signature of [
+      "0x" + "ab".repeat(65), // v = 0xab
+      "0x" + "00".repeat(65),
+      good.signature.slice(0, 66) + "f".repeat(64) + good.signature.slice(-2), // s above n/2
+    ]) {
+      expect(await collector.add(id, { signer: owner1.address, deadline, signature }), signature).to.equal(
+        "signature does not match signer"
+      );
+    }
+    expect(collector.list(id)).to.deep.equal([]);
+  });
+});
@@ -0,0 +1,183 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const path = require("path");
+const { loadBackend, backendFixture, providerChain } = require("./helpers/backend.cjs");
+
+const ETH = 10n ** 18n;
+const NOW = 1700049600;
+
+describe("Transaction simulation", function () {
+  let token, wallet, erc20;
+  const alice = ethers.getAddress("0x" + "a1".repeat(20));
+
+  before(async function () {
+    // a wallet address with 1 ETH and 100 MCK; simulated calls come from it
+    wallet = ethers.Wallet.createRandom().address;
+    await network.provider.send("hardhat_setBalance", [wallet, ethers.toQuantity(ETH)]);
+    token = await (await ethers.getContractFactory("MockERC20")).deploy("Mock", "MCK", 18);
+    await token.mint(wallet, 100n * ETH);
+    erc20 = token.interface;
+  });
+
+  /**
+   * Simulator over the in-process Hardhat node (no callTracer: balance changes come from
+   * calldata) unless `traceCall` is given; `proposal` / `calls` are what the chain returns.
+   */
+  async function setup({ proposal, calls = [], traceCall, rerunBeforeEtaSec = 600 }) {
+    const { createSimulator, createAbiRegistry } = await loadBackend("simulator", "abi-registry");
+    const { store, clock, now } = await backendFixture({ now: NOW });
+    const simulator = createSimulator({
+      store,
+      abiRegistry: createAbiRegistry({ store }),
+      walletAddress: wallet,
+      rerunBeforeEtaSec,
+      now,
+      chain: {
+        ...providerChain(wallet),
+        proposal: async () => ({ kind: 0, value: "0", data: "0x", eta: NOW + 3600, ...proposal }),
+        batchCalls: async () => calls,
+        traceCall:
+          traceCall ||
+          ((tx) => network.provider.send("debug_traceCall", [tx, "latest", { tracer: "callTracer", tracerConfig: { withLog: true } }])),
+        token: async (a) => (a.toLowerCase() === token.target.toLowerCase() ? { symbol: "MCK", decimals: 18 } : null),
+      },
+    });
+    return { simulator, store, clock };
+  }
+
+  const id = ethers.id("simulated");
+
+  it("reports return data, gas and the balance changes of a token transfer", async function () {
+    const data = erc20.encodeFunctionData("transfer", [alice, 10n * ETH]);
+    const { simulator, store } = await setup({ proposal: { to: token.target, data } });
+
+    const sim = await simulator.simulate(id);
+    expect(sim).to.include({ id, status: "success", revertReason: null, balanceChangesFrom: "calldata", independent: false });
+    expect(sim.returnData).to.equal(ethers.AbiCoder.defaultAbiCoder().encode(["bool"], [true]));
+    expect(Number(sim.gasEstimate)).to.be.greaterThan(21000);
+    expect(sim.balanceChanges.map((c) => [c.address, c.wallet, c.symbol, c.formatted])).to.deep.equal([
+      [wallet.toLowerCase(), true, "MCK", "-10.0"],
+      [alice.toLowerCase(), false, "MCK", "10.0"],
+    ]);
+    expect(store.getSimulation(id)).to.deep.equal(sim);
+  });
+
+  it("reports the revert reason instead of a bare failure", async function () {
+    const data = erc20.encodeFunctionData("transfer", [alice, 101n * ETH]);
+    const { simulator } = await setup({ proposal: { to: token.target, data } });
+
+    const sim = await simulator.simulate(id);
+    expect(sim).to.include({ status: "reverted", revertReason: "balance", gasEstimate: null });
+    expect(sim.balanceChanges).to.deep.equal([]);
+  });
+
+  it("checks the ETH value against the wallet balance itself", async function () {
+    const { simulator } = await setup({ proposal: { to: alice, value: (2n * ETH).toString() } });
+    expect((await simulator.simulate(id)).revertReason).to.equal("wallet ETH balance 1.0 is below the 2.0 ETH sent");
+  });
+
+  it("stops a batch at a reverting first call and moves nothing", async function () {
+    const calls = [
+      { to: token.target, value: "0", data: erc20.encodeFunctionData("transfer", [alice, 500n * ETH]) },
+      { to: alice, value: "1", data: "0x" },
+    ];
+    const { simulator } = await setup({ proposal: { kind: 2 }, calls });
+
+    const sim = await simulator.simulate(id);
+    expect(sim).to.include({ status: "reverted", revertReason: "call #1: balance", independent: true });
+    expect(sim.calls.map((c) => c.status)).to.deep.equal(["reverted"]);
+    expect(sim.balanceChanges).to.deep.equal([]);
+  });
+
+  it("leaves a later batch call that reverts on the pre-batch state unknown, and unscored", async function () {
+    // approve, then transferFrom under that approval: only fails without the first call
+    const calls = [
+      { to: alice, value: (ETH / 10n).toString(), data: "0x" },
+      { to: token.target, value: "0", data: erc20.encodeFunctionData("approve", [wallet, 5n * ETH]) },
+      { to: token.target, value: "0", data: erc20.encodeFunctionData("transferFrom", [wallet, alice, 5n * ETH]) },
+      { to: alice, value: "1", data: "0x" },
+    ];
+    const { simulator } = await setup({ proposal: { kind: 2 }, calls });
+
+    const sim = await simulator.simulate(id);
+    expect(sim.calls.map((c) => c.status)).to.deep.equal(["success", "success", "unknown", "success"]);
+    expect(sim).to.include({ status: "unknown", gasEstimate: null, balanceChangesFrom: null });
+    expect(sim.revertReason).to.equal(
+      "call #3 reverts on the state before the batch (allowance), it may rely on an earlier call"
+    );
+    expect(sim.balanceChanges).to.deep.equal([]);
+
+    const { createRiskPolicy } = await loadBackend("risk-policy");
+    const policy = createRiskPolicy({ file: path.join(__dirname, "..", "backend", "risk-policy.json") }).current();
+    expect(policy.of("simulation", { status: sim.status })).to.deep.equal([]);
+    expect(policy.of("simulation", { status: "reverted" })).to.not.be.empty;
+  });
+
+  it("reads internal transfers and Transfer logs from a call trace", async function () {
+    const pad = (a) => ethers.zeroPadValue(a, 32);
+    const frame = {
+      type: "CALL",
+      from: wallet,
+      to: alice,
+      value: ethers.toQuantity(ETH / 2n),
+      calls: [
+        { type: "CALL", from: alice, to: token.target, value: ethers.toQuantity(ETH / 10n), logs: [] },
+        { type: "CALL", from: alice, to: wallet, value: "0x1", error: "execution reverted" },
+      ],
+      logs: [{ address: token.target, topics: [ethers.id("Transfer(address,address,uint256)"), pad(alice), pad(wallet)], data: ethers.toQuantity(5n * ETH) }],
+    };
+    const { simulator } = await setup({ proposal: { to: alice, value: (ETH / 2n).toString() }, traceCall: async () => frame });
+
+    const sim = await simulator.simulate(id);
+    expect(sim.balanceChangesFrom).to.equal("trace");
+    expect(sim.balanceChanges.map((c) => [c.address, c.symbol, c.formatted])).to.deep.equal([
+      [wallet.toLowerCase(), "ETH", "-0.5"],
+      [wallet.toLowerCase(), "MCK", "5.0"],
+      [alice.toLowerCase(), "ETH", "0.4"],
+      [alice.toLowerCase(), "MCK", "-5.0"],
+      [token.target.toLowerCase(), "ETH", "0.1"],
+    ]);
+  });
+
+  it("falls back to calldata for a failed trace, and stops tracing only when the node has none", async function () {
+    const frame = { type: "CALL", from: wallet, to: alice, value: ethers.toQuantity(ETH / 2n) };
+    const answers = [new Error("request timeout"), frame, Object.assign(new Error("Method not found"), { code: -32601 })];
+    let traced = 0;
+    const traceCall = async () => {
+      const answer = answers[traced++];
+      if (answer instanceof Error) throw answer;
+      return answer;
+    };
+    const { simulator } = await setup({ proposal: { to: alice, value: (ETH / 2n).toString() }, traceCall });
+
+    const sources = [];
+    for (let n = 0; n < 4; n++) sources.push((await simulator.simulate(id)).balanceChangesFrom);
+    expect(sources).to.deep.equal(["calldata", "trace", "calldata", "calldata"]);
+    expect(traced).to.equal(3);
+  });
+
+  it("does not simulate governance and runs again once the ETA is close", async function () {
+    const gov = await setup({ proposal: { kind: 1, data: "0x03" } });
+    expect((await gov.simulator.simulate(id)).status).to.equal("unsupported");
+    expect(gov.simulator.due({ id, eta: NOW })).to.equal(false);
+
+    const { simulator, clock } = await setup({ proposal: { to: alice } });
+    const p = { id, eta: NOW + 3600 };
+    expect(simulator.due(p)).to.equal(true);
+    await simulator.simulate(id);
+    expect(simulator.due(p)).to.equal(false);
+
+    clock.now = NOW + 3000; // within 600s of the ETA
+    expect(simulator.due(p)).to.equal(true);
+    await simulator.simulate(id);
+    expect(simulator.due(p)).to.equal(false);
+  });
+
+  it("decodes panics and leaves unknown custom errors by selector", async function () {
+    const { decodeRevert } = await loadBackend("simulator");
+    const panic = "0x4e487b71" + ethers.toBeHex(0x11, 32).slice(2);
+    expect(decodeRevert(panic)).to.equal("panic 0x11 (arithmetic overflow or underflow)");
+    expect(decodeRevert("0x")).to.equal("reverted without a reason");
+    expect(decodeRevert("0xdeadbeef")).to.equal("custom error 0xdeadbeef");
+  });
+});
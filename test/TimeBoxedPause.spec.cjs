@@ -0,0 +1,128 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+function parseEvent(receipt, contract, eventName) {
+  for (const log of receipt.logs) {
+    try {
+      const parsed = contract.interface.parseLog(log);
+      if (parsed && parsed.name === eventName) return parsed.args;
+    } catch (_) {}
+  }
+  return null;
+}
+
+const HOUR = 3600;
+const DAY = 24 * HOUR;
+
+describe("Time-boxed pause, cooldown and emergency unpause", function () {
+  async function deployFixture() {
+    const [owner1, owner2, owner3, guardian, outsider] = await ethers.getSigners();
+
+    const owners = [owner1.address, owner2.address, owner3.address];
+    const threshold = 2;
+    const minDelay = 60;
+
+    const Factory = await ethers.getContractFactory("DelayedExecutionMultiSig");
+    const contract = await Factory.deploy(owners, threshold, minDelay, guardian.address);
+    await contract.waitForDeployment();
+
+    return { contract, owner1, owner2, owner3, guardian, outsider, minDelay };
+  }
+
+  it("a pause lapses by itself after maxPauseDuration", async function () {
+    const { contract, owner1, guardian, outsider, minDelay } = await deployFixture();
+    const max = Number(await contract.maxPauseDuration());
+
+    const receipt = await (await contract.connect(guardian).pause()).wait();
+    const { until } = parseEvent(receipt, contract, "Paused");
+    expect(until).to.equal(BigInt((await time.latest()) + max));
+    expect(await contract.paused()).to.equal(true);
+
+    await expect(
+      contract.connect(owner1).proposeTransaction(outsider.address, 0n, "0x", minDelay)
+    ).to.be.revertedWith("paused");
+
+    await time.increaseTo(Number(until));
+    expect(await contract.paused()).to.equal(false);
+    await expect(contract.connect(owner1).proposeTransaction(outsider.address, 0n, "0x", minDelay)).to.emit(
+      contract,
+      "ProposalCreated"
+    );
+  });
+
+  it("the guardian cannot pause again until the cooldown has passed", async function () {
+    const { contract, guardian } = await deployFixture();
+    const cooldown = Number(await contract.pauseCooldown());
+
+    await contract.connect(guardian).pause();
+    await contract.connect(guardian).resume();
+
+    await expect(contract.connect(guardian).pause()).to.be.revertedWith("cooldown");
+
+    await time.increase(cooldown);
+    await expect(contract.connect(guardian).pause()).to.emit(contract, "Paused");
+  });
+
+  it("owners reaching threshold on voteUnpause end the pause", async function () {
+    const { contract, owner1, owner2, guardian, outsider } = await deployFixture();
+
+    await contract.connect(guardian).pause();
+    const round = await contract.pauseRound();
+
+    await expect(contract.connect(outsider).voteUnpause()).to.be.revertedWith("not owner");
+    await expect(contract.connect(owner1).voteUnpause())
+      .to.emit(contract, "UnpauseVoted")
+      .withArgs(owner1.address, round, 1);
+    await expect(contract.connect(owner1).voteUnpause()).to.be.revertedWith("dup");
+    expect(await contract.paused()).to.equal(true);
+
+    await expect(contract.connect(owner2).voteUnpause())
+      .to.emit(contract, "EmergencyUnpaused")
+      .withArgs(round, 2)
+      .and.to.emit(contract, "Resumed");
+    expect(await contract.paused()).to.equal(false);
+
+    await expect(contract.connect(owner1).voteUnpause()).to.be.revertedWith("not paused");
+  });
+
+  it("unpause votes do not carry over to the next pause", async function () {
+    const { contract, owner1, owner2, guardian } = await deployFixture();
+
+    await contract.connect(guardian).pause();
+    await contract.connect(owner1).voteUnpause();
+    await contract.connect(guardian).resume();
+
+    await time.increase(Number(await contract.pauseCooldown()));
+    await contract.connect(guardian).pause();
+
+    expect(await contract.hasVotedUnpause(owner1.address)).to.equal(false);
+    await contract.connect(owner2).voteUnpause();
+    expect(await contract.paused()).to.equal(true);
+  });
+
+  it("governance kind 0x0A sets max duration and cooldown within bounds", async function () {
+    const { contract, owner1, owner2, guardian, minDelay } = await deployFixture();
+    const coder = ethers.AbiCoder.defaultAbiCoder();
+
+    async function proposeConfig(maxDuration, cooldown) {
+      const encoded = ethers.concat(["0x0a", coder.encode(["uint256", "uint256"], [maxDuration, cooldown])]);
+      const receipt = await (await contract.connect(owner1).proposeGovernance(encoded, minDelay)).wait();
+      const { id, eta } = parseEvent(receipt, contract, "GovernanceProposalCreated");
+      await contract.connect(owner1).approve(id);
+      await contract.connect(owner2).approve(id);
+      await time.increaseTo(Number(eta) + 1);
+      return id;
+    }
+
+    await expect(contract.execute(await proposeConfig(30 * 60, 0))).to.be.revertedWith("bad pause");
+    await expect(contract.execute(await proposeConfig(DAY, 31 * DAY))).to.be.revertedWith("bad cooldown");
+
+    await expect(contract.execute(await proposeConfig(2 * HOUR, HOUR)))
+      .to.emit(contract, "PauseConfigChanged")
+      .withArgs(2 * HOUR, HOUR);
+
+    await contract.connect(guardian).pause();
+    expect(await contract.pausedUntil()).to.equal(BigInt((await time.latest()) + 2 * HOUR));
+  });
+});
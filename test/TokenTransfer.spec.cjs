@@ -0,0 +1,87 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+function parseEvent(receipt, contract, eventName) {
+  for (const log of receipt.logs) {
+    try {
+      const parsed = contract.interface.parseLog(log);
+      if (parsed && parsed.name === eventName) return parsed.args;
+    } catch (_) {}
+  }
+  return null;
+}
+
+describe("ERC-20 token transfers through the multisig", function () {
+  async function deployFixture() {
+    const [owner1, owner2, owner3, guardian, recipient] = await ethers.getSigners();
+
+    const owners = [owner1.address, owner2.address, owner3.address];
+    const threshold = 2;
+    const minDelay = 60;
+
+    const Factory = await ethers.getContractFactory("DelayedExecutionMultiSig");
+    const contract = await Factory.deploy(owners, threshold, minDelay, guardian.address);
+    await contract.waitForDeployment();
+
+    const Token = await ethers.getContractFactory("MockERC20");
+    const token = await Token.deploy("Mock USD", "mUSD", 6);
+    await token.waitForDeployment();
+
+    // multisig holds 1,000 mUSD
+    await token.mint(await contract.getAddress(), ethers.parseUnits("1000", 6));
+
+    return { contract, token, owner1, owner2, recipient, minDelay };
+  }
+
+  // token-transfer mode: human amount -> base units -> transfer(recipient, amount)
+  async function proposeTokenTransfer({ contract, token, owner1, minDelay }, recipient, humanAmount) {
+    const amount = ethers.parseUnits(humanAmount, await token.decimals());
+    const data = token.interface.encodeFunctionData("transfer", [recipient, amount]);
+
+    const receipt = await (
+      await contract.connect(owner1).proposeTransaction(await token.getAddress(), 0n, data, minDelay)
+    ).wait();
+
+    return { id: parseEvent(receipt, contract, "ProposalCreated").id, amount, data };
+  }
+
+  it("executes an approved token transfer after ETA", async function () {
+    const fx = await deployFixture();
+    const { contract, token, owner1, owner2, recipient } = fx;
+
+    const { id, amount, data } = await proposeTokenTransfer(fx, recipient.address, "250.5");
+
+    const p = await contract.getProposal(id);
+    expect(p.to).to.equal(await token.getAddress());
+    expect(p.value).to.equal(0n);
+    expect(p.data).to.equal(data);
+
+    await contract.connect(owner1).approve(id);
+    await contract.connect(owner2).approve(id);
+    await time.increaseTo(Number(p.eta) + 1);
+
+    await expect(contract.execute(id))
+      .to.emit(token, "Transfer")
+      .withArgs(await contract.getAddress(), recipient.address, amount);
+
+    expect(await token.balanceOf(recipient.address)).to.equal(ethers.parseUnits("250.5", 6));
+    expect(await token.balanceOf(await contract.getAddress())).to.equal(ethers.parseUnits("749.5", 6));
+  });
+
+  it("reverts execution when the transfer exceeds the token balance", async function () {
+    const fx = await deployFixture();
+    const { contract, token, owner1, owner2, recipient } = fx;
+
+    const { id } = await proposeTokenTransfer(fx, recipient.address, "1000.000001");
+
+    await contract.connect(owner1).approve(id);
+    await contract.connect(owner2).approve(id);
+    await time.increaseTo(Number((await contract.getProposal(id)).eta) + 1);
+
+    await expect(contract.execute(id)).to.be.revertedWith("exec failed");
+
+    expect((await contract.getProposal(id)).executed).to.equal(false);
+    expect(await token.balanceOf(await contract.getAddress())).to.equal(ethers.parseUnits("1000", 6));
+  });
+});
@@ -0,0 +1,45 @@
+const { ethers } = require("hardhat");
+
+// backend modules are ES modules: each is imported once and shared by every spec
+const modules = new Map();
+
+/**
+ * Exports of backend/<name>.js, merged: `await loadBackend("indexer", "projection")`.
+ */
+async function loadBackend(...names) {
+  const loaded = await Promise.all(
+    names.map((name) => {
+      if (!modules.has(name)) modules.set(name, import(`../../backend/${name}.js`));
+      return modules.get(name);
+    })
+  );
+  return Object.assign({}, ...loaded);
+}
+
+/**
+ * A fresh in-memory store and a clock the test moves: `now()` returns `clock.now` (unix seconds).
+ */
+async function backendFixture({ now = 1700000000 } = {}) {
+  const { openStore } = await loadBackend("store");
+  const clock = { now };
+  return { store: openStore(":memory:"), clock, now: () => clock.now };
+}
+
+/**
+ * Reads of the in-process Hardhat node as the backend's JsonRpcProvider answers them,
+ * for the wallet at `address`.
+ */
+function providerChain(address) {
+  return {
+    // the in-process provider throws Hardhat's SolidityError; the backend's JsonRpcProvider a CALL_EXCEPTION
+    call: (tx) =>
+      ethers.provider.call(tx).catch((err) => {
+        throw err.data ? Object.assign(new Error(err.message), { code: "CALL_EXCEPTION", data: err.data }) : err;
+      }),
+    estimateGas: (tx) => ethers.provider.estimateGas(tx),
+    balance: () => ethers.provider.getBalance(address),
+    blockNumber: () => ethers.provider.getBlockNumber(),
+  };
+}
+
+module.exports = { loadBackend, backendFixture, providerChain };